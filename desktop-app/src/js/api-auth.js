@@ -0,0 +1,40 @@
+/**
+ * API Token
+ * Sends the API token configured for this install (API_TOKEN in .env) with
+ * every request to the server; the server rejects requests without one.
+ */
+
+/**
+ * Gets the configured API token
+ * @returns {string} The token, or an empty string when none is configured
+ */
+function getApiToken() {
+  return window.electronAPI.getApiToken() || "";
+}
+
+/**
+ * Adds the Authorization header to fetch options
+ * @param {Object} [options] - fetch options
+ * @returns {Object} Options with the token header
+ */
+function withAuthHeaders(options = {}) {
+  const token = getApiToken();
+  if (!token) return options;
+  const headers = new Headers(options.headers || {});
+  headers.set("Authorization", `Bearer ${token}`);
+  return { ...options, headers };
+}
+
+/**
+ * fetch() for API requests, sending the API token
+ * @param {string} url - Request URL
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Response>} The response
+ */
+function authFetch(url, options) {
+  return fetch(url, withAuthHeaders(options));
+}
+
+// Export functions
+window.getApiToken = getApiToken;
+window.authFetch = authFetch;
@@ -1,5 +1,101 @@
 // Audio recording and processing functions
 let currentAbortController = null; // Controller for cancelling fetch requests
+let activeAudioStream = null; // Socket.IO upload of the recording in progress
+
+/**
+ * Sends the request fields of a streamed recording to the server, which
+ * already has the audio and can start answering right away
+ * @param {FormData} formData - The fields an upload would send
+ * @returns {Promise<boolean>} - False when there is no usable stream and the
+ *   recording has to be uploaded instead
+ */
+async function finishAudioStream(formData) {
+  const audioStream = activeAudioStream;
+  activeAudioStream = null;
+  if (!audioStream) return false;
+
+  const fields = {};
+  formData.forEach((value, key) => {
+    if (key !== "audio") fields[key] = value;
+  });
+
+  try {
+    const response = await audioStream.end(fields);
+    console.log("Streamed recording queued for processing:", response.job);
+    return true;
+  } catch (error) {
+    console.warn("Streaming upload failed, uploading the recording:", error);
+    return false;
+  }
+}
+
+/**
+ * Builds the upload request for a recording from the current UI selections
+ * (language, context, follow-up flag and models)
+ * @param {Blob|null} audioBlob - Recorded audio (null for a recording that is
+ *   already on the server)
+ * @returns {FormData} - Fields for /api/v1/recording/upload
+ */
+function createUploadFormData(audioBlob) {
+  const lang = document.querySelector('input[name="language"]:checked').value;
+  const questionContext =
+    document.querySelector('select[name="questionContext"]').value || "general";
+  const customContext =
+    document.getElementById("customContextInput").value || "";
+  const followUpCheckbox = document.getElementById("isFollowUpCheckbox");
+  const isFollowUp = followUpCheckbox ? followUpCheckbox.checked : false;
+
+  const formData = new FormData();
+  if (audioBlob) formData.append("audio", audioBlob, "recording.webm");
+  formData.append("language", lang);
+  formData.append("questionContext", questionContext);
+  formData.append("customContext", customContext);
+  formData.append("isFollowUp", isFollowUp);
+  formData.append("sessionId", window.getSessionId());
+
+  // Get the selected models
+  const model = window.getSelectedModel ? window.getSelectedModel() : null;
+  const model2 = window.getSelectedModel2 ? window.getSelectedModel2() : null;
+  if (model) formData.append("model", model);
+  if (model2) formData.append("model2", model2);
+  if (window.appendModelOptions) window.appendModelOptions(formData);
+
+  // Conversations recorded from both sources: label who is speaking, from
+  // the stereo channels when the system audio could be captured
+  const speakerMode = window.getSpeakerMode ? window.getSpeakerMode() : "off";
+  if (speakerMode !== "off") {
+    formData.append(
+      "diarization",
+      window.audioRecorder.hasSpeakerChannels() ? "channels" : "model",
+    );
+    if (speakerMode === "remote") formData.append("remoteOnly", "true");
+  }
+  return formData;
+}
+
+/**
+ * Uploads a hands-free speech segment; the server answers it only when it
+ * contains a question (otherwise it sends segmentIgnored)
+ * @param {Blob} audioBlob - Recorded segment
+ * @returns {Promise<Object>} - Server response with the queued job
+ */
+async function submitAudioSegment(audioBlob) {
+  const formData = createUploadFormData(audioBlob);
+  formData.append("detectQuestion", "true");
+
+  const apiUrl = window.electronAPI.getApiBaseUrl();
+  const response = await authFetch(`${apiUrl}/api/v1/recording/upload`, {
+    method: "POST",
+    body: formData,
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+
+  // Keep the latest segment for the retry buttons
+  window.lastRecordedAudioBlob = audioBlob;
+  return response.json();
+}
 
 /**
  * Toggles the recording state on/off and updates the UI accordingly.
@@ -15,15 +111,13 @@ async function toggleRecording() {
   const cancelBtn = document.getElementById("cancelBtn");
   // grab the selected language each time
   const lang = document.querySelector('input[name="language"]:checked').value;
-  // get the selected question context
-  const questionContext =
-    document.querySelector('select[name="questionContext"]').value || "general";
-  // get the custom context if provided
-  const customContext =
-    document.getElementById("customContextInput").value || "";
-  // get the isFollowUp checkbox state
   const followUpCheckbox = document.getElementById("isFollowUpCheckbox");
-  const isFollowUp = followUpCheckbox ? followUpCheckbox.checked : false;
+
+  // Hands-free mode listens continuously and submits questions by itself
+  if (window.handsFree && window.handsFree.isEnabled()) {
+    await window.handsFree.toggle();
+    return;
+  }
 
   // Check the actual recording state from the audio recorder
   const actuallyRecording = window.audioRecorder.isRecording();
@@ -52,24 +146,28 @@ async function toggleRecording() {
       '<div class="loader"></div><span>Processing your question...</span>';
     loading.style.display = "none";
 
-    // Clear audio files in the audio folder on the server
-    try {
-      const apiUrl = window.electronAPI.getApiBaseUrl();
-      fetch(`${apiUrl}/api/v1/recording/clear-audio-files`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-      }).catch((err) => console.error("Error clearing audio files:", err));
-      console.log("Sent request to clear audio files");
-    } catch (error) {
-      console.error("Failed to send clear audio files request:", error);
-      // Continue with recording even if clearing files fails
-    }
+    // Stream the recording to the server while it is being made (when the
+    // socket is connected), so answering can start as soon as it stops
+    const audioStream = window.socketClient
+      ? window.socketClient.startAudioStream({
+          mimeType: window.audioRecorder.getSupportedMimeType(),
+          language: lang,
+          partialTranscripts: true, // Show what is heard while recording
+        })
+      : null;
+    activeAudioStream = audioStream;
 
     // Start recording using the audio-recorder.js
-    const recordingStarted = await window.audioRecorder.startRecording();
+    const recordingStarted = await window.audioRecorder.startRecording({
+      onChunk: (chunk) => {
+        if (audioStream) audioStream.sendChunk(chunk);
+      },
+    });
 
     if (!recordingStarted) {
       console.error("Failed to start recording");
+      if (audioStream) audioStream.cancel();
+      activeAudioStream = null;
       // Show error and revert UI
       handleStreamError("Failed to access microphone");
       window.isRecording = false; // Make sure recording state is correct
@@ -122,21 +220,13 @@ async function toggleRecording() {
       window.lastRecordedAudioBlob = audioBlob;
 
       // Create FormData to send the audio file to the backend
-      const formData = new FormData();
-      formData.append("audio", audioBlob, "recording.webm");
-
-      // Add other parameters
-      formData.append("language", lang);
-      formData.append("questionContext", questionContext);
-      formData.append("customContext", customContext);
-      formData.append("isFollowUp", isFollowUp);
-      // Get the selected models
-      const model = window.getSelectedModel ? window.getSelectedModel() : null;
-      const model2 = window.getSelectedModel2
-        ? window.getSelectedModel2()
-        : null;
-      if (model) formData.append("model", model);
-      if (model2) formData.append("model2", model2);
+      const formData = createUploadFormData(audioBlob);
+
+      // A streamed recording is already on the server; results arrive over Socket.IO
+      if (await finishAudioStream(formData)) {
+        handleStreamStart();
+        return;
+      }
 
       const apiUrl = window.electronAPI.getApiBaseUrl(); // Get API URL from preload
 
@@ -145,7 +235,7 @@ async function toggleRecording() {
       const signal = currentAbortController.signal;
 
       // Send the audio file to the backend for processing
-      const response = await fetch(`${apiUrl}/api/v1/recording/upload`, {
+      const response = await authFetch(`${apiUrl}/api/v1/recording/upload`, {
         method: "POST",
         body: formData,
         signal: signal,
@@ -170,6 +260,10 @@ async function toggleRecording() {
         handleStreamError(error.message); // Use a common error handler
       }
       currentAbortController = null; // Clear controller on error/abort
+      if (activeAudioStream) {
+        activeAudioStream.cancel();
+        activeAudioStream = null;
+      }
 
       // Make sure the button is enabled and in the correct state
       btn.disabled = false;
@@ -675,12 +769,14 @@ async function retryTranscription() {
     formData.append("questionContext", questionContext);
     formData.append("customContext", customContext);
     formData.append("isFollowUp", isFollowUp);
+    formData.append("sessionId", window.getSessionId());
     formData.append("isRetry", "true"); // Flag this as a retry attempt
     const model2Retry = window.getSelectedModel2
       ? window.getSelectedModel2()
       : null;
     if (model) formData.append("model", model);
     if (model2Retry) formData.append("model2", model2Retry);
+    if (window.appendModelOptions) window.appendModelOptions(formData);
 
     const apiUrl = window.electronAPI.getApiBaseUrl(); // Get API URL from preload
 
@@ -689,7 +785,7 @@ async function retryTranscription() {
     const signal = currentAbortController.signal;
 
     // Send the audio file to the backend for processing
-    const response = await fetch(`${apiUrl}/api/v1/recording/upload`, {
+    const response = await authFetch(`${apiUrl}/api/v1/recording/upload`, {
       method: "POST",
       body: formData,
       signal: signal,
@@ -805,6 +901,7 @@ async function processWithGemini() {
     formData.append("questionContext", questionContext);
     formData.append("customContext", customContext);
     formData.append("isFollowUp", isFollowUp);
+    formData.append("sessionId", window.getSessionId());
     formData.append("useGemini", "true"); // Flag to use Gemini processing
     const modelGemini = window.getSelectedModel
       ? window.getSelectedModel()
@@ -814,6 +911,7 @@ async function processWithGemini() {
       : null;
     if (modelGemini) formData.append("model", modelGemini);
     if (model2Gemini) formData.append("model2", model2Gemini);
+    if (window.appendModelOptions) window.appendModelOptions(formData);
 
     const apiUrl = window.electronAPI.getApiBaseUrl(); // Get API URL from preload
 
@@ -822,11 +920,14 @@ async function processWithGemini() {
     const signal = currentAbortController.signal;
 
     // Send the audio file to the backend for Gemini processing
-    const response = await fetch(`${apiUrl}/api/v1/recording/gemini-upload`, {
-      method: "POST",
-      body: formData,
-      signal: signal,
-    });
+    const response = await authFetch(
+      `${apiUrl}/api/v1/recording/gemini-upload`,
+      {
+        method: "POST",
+        body: formData,
+        signal: signal,
+      },
+    );
 
     if (!response.ok) {
       throw new Error(`HTTP error! status: ${response.status}`);
@@ -858,6 +959,50 @@ async function processWithGemini() {
   // Note: Follow-up checkbox logic is handled within handleStreamEnd
 }
 
+/**
+ * Asks an archived recording again with the current UI selections, e.g. a
+ * question from the history against a better model
+ * Results arrive over Socket.IO like those of an upload.
+ * @param {string} recordingId - Id of the recording on the server
+ */
+async function reprocessRecording(recordingId) {
+  window.isCancelled = false;
+  const loading = document.getElementById("loading");
+  loading.innerHTML =
+    '<div class="loader"></div><span>Processing recording again...</span>';
+  loading.style.display = "block";
+
+  const apiUrl = window.electronAPI.getApiBaseUrl();
+  try {
+    const response = await authFetch(
+      `${apiUrl}/api/v1/recordings/${encodeURIComponent(recordingId)}/process`,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Session-Id": window.getSessionId(),
+        },
+        body: JSON.stringify(
+          Object.fromEntries(createUploadFormData(null).entries()),
+        ),
+      },
+    );
+    if (!response.ok) {
+      throw new Error(
+        response.status === 404
+          ? "The recording is no longer on the server"
+          : `HTTP error! status: ${response.status}`,
+      );
+    }
+  } catch (error) {
+    console.error("Error processing recording again:", error);
+    handleStreamError(error.message);
+    return;
+  }
+
+  handleStreamStart();
+}
+
 /**
  * Cancels the current recording or processing operation.
  * Resets UI state, sends cancel request to server, and re-enables buttons.
@@ -878,6 +1023,15 @@ async function cancelRequest() {
       console.error("Error cancelling recording:", error);
     }
 
+    // Drop the streamed part of the recording on the server
+    if (activeAudioStream) {
+      activeAudioStream.cancel();
+      activeAudioStream = null;
+    }
+    if (window.handsFree) {
+      window.handsFree.cancel();
+    }
+
     window.isRecording = false;
     const btn = document.getElementById("toggleBtn");
     btn.textContent = "Start Listening";
@@ -908,9 +1062,12 @@ async function cancelRequest() {
     window.socketClient.emitEvent("cancelRequest");
   } else {
     console.log("Sending cancel request via fetch");
-    fetch(`${apiUrl}/api/v1/recording/cancel`, {
+    authFetch(`${apiUrl}/api/v1/recording/cancel`, {
       method: "POST",
-      headers: { "Content-Type": "application/json" },
+      headers: {
+        "Content-Type": "application/json",
+        "X-Session-Id": window.getSessionId(),
+      },
     }).catch((err) =>
       console.error("Error sending cancel request to server:", err),
     ); // Log error but don't block UI reset
@@ -950,6 +1107,37 @@ async function cancelRequest() {
   }
 }
 
+/**
+ * Starts a new conversation thread on the server.
+ * Follow-up questions only see the turns of the current thread, so this
+ * drops the earlier questions and answers from the follow-up context.
+ */
+async function startNewConversation() {
+  const apiUrl = window.electronAPI.getApiBaseUrl();
+
+  try {
+    const response = await authFetch(`${apiUrl}/api/v1/conversations`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "X-Session-Id": window.getSessionId(),
+      },
+    });
+    if (!response.ok) {
+      throw new Error(`Server returned ${response.status}`);
+    }
+
+    const conversation = await response.json();
+    console.log(`Started new conversation: ${conversation.id}`);
+
+    // Nothing to follow up on in a fresh thread
+    window.hasLastQuestion = false;
+    updateFollowUpCheckbox();
+  } catch (error) {
+    console.error("Error starting a new conversation:", error);
+  }
+}
+
 /**
  * Updates the follow-up checkbox state based on whether there's a previous question.
  * Enables or disables the checkbox appropriately and logs debugging information.
@@ -974,9 +1162,12 @@ function updateFollowUpCheckbox() {
 // Expose functions to the global scope with proper typing
 window.audioControls = {
   toggleRecording,
+  submitAudioSegment,
   retryTranscription,
   processWithGemini,
+  reprocessRecording,
   cancelRequest,
+  startNewConversation,
   updateFollowUpCheckbox,
   // Add any new functions here as needed
 };
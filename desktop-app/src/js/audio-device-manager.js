@@ -7,6 +7,17 @@
 // Track the current audio source
 let currentAudioSource = "system"; // Default to system audio
 
+// Speaker labels for "both" recordings: "off", "label" or "remote" (answer
+// only the other party)
+let speakerMode = localStorage.getItem("speakerMode") || "off";
+
+// Names shown for the audio sources
+const AUDIO_SOURCE_LABELS = {
+  microphone: "Microphone",
+  system: "System Audio",
+  both: "Microphone + System Audio",
+};
+
 // Initialize device selection on page load
 document.addEventListener("DOMContentLoaded", initializeAudioDevices);
 
@@ -70,6 +81,20 @@ async function initializeAudioDevices() {
 
   // Set default audio source
   selectAudioSource("system");
+  initializeSourceGains();
+  const speakerModeSelect = document.getElementById("speakerModeSelect");
+  if (speakerModeSelect) speakerModeSelect.value = speakerMode;
+
+  // Mixing needs system audio as well
+  const bothOption = document.querySelector(
+    'input[name="audioSource"][value="both"]',
+  );
+  if (bothOption && !isSystemAudioSupported()) {
+    bothOption.disabled = true;
+    bothOption.parentElement.title =
+      "System audio capture is not supported in this browser";
+    bothOption.parentElement.style.opacity = "0.5";
+  }
 
   // Check if system audio is supported and update UI accordingly
   const systemAudioOption = document.querySelector(
@@ -131,6 +156,71 @@ async function initializeAudioDevices() {
   }
 }
 
+/**
+ * Restore the saved levels of the "both" mix and show them on the sliders
+ */
+function initializeSourceGains() {
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem("audioSourceGains") || "{}");
+  } catch (error) {
+    console.warn("Ignoring invalid saved audio levels:", error);
+  }
+
+  Object.keys(window.audioRecorder.getSourceGains()).forEach((source) => {
+    const percent = Number.isFinite(saved[source]) ? saved[source] : 100;
+    window.audioRecorder.setSourceGain(source, percent / 100);
+
+    const slider = document.querySelector(
+      `input[data-gain-source="${source}"]`,
+    );
+    if (slider) slider.value = percent;
+    const label = document.getElementById(`${source}GainValue`);
+    if (label) label.textContent = `${percent}%`;
+  });
+}
+
+/**
+ * Set the level of one source in the "both" mix (gain slider)
+ * @param {string} source - 'microphone' or 'system'
+ * @param {string|number} percent - Level in percent (0-200)
+ */
+function selectSourceGain(source, percent) {
+  const value = Number(percent);
+  window.audioRecorder.setSourceGain(source, value / 100);
+
+  const label = document.getElementById(`${source}GainValue`);
+  if (label) label.textContent = `${value}%`;
+
+  const gains = window.audioRecorder.getSourceGains();
+  localStorage.setItem(
+    "audioSourceGains",
+    JSON.stringify({
+      microphone: Math.round(gains.microphone * 100),
+      system: Math.round(gains.system * 100),
+    }),
+  );
+}
+
+/**
+ * Set how speakers are handled in recordings of both sources
+ * @param {string} mode - "off", "label" (label speaker turns) or "remote"
+ *   (only answer the other party's questions)
+ */
+function selectSpeakerMode(mode) {
+  speakerMode = mode;
+  localStorage.setItem("speakerMode", mode);
+}
+
+/**
+ * Get how speakers are handled for the next recording
+ * Only recordings of both sources have two speakers
+ * @returns {string} - "off", "label" or "remote"
+ */
+function getSpeakerMode() {
+  return currentAudioSource === "both" ? speakerMode : "off";
+}
+
 /**
  * Refresh the list of available audio devices
  */
@@ -269,14 +359,17 @@ if (navigator.mediaDevices && navigator.mediaDevices.ondevicechange) {
 }
 
 /**
- * Select the audio source (microphone or system audio)
- * @param {string} sourceType - The source type ('microphone' or 'system')
+ * Select the audio source (microphone, system audio or both mixed)
+ * @param {string} sourceType - The source type ('microphone', 'system' or 'both')
  */
 function selectAudioSource(sourceType) {
   console.log(`Selecting audio source: ${sourceType}`);
 
   // If trying to select system audio but it's not supported, fall back to microphone
-  if (sourceType === "system" && !isSystemAudioSupported()) {
+  if (
+    (sourceType === "system" || sourceType === "both") &&
+    !isSystemAudioSupported()
+  ) {
     console.warn(
       "System audio capture not supported, falling back to microphone",
     );
@@ -310,8 +403,9 @@ function selectAudioSource(sourceType) {
 
   // Update UI based on selected source
   const deviceSelectionDiv = document.getElementById("audio-device-selection");
+  const gainControlsDiv = document.getElementById("audio-gain-controls");
 
-  if (sourceType === "microphone") {
+  if (sourceType === "microphone" || sourceType === "both") {
     // Show device selection for microphone
     deviceSelectionDiv.style.display = "block";
     // Refresh the device list to ensure it's up to date
@@ -320,6 +414,10 @@ function selectAudioSource(sourceType) {
     // Hide device selection for system audio (not applicable)
     deviceSelectionDiv.style.display = "none";
   }
+  if (gainControlsDiv) {
+    // Levels only apply when both sources are mixed
+    gainControlsDiv.style.display = sourceType === "both" ? "" : "none";
+  }
 
   // Notify the audio recorder of the source change
   if (
@@ -339,9 +437,7 @@ function selectAudioSource(sourceType) {
       const originalText = status.textContent;
 
       status.className = "status success";
-      status.textContent = `Audio source set to: ${
-        sourceType === "microphone" ? "Microphone" : "System Audio"
-      }`;
+      status.textContent = `Audio source set to: ${AUDIO_SOURCE_LABELS[sourceType]}`;
 
       // Restore original status after 2 seconds
       setTimeout(() => {
@@ -354,7 +450,7 @@ function selectAudioSource(sourceType) {
 
 /**
  * Get the current audio source
- * @returns {string} - The current audio source ('microphone' or 'system')
+ * @returns {string} - The current audio source ('microphone', 'system' or 'both')
  */
 function getAudioSource() {
   return currentAudioSource;
@@ -364,6 +460,9 @@ function getAudioSource() {
 window.refreshAudioDevices = refreshAudioDevices;
 window.selectAudioDevice = selectAudioDevice;
 window.selectAudioSource = selectAudioSource;
+window.selectSourceGain = selectSourceGain;
+window.selectSpeakerMode = selectSpeakerMode;
+window.getSpeakerMode = getSpeakerMode;
 window.getAudioSource = getAudioSource;
 window.isSystemAudioSupported = isSystemAudioSupported;
 
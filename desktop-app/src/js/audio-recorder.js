@@ -10,7 +10,11 @@ let mediaRecorder = null;
 let recordingStream = null;
 let audioChunks = [];
 let selectedDeviceId = null;
-let audioSource = "microphone"; // Default to microphone, can be "microphone" or "system"
+let audioSource = "microphone"; // Default to microphone, can be "microphone", "system" or "both"
+let audioMixer = null; // Web Audio graph mixing both sources ("both")
+let speakerChannels = false; // Last recording has system left, mic right
+const sourceGains = { microphone: 1, system: 1 }; // Levels in the "both" mix
+let chunkListener = null; // Receives every chunk while recording (streamed uploads)
 
 /**
  * Get supported MIME types for audio recording
@@ -88,10 +92,10 @@ function getSelectedAudioDevice() {
 
 /**
  * Sets the audio source to use for recording
- * @param {string} source - The audio source ('microphone' or 'system')
+ * @param {string} source - The audio source ('microphone', 'system' or 'both')
  */
 function setAudioSource(source) {
-  if (source !== "microphone" && source !== "system") {
+  if (source !== "microphone" && source !== "system" && source !== "both") {
     console.error(`Invalid audio source: ${source}`);
     return;
   }
@@ -102,160 +106,330 @@ function setAudioSource(source) {
 
 /**
  * Gets the currently selected audio source
- * @returns {string} - The selected audio source ('microphone' or 'system')
+ * @returns {string} - The selected audio source ('microphone', 'system' or 'both')
  */
 function getAudioSource() {
   return audioSource;
 }
 
 /**
- * Starts recording audio from the selected source (microphone or system audio)
- * @returns {Promise<boolean>} - Promise resolving to true if recording started successfully
+ * Requests the microphone (or the selected input device)
+ * @returns {Promise<MediaStream>} - Microphone stream
  */
-async function startRecording() {
-  try {
-    console.log(`Starting audio recording from ${audioSource}...`);
+async function getMicrophoneStream() {
+  // Request microphone access with specific constraints for better quality
+  const constraints = {
+    audio: {
+      echoCancellation: true,
+      noiseSuppression: true,
+      autoGainControl: true,
+      sampleRate: 16000, // 16kHz sample rate for speech recognition
+      channelCount: 1, // Mono audio
+    },
+  };
+
+  // If a specific device is selected, add it to constraints
+  if (selectedDeviceId) {
+    console.log(`Using selected audio device: ${selectedDeviceId}`);
+    constraints.audio.deviceId = { exact: selectedDeviceId };
+  }
 
-    // Reset recording state
-    audioChunks = [];
+  console.log(
+    "Requesting microphone access with constraints:",
+    JSON.stringify(constraints)
+  );
+  return navigator.mediaDevices.getUserMedia(constraints);
+}
 
-    let stream;
+/**
+ * Requests the system audio (loopback) through getDisplayMedia
+ * @returns {Promise<MediaStream>} - Stream with only the system audio tracks
+ */
+async function getSystemAudioStream() {
+  // Check if getDisplayMedia is supported
+  if (!navigator.mediaDevices || !navigator.mediaDevices.getDisplayMedia) {
+    throw new Error("System audio capture is not supported in this browser");
+  }
 
-    // Get audio stream based on selected source
-    if (audioSource === "microphone") {
-      // Request microphone access with specific constraints for better quality
-      const constraints = {
-        audio: {
-          echoCancellation: true,
-          noiseSuppression: true,
-          autoGainControl: true,
-          sampleRate: 16000, // 16kHz sample rate for speech recognition
-          channelCount: 1, // Mono audio
-        },
-      };
-
-      // If a specific device is selected, add it to constraints
-      if (selectedDeviceId) {
-        console.log(`Using selected audio device: ${selectedDeviceId}`);
-        constraints.audio.deviceId = { exact: selectedDeviceId };
-      }
+  // Check if we're in Electron
+  const isElectron =
+    window.navigator.userAgent.toLowerCase().indexOf("electron") > -1;
 
-      console.log(
-        "Requesting microphone access with constraints:",
-        JSON.stringify(constraints)
-      );
-      stream = await navigator.mediaDevices.getUserMedia(constraints);
-    } else if (audioSource === "system") {
-      try {
-        // Check if getDisplayMedia is supported
-        if (
-          !navigator.mediaDevices ||
-          !navigator.mediaDevices.getDisplayMedia
-        ) {
-          throw new Error(
-            "System audio capture is not supported in this browser"
-          );
-        }
+  // Display a message to the user
+  const status = document.getElementById("status");
+  if (status) {
+    status.className = "status recording";
+    status.textContent = "Status: Requesting system audio...";
+  }
 
-        // Check if we're in Electron
-        const isElectron =
-          window.navigator.userAgent.toLowerCase().indexOf("electron") > -1;
+  // If we're in Electron with our custom implementation
+  if (
+    isElectron &&
+    window.electronAPI &&
+    window.electronAPI.isSystemAudioCaptureSupported &&
+    window.electronAPI.isSystemAudioCaptureSupported()
+  ) {
+    console.log("Using Electron's desktopCapturer for system audio capture");
+
+    // Request display media with audio - this will be intercepted by our handler in main.ts
+    const displayStream = await navigator.mediaDevices.getDisplayMedia({
+      video: true, // We need video to be true to get the system audio option
+      audio: true,
+    });
 
-        // Display a message to the user
-        const status = document.getElementById("status");
-        if (status) {
-          status.className = "status recording";
-          status.textContent = "Status: Requesting system audio...";
-        }
+    // Check if we got audio tracks
+    const audioTracks = displayStream.getAudioTracks();
+    if (audioTracks.length === 0) {
+      throw new Error("No system audio tracks received from Electron");
+    }
 
-        // If we're in Electron with our custom implementation
-        if (
-          isElectron &&
-          window.electronAPI &&
-          window.electronAPI.isSystemAudioCaptureSupported &&
-          window.electronAPI.isSystemAudioCaptureSupported()
-        ) {
-          console.log(
-            "Using Electron's desktopCapturer for system audio capture"
-          );
-
-          // Request display media with audio - this will be intercepted by our handler in main.ts
-          const displayStream = await navigator.mediaDevices.getDisplayMedia({
-            video: true, // We need video to be true to get the system audio option
-            audio: true,
-          });
-
-          // Check if we got audio tracks
-          const audioTracks = displayStream.getAudioTracks();
-          if (audioTracks.length === 0) {
-            throw new Error("No system audio tracks received from Electron");
-          }
+    console.log(`Received ${audioTracks.length} audio tracks from system`);
 
-          console.log(
-            `Received ${audioTracks.length} audio tracks from system`
-          );
+    // We only need the audio tracks, stop the video tracks
+    displayStream.getVideoTracks().forEach((track) => {
+      console.log(`Stopping video track: ${track.label}`);
+      track.stop();
+    });
 
-          // We only need the audio tracks, stop the video tracks
-          displayStream.getVideoTracks().forEach((track) => {
-            console.log(`Stopping video track: ${track.label}`);
-            track.stop();
-          });
+    console.log("System audio capture started successfully via Electron");
 
-          // Create a new stream with only audio tracks
-          stream = new MediaStream(audioTracks);
+    if (status) {
+      status.textContent = "Status: Recording system audio...";
+    }
 
-          console.log("System audio capture started successfully via Electron");
+    // Create a new stream with only audio tracks
+    return new MediaStream(audioTracks);
+  }
 
-          if (status) {
-            status.textContent = "Status: Recording system audio...";
-          }
-        } else {
-          // Standard browser approach (fallback)
-          console.log(
-            "Attempting standard system audio capture via getDisplayMedia"
-          );
-
-          // Display a message to the user about what to select
-          if (status) {
-            status.textContent =
-              "Status: Please select 'Share system audio' in the dialog";
-          }
+  // Standard browser approach (fallback)
+  console.log("Attempting standard system audio capture via getDisplayMedia");
 
-          // Request display media with audio
-          const displayStream = await navigator.mediaDevices.getDisplayMedia({
-            video: true, // We need video to be true to get the system audio option
-            audio: true,
-          });
-
-          // Check if user selected to share audio
-          const audioTracks = displayStream.getAudioTracks();
-          if (audioTracks.length === 0) {
-            // User didn't select to share audio
-            console.warn(
-              "No audio track found in display media. User may not have selected to share system audio."
-            );
-
-            // Clean up the video tracks we don't need
-            displayStream.getVideoTracks().forEach((track) => track.stop());
-
-            // Show error message
-            if (status) {
-              status.className = "status error";
-              status.textContent =
-                "Error: System audio not selected. Please try again and select 'Share system audio'";
-            }
-
-            throw new Error("No system audio selected");
-          }
+  // Display a message to the user about what to select
+  if (status) {
+    status.textContent =
+      "Status: Please select 'Share system audio' in the dialog";
+  }
 
-          // We only need the audio tracks, stop the video tracks
-          displayStream.getVideoTracks().forEach((track) => track.stop());
+  // Request display media with audio
+  const displayStream = await navigator.mediaDevices.getDisplayMedia({
+    video: true, // We need video to be true to get the system audio option
+    audio: true,
+  });
 
-          // Create a new stream with only audio tracks
-          stream = new MediaStream(audioTracks);
+  // Check if user selected to share audio
+  const audioTracks = displayStream.getAudioTracks();
+  if (audioTracks.length === 0) {
+    // User didn't select to share audio
+    console.warn(
+      "No audio track found in display media. User may not have selected to share system audio."
+    );
 
-          console.log("System audio capture started successfully");
-        }
+    // Clean up the video tracks we don't need
+    displayStream.getVideoTracks().forEach((track) => track.stop());
+
+    // Show error message
+    if (status) {
+      status.className = "status error";
+      status.textContent =
+        "Error: System audio not selected. Please try again and select 'Share system audio'";
+    }
+
+    throw new Error("No system audio selected");
+  }
+
+  // We only need the audio tracks, stop the video tracks
+  displayStream.getVideoTracks().forEach((track) => track.stop());
+
+  console.log("System audio capture started successfully");
+
+  // Create a new stream with only audio tracks
+  return new MediaStream(audioTracks);
+}
+
+/**
+ * Mixes the system audio and the microphone into one stereo stream
+ * The system audio (the other party) goes to the left channel and the
+ * microphone (the user) to the right one, so the server can tell the speakers
+ * apart. Each source goes through its own GainNode, so the levels can be
+ * changed with setSourceGain while recording
+ * @param {MediaStream} systemStream - System audio stream
+ * @param {MediaStream} micStream - Microphone stream
+ * @returns {MediaStream} - Mixed stream to record
+ */
+function mixAudioStreams(systemStream, micStream) {
+  const context = new AudioContext();
+  const merger = context.createChannelMerger(2);
+  const destination = context.createMediaStreamDestination();
+  const gains = {};
+
+  [
+    ["system", systemStream],
+    ["microphone", micStream],
+  ].forEach(([source, stream], channel) => {
+    gains[source] = context.createGain();
+    gains[source].gain.value = sourceGains[source];
+    context
+      .createMediaStreamSource(stream)
+      .connect(gains[source])
+      .connect(merger, 0, channel);
+  });
+  merger.connect(destination);
+
+  audioMixer = { context, gains, sourceStreams: [systemStream, micStream] };
+  console.log("Mixing system audio and microphone", sourceGains);
+  return destination.stream;
+}
+
+/**
+ * Whether the last recording has the speakers on separate channels (system
+ * audio left, microphone right)
+ * @returns {boolean} - True for recordings of both sources
+ */
+function hasSpeakerChannels() {
+  return speakerChannels;
+}
+
+/**
+ * Sets the level of one source in the "both" mix
+ * Applies to the running recording and to the next ones
+ * @param {string} source - 'microphone' or 'system'
+ * @param {number} gain - Linear gain (0 = muted, 1 = unchanged, up to 2)
+ */
+function setSourceGain(source, gain) {
+  if (!(source in sourceGains) || !Number.isFinite(gain)) {
+    console.error(`Invalid gain for ${source}: ${gain}`);
+    return;
+  }
+
+  sourceGains[source] = Math.min(Math.max(gain, 0), 2);
+  if (audioMixer) {
+    audioMixer.gains[source].gain.value = sourceGains[source];
+  }
+}
+
+/**
+ * Gets the levels of the sources in the "both" mix
+ * @returns {Object} - { microphone, system } linear gains
+ */
+function getSourceGains() {
+  return { ...sourceGains };
+}
+
+/**
+ * Stops the recording stream and, for mixed recordings, the source streams
+ * and the mixer, to release the microphone and the screen capture
+ */
+function releaseRecordingStream() {
+  if (recordingStream) {
+    recordingStream.getTracks().forEach((track) => {
+      console.log(`Stopping audio track: ${track.kind}`);
+      track.stop();
+    });
+    recordingStream = null;
+  }
+
+  if (audioMixer) {
+    audioMixer.sourceStreams.forEach((stream) =>
+      stream.getTracks().forEach((track) => track.stop())
+    );
+    audioMixer.context.close();
+    audioMixer = null;
+  }
+}
+
+/**
+ * Creates a MediaRecorder for a stream with the best supported MIME type
+ * Recorded chunks are collected in audioChunks (and passed to the chunk
+ * listener)
+ * @param {MediaStream} stream - Stream to record
+ * @returns {MediaRecorder} - Recorder, not started yet
+ */
+function createMediaRecorder(stream) {
+  // Get the supported MIME type
+  const mimeType = getSupportedMimeType();
+
+  // Create MediaRecorder instance with options
+  const options = {};
+  if (mimeType) {
+    options.mimeType = mimeType;
+  }
+
+  console.log("Creating MediaRecorder with options:", JSON.stringify(options));
+  const recorder = new MediaRecorder(stream, options);
+
+  // Set up event handlers for the MediaRecorder
+  recorder.ondataavailable = (event) => {
+    if (event.data.size > 0) {
+      console.log(`Received audio chunk: ${event.data.size} bytes`);
+      audioChunks.push(event.data);
+      if (chunkListener) {
+        chunkListener(event.data);
+      }
+    } else {
+      console.warn("Received empty audio chunk");
+    }
+  };
+
+  // Add additional event handlers for better debugging
+  recorder.onstart = () => {
+    console.log("MediaRecorder started recording");
+    // Update UI when recording starts
+    if (typeof window.updateGlobalRecordingButtons === "function") {
+      window.updateGlobalRecordingButtons();
+    }
+  };
+
+  recorder.onpause = () => {
+    console.log("MediaRecorder paused");
+    // Update UI when recording pauses
+    if (typeof window.updateGlobalRecordingButtons === "function") {
+      window.updateGlobalRecordingButtons();
+    }
+  };
+
+  recorder.onresume = () => {
+    console.log("MediaRecorder resumed");
+    // Update UI when recording resumes
+    if (typeof window.updateGlobalRecordingButtons === "function") {
+      window.updateGlobalRecordingButtons();
+    }
+  };
+
+  recorder.onerror = (event) => {
+    console.error("MediaRecorder error:", event.error);
+    // Update UI when recording errors
+    if (typeof window.updateGlobalRecordingButtons === "function") {
+      window.updateGlobalRecordingButtons();
+    }
+  };
+
+  return recorder;
+}
+
+/**
+ * Starts recording audio from the selected source (microphone, system audio
+ * or both mixed together)
+ * @param {Object} [options] - Recording options
+ * @param {Function} [options.onChunk] - Called with each audio chunk (Blob) as
+ *   soon as it is recorded, e.g. to stream it to the server
+ * @returns {Promise<boolean>} - Promise resolving to true if recording started successfully
+ */
+async function startRecording(options = {}) {
+  try {
+    console.log(`Starting audio recording from ${audioSource}...`);
+
+    // Reset recording state
+    audioChunks = [];
+    chunkListener = options.onChunk || null;
+
+    let stream;
+
+    // Get audio stream based on selected source
+    if (audioSource === "microphone") {
+      stream = await getMicrophoneStream();
+    } else if (audioSource === "system") {
+      try {
+        stream = await getSystemAudioStream();
       } catch (error) {
         console.error("System audio capture error:", error.message);
 
@@ -289,27 +463,7 @@ async function startRecording() {
         }
 
         // Try again with microphone
-        const constraints = {
-          audio: {
-            echoCancellation: true,
-            noiseSuppression: true,
-            autoGainControl: true,
-            sampleRate: 16000,
-            channelCount: 1,
-          },
-        };
-
-        // If a specific device is selected, add it to constraints
-        if (selectedDeviceId) {
-          console.log(`Using selected audio device: ${selectedDeviceId}`);
-          constraints.audio.deviceId = { exact: selectedDeviceId };
-        }
-
-        console.log(
-          "Falling back to microphone with constraints:",
-          JSON.stringify(constraints)
-        );
-        stream = await navigator.mediaDevices.getUserMedia(constraints);
+        stream = await getMicrophoneStream();
 
         // Show device selection again since we're back to microphone
         const deviceSelectionDiv = document.getElementById(
@@ -319,69 +473,41 @@ async function startRecording() {
           deviceSelectionDiv.style.display = "block";
         }
       }
-    } else {
-      throw new Error(`Invalid audio source: ${audioSource}`);
-    }
-
-    recordingStream = stream;
-
-    // Get the supported MIME type
-    const mimeType = getSupportedMimeType();
-
-    // Create MediaRecorder instance with options
-    const options = {};
-    if (mimeType) {
-      options.mimeType = mimeType;
-    }
-
-    console.log(
-      "Creating MediaRecorder with options:",
-      JSON.stringify(options)
-    );
-    mediaRecorder = new MediaRecorder(stream, options);
-
-    // Set up event handlers for the MediaRecorder
-    mediaRecorder.ondataavailable = (event) => {
-      if (event.data.size > 0) {
-        console.log(`Received audio chunk: ${event.data.size} bytes`);
-        audioChunks.push(event.data);
-      } else {
-        console.warn("Received empty audio chunk");
+    } else if (audioSource === "both") {
+      let systemStream = null;
+      try {
+        systemStream = await getSystemAudioStream();
+      } catch (error) {
+        // Keep the source: the next recording asks for system audio again
+        console.error("System audio capture error:", error.message);
+        const status = document.getElementById("status");
+        if (status) {
+          status.className = "status error";
+          status.textContent = `Error: ${error.message}. Recording the microphone only.`;
+        }
       }
-    };
 
-    // Add additional event handlers for better debugging
-    mediaRecorder.onstart = () => {
-      console.log("MediaRecorder started recording");
-      // Update UI when recording starts
-      if (typeof window.updateGlobalRecordingButtons === "function") {
-        window.updateGlobalRecordingButtons();
+      let micStream;
+      try {
+        micStream = await getMicrophoneStream();
+      } catch (error) {
+        if (systemStream) {
+          systemStream.getTracks().forEach((track) => track.stop());
+        }
+        throw error;
       }
-    };
 
-    mediaRecorder.onpause = () => {
-      console.log("MediaRecorder paused");
-      // Update UI when recording pauses
-      if (typeof window.updateGlobalRecordingButtons === "function") {
-        window.updateGlobalRecordingButtons();
-      }
-    };
+      stream = systemStream
+        ? mixAudioStreams(systemStream, micStream)
+        : micStream;
+    } else {
+      throw new Error(`Invalid audio source: ${audioSource}`);
+    }
 
-    mediaRecorder.onresume = () => {
-      console.log("MediaRecorder resumed");
-      // Update UI when recording resumes
-      if (typeof window.updateGlobalRecordingButtons === "function") {
-        window.updateGlobalRecordingButtons();
-      }
-    };
+    recordingStream = stream;
+    speakerChannels = audioMixer !== null;
 
-    mediaRecorder.onerror = (event) => {
-      console.error("MediaRecorder error:", event.error);
-      // Update UI when recording errors
-      if (typeof window.updateGlobalRecordingButtons === "function") {
-        window.updateGlobalRecordingButtons();
-      }
-    };
+    mediaRecorder = createMediaRecorder(stream);
 
     // Start recording with a timeslice to get data more frequently
     // This ensures we get audio chunks every 1000ms (1 second)
@@ -451,16 +577,11 @@ async function stopRecording() {
       }
 
       // Stop all tracks in the stream to release the microphone
-      if (recordingStream) {
-        recordingStream.getTracks().forEach((track) => {
-          console.log(`Stopping audio track: ${track.kind}`);
-          track.stop();
-        });
-        recordingStream = null;
-      }
+      releaseRecordingStream();
 
-      // Clear recording state
+      // Clear recording state (the final chunk has been delivered by now)
       mediaRecorder = null;
+      chunkListener = null;
 
       // Don't clear audioChunks here, keep them for debugging if needed
       // We'll clear them at the start of the next recording
@@ -484,6 +605,55 @@ async function stopRecording() {
   });
 }
 
+/**
+ * Ends the current recording segment and keeps recording on the same stream
+ * Hands-free listening cuts the recording at pauses this way; every segment
+ * is a complete file because each one gets its own MediaRecorder
+ * @returns {Promise<Blob|null>} - The finished segment or null if it is empty
+ */
+async function splitRecording() {
+  if (
+    !mediaRecorder ||
+    mediaRecorder.state === "inactive" ||
+    !recordingStream
+  ) {
+    return null;
+  }
+
+  const previousRecorder = mediaRecorder;
+  const segmentChunks = audioChunks;
+  const segment = new Promise((resolve) => {
+    // The final chunk of the old recorder still belongs to its segment
+    previousRecorder.ondataavailable = (event) => {
+      if (event.data.size > 0) segmentChunks.push(event.data);
+    };
+    previousRecorder.onstop = () => {
+      resolve(
+        segmentChunks.length > 0
+          ? new Blob(segmentChunks, {
+              type: previousRecorder.mimeType || "audio/webm",
+            })
+          : null
+      );
+    };
+  });
+
+  audioChunks = [];
+  mediaRecorder = createMediaRecorder(recordingStream);
+  previousRecorder.stop();
+  mediaRecorder.start(1000);
+
+  return segment;
+}
+
+/**
+ * Gets the stream that is being recorded (e.g. to measure its level)
+ * @returns {MediaStream|null} - The recording stream or null when not recording
+ */
+function getRecordingStream() {
+  return recordingStream;
+}
+
 /**
  * Cancels the current recording
  */
@@ -512,14 +682,10 @@ function cancelRecording() {
     // Stop all tracks in the stream to release the microphone
     if (recordingStream) {
       console.log("Stopping audio tracks...");
-      recordingStream.getTracks().forEach((track) => {
-        console.log(`Stopping track: ${track.kind}`);
-        track.stop();
-      });
-      recordingStream = null;
     } else {
       console.log("No recording stream to stop");
     }
+    releaseRecordingStream();
   } catch (error) {
     console.error("Error stopping recording stream:", error);
   }
@@ -527,6 +693,7 @@ function cancelRecording() {
   // Clear recording state
   mediaRecorder = null;
   audioChunks = [];
+  chunkListener = null;
 
   // Update UI when recording is cancelled
   if (typeof window.updateGlobalRecordingButtons === "function") {
@@ -550,11 +717,17 @@ window.audioRecorder = {
   stopRecording,
   cancelRecording,
   isRecording,
+  splitRecording,
+  getRecordingStream,
+  getSupportedMimeType,
   getAudioDevices,
   setAudioDevice,
   getSelectedAudioDevice,
   setAudioSource,
   getAudioSource,
+  setSourceGain,
+  getSourceGains,
+  hasSpeakerChannels,
 };
 
 // Initialize by trying to get device list
@@ -0,0 +1,73 @@
+/**
+ * Context Selector Component
+ * Fills the question context dropdown with the profiles stored on the server
+ */
+
+/**
+ * Fetches the list of context profiles from the server
+ * @returns {Promise<Array>} List of context profiles
+ */
+async function fetchContexts() {
+  try {
+    const apiUrl = window.electronAPI.getApiBaseUrl();
+    const response = await authFetch(`${apiUrl}/api/v1/contexts`);
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch contexts: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.contexts || [];
+  } catch (error) {
+    console.error("Error fetching contexts:", error);
+    return [];
+  }
+}
+
+/**
+ * Escapes text for use inside HTML
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeContextText(text) {
+  const div = document.createElement("div");
+  div.textContent = text;
+  return div.innerHTML;
+}
+
+/**
+ * Renders the context profiles into the question context dropdown
+ * Keeps the built-in options when the server returned nothing
+ * @param {Array} contexts - List of context profiles
+ */
+function renderContextSelect(contexts) {
+  const select = document.querySelector('select[name="questionContext"]');
+  if (!select || contexts.length === 0) return;
+
+  const currentValue =
+    localStorage.getItem("questionContext") || select.value || "general";
+
+  select.innerHTML = contexts
+    .map(
+      (context) =>
+        `<option value="${escapeContextText(context.id)}">${escapeContextText(
+          context.name,
+        )}</option>`,
+    )
+    .join("");
+
+  // Restore the stored choice if it still exists, otherwise use "general"
+  const hasCurrent = contexts.some((context) => context.id === currentValue);
+  select.value = hasCurrent ? currentValue : "general";
+}
+
+/**
+ * Initializes the context selector
+ */
+async function initContextSelector() {
+  const contexts = await fetchContexts();
+  renderContextSelect(contexts);
+}
+
+// Export functions
+window.initContextSelector = initContextSelector;
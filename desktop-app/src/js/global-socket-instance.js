@@ -14,6 +14,8 @@ function connectGlobalSocket(url) {
       timeout: 20000,
       autoConnect: true,
       forceNew: true,
+      // Identify this client's session so the server keeps its state separate
+      auth: { sessionId: window.getSessionId(), token: window.getApiToken() },
     });
 
     // Set up event handlers
@@ -60,35 +62,8 @@ function connectGlobalSocket(url) {
       }
     });
 
-    globalSocket.on("streamChunk", function (data) {
-      // Append the chunk to the answer
-      if (data && data.chunk) {
-        var answerElement = document.getElementById("answer-selected-panel");
-        if (answerElement) {
-          // Create or update the answer content
-          var contentElement = document.getElementById("global-answer-content");
-          if (!contentElement) {
-            // Only inject if socket-client.js hasn't already set up livePreview
-            if (!document.getElementById("livePreview")) {
-              answerElement.innerHTML =
-                "<strong>Answer:</strong><div id='global-answer-content'></div>";
-              contentElement = document.getElementById("global-answer-content");
-            }
-          }
-
-          if (contentElement) {
-            // Append the chunk and render as markdown using our utility if available
-            if (typeof window.markdownUtils !== "undefined") {
-              contentElement.innerHTML += window.markdownUtils.parseMarkdown(
-                data.chunk,
-              );
-            } else {
-              contentElement.innerHTML += marked.parse(data.chunk);
-            }
-          }
-        }
-      }
-    });
+    // Streamed answer chunks ("streamChunk") are rendered by socket-client.js,
+    // which owns the answer panels and the typing animation
 
     globalSocket.on("streamEnd", function (data) {
       // Ensure the final content is rendered as markdown
@@ -0,0 +1,271 @@
+/**
+ * Hands-free listening for the desktop app
+ *
+ * Records continuously and runs voice activity detection (Web Audio) on the
+ * recording: the level is sampled every VAD_INTERVAL_MS, a pause of
+ * `silenceMs` below `silenceThresholdDb` ends a speech segment, and segments
+ * with at least `minSpeechMs` of speech are uploaded through the regular
+ * upload pipeline with detectQuestion, so the server only answers the ones
+ * that ask something.
+ */
+
+const HANDS_FREE_DEFAULTS = {
+  silenceThresholdDb: -50, // Level (dBFS) below which audio counts as silence
+  silenceMs: 1200, // Pause that ends a segment
+  minSpeechMs: 800, // Shorter segments are dropped (coughs, "okay")
+};
+
+// Level sampling interval and the longest segment before it is cut anyway
+const VAD_INTERVAL_MS = 50;
+const MAX_SEGMENT_MS = 60000;
+
+let handsFreeEnabled = localStorage.getItem("handsFree") === "true";
+let vadSettings = loadVadSettings();
+let vad = null; // Detector state while hands-free listening runs
+
+/**
+ * Reads the saved detection settings
+ * @returns {Object} - { silenceThresholdDb, silenceMs, minSpeechMs }
+ */
+function loadVadSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem("handsFreeSettings") || "{}");
+    return { ...HANDS_FREE_DEFAULTS, ...saved };
+  } catch (error) {
+    console.warn("Ignoring invalid hands-free settings:", error);
+    return { ...HANDS_FREE_DEFAULTS };
+  }
+}
+
+/**
+ * Shows the hands-free state next to the controls
+ * @param {string} text - State to show
+ */
+function setHandsFreeStatus(text) {
+  const element = document.getElementById("handsFreeStatus");
+  if (element) element.textContent = text;
+}
+
+/**
+ * Measures the current level of the analysed audio
+ * @param {AnalyserNode} analyser - Analyser connected to the recording
+ * @param {Float32Array} samples - Reusable sample buffer
+ * @returns {number} - RMS level in dBFS (-Infinity for digital silence)
+ */
+function measureLevelDb(analyser, samples) {
+  analyser.getFloatTimeDomainData(samples);
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) {
+    sum += samples[i] * samples[i];
+  }
+  return 20 * Math.log10(Math.sqrt(sum / samples.length));
+}
+
+/**
+ * Ends the current segment and uploads it when it holds enough speech
+ * @param {boolean} keep - Whether the segment should be submitted
+ */
+async function cutSegment(keep) {
+  if (!vad || vad.splitting) return;
+  vad.splitting = true;
+  const speechMs = vad.speechMs;
+  vad.speechMs = 0;
+  vad.silenceMs = 0;
+  vad.segmentStartedAt = Date.now();
+
+  const segment = await window.audioRecorder.splitRecording();
+  if (vad) vad.splitting = false;
+  if (!keep || !segment) return;
+
+  console.log(
+    `Hands-free segment: ${speechMs}ms of speech, ${segment.size} bytes`,
+  );
+  setHandsFreeStatus("Checking for a question...");
+  try {
+    await window.audioControls.submitAudioSegment(segment);
+  } catch (error) {
+    console.error("Error submitting hands-free segment:", error);
+    setHandsFreeStatus(`Upload failed: ${error.message}`);
+  }
+}
+
+/**
+ * Samples the level and cuts the recording at the end of speech
+ */
+function onVadTick() {
+  if (!vad || vad.splitting) return;
+
+  const level = measureLevelDb(vad.analyser, vad.samples);
+  if (level > vadSettings.silenceThresholdDb) {
+    vad.speechMs += VAD_INTERVAL_MS;
+    vad.silenceMs = 0;
+    setHandsFreeStatus("Hearing speech...");
+  } else if (vad.speechMs > 0) {
+    vad.silenceMs += VAD_INTERVAL_MS;
+  }
+
+  const hasEnoughSpeech = vad.speechMs >= vadSettings.minSpeechMs;
+  if (vad.speechMs > 0 && vad.silenceMs >= vadSettings.silenceMs) {
+    // Pause after speech: the segment is complete
+    cutSegment(hasEnoughSpeech);
+  } else if (Date.now() - vad.segmentStartedAt >= MAX_SEGMENT_MS) {
+    // Long monologue or a long silence: don't let the segment grow forever
+    cutSegment(hasEnoughSpeech);
+  }
+}
+
+/**
+ * Starts continuous listening with voice activity detection
+ * @returns {Promise<boolean>} - True if listening started
+ */
+async function startHandsFree() {
+  if (vad) return true;
+
+  const started = await window.audioRecorder.startRecording();
+  const stream = window.audioRecorder.getRecordingStream();
+  if (!started || !stream) {
+    setHandsFreeStatus("Could not start listening");
+    return false;
+  }
+
+  const audioContext = new AudioContext();
+  const analyser = audioContext.createAnalyser();
+  analyser.fftSize = 2048;
+  audioContext.createMediaStreamSource(stream).connect(analyser);
+
+  vad = {
+    audioContext,
+    analyser,
+    samples: new Float32Array(analyser.fftSize),
+    timer: setInterval(onVadTick, VAD_INTERVAL_MS),
+    speechMs: 0,
+    silenceMs: 0,
+    segmentStartedAt: Date.now(),
+    splitting: false,
+  };
+
+  window.isRecording = true;
+  const btn = document.getElementById("toggleBtn");
+  if (btn) btn.textContent = "Stop Hands-free";
+  const status = document.getElementById("status");
+  if (status) {
+    status.className = "status recording";
+    status.textContent = "Status: Listening (hands-free)...";
+  }
+  setHandsFreeStatus("Waiting for speech...");
+  return true;
+}
+
+/**
+ * Stops continuous listening; speech recorded since the last pause is
+ * submitted like any other segment
+ */
+async function stopHandsFree() {
+  if (!vad) return;
+
+  const { audioContext, timer, speechMs } = vad;
+  clearInterval(timer);
+  vad = null;
+  audioContext.close();
+
+  const segment = await window.audioRecorder.stopRecording();
+  window.isRecording = false;
+  if (typeof window.updateGlobalRecordingButtons === "function") {
+    window.updateGlobalRecordingButtons();
+  }
+  const status = document.getElementById("status");
+  if (status) {
+    status.className = "status idle";
+    status.textContent = "Status: Idle";
+  }
+  setHandsFreeStatus("");
+
+  if (segment && speechMs >= vadSettings.minSpeechMs) {
+    try {
+      await window.audioControls.submitAudioSegment(segment);
+    } catch (error) {
+      console.error("Error submitting hands-free segment:", error);
+    }
+  }
+}
+
+/**
+ * Starts or stops hands-free listening (the Start Listening button)
+ */
+async function toggleHandsFree() {
+  if (vad) {
+    await stopHandsFree();
+  } else {
+    await startHandsFree();
+  }
+}
+
+/**
+ * Stops listening without submitting anything (Cancel button)
+ */
+function cancelHandsFree() {
+  if (!vad) return;
+  clearInterval(vad.timer);
+  vad.audioContext.close();
+  vad = null;
+  setHandsFreeStatus("");
+}
+
+/**
+ * Handles the hands-free checkbox
+ * @param {boolean} enabled - Whether hands-free mode is on
+ */
+async function handleHandsFreeChange(enabled) {
+  // Switching modes ends the current hands-free session
+  if (!enabled && vad) {
+    await stopHandsFree();
+  }
+  handsFreeEnabled = enabled;
+  localStorage.setItem("handsFree", String(enabled));
+
+  const settings = document.getElementById("hands-free-settings");
+  if (settings) settings.style.display = enabled ? "" : "none";
+}
+
+/**
+ * Handles a change of one of the detection settings
+ * @param {string} name - Setting name (silenceThresholdDb, silenceMs, minSpeechMs)
+ * @param {string} value - New value from the input
+ */
+function handleVadSettingChange(name, value) {
+  const number = Number(value);
+  if (!(name in HANDS_FREE_DEFAULTS) || !Number.isFinite(number)) return;
+
+  vadSettings = { ...vadSettings, [name]: number };
+  localStorage.setItem("handsFreeSettings", JSON.stringify(vadSettings));
+}
+
+/**
+ * Fills the hands-free controls with the saved settings
+ */
+function initHandsFree() {
+  const checkbox = document.getElementById("handsFreeCheckbox");
+  if (!checkbox) return;
+
+  checkbox.checked = handsFreeEnabled;
+  const settings = document.getElementById("hands-free-settings");
+  if (settings) settings.style.display = handsFreeEnabled ? "" : "none";
+
+  Object.keys(HANDS_FREE_DEFAULTS).forEach((name) => {
+    const input = document.querySelector(`[data-vad-setting="${name}"]`);
+    if (input) input.value = vadSettings[name];
+  });
+}
+
+// Export functions for use in other modules
+window.handsFree = {
+  isEnabled: () => handsFreeEnabled,
+  isActive: () => vad !== null,
+  toggle: toggleHandsFree,
+  cancel: cancelHandsFree,
+  handleHandsFreeChange,
+  handleVadSettingChange,
+  setStatus: setHandsFreeStatus,
+};
+
+document.addEventListener("DOMContentLoaded", initHandsFree);
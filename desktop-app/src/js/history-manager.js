@@ -96,6 +96,72 @@ function saveToHistory(question, answer) {
   }
 }
 
+/**
+ * Copies the history stored on the server (shared by all clients) into the
+ * local date buckets, so answers given on other devices show up here too.
+ * Entries already saved locally are matched by question and answer and only
+ * get their server id (and the id of their archived recording) attached.
+ * @returns {Promise<void>}
+ */
+async function syncServerHistory() {
+  const apiUrl = window.electronAPI.getApiBaseUrl();
+
+  try {
+    const response = await authFetch(`${apiUrl}/api/v1/history?limit=100`);
+    if (!response.ok) {
+      throw new Error(`Server returned ${response.status}`);
+    }
+    const { entries } = await response.json();
+
+    entries.forEach((entry) => {
+      const answer = entry.answers[0] ? entry.answers[0].answer.trim() : "";
+      const question = entry.question.trim();
+      if (!question || !answer) return;
+
+      const dateKey = `${HISTORY_PREFIX}${entry.createdAt.split("T")[0]}`;
+      const history = JSON.parse(localStorage.getItem(dateKey) || "[]");
+      const existing = history.find(
+        (item) =>
+          item.serverId === entry.id ||
+          (item.question === question && item.answer === answer)
+      );
+
+      if (existing) {
+        existing.serverId = entry.id;
+        existing.recordingId = entry.recordingId;
+      } else {
+        history.push({
+          id: Date.parse(entry.createdAt),
+          timestamp: entry.createdAt,
+          question,
+          answer,
+          serverId: entry.id,
+          recordingId: entry.recordingId,
+        });
+      }
+      localStorage.setItem(dateKey, JSON.stringify(history));
+    });
+  } catch (error) {
+    // The local history still works without the server
+    console.error("Error syncing server history:", error);
+  }
+}
+
+/**
+ * Deletes entries from the server history (all entries without an id).
+ * @param {string} [serverId] - Server id of the entry to delete
+ */
+function deleteServerHistory(serverId) {
+  const apiUrl = window.electronAPI.getApiBaseUrl();
+  const url = serverId
+    ? `${apiUrl}/api/v1/history/${encodeURIComponent(serverId)}`
+    : `${apiUrl}/api/v1/history`;
+
+  authFetch(url, { method: "DELETE" }).catch((error) =>
+    console.error("Error deleting server history:", error)
+  );
+}
+
 /**
  * Loads all available history dates into the date selector dropdown.
  * Preserves selection if possible, otherwise defaults to today's date.
@@ -205,6 +271,31 @@ function loadHistoryForDate(dateKey) {
   });
 }
 
+/**
+ * Points a history player at the recording's audio. The server hands out a
+ * short-lived signed URL, since an <audio> element cannot send the API token.
+ * @param {HTMLAudioElement} audio - Player in the detail panel
+ * @param {string} recordingId - Id of the archived recording
+ * @returns {Promise<void>}
+ */
+async function loadRecordingAudio(audio, recordingId) {
+  const apiUrl = window.electronAPI.getApiBaseUrl();
+
+  try {
+    const response = await authFetch(
+      `${apiUrl}/api/v1/recordings/${encodeURIComponent(recordingId)}`
+    );
+    if (!response.ok) {
+      throw new Error(`Server returned ${response.status}`);
+    }
+    const { audioUrl } = await response.json();
+    audio.src = `${apiUrl}${audioUrl}`;
+  } catch (error) {
+    // Evicted or foreign recordings just leave the player empty
+    console.error(`Error loading recording ${recordingId}:`, error);
+  }
+}
+
 /**
  * Displays the full details of a specific history item in the detail panel.
  * Highlights the selected item in the list and formats content with Markdown.
@@ -253,13 +344,26 @@ function viewHistoryItem(id, dateKey) {
         : `<p>${entry.question}</p>`;
   }
 
+  // Questions whose recording is still archived can be played back and asked
+  // again with the current model and context
+  let recordingControls = "";
+  if (entry.recordingId) {
+    recordingControls = `
+    <audio controls preload="none"></audio>
+    <button onclick="window.audioControls.reprocessRecording('${entry.recordingId}')" style="margin-top: 10px;">Re-ask with current settings</button>`;
+  }
+
   detailPanel.innerHTML = `
     <div class="history-detail-timestamp">${timestamp}</div>
     <div class="history-detail-question">${formattedQuestion}</div>
-    <div class="history-detail-answer">${formattedAnswer}</div>
+    <div class="history-detail-answer">${formattedAnswer}</div>${recordingControls}
     <button onclick="closeHistoryDetail()" style="margin-top: 10px;">Close Detail</button>
   `;
 
+  if (entry.recordingId) {
+    loadRecordingAudio(detailPanel.querySelector("audio"), entry.recordingId);
+  }
+
   // Highlight the selected item
   document.querySelectorAll(".history-item").forEach((item) => {
     item.classList.remove("selected");
@@ -290,6 +394,12 @@ function deleteHistoryItem(id, dateKey, event) {
   const history = JSON.parse(localStorage.getItem(dateKey) || "[]");
   const updatedHistory = history.filter((item) => item.id !== id);
 
+  // Delete the shared copy too, otherwise the next sync brings it back
+  const deletedItem = history.find((item) => item.id === id);
+  if (deletedItem && deletedItem.serverId) {
+    deleteServerHistory(deletedItem.serverId);
+  }
+
   if (updatedHistory.length === 0) {
     // If no items left, remove the entire key
     localStorage.removeItem(dateKey);
@@ -335,7 +445,7 @@ function deleteHistoryItem(id, dateKey, event) {
 function clearAllHistory() {
   if (
     !confirm(
-      "Are you sure you want to clear all history? This cannot be undone."
+      "Are you sure you want to clear all history? This also clears it on your other devices and cannot be undone."
     )
   )
     return;
@@ -349,8 +459,9 @@ function clearAllHistory() {
     }
   }
 
-  // Remove all history items
+  // Remove all history items, locally and on the server
   historyKeys.forEach((key) => localStorage.removeItem(key));
+  deleteServerHistory();
 
   // Reset the UI
   const historyList = document.getElementById("history-list");
@@ -378,7 +489,7 @@ function clearAllHistory() {
  * Toggles the visibility of the history panel.
  * Loads and displays history data when the panel is shown.
  */
-function toggleHistoryPanel() {
+async function toggleHistoryPanel() {
   const historyPanel = document.getElementById("history-panel");
   const dateSelect = document.getElementById("historyDateSelect");
   const toggleBtn = document.getElementById("historyToggleBtn");
@@ -395,7 +506,8 @@ function toggleHistoryPanel() {
       toggleBtn.textContent = "Hide History";
     }
 
-    // Load available dates
+    // Pull in answers given on other devices, then load available dates
+    await syncServerHistory();
     const hasHistory = loadHistoryDates();
     if (hasHistory) {
       if (dateSelect) {
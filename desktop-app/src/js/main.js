@@ -165,6 +165,11 @@ document.addEventListener("DOMContentLoaded", function () {
     window.initModelSelector();
   }
 
+  // Load question context profiles from the server
+  if (window.initContextSelector) {
+    window.initContextSelector();
+  }
+
   // Set up always on top button
   const alwaysOnTopBtn = document.getElementById("alwaysOnTopBtn");
   if (alwaysOnTopBtn) {
@@ -322,7 +327,10 @@ document.addEventListener("DOMContentLoaded", function () {
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), 3000); // 3 second timeout
 
-      fetch(`${apiUrl}/api/v1/status`, { signal: controller.signal })
+      authFetch(`${apiUrl}/api/v1/status`, {
+        signal: controller.signal,
+        headers: { "X-Session-Id": window.getSessionId() },
+      })
         .then((response) => {
           if (!response.ok) {
             throw new Error(`Server returned ${response.status}`);
@@ -5,6 +5,19 @@
 
 let selectedModel = null;
 let selectedModel2 = null;
+let extraModels = [];
+let modelStrategy = "primary+backup";
+let judgeAnswersEnabled = false;
+let modelOptionsHtml = "";
+
+/**
+ * How the server runs several models (see the server's `strategy` parameter)
+ */
+const MODEL_STRATEGIES = [
+  { value: "primary+backup", label: "Model 1 + backup tab" },
+  { value: "race", label: "Race (first answer wins)" },
+  { value: "all", label: "All (every answer)" },
+];
 
 /**
  * Fetches the list of available models from the server
@@ -13,7 +26,7 @@ let selectedModel2 = null;
 async function fetchModels() {
   try {
     const apiUrl = window.electronAPI.getApiBaseUrl();
-    const response = await fetch(`${apiUrl}/api/v1/models`);
+    const response = await authFetch(`${apiUrl}/api/v1/models`);
 
     if (!response.ok) {
       throw new Error(`Failed to fetch models: ${response.status}`);
@@ -45,13 +58,17 @@ function renderModelSelect(models) {
   // Build option HTML once and reuse for both selects
   const defaultOption1 = `<option value="">Default (Gemini 3 Flash)</option>`;
   const defaultOption2 = `<option value="">None (single model)</option>`;
-  const optionsHtml = sortedModels
+  const optionsHtml = (modelOptionsHtml = sortedModels
     .map((model) => {
-      const modelId = model.name.replace("models/", "");
+      const modelId = model.id || model.name.replace("models/", "");
       const label = model.displayName || modelId;
       return `<option value="${modelId}">${label}</option>`;
     })
-    .join("");
+    .join(""));
+  const strategyOptionsHtml = MODEL_STRATEGIES.map(
+    (strategy) =>
+      `<option value="${strategy.value}">${strategy.label}</option>`,
+  ).join("");
 
   container.innerHTML = `
     <strong>AI Models:</strong>
@@ -68,6 +85,20 @@ function renderModelSelect(models) {
           ${defaultOption2}${optionsHtml}
         </select>
       </label>
+      <span id="extraModelSelects" style="display:contents;"></span>
+      <button id="addModelBtn" type="button" onclick="window.addExtraModel()">
+        + Add model
+      </button>
+      <label style="display:flex;align-items:center;gap:4px;font-size:12px;">
+        <input type="checkbox" id="judgeCheckbox" onchange="window.handleJudgeChange(this.checked)" />
+        Judge answers
+      </label>
+      <label style="display:flex;flex-direction:column;gap:2px;font-size:12px;">
+        Strategy
+        <select id="strategySelect" onchange="window.handleStrategyChange(this.value)">
+          ${strategyOptionsHtml}
+        </select>
+      </label>
     </div>
   `;
 
@@ -92,8 +123,119 @@ function renderModelSelect(models) {
       selectedModel2 = storedModel2;
     }
   }
+
+  // Extra models (3rd and later) and the strategy
+  const storedStrategy = localStorage.getItem("modelStrategy");
+  if (MODEL_STRATEGIES.some((strategy) => strategy.value === storedStrategy)) {
+    modelStrategy = storedStrategy;
+  }
+  document.getElementById("strategySelect").value = modelStrategy;
+
+  judgeAnswersEnabled = localStorage.getItem("judgeAnswers") === "true";
+  document.getElementById("judgeCheckbox").checked = judgeAnswersEnabled;
+
+  let storedExtraModels = [];
+  try {
+    storedExtraModels = JSON.parse(localStorage.getItem("extraModels")) || [];
+  } catch (error) {
+    console.warn("Ignoring invalid stored extra models:", error);
+  }
+  extraModels = storedExtraModels.filter((modelId) =>
+    sortedModels.some(
+      (model) => (model.id || model.name.replace("models/", "")) === modelId,
+    ),
+  );
+  renderExtraModelSelects();
 }
 
+/**
+ * Renders one select per extra model (3rd and later)
+ * Extra models are only used by the "race" and "all" strategies
+ */
+function renderExtraModelSelects() {
+  const container = document.getElementById("extraModelSelects");
+  const addButton = document.getElementById("addModelBtn");
+  if (!container) return;
+
+  const usesExtraModels = modelStrategy !== "primary+backup";
+  if (addButton) addButton.style.display = usesExtraModels ? "" : "none";
+  if (!usesExtraModels) {
+    container.innerHTML = "";
+    return;
+  }
+
+  container.innerHTML = extraModels
+    .map(
+      (_, i) => `
+      <label style="display:flex;flex-direction:column;gap:2px;font-size:12px;">
+        Model ${i + 3}
+        <span style="display:flex;align-items:center;">
+          <select id="modelSelect${i + 3}" onchange="window.handleExtraModelChange(this.value, ${i})">
+            ${modelOptionsHtml}
+          </select>
+          <button type="button" title="Remove model" onclick="window.removeExtraModel(${i})">✕</button>
+        </span>
+      </label>
+    `,
+    )
+    .join("");
+
+  extraModels.forEach((modelId, i) => {
+    document.getElementById(`modelSelect${i + 3}`).value = modelId;
+  });
+}
+
+/**
+ * Stores the extra models
+ */
+function saveExtraModels() {
+  localStorage.setItem("extraModels", JSON.stringify(extraModels));
+}
+
+/**
+ * Adds another model select (race/all strategies)
+ */
+window.addExtraModel = function () {
+  const firstOption = document.querySelector(
+    "#modelSelect1 option[value]:not([value=''])",
+  );
+  if (!firstOption) return;
+  extraModels.push(firstOption.value);
+  saveExtraModels();
+  renderExtraModelSelects();
+};
+
+/**
+ * Removes an extra model
+ * @param {number} index - Position in the extra models list
+ */
+window.removeExtraModel = function (index) {
+  extraModels.splice(index, 1);
+  saveExtraModels();
+  renderExtraModelSelects();
+};
+
+/**
+ * Handles a change of an extra model
+ * @param {string} modelId - The selected model ID
+ * @param {number} index - Position in the extra models list
+ */
+window.handleExtraModelChange = function (modelId, index) {
+  extraModels[index] = modelId;
+  saveExtraModels();
+};
+
+/**
+ * Handles a change of the multi-model strategy
+ * @param {string} strategy - "primary+backup", "race" or "all"
+ */
+window.handleStrategyChange = function (strategy) {
+  modelStrategy = strategy;
+  localStorage.setItem("modelStrategy", strategy);
+  renderExtraModelSelects();
+  console.log(`Model strategy changed to: ${strategy}`);
+};
+
 /**
  * Handles model selection change
  * @param {string} modelId - The selected model ID
@@ -127,6 +269,38 @@ window.getSelectedModel2 = function () {
   return selectedModel2 || null;
 };
 
+/**
+ * Handles the judge toggle: a judge model merges the answers of all models
+ * @param {boolean} enabled - Whether answers should be judged
+ */
+window.handleJudgeChange = function (enabled) {
+  judgeAnswersEnabled = enabled;
+  localStorage.setItem("judgeAnswers", String(enabled));
+};
+
+/**
+ * Gets every selected model in order; "" stands for the default model
+ * @returns {Array<string>} Model IDs
+ */
+window.getSelectedModels = function () {
+  const models = [selectedModel || ""];
+  if (selectedModel2) models.push(selectedModel2);
+  if (modelStrategy !== "primary+backup") models.push(...extraModels);
+  return models;
+};
+
+/**
+ * Adds the judge flag, the strategy and the full model list to a processing
+ * request. The default strategy keeps using the model/model2 fields
+ * @param {FormData} formData - Request form data
+ */
+window.appendModelOptions = function (formData) {
+  formData.append("judge", String(judgeAnswersEnabled));
+  if (modelStrategy === "primary+backup") return;
+  formData.append("strategy", modelStrategy);
+  formData.append("models", window.getSelectedModels().join(","));
+};
+
 /**
  * Returns the display name for a model ID by reading from the dropdown options.
  * Falls back to the raw ID if not found.
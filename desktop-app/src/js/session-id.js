@@ -0,0 +1,35 @@
+/**
+ * Client Session Id
+ * Gives this desktop install a stable session id so the server keeps its
+ * follow-up context and cancel state separate from other connected clients.
+ */
+
+const SESSION_ID_STORAGE_KEY = "audio_listener_session_id";
+
+/**
+ * Creates a new random session id
+ * @returns {string} A new session id
+ */
+function createSessionId() {
+  if (window.crypto && typeof window.crypto.randomUUID === "function") {
+    return window.crypto.randomUUID();
+  }
+  return `desktop-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Gets the session id of this client, creating and storing one if needed
+ * @returns {string} The session id
+ */
+function getSessionId() {
+  let sessionId = localStorage.getItem(SESSION_ID_STORAGE_KEY);
+  if (!sessionId) {
+    sessionId = createSessionId();
+    localStorage.setItem(SESSION_ID_STORAGE_KEY, sessionId);
+    console.log(`Created new client session id: ${sessionId}`);
+  }
+  return sessionId;
+}
+
+// Export functions
+window.getSessionId = getSessionId;
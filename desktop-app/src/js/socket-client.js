@@ -13,6 +13,11 @@ let isConnected = false;
 // Cache for development state
 let devEnvironmentCache = null;
 
+// Recording currently streamed to the server (partial transcripts are shown for it)
+let activeStreamId = null;
+const STREAM_ACK_TIMEOUT_MS = 10000;
+const STREAM_END_TIMEOUT_MS = 30000;
+
 /**
  * Detects if the application is running in development mode
  * @returns {Promise<boolean>} - Promise resolving to true if in development mode
@@ -103,6 +108,8 @@ async function initializeSocket(serverUrl) {
         timeout: 20000,
         autoConnect: true,
         forceNew: true,
+        // Identify this client's session so the server keeps its state separate
+        auth: { sessionId: window.getSessionId(), token: window.getApiToken() },
       });
 
       // Set up event handlers with enhanced debugging
@@ -413,11 +420,24 @@ function setupSocketEventHandlers() {
     if (backupPanel) backupPanel.style.display = "none";
     const selectedPanel = document.getElementById("answer-selected-panel");
     if (selectedPanel) selectedPanel.style.display = "";
+    const judgePanel = document.getElementById("answer-judge-panel");
+    if (judgePanel) {
+      judgePanel.innerHTML = "";
+      judgePanel.style.display = "none";
+    }
+    const tabJudge = document.getElementById("tab-judge");
+    if (tabJudge) {
+      tabJudge.style.display = "none";
+      tabJudge.classList.remove("active");
+    }
 
     // Disable buttons during processing
     document.getElementById("retryBtn").disabled = true;
     document.getElementById("geminiBtn").disabled = true;
-    document.getElementById("toggleBtn").disabled = true;
+    // Hands-free keeps listening while a question is answered
+    document.getElementById("toggleBtn").disabled = !(
+      window.handsFree && window.handsFree.isActive()
+    );
     document.getElementById("cancelBtn").disabled = false;
   });
 
@@ -442,9 +462,22 @@ function setupSocketEventHandlers() {
         ? window.originalQuestion
         : data.transcript;
 
-    // Format question for display - handle multiple questions
+    // Format question for display - handle multiple questions, preferring
+    // the structured per-question list over the legacy " | " joined string
     let formattedQuestion = displayQuestion;
-    if (displayQuestion && displayQuestion.includes(" | ")) {
+    if (Array.isArray(data.speakerTurns) && data.speakerTurns.length > 0) {
+      // Diarized recording: show who said what
+      formattedQuestion = data.speakerTurns
+        .map(
+          (turn) =>
+            `<strong>${turn.speaker === "remote" ? "Remote" : "You"}:</strong> ${turn.text}`,
+        )
+        .join("<br>");
+    } else if (Array.isArray(data.questions) && data.questions.length > 1) {
+      formattedQuestion = data.questions
+        .map((item, i) => `${i + 1}. ${item.question}`)
+        .join("<br>");
+    } else if (displayQuestion && displayQuestion.includes(" | ")) {
       const questions = displayQuestion.split(" | ");
       formattedQuestion = questions
         .map((q, i) => `${i + 1}. ${q}`)
@@ -474,15 +507,28 @@ function setupSocketEventHandlers() {
       const backupPanelPre = document.getElementById("answer-backup-panel");
       if (backupPanelPre) {
         backupPanelPre.style.display = "none";
+        // Keep whatever the backup model has streamed so far
+        const backupPreview = window.backupStreamedContent
+          ? formatMarkdown(window.backupStreamedContent)
+          : "Waiting for response...";
         backupPanelPre.innerHTML = `
           <strong>Answer (${shortModel2}):</strong>
-          <div id="backupLivePreview">Waiting for response...</div>
+          <div id="backupLivePreview">${backupPreview}</div>
         `;
       }
+    } else if (Array.isArray(data.otherModels) && data.otherModels.length > 0) {
+      // Race/all strategies: the other models' answers arrive as modelAnswer
+      window.backupModelName = null;
+      showOtherModelsTab(data);
     } else {
       window.backupModelName = null;
     }
 
+    // A judge model will merge the answers; its result arrives as judgeUpdate
+    if (data.judge) {
+      showJudgeTab();
+    }
+
     // Hide loading and set status to idle
     const loadingElement = document.getElementById("loading");
     if (loadingElement) loadingElement.style.display = "none";
@@ -554,6 +600,93 @@ function setupSocketEventHandlers() {
     }
   });
 
+  // Live transcript of the recording that is being streamed; the final
+  // "update" event replaces it with the question that was answered
+  socket.on("partialTranscript", (data) => {
+    if (window.isCancelled || !data || data.streamId !== activeStreamId) return;
+
+    const questionElement = document.getElementById("question");
+    if (questionElement && data.transcript) {
+      questionElement.innerHTML = `<strong>Hearing:</strong> <span class="partial-transcript">${data.transcript}</span>`;
+    }
+  });
+
+  // Hands-free segment that was not a question: nothing is answered
+  socket.on("segmentIgnored", (data) => {
+    console.log(
+      `Ignored hands-free segment (${data && data.reason}):`,
+      data && data.transcript,
+    );
+    if (window.handsFree && window.handsFree.isActive()) {
+      window.handsFree.setStatus("Waiting for a question...");
+    }
+  });
+
+  // Answer chunks streamed while a model is still generating.
+  // The final "update"/"backupUpdate" event replaces them with the full answer.
+  socket.on("streamChunk", (data) => {
+    if (window.isCancelled || !data || !data.chunk) return;
+
+    if (data.source === "backup") {
+      handleBackupStreamChunk(data);
+      return;
+    }
+
+    // Competing models (race/all) only show their final answers
+    if (data.source === "candidate") return;
+
+    // The processing event clears the panel, so recreate the streaming target
+    if (!document.getElementById("streamingContent")) {
+      const answerPanel = document.getElementById("answer-selected-panel");
+      if (answerPanel) {
+        answerPanel.innerHTML =
+          '<strong>Answer:</strong> <div id="streamingContent" class="stream-active"></div>';
+      }
+      if (typeof resetAnimationState === "function") {
+        resetAnimationState();
+      }
+
+      const loading = document.getElementById("loading");
+      if (loading) {
+        loading.innerHTML =
+          '<div class="loader"></div><span>Generating answer...</span>';
+      }
+    }
+
+    if (typeof handleStreamChunk === "function") {
+      handleStreamChunk(data.chunk);
+    }
+  });
+
+  // A model attempt failed: drop its partial text, the next attempt streams anew
+  socket.on("modelRetry", (data) => {
+    if (window.isCancelled || !data) return;
+    console.warn("Model attempt failed:", data);
+
+    if (data.source === "backup") {
+      window.backupStreamedContent = "";
+      const preview = document.getElementById("backupLivePreview");
+      if (preview) preview.innerHTML = "";
+      return;
+    }
+    if (data.source === "candidate") return;
+
+    const streamingContent = document.getElementById("streamingContent");
+    if (streamingContent) streamingContent.innerHTML = "";
+    if (typeof resetAnimationState === "function") {
+      resetAnimationState();
+    }
+
+    const loading = document.getElementById("loading");
+    if (loading) {
+      const getLabel = window.getModelDisplayName || ((id) => id);
+      const message = data.fallback
+        ? `Switching to ${getLabel(data.nextModel) || "the default model"}...`
+        : `Retrying in ${Math.ceil((data.delayMs || 0) / 1000)}s...`;
+      loading.innerHTML = `<div class="loader"></div><span>${message}</span>`;
+    }
+  });
+
   // Processing error event
   socket.on("processingError", (errorMessage) => {
     // Always show errors — clear the cancelled flag as a side effect
@@ -579,6 +712,60 @@ function setupSocketEventHandlers() {
     updateFollowUpCheckbox();
   });
 
+  // Race/all strategies: another model's answer (the main one came as update)
+  socket.on("modelAnswer", (data) => {
+    if (window.isCancelled || !data || data.main) return;
+
+    const list = document.getElementById("otherModelAnswers");
+    if (!list) return;
+
+    const getLabel =
+      window.getModelDisplayName || ((id) => (id || "").split("/").pop() || id);
+    const waiting = document.getElementById("otherModelsWaiting");
+    if (waiting) waiting.remove();
+
+    const item = document.createElement("div");
+    item.className = "other-model-answer";
+    item.innerHTML = `
+      <strong>Answer (${getLabel(data.model)}):</strong>
+      <div>${formatMarkdown(data.answer || "")}</div>
+    `;
+    list.appendChild(item);
+  });
+
+  // Judge model: merged answer and disagreements (or why judging failed)
+  socket.on("judgeUpdate", (data) => {
+    if (window.isCancelled || !data) return;
+
+    const judgePanel = document.getElementById("answer-judge-panel");
+    if (!judgePanel) return;
+    showJudgeTab();
+
+    if (data.error) {
+      judgePanel.innerHTML = `<strong style="color: red;">Judge:</strong> ${data.error}`;
+      return;
+    }
+
+    const getLabel =
+      window.getModelDisplayName || ((id) => (id || "").split("/").pop() || id);
+    const disagreements = Array.isArray(data.disagreements)
+      ? data.disagreements
+      : [];
+    const disagreementsHtml =
+      disagreements.length > 0
+        ? `<strong>Disagreements:</strong>
+           <ul>${disagreements
+             .map((item) => `<li>${formatMarkdown(item)}</li>`)
+             .join("")}</ul>`
+        : "<p><em>The answers agree.</em></p>";
+
+    judgePanel.innerHTML = `
+      <strong>Merged answer (judged by ${getLabel(data.model)}):</strong>
+      <div id="judgeContent">${formatMarkdown(data.answer || "")}</div>
+      ${disagreementsHtml}
+    `;
+  });
+
   // Backup model: answer received
   socket.on("backupUpdate", (data) => {
     if (window.isCancelled) return;
@@ -610,28 +797,110 @@ function setupSocketEventHandlers() {
 }
 
 /**
- * Switches the visible answer tab between the selected and default model results.
- * @param {"selected"|"default"} tab - Which tab to activate
+ * Formats Markdown text as HTML using the best available renderer
+ * @param {string} text - Markdown text
+ * @returns {string} - HTML
  */
-function switchAnswerTab(tab) {
-  const selectedPanel = document.getElementById("answer-selected-panel");
-  const backupPanel = document.getElementById("answer-backup-panel");
+function formatMarkdown(text) {
+  if (typeof window.markdownUtils !== "undefined") {
+    return window.markdownUtils.parseMarkdown(text);
+  }
+  if (typeof marked !== "undefined") {
+    return marked.parse(text);
+  }
+  return text.replace(/\n\n/g, "<br><br>").replace(/\n/g, "<br>");
+}
+
+/**
+ * Shows the judge tab, with a placeholder until the judge has answered
+ */
+function showJudgeTab() {
+  const tabs = document.getElementById("answer-tabs");
+  if (tabs) tabs.style.display = "flex";
+  const tabJudge = document.getElementById("tab-judge");
+  if (tabJudge) tabJudge.style.display = "";
+
+  const judgePanel = document.getElementById("answer-judge-panel");
+  if (judgePanel && !judgePanel.innerHTML.trim()) {
+    judgePanel.innerHTML = "Judging answers...";
+  }
+}
+
+/**
+ * Shows the second tab for the answers of the other models (race/all)
+ * @param {Object} data - Update event data with otherModels
+ */
+function showOtherModelsTab(data) {
+  const tabs = document.getElementById("answer-tabs");
+  if (tabs) tabs.style.display = "flex";
+
+  const getLabel =
+    window.getModelDisplayName || ((id) => (id || "").split("/").pop() || id);
   const tabSelBtn = document.getElementById("tab-selected");
   const tabDefBtn = document.getElementById("tab-default");
+  if (tabSelBtn) tabSelBtn.textContent = getLabel(data.model) || "Model 1";
+  if (tabDefBtn) {
+    tabDefBtn.textContent = `Other models (${data.otherModels.length})`;
+  }
 
-  if (tab === "default") {
-    if (selectedPanel) selectedPanel.style.display = "none";
-    if (backupPanel) backupPanel.style.display = "";
-    if (tabSelBtn) tabSelBtn.classList.remove("active");
-    if (tabDefBtn) tabDefBtn.classList.add("active");
-  } else {
-    if (selectedPanel) selectedPanel.style.display = "";
-    if (backupPanel) backupPanel.style.display = "none";
-    if (tabSelBtn) tabSelBtn.classList.add("active");
-    if (tabDefBtn) tabDefBtn.classList.remove("active");
+  const backupPanel = document.getElementById("answer-backup-panel");
+  if (backupPanel) {
+    backupPanel.style.display = "none";
+    backupPanel.innerHTML = `
+      <div id="otherModelAnswers">
+        <div id="otherModelsWaiting">Waiting for response...</div>
+      </div>
+    `;
   }
 }
 
+/**
+ * Appends a streamed chunk of the backup model's answer to its panel
+ * @param {{chunk: string, model: string}} data - Stream chunk event data
+ */
+function handleBackupStreamChunk(data) {
+  window.backupStreamedContent =
+    (window.backupStreamedContent || "") + data.chunk;
+
+  const backupPanel = document.getElementById("answer-backup-panel");
+  if (!backupPanel) return;
+
+  let preview = document.getElementById("backupLivePreview");
+  if (!preview) {
+    const getLabel =
+      window.getModelDisplayName || ((id) => (id || "").split("/").pop() || id);
+    const modelLabel =
+      getLabel(data.model || window.backupModelName) || "Model 2";
+    backupPanel.innerHTML = `
+      <strong>Answer (${modelLabel}):</strong>
+      <div id="backupLivePreview"></div>
+    `;
+    preview = document.getElementById("backupLivePreview");
+  }
+
+  preview.innerHTML = formatMarkdown(window.backupStreamedContent);
+}
+
+/**
+ * Switches the visible answer tab between the selected model, the default
+ * (backup) model and the judge results.
+ * @param {"selected"|"default"|"judge"} tab - Which tab to activate
+ */
+function switchAnswerTab(tab) {
+  const tabsToPanels = {
+    selected: ["tab-selected", "answer-selected-panel"],
+    default: ["tab-default", "answer-backup-panel"],
+    judge: ["tab-judge", "answer-judge-panel"],
+  };
+
+  Object.entries(tabsToPanels).forEach(([name, [buttonId, panelId]]) => {
+    const button = document.getElementById(buttonId);
+    const panel = document.getElementById(panelId);
+    if (button) button.classList.toggle("active", name === tab);
+    if (panel) panel.style.display = name === tab ? "" : "none";
+  });
+}
+
 /**
  * Checks if the socket is connected
  * @returns {boolean} - True if the socket is connected
@@ -732,6 +1001,92 @@ function emitEvent(eventName, data = {}) {
   return true;
 }
 
+/**
+ * Opens a streamed upload for a recording that is starting
+ * Chunks are sent in order as MediaRecorder produces them, so the recording
+ * is already on the server when it stops and partial transcripts can be
+ * shown while the user is talking. Any failure marks the stream as failed;
+ * callers then upload the whole recording instead.
+ * @param {Object} fields - { mimeType, language, partialTranscripts } of the
+ *   recording
+ * @returns {Object|null} - { sendChunk, end, cancel } or null when not connected
+ */
+function startAudioStream(fields = {}) {
+  if (!isSocketConnected()) {
+    return null;
+  }
+
+  let streamId = null;
+  let failed = false;
+  const fail = (error) => {
+    failed = true;
+    console.error("Audio stream failed:", error);
+    addDebugLog(`Audio stream failed: ${error.message}`, "warning");
+  };
+
+  // Sends a request and rejects on a failed or missing acknowledgement
+  const request = async (
+    eventName,
+    data,
+    timeoutMs = STREAM_ACK_TIMEOUT_MS,
+  ) => {
+    const response = await socket
+      .timeout(timeoutMs)
+      .emitWithAck(eventName, data);
+    if (!response || !response.success) {
+      throw new Error(response ? response.error : `${eventName} failed`);
+    }
+    return response;
+  };
+
+  // Every chunk waits for the previous one so the server gets them in order
+  let queue = request("audioStreamStart", fields).then((response) => {
+    streamId = response.stream.id;
+    activeStreamId = streamId;
+    addDebugLog(
+      `Streaming recording (live transcript ${response.partialTranscripts ? "on" : "off"})`,
+      "info",
+    );
+  }, fail);
+
+  return {
+    sendChunk(chunk) {
+      queue = queue.then(async () => {
+        if (failed) return;
+        const buffer = await chunk.arrayBuffer();
+        await request("audioChunk", { streamId, chunk: buffer }).catch(fail);
+      });
+    },
+
+    /**
+     * Ends the stream and queues the recording for processing
+     * @param {Object} requestFields - The fields an upload would send
+     * @returns {Promise<Object>} - Server response with the queued job
+     */
+    async end(requestFields = {}) {
+      await queue;
+      activeStreamId = null;
+      if (failed || !streamId) {
+        throw new Error("Audio stream is not available");
+      }
+      // The server may finish the live transcript before answering
+      return request(
+        "audioStreamEnd",
+        { ...requestFields, streamId },
+        STREAM_END_TIMEOUT_MS,
+      );
+    },
+
+    cancel() {
+      failed = true;
+      activeStreamId = null;
+      queue.then(() => {
+        if (streamId && socket) socket.emit("audioStreamCancel", { streamId });
+      });
+    },
+  };
+}
+
 /**
  * Manually connects to a Socket.IO server with a specific URL
  * This is useful for testing different server URLs
@@ -777,6 +1132,8 @@ function manualConnect(url) {
         timeout: 20000,
         autoConnect: true,
         forceNew: true,
+        // Identify this client's session so the server keeps its state separate
+        auth: { sessionId: window.getSessionId(), token: window.getApiToken() },
       });
 
       // Set up a timeout for the connection
@@ -1020,6 +1377,7 @@ window.socketClient = {
   isSocketConnected,
   disconnectSocket,
   emitEvent,
+  startAudioStream,
   displayDirectResponse,
   testSocketConnection,
   manualConnect,
@@ -7,6 +7,9 @@ import { contextBridge, ipcRenderer } from "electron";
 contextBridge.exposeInMainWorld("electronAPI", {
   getApiBaseUrl: () => process.env.API_BASE_URL,
 
+  // API token sent with every request and the Socket.IO handshake
+  getApiToken: () => process.env.API_TOKEN,
+
   // Add a method to check if system audio capture is supported
   isSystemAudioCaptureSupported: () => {
     // In Electron with our display media handler, system audio capture is supported
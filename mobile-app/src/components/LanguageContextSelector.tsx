@@ -3,6 +3,7 @@ import { View, Text, Switch, TextInput } from "react-native";
 import { Picker } from "@react-native-picker/picker";
 import { styles, theme } from "../screens/MainScreen.style";
 import { Language, QuestionContext } from "../types/interfaces";
+import { useContextProfiles } from "../hooks/useContextProfiles";
 
 interface LanguageContextSelectorProps {
   language: Language;
@@ -21,6 +22,8 @@ const LanguageContextSelector: React.FC<LanguageContextSelectorProps> = ({
   customContext,
   setCustomContext,
 }) => {
+  const contexts = useContextProfiles();
+
   return (
     <>
       {/* Language Selection */}
@@ -62,15 +65,13 @@ const LanguageContextSelector: React.FC<LanguageContextSelectorProps> = ({
             style={styles.picker}
             dropdownIconColor={theme.colors.primary}
           >
-            <Picker.Item label="General" value="general" />
-            <Picker.Item label="Interview" value="interview" />
-            <Picker.Item
-              label="HTML/CSS/JavaScript"
-              value="html/css/javascript"
-            />
-            <Picker.Item label="TypeScript" value="typescript" />
-            <Picker.Item label="React.js" value="reactjs" />
-            <Picker.Item label="Next.js" value="nextjs" />
+            {contexts.map((context) => (
+              <Picker.Item
+                key={context.id}
+                label={context.name}
+                value={context.id}
+              />
+            ))}
           </Picker>
         </View>
       </View>
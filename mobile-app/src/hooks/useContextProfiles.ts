@@ -0,0 +1,36 @@
+import { useState, useEffect } from "react";
+import { fetchContextsApi } from "../services/apiService";
+import { ContextProfile } from "../types/interfaces";
+
+// Shown until the server's profiles arrive, or when the server is unreachable
+const FALLBACK_CONTEXTS: ContextProfile[] = [
+  { id: "general", name: "General" },
+  { id: "interview", name: "Interview" },
+  { id: "html/css/javascript", name: "HTML/CSS/JavaScript" },
+  { id: "typescript", name: "TypeScript" },
+  { id: "reactjs", name: "React.js" },
+  { id: "nextjs", name: "Next.js" },
+];
+
+/**
+ * Loads the question context profiles from the server once on mount.
+ */
+export const useContextProfiles = () => {
+  const [contexts, setContexts] = useState<ContextProfile[]>(FALLBACK_CONTEXTS);
+
+  useEffect(() => {
+    let isMounted = true;
+
+    fetchContextsApi().then((serverContexts) => {
+      if (isMounted && serverContexts.length > 0) {
+        setContexts(serverContexts);
+      }
+    });
+
+    return () => {
+      isMounted = false;
+    };
+  }, []);
+
+  return contexts;
+};
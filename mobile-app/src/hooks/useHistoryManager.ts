@@ -2,9 +2,11 @@ import { useState, useCallback, useEffect } from "react";
 import { HistoryEntry } from "../types/history";
 import {
   loadHistory,
+  loadServerHistory,
   saveHistoryEntry,
   clearAllHistory,
 } from "../utils/historyManager";
+import { clearHistoryApi } from "../services/apiService";
 import { Language, QuestionContext } from "../types/interfaces";
 
 export const useHistoryManager = (
@@ -18,6 +20,13 @@ export const useHistoryManager = (
   // Load history on initial mount
   useEffect(() => {
     const loadInitialHistory = async () => {
+      // Prefer the history shared by all clients, fall back to the local copy
+      const serverHistory = await loadServerHistory();
+      if (serverHistory) {
+        setHistory(serverHistory);
+        return;
+      }
+
       const loadedHistory = await loadHistory();
 
       // If no history, add a test entry for debugging
@@ -94,6 +103,7 @@ export const useHistoryManager = (
   const handleClearHistory = async () => {
     const cleared = await clearAllHistory();
     if (cleared) {
+      await clearHistoryApi(); // Also clear the history shared with other clients
       setHistory([]); // Update local state
       setShowHistory(false); // Hide history panel after clearing
       console.log("History cleared from state");
@@ -4,7 +4,6 @@ import { API_URL } from "@env";
 import { useSocket } from "./useSocket";
 import { useAudioRecorder } from "./useAudioRecorder";
 import {
-  clearAudioFilesApi,
   stopRecordingAndUpload,
   retryTranscriptionApi,
   processWithGeminiApi,
@@ -341,12 +340,6 @@ export const useRecordingActions = ({
         setCanRetry(false);
         setCanUseGemini(false);
 
-        // Clear audio files on the server (optional)
-        await clearAudioFilesApi().catch((err) => {
-          console.error("Failed to clear audio files:", err);
-          // Continue with recording even if clearing files fails
-        });
-
         // Start the actual recording - skip the legacy startRecordingApi call
         const recordingStarted = await startRecording();
 
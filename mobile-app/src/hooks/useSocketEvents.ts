@@ -3,6 +3,7 @@ import { Socket } from "socket.io-client";
 import {
   SocketUpdateData,
   SocketStreamChunkData,
+  SocketModelRetryData,
   SocketErrorData,
 } from "../types/interfaces";
 import AsyncStorage from "@react-native-async-storage/async-storage";
@@ -117,6 +118,10 @@ export const useSocketEvents = ({
       setIsLoading(false);
       setCanCancel(false);
 
+      // The final update replaces whatever was streamed so far
+      isStreamingRef.current = false;
+      accumulatedAnswerRef.current = "";
+
       if (!data.processedWithGemini && data.transcript) {
         originalQuestionRef.current = data.transcript;
       }
@@ -196,6 +201,12 @@ export const useSocketEvents = ({
     };
 
     const handleStreamChunk = (data: SocketStreamChunkData) => {
+      // Only the primary model's answer is shown on mobile; competing models
+      // (race/all strategies) only show the final answer
+      if (data.source === "backup" || data.source === "candidate") {
+        return;
+      }
+
       if (!isStreamingRef.current) {
         handleStreamStart(); // Initialize streaming if not already done
       }
@@ -213,6 +224,18 @@ export const useSocketEvents = ({
       }
     };
 
+    // A failed attempt is retried on the server; drop its partial answer
+    const handleModelRetry = (data: SocketModelRetryData) => {
+      console.log("Socket: modelRetry", data);
+      if (data.source !== "primary" || isCancelledRef.current) {
+        return;
+      }
+      accumulatedAnswerRef.current = "";
+      if (isStreamingRef.current) {
+        setAnswerText("▋");
+      }
+    };
+
     const handleStreamEnd = (data: SocketUpdateData) => {
       console.log("Socket: streamEnd");
       if (isCancelledRef.current) {
@@ -302,6 +325,7 @@ export const useSocketEvents = ({
     socketInstance.on("transcript", handleTranscript);
     socketInstance.on("streamStart", handleStreamStart);
     socketInstance.on("streamChunk", handleStreamChunk);
+    socketInstance.on("modelRetry", handleModelRetry);
     socketInstance.on("streamEnd", handleStreamEnd);
     socketInstance.on("streamError", handleStreamError);
 
@@ -314,6 +338,7 @@ export const useSocketEvents = ({
       socketInstance.off("transcript", handleTranscript);
       socketInstance.off("streamStart", handleStreamStart);
       socketInstance.off("streamChunk", handleStreamChunk);
+      socketInstance.off("modelRetry", handleModelRetry);
       socketInstance.off("streamEnd", handleStreamEnd);
       socketInstance.off("streamError", handleStreamError);
     };
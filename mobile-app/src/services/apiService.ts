@@ -1,6 +1,9 @@
 import * as FileSystem from "expo-file-system";
 import { Alert, Platform } from "react-native";
-import { API_URL } from "@env"; // Import from @env
+import { API_URL, API_TOKEN } from "@env"; // Import from @env
+import { getSessionId } from "../utils/session";
+import { ContextProfile } from "../types/interfaces";
+import { ServerHistoryPage } from "../types/history";
 
 // Check if API_URL is loaded correctly
 if (!API_URL) {
@@ -22,6 +25,29 @@ const API_BASE_URL = effectiveApiUrl
   ? `${effectiveApiUrl}/api/v1`
   : "http://localhost:3033/api/v1"; // Use loaded URL or fallback
 
+// API token sent with every request and the Socket.IO handshake; the server
+// rejects requests without one. Defaults to API_TOKEN from .env.
+let apiToken = API_TOKEN || "";
+
+/**
+ * Sets the API token used from now on (e.g. entered in the app's settings).
+ * Reconnect the socket afterwards so its handshake carries the new token.
+ */
+export const setApiToken = (token: string): void => {
+  apiToken = token.trim();
+};
+
+/**
+ * Returns the configured API token (empty when none is set).
+ */
+export const getApiToken = (): string => apiToken;
+
+/**
+ * Returns the Authorization header for API requests.
+ */
+export const getAuthHeaders = (): Record<string, string> =>
+  apiToken ? { Authorization: `Bearer ${apiToken}` } : {};
+
 interface RecordingParams {
   language: string;
   questionContext: string;
@@ -40,8 +66,8 @@ interface GeminiParams extends RecordingParams {
 }
 
 /**
- * Clears audio files on the server.
- * This is useful to call before starting a new recording.
+ * Clears this session's audio files on the server.
+ * Recordings are otherwise kept until the server's retention limits remove them.
  */
 export const clearAudioFilesApi = async (): Promise<boolean> => {
   const url = `${API_BASE_URL}/recording/clear-audio-files`;
@@ -52,6 +78,8 @@ export const clearAudioFilesApi = async (): Promise<boolean> => {
       headers: {
         "Content-Type": "application/json",
         Accept: "application/json",
+        "X-Session-Id": getSessionId(),
+        ...getAuthHeaders(),
       },
     });
     if (!response.ok) {
@@ -96,12 +124,14 @@ export const stopRecordingAndUpload = async (
       formData.append("questionContext", params.questionContext);
       formData.append("customContext", params.customContext);
       formData.append("isFollowUp", String(params.isFollowUp));
+      formData.append("sessionId", getSessionId());
       formData.append("audioSource", params.audioSource || "microphone");
       formData.append("audioDeviceId", params.audioDeviceId || "");
 
       // Send the FormData using fetch
       const uploadResponse = await fetch(url, {
         method: "POST",
+        headers: getAuthHeaders(),
         body: formData,
       });
 
@@ -199,11 +229,13 @@ export const stopRecordingAndUpload = async (
           questionContext: params.questionContext,
           customContext: params.customContext,
           isFollowUp: String(params.isFollowUp), // Convert boolean to string for form data
+          sessionId: getSessionId(), // Keeps this device's state separate on the server
           audioSource: params.audioSource || "microphone", // Include audio source
           audioDeviceId: params.audioDeviceId || "", // Include device ID if available
         },
         headers: {
-          // Add any necessary headers, e.g., Authorization
+          "X-Session-Id": getSessionId(),
+          ...getAuthHeaders(),
         },
       };
 
@@ -266,12 +298,14 @@ export const retryTranscriptionApi = async (
       formData.append("questionContext", params.questionContext);
       formData.append("customContext", params.customContext);
       formData.append("isFollowUp", String(params.isFollowUp));
+      formData.append("sessionId", getSessionId());
       formData.append("audioSource", params.audioSource || "microphone");
       formData.append("audioDeviceId", params.audioDeviceId || "");
 
       // Send the FormData using fetch
       const response = await fetch(url, {
         method: "POST",
+        headers: getAuthHeaders(),
         body: formData,
       });
 
@@ -294,6 +328,8 @@ export const retryTranscriptionApi = async (
         headers: {
           "Content-Type": "application/json",
           Accept: "application/json",
+          "X-Session-Id": getSessionId(),
+          ...getAuthHeaders(),
         },
         body: JSON.stringify(params),
       });
@@ -338,12 +374,14 @@ export const processWithGeminiApi = async (
       formData.append("questionContext", params.questionContext);
       formData.append("customContext", params.customContext);
       formData.append("isFollowUp", String(params.isFollowUp));
+      formData.append("sessionId", getSessionId());
       formData.append("audioSource", params.audioSource || "microphone");
       formData.append("audioDeviceId", params.audioDeviceId || "");
 
       // Send the FormData using fetch
       const response = await fetch(url, {
         method: "POST",
+        headers: getAuthHeaders(),
         body: formData,
       });
 
@@ -366,6 +404,8 @@ export const processWithGeminiApi = async (
         headers: {
           "Content-Type": "application/json",
           Accept: "application/json",
+          "X-Session-Id": getSessionId(),
+          ...getAuthHeaders(),
         },
         body: JSON.stringify(params),
       });
@@ -398,6 +438,8 @@ export const cancelRequestApi = async (): Promise<boolean> => {
       headers: {
         "Content-Type": "application/json",
         Accept: "application/json",
+        "X-Session-Id": getSessionId(),
+        ...getAuthHeaders(),
       },
       // No body needed for cancel usually
     });
@@ -435,6 +477,8 @@ export const getStatusApi = async (): Promise<{
       headers: {
         Accept: "application/json",
         "Content-Type": "application/json",
+        "X-Session-Id": getSessionId(),
+        ...getAuthHeaders(),
       },
     });
     if (!response.ok) {
@@ -450,3 +494,95 @@ export const getStatusApi = async (): Promise<{
     return null;
   }
 };
+
+/**
+ * Fetches the question context profiles configured on the server.
+ * Returns an empty list on failure so callers can keep their defaults.
+ */
+export const fetchContextsApi = async (): Promise<ContextProfile[]> => {
+  const url = `${API_BASE_URL}/contexts`;
+  console.log(`Calling API: GET ${url}`);
+  try {
+    const response = await fetch(url, {
+      method: "GET",
+      headers: {
+        Accept: "application/json",
+        ...getAuthHeaders(),
+      },
+    });
+    if (!response.ok) {
+      throw new Error(`API Error: ${response.status} ${response.statusText}`);
+    }
+    const data = await response.json();
+    return Array.isArray(data.contexts) ? data.contexts : [];
+  } catch (error) {
+    console.error("Error calling contexts API:", error);
+    return [];
+  }
+};
+
+interface HistoryQuery {
+  page?: number;
+  limit?: number;
+  q?: string; // Full-text search
+  from?: string; // ISO date
+  to?: string; // ISO date
+}
+
+/**
+ * Fetches a page of the Q&A history shared by all clients.
+ * Returns null on failure so callers can fall back to the local history.
+ */
+export const fetchHistoryApi = async (
+  query: HistoryQuery = {}
+): Promise<ServerHistoryPage | null> => {
+  const searchParams = Object.entries(query)
+    .filter(([, value]) => value !== undefined && value !== "")
+    .map(
+      ([key, value]) =>
+        `${encodeURIComponent(key)}=${encodeURIComponent(String(value))}`
+    )
+    .join("&");
+  const url = `${API_BASE_URL}/history${searchParams ? `?${searchParams}` : ""}`;
+  console.log(`Calling API: GET ${url}`);
+  try {
+    const response = await fetch(url, {
+      method: "GET",
+      headers: {
+        Accept: "application/json",
+        ...getAuthHeaders(),
+      },
+    });
+    if (!response.ok) {
+      throw new Error(`API Error: ${response.status} ${response.statusText}`);
+    }
+    return await response.json();
+  } catch (error) {
+    console.error("Error calling history API:", error);
+    return null;
+  }
+};
+
+/**
+ * Deletes the whole Q&A history on the server (for every client).
+ */
+export const clearHistoryApi = async (): Promise<boolean> => {
+  const url = `${API_BASE_URL}/history`;
+  console.log(`Calling API: DELETE ${url}`);
+  try {
+    const response = await fetch(url, {
+      method: "DELETE",
+      headers: {
+        Accept: "application/json",
+        ...getAuthHeaders(),
+      },
+    });
+    if (!response.ok) {
+      throw new Error(`API Error: ${response.status} ${response.statusText}`);
+    }
+    return true;
+  } catch (error) {
+    console.error("Error calling clear history API:", error);
+    return false;
+  }
+};
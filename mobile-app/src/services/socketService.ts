@@ -1,6 +1,8 @@
 import { io, Socket } from "socket.io-client";
 import { API_URL } from "@env";
 import { Platform } from "react-native";
+import { getSessionId } from "../utils/session";
+import { getApiToken, getAuthHeaders } from "./apiService";
 
 // Check if API_URL is loaded correctly
 if (!API_URL) {
@@ -31,6 +33,8 @@ export const getSocket = (): Socket => {
       autoConnect: true,
       forceNew: true,
       path: "/socket.io", // Explicitly set the path
+      // Keeps this device's state separate on the server; the token is required
+      auth: { sessionId: getSessionId(), token: getApiToken() },
       extraHeaders: {
         "User-Agent": "MobileApp/1.0", // Add custom header for debugging
       },
@@ -65,6 +69,7 @@ export const getSocket = (): Socket => {
         reconnectionDelay: 1000,
         reconnectionDelayMax: 15000,
         timeout: 30000,
+        auth: { sessionId: getSessionId(), token: getApiToken() },
         query: {
           client: "mobile-app-fallback",
           transport: "polling",
@@ -185,6 +190,7 @@ export const checkServerReachability = async (): Promise<boolean> => {
         headers: {
           Accept: "application/json",
           "User-Agent": "MobileApp/1.0",
+          ...getAuthHeaders(),
         },
         // Disable cache to ensure fresh response
         cache: "no-store",
@@ -338,6 +344,7 @@ export const checkAndFixSocketConnection = async (): Promise<boolean> => {
           timeout: 30000,
           autoConnect: true,
           forceNew: true,
+          auth: { sessionId: getSessionId(), token: getApiToken() },
           query: {
             client: "mobile-app-reconnect",
             transport: "polling",
@@ -375,6 +382,7 @@ export const checkAndFixSocketConnection = async (): Promise<boolean> => {
         timeout: 30000,
         autoConnect: true,
         forceNew: true,
+        auth: { sessionId: getSessionId(), token: getApiToken() },
         // Use type assertion to add non-standard options
         ...({
           pingInterval: 10000, // More frequent pings
@@ -441,7 +449,7 @@ export const diagnoseConnection = async (): Promise<{
     const statusUrl = `${SERVER_URL}/api/v1/status`;
     const statusResponse = await fetch(statusUrl, {
       method: "GET",
-      headers: { Accept: "application/json" },
+      headers: { Accept: "application/json", ...getAuthHeaders() },
       cache: "no-store",
       signal: AbortSignal.timeout(5000),
     });
@@ -7,3 +7,29 @@ export interface HistoryEntry {
   questionContext: string; // Keep as string for flexibility
   customContext?: string; // Optional
 }
+
+// Entry of the shared history stored on the server (/api/v1/history)
+export interface ServerHistoryAnswer {
+  source: "primary" | "backup";
+  model: string;
+  answer: string;
+  durationMs?: number;
+}
+
+export interface ServerHistoryEntry {
+  id: string;
+  createdAt: string; // ISO date
+  question: string;
+  language: string | null;
+  questionContext: string | null;
+  customContext: string;
+  answers: ServerHistoryAnswer[];
+}
+
+export interface ServerHistoryPage {
+  entries: ServerHistoryEntry[];
+  total: number;
+  page: number;
+  limit: number;
+  pages: number;
+}
@@ -7,20 +7,30 @@ export type Status =
   | "error"
   | "connecting";
 export type Language = "vi" | "en";
-export type QuestionContext =
-  | "interview"
-  | "general"
-  | "html/css/javascript"
-  | "typescript"
-  | "reactjs"
-  | "nextjs";
+// Id of a context profile served by /api/v1/contexts (e.g. "general")
+export type QuestionContext = string;
+
+export interface ContextProfile {
+  id: QuestionContext;
+  name: string;
+  defaultModel?: string | null;
+}
 
 export type AudioSourceType = "microphone" | "system" | "both";
 
+export interface AnsweredQuestion {
+  question: string;
+  answer: string;
+}
+
 export interface SocketUpdateData {
-  transcript?: string;
+  transcript?: string; // Legacy: detected questions joined with " | "
   answer?: string;
   fullAnswer?: string;
+  questions?: AnsweredQuestion[];
+  rawTranscript?: string;
+  language?: string;
+  model?: string;
   audioFile?: string;
   processedWithGemini?: boolean;
   isFollowUp?: boolean;
@@ -28,6 +38,19 @@ export interface SocketUpdateData {
 
 export interface SocketStreamChunkData {
   chunk: string;
+  source?: "primary" | "backup" | "candidate";
+  model?: string;
+  index?: number;
+}
+
+export interface SocketModelRetryData {
+  source: "primary" | "backup" | "candidate" | "transcriber";
+  model: string | null;
+  attempt: number;
+  nextModel: string | null;
+  delayMs: number;
+  fallback: boolean;
+  error: string;
 }
 
 export interface SocketErrorData {
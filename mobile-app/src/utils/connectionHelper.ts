@@ -1,5 +1,6 @@
 import { API_URL } from "@env";
 import { Platform } from "react-native";
+import { getAuthHeaders } from "../services/apiService";
 
 /**
  * Helper utility to diagnose connection issues
@@ -72,6 +73,7 @@ const tryConnection = async (url: string): Promise<ConnectionResult> => {
         headers: {
           "Content-Type": "application/json",
           Accept: "application/json",
+          ...getAuthHeaders(),
         },
       });
 
@@ -1,6 +1,7 @@
 import AsyncStorage from "@react-native-async-storage/async-storage";
-import { HistoryEntry } from "../types/history";
+import { HistoryEntry, ServerHistoryEntry } from "../types/history";
 import { Alert } from "react-native"; // For confirmation dialog
+import { fetchHistoryApi } from "../services/apiService";
 
 // Ensure consistent key usage
 const HISTORY_KEY = "audioListenerHistory";
@@ -32,6 +33,35 @@ export const loadHistory = async (): Promise<HistoryEntry[]> => {
   }
 };
 
+/**
+ * Converts a server history entry to the local entry shape.
+ * The primary model's answer is shown; backup answers are kept on the server.
+ */
+const fromServerEntry = (entry: ServerHistoryEntry): HistoryEntry => ({
+  id: entry.id,
+  timestamp: Date.parse(entry.createdAt),
+  question: entry.question,
+  answer: entry.answers[0]?.answer || "",
+  language: entry.language === "vi" ? "vi" : "en",
+  questionContext: entry.questionContext || "general",
+  customContext: entry.customContext || undefined,
+});
+
+/**
+ * Loads the history shared by all clients from the server (newest first).
+ * Returns null if the server could not be reached.
+ */
+export const loadServerHistory = async (
+  limit = 100
+): Promise<HistoryEntry[] | null> => {
+  const page = await fetchHistoryApi({ limit });
+  if (!page) {
+    return null;
+  }
+  console.log(`Loaded ${page.entries.length} of ${page.total} server entries`);
+  return page.entries.map(fromServerEntry);
+};
+
 /**
  * Saves a new entry to the history array in AsyncStorage.
  * Adds the new entry to the beginning of the array.
@@ -0,0 +1,15 @@
+/**
+ * Client session id shared by the REST and Socket.IO clients.
+ * The server keys follow-up context and cancel state by this id, so this
+ * device never sees another device's processing state.
+ */
+
+// Generated once per app launch
+const SESSION_ID = `mobile-${Date.now().toString(36)}-${Math.random()
+  .toString(36)
+  .slice(2, 10)}`;
+
+/**
+ * Returns the session id of this app instance.
+ */
+export const getSessionId = (): string => SESSION_ID;
@@ -1,5 +1,7 @@
 declare module "@env" {
   export const API_URL: string;
+  // API token issued by the server (npm run tokens -- create <name>)
+  export const API_TOKEN: string;
 
   // Add other environment variables here if needed
   // export const ANOTHER_VAR: string;
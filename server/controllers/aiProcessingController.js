@@ -1,194 +1,1030 @@
 const fs = require("fs");
-const { processAudioWithGemini } = require("../utils/ai");
+const {
+  processAudioWithModel,
+  generateAnswer,
+  judgeAnswers,
+} = require("../utils/ai");
+const {
+  transcribeAudioFile,
+  getDefaultTranscriber,
+  isLocalTranscriber,
+} = require("../utils/transcription");
 const baseController = require("./baseController");
 const { tryCatch } = require("../lib/tryCatch");
 const backendEvents = require("../lib/events");
 const { DEFAULT_MODEL_NAME } = require("../lib/ai-client");
+const { resolveSessionId } = require("../lib/sessions");
+const { resolveModel, getResolvedModelId } = require("../lib/providers");
+const { resolveContext } = require("../lib/contexts");
+const { addTurn } = require("../lib/conversations");
+const { addHistoryEntry, addHistoryAnswer } = require("../lib/history");
+const { findRecordingByFile } = require("../lib/audio-store");
+const { chargeModelCall } = require("../lib/quotas");
+const { meterModelCall } = require("../lib/usage");
+const { detectQuestion } = require("../utils/question-detector");
+const {
+  DIARIZATION_MODES,
+  diarizeAudioFile,
+  getSpeakerText,
+} = require("../utils/diarization");
+const {
+  describeModelError,
+  getModelChain,
+  runWithPolicy,
+} = require("../utils/retry-policy");
 
 /**
- * Process audio directly with Gemini (bypassing Speech-to-Text)
+ * Processing pipelines
+ * - "direct": the model answers straight from the audio (one call)
+ * - "two-stage": a speech-to-text backend transcribes first, then the model
+ *   answers the exact transcript
+ */
+const PIPELINES = ["direct", "two-stage"];
+
+/**
+ * Strategies for running several models on one request
+ * - "primary+backup": the first model is the answer, the second one runs
+ *   alongside and is shown as a backup
+ * - "race": the first model to answer is the main answer; the others are
+ *   aborted unless abortLosers is false
+ * - "all": every model answers and each answer is emitted as it arrives
+ */
+const STRATEGIES = ["primary+backup", "race", "all"];
+
+/**
+ * Gets the multi-model strategy for a request
+ * @param {Object} params - Normalized request parameters
+ * @returns {string} - One of STRATEGIES
+ */
+function getStrategy(params) {
+  return STRATEGIES.includes(params.strategy)
+    ? params.strategy
+    : "primary+backup";
+}
+
+/**
+ * Gets the pipeline for a request, falling back to AI_PIPELINE
+ * @param {Object} params - Normalized request parameters
+ * @returns {string} - "direct" or "two-stage"
+ */
+function getPipeline(params) {
+  if (PIPELINES.includes(params.pipeline)) {
+    return params.pipeline;
+  }
+  return PIPELINES.includes(process.env.AI_PIPELINE)
+    ? process.env.AI_PIPELINE
+    : "direct";
+}
+
+/**
+ * Gets the speaker diarization mode for a request
+ * Answering only the remote speaker needs speaker labels, so remoteOnly
+ * without a mode uses a model that labels speakers
+ * @param {Object} params - Normalized request parameters
+ * @returns {string|null} - One of DIARIZATION_MODES or null (no diarization)
+ */
+function getDiarization(params) {
+  if (DIARIZATION_MODES.includes(params.diarization)) {
+    return params.diarization;
+  }
+  return params.remoteOnly ? "model" : null;
+}
+
+/**
+ * Process audio with the selected AI model
  * @param {string} filePath - Path to audio file
  * @param {string} lang - Language code
  * @param {string} questionContext - Context for the question
  * @param {string} customContext - Custom context information
+ * @param {string} modelName - "provider:model" or a Gemini model (null for the default model)
+ * @param {Object} [options] - Extra options
+ * @param {Function} [options.onChunk] - Called with each streamed answer chunk
+ * @param {Array<Object>} [options.history] - Previous turns for follow-ups
+ * @param {AbortSignal} [options.signal] - Aborts the model call (job cancelled)
+ * @param {Function} [options.onUsage] - Receives the token usage of each
+ *   model call
  * @returns {Promise<Object|null>} - Processing result or null if cancelled
  */
-async function processAudioDirectlyWithGemini(
+async function processAudioDirectlyWithModel(
   filePath,
   lang = "en",
   questionContext = "general",
   customContext = "",
   modelName = null,
+  options = {},
 ) {
-  console.log(`Processing audio directly with Gemini: ${filePath}`);
+  const {
+    onChunk = null,
+    history = [],
+    signal = null,
+    onUsage = null,
+  } = options;
+  console.log(
+    `Processing audio with ${modelName || "default model"}: ${filePath}`,
+  );
 
   // Check if processing is cancelled before starting
-  if (baseController.isProcessingCancelled()) {
-    console.log("Processing cancelled, aborting Gemini processing");
+  if (signal?.aborted) {
+    console.log("Processing cancelled, aborting AI processing");
     return null;
   }
 
   const result = await tryCatch(
-    processAudioWithGemini(
+    processAudioWithModel(
       filePath,
       lang,
       questionContext,
       customContext,
       modelName,
+      { onChunk, history, signal, onUsage },
     ),
   );
 
   if (result.error) {
-    console.error("Error processing audio with Gemini:", result.error.message);
+    console.error(
+      "Error processing audio with AI model:",
+      result.error.message,
+    );
     throw result.error;
   }
 
   // Check if processing is cancelled after receiving results
-  if (baseController.isProcessingCancelled()) {
-    console.log("Processing cancelled after Gemini processing");
+  if (signal?.aborted) {
+    console.log("Processing cancelled after AI processing");
     return null;
   }
 
   return {
     transcript:
-      result.data.transcript || "Audio processed directly with Gemini",
+      result.data.transcript || "Audio processed directly with AI model",
     answer: result.data.answer,
+    questions: result.data.questions,
+    rawTranscript: result.data.rawTranscript,
+    language: result.data.language,
+    model: result.data.model,
     audioFile: filePath,
     processedWithGemini: true,
   };
 }
 
+/**
+ * Answer an already transcribed question with the selected AI model
+ * @param {string} transcript - Question text
+ * @param {Object} params - Normalized request parameters
+ * @param {string} modelName - "provider:model" or a Gemini model (null for the default model)
+ * @param {Object} [options] - Extra options
+ * @param {Function} [options.onChunk] - Called with each streamed answer chunk
+ * @param {Array<Object>} [options.history] - Previous turns for follow-ups
+ * @param {AbortSignal} [options.signal] - Aborts the model call (job cancelled)
+ * @param {Function} [options.onUsage] - Receives the token usage of the call
+ * @returns {Promise<Object|null>} - Processing result or null if cancelled
+ */
+async function processTranscriptWithModel(
+  transcript,
+  params,
+  modelName = null,
+  options = {},
+) {
+  const {
+    onChunk = null,
+    history = [],
+    signal = null,
+    onUsage = null,
+  } = options;
+  if (signal?.aborted) {
+    console.log("Processing cancelled, aborting AI processing");
+    return null;
+  }
+
+  const { provider, modelName: resolvedModelName } = resolveModel(modelName);
+  const result = await tryCatch(
+    generateAnswer(
+      transcript,
+      params.lang,
+      params.questionContext,
+      history,
+      modelName,
+      { customContext: params.customContext, onChunk, onUsage, signal },
+    ),
+  );
+
+  if (result.error) {
+    console.error("Error answering transcript:", result.error.message);
+    throw result.error;
+  }
+
+  if (signal?.aborted) {
+    console.log("Processing cancelled after AI processing");
+    return null;
+  }
+
+  return {
+    transcript,
+    answer: result.data,
+    questions: [{ question: transcript, answer: result.data }],
+    rawTranscript: transcript,
+    language: params.lang,
+    model: `${provider.name}:${resolvedModelName}`,
+    audioFile: params.audioFile,
+    processedWithGemini: true,
+  };
+}
+
+/**
+ * Builds the history record of one model's answer
+ * @param {Object} result - Processing result
+ * @param {string} source - "primary" or "backup"
+ * @returns {Object} - History answer
+ */
+function toHistoryAnswer(result, source) {
+  return {
+    source,
+    model: result.model,
+    answer: result.answer,
+    questions: result.questions || [],
+    durationMs: result.durationMs,
+  };
+}
+
+/**
+ * Stores a completed answer in the Q&A history
+ * History is best effort: a storage failure never fails the request
+ * @param {Object} result - Primary processing result
+ * @param {Object} params - Normalized request parameters
+ * @param {string} pipeline - Pipeline used
+ * @returns {string|null} - History entry id or null if it was not stored
+ */
+function recordHistoryEntry(result, params, pipeline) {
+  try {
+    const entry = addHistoryEntry(
+      {
+        sessionId: params.sessionId,
+        conversationId: result.conversationId,
+        question: result.transcript,
+        questions: result.questions,
+        rawTranscript: result.rawTranscript,
+        questionContext: params.questionContext,
+        customContext: params.customContext,
+        language: result.language || params.lang,
+        pipeline,
+        isFollowUp: params.isFollowUp,
+        audioFile: result.audioFile,
+        recordingId: params.recordingId,
+        speakerTurns: result.speakerTurns,
+      },
+      toHistoryAnswer(result, "primary"),
+    );
+    return entry.id;
+  } catch (error) {
+    console.error("Error storing history entry:", error);
+    return null;
+  }
+}
+
+/**
+ * Gets the model that judges the answers of several models
+ * @param {Object} params - Normalized request parameters
+ * @returns {string} - Model id
+ */
+function getJudgeModel(params) {
+  return params.judgeModel || process.env.JUDGE_MODEL || DEFAULT_MODEL_NAME;
+}
+
+/**
+ * Asks the judge model to merge the answers of several models
+ * Emits judgeUpdate with the merged answer and the points the answers
+ * disagree on, or with an error; a failed judge never fails the request
+ * @param {Object} options - Judge options
+ * @param {string} options.question - The question that was answered
+ * @param {Array<Object>} options.answers - Answers ({ model, answer })
+ * @param {Object} options.params - Normalized request parameters
+ * @param {AbortSignal} options.signal - Aborts the judge (job cancelled)
+ * @param {Object} options.target - Event target
+ * @param {string|null} options.historyId - History entry of the answers
+ * @returns {Promise<Object|null>} - { answer, disagreements, model,
+ *   judgedModels, durationMs } or null if it failed or was cancelled
+ */
+async function runJudge({
+  question,
+  answers,
+  params,
+  signal,
+  target,
+  historyId,
+}) {
+  const judgeModel = getJudgeModel(params);
+  const judgedModels = answers.map((item) => item.model);
+  const startedAt = Date.now();
+
+  const emitError = (error) =>
+    backendEvents.emit(
+      "judgeUpdate",
+      { error, model: judgeModel, judgedModels, historyId },
+      target,
+    );
+
+  if (answers.length < 2) {
+    emitError("Only one model answered, there is nothing to compare.");
+    return null;
+  }
+
+  console.log(`Judging ${judgedModels.join(", ")} with ${judgeModel}`);
+  const judged = await tryCatch(
+    runWithPolicy(
+      [judgeModel],
+      (modelName, attemptSignal) =>
+        meterModelCall(
+          (onUsage) =>
+            judgeAnswers(
+              question,
+              answers.map(({ model, answer }) => ({ model, answer })),
+              params.lang,
+              modelName,
+              { signal: attemptSignal, onUsage },
+            ),
+          {
+            model: getResolvedModelId(modelName),
+            sessionId: params.sessionId,
+          },
+        ).then(({ result, usage }) => ({ ...result, usage })),
+      { signal, onAttempt: () => chargeModelCall(params.quotaKey) },
+    ),
+  );
+  if (signal.aborted) {
+    return null;
+  }
+  if (judged.error) {
+    console.error("Error judging answers:", judged.error);
+    emitError(describeModelError(judged.error, params.lang));
+    return null;
+  }
+
+  const judge = {
+    ...judged.data.result,
+    attempt: judged.data.attempt,
+    judgedModels,
+    durationMs: Date.now() - startedAt,
+  };
+
+  if (historyId) {
+    try {
+      addHistoryAnswer(historyId, {
+        source: "judge",
+        model: judge.model,
+        answer: judge.answer,
+        questions: [],
+        disagreements: judge.disagreements,
+        durationMs: judge.durationMs,
+      });
+    } catch (error) {
+      console.error("Error storing judge answer in history:", error);
+    }
+  }
+
+  backendEvents.emit("judgeUpdate", { ...judge, historyId }, target);
+  return judge;
+}
+
+/**
+ * Runs several models on the same request for the "race" and "all" strategies
+ * Each answer is emitted as a modelAnswer event as it arrives. The first
+ * successful answer is the main answer: it goes to the thread and history and
+ * is also sent as the usual update event. Later answers are added to its
+ * history entry; with abortLosers the other models are aborted instead.
+ * @param {Object} options - Run options
+ * @param {Array<string>} options.models - Models to run
+ * @param {string} options.strategy - "race" or "all"
+ * @param {boolean} options.abortLosers - Abort the others once one answered
+ * @param {AbortSignal} options.signal - Aborts every model (job cancelled)
+ * @param {Object} options.target - Event target
+ * @param {string} options.audioFile - Processed audio file
+ * @param {Function} options.runModel - (model, index, signal) => result
+ * @param {Function} options.recordMainResult - Stores the main answer
+ * @param {Function} options.recordOtherAnswer - Stores another answer
+ * @param {Function} [options.judge] - (answers, main) => judge result, when
+ *   the answers should be judged
+ * @returns {Promise<Object|null>} - Main result with every answer, or null if
+ *   cancelled
+ */
+async function runCompetingModels({
+  models,
+  strategy,
+  abortLosers,
+  signal,
+  target,
+  audioFile,
+  runModel,
+  recordMainResult,
+  recordOtherAnswer,
+  judge = null,
+}) {
+  // Each model gets its own controller so the losers can be stopped
+  const controllers = models.map(() => new AbortController());
+  const abortAll = () =>
+    controllers.forEach((controller) => controller.abort());
+  signal.addEventListener("abort", abortAll, { once: true });
+
+  let main = null;
+  const answers = [];
+  const errors = [];
+
+  const settle = async (modelName, index) => {
+    const outcome = await tryCatch(
+      runModel(modelName, index, controllers[index].signal),
+    );
+    if (signal.aborted || controllers[index].signal.aborted) return;
+    if (outcome.error || !outcome.data) {
+      console.error(
+        `Error processing audio with ${modelName}:`,
+        outcome.error?.message,
+      );
+      errors.push(outcome.error || new Error(`${modelName} gave no answer`));
+      return;
+    }
+
+    const result = { ...outcome.data, index };
+    const isMain = main === null;
+    if (isMain) {
+      main = recordMainResult(result);
+      if (abortLosers) {
+        controllers.forEach((controller, other) => {
+          if (other !== index) controller.abort();
+        });
+      }
+    } else {
+      recordOtherAnswer(main.historyId, result, "candidate");
+    }
+    answers.push(toHistoryAnswer(result, isMain ? "primary" : "candidate"));
+
+    backendEvents.emit(
+      "modelAnswer",
+      {
+        ...result,
+        strategy,
+        main: isMain,
+        historyId: main.historyId || null,
+      },
+      target,
+    );
+    if (isMain) {
+      backendEvents.emit(
+        "update",
+        {
+          ...result,
+          strategy,
+          selectedModel: models[index],
+          backupModel: null,
+          // Models whose answers may still arrive as modelAnswer events
+          otherModels: abortLosers
+            ? []
+            : models.filter((model, other) => other !== index),
+          judge: Boolean(judge),
+        },
+        target,
+      );
+    }
+  };
+
+  await Promise.all(models.map(settle));
+  signal.removeEventListener("abort", abortAll);
+
+  if (signal.aborted) {
+    return null;
+  }
+  if (!main) {
+    // Every model failed; report the last error (keeps its HTTP status)
+    throw errors[errors.length - 1];
+  }
+
+  const judgeResult = judge ? await judge(answers, main) : null;
+  if (signal.aborted) {
+    return null;
+  }
+
+  return {
+    ...main,
+    audioFile,
+    strategy,
+    models,
+    answers,
+    judge: judgeResult,
+  };
+}
+
 // Controller methods
 const aiProcessingController = {
-  // Process audio file with Gemini Logic
-  processAudioFileWithGemini: async (fileToProcess, params) => {
+  /**
+   * Process an audio file with the selected model(s)
+   * Emits streamChunk, update and backupUpdate events to the client and
+   * resolves once both the primary and the backup model are done
+   * @param {string} fileToProcess - Path to the audio file
+   * @param {Object} params - Normalized request parameters
+   * @param {Object} [options] - Extra options
+   * @param {AbortSignal} [options.signal] - Aborts all model calls (job cancelled)
+   * @param {Object} [options.transcription] - { transcript, transcriber } of the
+   *   whole file when it is already known (two-stage pipeline only)
+   * @param {string} [options.sourceFile] - Recording as uploaded, before the
+   *   mono conversion (channel diarization)
+   * @returns {Promise<Object|null>} - Primary result (with the backup answer)
+   *   or null if cancelled
+   */
+  processAudioFileWithGemini: async (fileToProcess, params, options = {}) => {
+    const {
+      signal = new AbortController().signal,
+      transcription = null,
+      sourceFile = fileToProcess,
+    } = options;
+    const { sessionId } = params;
+    const target = baseController.getEventTarget(params);
+    const startedAt = Date.now();
+    // Diarized recordings are answered from their labelled transcript
+    const diarization = getDiarization(params);
+    const pipeline = diarization ? "two-stage" : getPipeline(params);
+
     // Reset retry count when switching to Gemini
-    baseController.setRetryCount(0);
+    baseController.setRetryCount(sessionId, 0);
 
-    // Inform client we're processing
-    backendEvents.emit("processing");
+    // `models` lists every model to run, older clients send model and model2;
+    // an empty entry means the context profile's default model
+    const strategy = getStrategy(params);
+    const contextProfile = resolveContext(params.questionContext);
+    const requestedModels =
+      params.models.length > 0
+        ? params.models
+        : [params.model, ...(params.model2?.trim() ? [params.model2] : [])];
+    const models = requestedModels.map(
+      (model) => model || contextProfile?.defaultModel || DEFAULT_MODEL_NAME,
+    );
+    const primaryModel = models[0];
+    const selectedModel = primaryModel;
 
     // Determine if a second model call is needed (when user selected a second model)
-    const selectedModel = params.model || DEFAULT_MODEL_NAME;
-    const isBackupNeeded =
-      typeof params.model2 === "string" && params.model2.trim().length > 0;
-    const backupModelName = isBackupNeeded ? params.model2 : null;
-
-    // Fire both model calls concurrently from the start
-    const model1Promise = processAudioDirectlyWithGemini(
-      fileToProcess,
-      params.lang,
-      params.questionContext,
-      params.customContext,
-      params.model,
+    const isBackupNeeded = strategy === "primary+backup" && models.length > 1;
+    const backupModelName = isBackupNeeded ? models[1] : null;
+
+    // Stream partial answers to the client while each model is generating;
+    // `details` tells competing models apart ({ index })
+    const createChunkEmitter =
+      (source, modelName, attemptSignal, details) => (chunk) => {
+        if (attemptSignal.aborted) return;
+        backendEvents.emit(
+          "streamChunk",
+          { chunk, source, model: modelName, ...details },
+          target,
+        );
+      };
+
+    // Follow-ups carry the earlier turns of the session's thread as history
+    const history = baseController.handleFollowUpLogic(
+      sessionId,
+      params.isFollowUp,
     );
 
-    // model2Promise is wrapped to always resolve (never reject), preventing
-    // an unhandled rejection crash while we await model1Promise below
-    const model2Promise = isBackupNeeded
-      ? processAudioDirectlyWithGemini(
+    // Failed attempts are retried or handed to the next model; tell the
+    // client so it can drop the text streamed by the failed attempt
+    const createRetryReporter =
+      (source, details) =>
+      ({ model, attempt, nextModel, delayMs, error }) => {
+        baseController.incrementRetryCount(sessionId);
+        backendEvents.emit(
+          "modelRetry",
+          {
+            source,
+            model,
+            attempt,
+            nextModel,
+            delayMs,
+            fallback: nextModel !== model,
+            error: error.message,
+            ...details,
+          },
+          target,
+        );
+      };
+
+    // Transcribes the file under the retry policy; a streamed recording may
+    // already have been transcribed while it came in (without speaker labels,
+    // so not when diarizing)
+    let transcribed = diarization ? null : transcription;
+    const transcribeFile = async () => {
+      if (!transcribed) {
+        ({ result: transcribed } = await runWithPolicy(
+          [params.transcriber],
+          (transcriber, attemptSignal) =>
+            meterModelCall(
+              (onUsage) =>
+                diarization
+                  ? diarizeAudioFile(fileToProcess, {
+                      mode: diarization,
+                      lang: params.lang,
+                      transcriber,
+                      sourceFile,
+                      signal: attemptSignal,
+                      onUsage,
+                    })
+                  : transcribeAudioFile(
+                      fileToProcess,
+                      params.lang,
+                      transcriber,
+                      { signal: attemptSignal, onUsage },
+                    ),
+              { model: transcriber || getDefaultTranscriber(), sessionId },
+            ).then(({ result, usage }) => ({ ...result, usage })),
+          {
+            signal,
+            onRetry: createRetryReporter("transcriber"),
+            // The local Whisper CLI costs no model call; diarizing by
+            // channels transcribes both channels
+            onAttempt: ({ model: transcriber }) => {
+              if (isLocalTranscriber(transcriber)) return;
+              chargeModelCall(params.quotaKey);
+              if (diarization === "channels") chargeModelCall(params.quotaKey);
+            },
+          },
+        ));
+      }
+      return transcribed;
+    };
+
+    // The text to answer: everything that was said, or with remoteOnly just
+    // what the other party said
+    const getQuestionText = ({ transcript, turns }) =>
+      params.remoteOnly && turns ? getSpeakerText(turns, "remote") : transcript;
+
+    // Hands-free segments are only answered when they contain a question;
+    // the client hears nothing about the others but a segmentIgnored event
+    if (params.detectQuestion) {
+      const transcribedSegment = await transcribeFile();
+      if (signal.aborted) {
+        return null;
+      }
+
+      const transcript = getQuestionText(transcribedSegment);
+      const detection = detectQuestion(transcript, params.lang);
+      if (!detection.isQuestion) {
+        console.log(
+          `Ignoring segment without a question (${detection.reason}): ${transcript}`,
+        );
+        const ignored = {
+          skipped: true,
+          reason: detection.reason,
+          transcript,
+          transcriber: transcribedSegment.transcriber,
+          speakerTurns: transcribedSegment.turns,
+          audioFile: fileToProcess,
+        };
+        backendEvents.emit("segmentIgnored", ignored, target);
+        return ignored;
+      }
+    }
+
+    // Inform client we're processing
+    backendEvents.emit("processing", undefined, target);
+
+    let runModel;
+    if (pipeline === "two-stage") {
+      // Transcribe once, then let every selected model answer the transcript
+      const transcribedFile = await transcribeFile();
+      if (signal.aborted) {
+        return null;
+      }
+
+      const { transcriber, turns: speakerTurns } = transcribedFile;
+      const transcript = getQuestionText(transcribedFile);
+      console.log(
+        `Transcript from ${transcriber}: ${transcribedFile.transcript}`,
+      );
+      backendEvents.emit(
+        "transcript",
+        {
+          transcript,
+          transcriber,
+          audioFile: fileToProcess,
+          recordingId: params.recordingId || null,
+          // Usage of the transcription (none when the stream's partial
+          // transcript was reused)
+          usage: transcribedFile.usage || null,
+          ...(speakerTurns && {
+            speakerTurns,
+            labelledTranscript: transcribedFile.transcript,
+          }),
+        },
+        target,
+      );
+
+      if (!transcript || transcript.trim() === "") {
+        const emptyResult = baseController.handleEmptyTranscript(
+          params.lang,
+          fileToProcess,
+        );
+        if (speakerTurns) {
+          emptyResult.speakerTurns = speakerTurns;
+        }
+        backendEvents.emit("update", emptyResult, target);
+        return emptyResult;
+      }
+
+      runModel = async (modelName, onChunk, attemptSignal, onUsage) => {
+        const result = await processTranscriptWithModel(
+          transcript,
+          { ...params, audioFile: fileToProcess },
+          modelName,
+          { onChunk, history, signal: attemptSignal, onUsage },
+        );
+        // Diarized results carry the turns and the labelled transcript
+        return result && speakerTurns
+          ? {
+              ...result,
+              rawTranscript: transcribedFile.transcript,
+              speakerTurns,
+              diarization,
+            }
+          : result;
+      };
+    } else {
+      runModel = (modelName, onChunk, attemptSignal, onUsage) =>
+        processAudioDirectlyWithModel(
           fileToProcess,
           params.lang,
           params.questionContext,
           params.customContext,
-          backupModelName,
-        ).catch((err) => {
-          console.error("Error processing audio with backup model:", err);
-          return null;
+          modelName,
+          { onChunk, history, signal: attemptSignal, onUsage },
+        );
+    }
+
+    // Runs a model under the retry policy; the result records which attempt
+    // (and which model of the chain) produced the answer, its token usage,
+    // latency and cost, and the archived recording it answered, so clients
+    // can process it again
+    const runModelWithPolicy = async (
+      source,
+      modelChain,
+      { signal: runSignal = signal, details = {} } = {},
+    ) => {
+      const { result, attempt } = await runWithPolicy(
+        modelChain,
+        (modelName, attemptSignal) =>
+          meterModelCall(
+            (onUsage) =>
+              runModel(
+                modelName,
+                createChunkEmitter(source, modelName, attemptSignal, details),
+                attemptSignal,
+                onUsage,
+              ),
+            { model: getResolvedModelId(modelName), sessionId },
+          ).then(({ result, usage }) => result && { ...result, usage }),
+        {
+          signal: runSignal,
+          onRetry: createRetryReporter(source, details),
+          onAttempt: () => chargeModelCall(params.quotaKey),
+        },
+      );
+      return result
+        ? { ...result, attempt, recordingId: params.recordingId || null }
+        : result;
+    };
+
+    // Records how long a model took to answer, for the history
+    const withDuration = (result) =>
+      result ? { ...result, durationMs: Date.now() - startedAt } : result;
+
+    // Stores the main answer in the session's thread and in the history
+    const recordMainResult = (result) => {
+      result.isFollowUp = params.isFollowUp;
+      if (result.transcript) {
+        const conversation = addTurn(sessionId, {
+          question: result.transcript,
+          answer: result.answer,
+          model: result.model,
+        });
+        result.conversationId = conversation.id;
+        console.log(
+          `Stored turn ${conversation.turns.length} of conversation ${conversation.id}: ${result.transcript}`,
+        );
+        result.historyId = recordHistoryEntry(result, params, pipeline);
+      }
+      return result;
+    };
+
+    // Adds another model's answer to the main answer's history entry
+    const recordOtherAnswer = (historyId, result, source) => {
+      if (!historyId) return;
+      try {
+        addHistoryAnswer(historyId, toHistoryAnswer(result, source));
+      } catch (error) {
+        console.error(`Error storing ${source} answer in history:`, error);
+      }
+    };
+
+    // Several answers can be merged by a judge model (judge=true)
+    const judgeWith = (answers, main) =>
+      runJudge({
+        question: main.transcript,
+        answers,
+        params,
+        signal,
+        target,
+        historyId: main.historyId || null,
+      });
+
+    if (strategy !== "primary+backup") {
+      const abortLosers = strategy === "race" && params.abortLosers;
+      return runCompetingModels({
+        models,
+        strategy,
+        abortLosers,
+        signal,
+        target,
+        audioFile: fileToProcess,
+        runModel: (modelName, index, runSignal) =>
+          runModelWithPolicy("candidate", [modelName], {
+            signal: runSignal,
+            details: { index },
+          }).then(withDuration),
+        recordMainResult,
+        recordOtherAnswer,
+        judge:
+          params.judge && !abortLosers && models.length > 1 ? judgeWith : null,
+      });
+    }
+
+    // Fire both model calls concurrently from the start; only the primary
+    // model falls back to MODEL_FALLBACK_CHAIN
+    const model1Promise = runModelWithPolicy(
+      "primary",
+      getModelChain(primaryModel),
+    ).then(withDuration);
+
+    // The backup model has its own controller, so it stops (and stops being
+    // charged) when the job is cancelled or the primary model fails
+    const backupController = new AbortController();
+    const abortBackup = () => backupController.abort();
+    signal.addEventListener("abort", abortBackup, { once: true });
+
+    // model2Promise is wrapped to always resolve (never reject), preventing
+    // an unhandled rejection crash while we await model1Promise below
+    const model2Promise = isBackupNeeded
+      ? runModelWithPolicy("backup", [backupModelName], {
+          signal: backupController.signal,
         })
+          .then(withDuration)
+          .catch((err) => {
+            if (!backupController.signal.aborted) {
+              console.error("Error processing audio with backup model:", err);
+            }
+            return null;
+          })
       : null;
 
     // Wait for model1 and emit its result immediately
-    const result = await model1Promise;
+    const primary = await tryCatch(model1Promise);
+    const result = primary.data;
 
-    // Add follow-up flag to the result
-    if (result && !baseController.isProcessingCancelled()) {
-      result.isFollowUp = params.isFollowUp;
+    // Only continue if we have results and processing wasn't cancelled
+    if (primary.error || !result || signal.aborted) {
+      abortBackup();
+      signal.removeEventListener("abort", abortBackup);
+      if (primary.error) throw primary.error;
+      return null;
     }
 
-    // Handle follow-up logic
-    if (!params.isFollowUp && result && result.transcript) {
-      baseController.setLastQuestion(result.transcript);
-      console.log(
-        `Storing new question from Gemini: ${baseController.getLastQuestion()}`,
-      );
-    }
+    // Store the question and the primary answer in the thread and history
+    recordMainResult(result);
 
-    // Only continue if we have results and processing wasn't cancelled
-    if (result && !baseController.isProcessingCancelled()) {
-      // Emit model1 result immediately
-      backendEvents.emit("update", {
+    // Emit model1 result immediately
+    backendEvents.emit(
+      "update",
+      {
         ...result,
         selectedModel,
         backupModel: backupModelName,
-      });
+        judge: params.judge && isBackupNeeded,
+      },
+      target,
+    );
 
-      // Handle model2 result as it arrives (already in flight)
-      if (model2Promise) {
-        model2Promise.then((backupResult) => {
-          if (backupResult && !baseController.isProcessingCancelled()) {
-            backendEvents.emit("backupUpdate", {
-              answer: backupResult.answer,
-              transcript: backupResult.transcript,
-              audioFile: fileToProcess,
-              isFollowUp: params.isFollowUp,
-              processedWithGemini: true,
-            });
-          }
-        });
-      }
+    // Handle model2 result as it arrives (already in flight)
+    const backupResult = model2Promise ? await model2Promise : null;
+    signal.removeEventListener("abort", abortBackup);
+    if (backupResult && !signal.aborted) {
+      recordOtherAnswer(result.historyId, backupResult, "backup");
+      backendEvents.emit(
+        "backupUpdate",
+        {
+          answer: backupResult.answer,
+          transcript: backupResult.transcript,
+          questions: backupResult.questions,
+          rawTranscript: backupResult.rawTranscript,
+          language: backupResult.language,
+          model: backupResult.model,
+          attempt: backupResult.attempt,
+          usage: backupResult.usage,
+          historyId: result.historyId || null,
+          audioFile: fileToProcess,
+          isFollowUp: params.isFollowUp,
+          processedWithGemini: true,
+        },
+        target,
+      );
+    }
+
+    const judge =
+      params.judge && isBackupNeeded && !signal.aborted
+        ? await judgeWith([result, backupResult].filter(Boolean), result)
+        : null;
+    if (signal.aborted) {
+      return null;
     }
 
-    return true;
+    return {
+      ...result,
+      strategy,
+      selectedModel,
+      backupModel: backupModelName,
+      backup: backupResult ? toHistoryAnswer(backupResult, "backup") : null,
+      judge,
+    };
   },
 
-  // Process audio with Gemini AI directly
+  // Queue a job that processes the session's last (or the given) audio file
   processWithGemini: async (req, res) => {
     // Parse and prepare request parameters
-    const params = baseController.prepareRequestParams(req.body);
+    const params = baseController.prepareRequestParams({
+      ...req.body,
+      sessionId: resolveSessionId(req),
+    });
+    const { sessionId } = params;
+    const target = baseController.getEventTarget(params);
 
-    // Use the last processed file
-    const fileToProcess =
-      params.audioFile || baseController.getLastProcessedFile();
+    // Use the last processed file of this session; a file named in the
+    // request must belong to an archived recording of the caller, so neither
+    // arbitrary server paths nor other tokens' recordings are read
+    const namedRecording = params.audioFile
+      ? findRecordingByFile(params.audioFile)
+      : null;
+    const fileToProcess = params.audioFile
+      ? namedRecording &&
+        baseController.isRecordingOwner(namedRecording, req.auth) &&
+        params.audioFile
+      : baseController.getLastProcessedFile(sessionId);
 
     console.log(
       `Gemini processing request received. Processing file: ${fileToProcess}, IsFollowUp: ${
         params.isFollowUp
-      }, Current stored question: "${baseController.getLastQuestion()}"`,
+      }, Session: ${sessionId}, Current stored question: "${baseController.getLastQuestion(
+        sessionId,
+      )}"`,
     );
 
     // Reset cancellation flag for new processing task
-    baseController.setCancelled(false);
+    baseController.setCancelled(sessionId, false);
 
     if (!fileToProcess || !fs.existsSync(fileToProcess)) {
       const errorMsg = "No audio file available for Gemini processing";
       console.error(errorMsg);
-      backendEvents.emit("processingError", errorMsg);
+      backendEvents.emit("processingError", errorMsg, target);
       return res.status(400).send(errorMsg);
     }
 
-    const processingResult = await tryCatch(
-      aiProcessingController.processAudioFileWithGemini(fileToProcess, params),
-    );
+    // Uploads were already charged before they were archived
+    const quotaKey =
+      req.quotaKey ||
+      (await baseController.chargeRecordingAudio(req, res, fileToProcess));
+    if (!quotaKey) return;
 
-    if (processingResult.error) {
-      const errorResult = baseController.handleProcessingError(
-        processingResult.error,
-        params.lang,
-        fileToProcess,
-      );
-      if (!baseController.isProcessingCancelled()) {
-        backendEvents.emit("processingError", errorResult.error);
-        backendEvents.emit("update", errorResult);
-      }
-    }
+    // Files of archived recordings keep their recording for the job
+    const recording = findRecordingByFile(fileToProcess);
+    const jobParams = {
+      ...params,
+      audioFile: fileToProcess,
+      recordingId: recording ? recording.id : null,
+      quotaKey,
+    };
+    const job = baseController.createProcessingJob(
+      "gemini",
+      jobParams,
+      (signal) =>
+        aiProcessingController.processAudioFileWithGemini(
+          fileToProcess,
+          jobParams,
+          { signal },
+        ),
+    );
 
-    res.status(200).send("Gemini processing completed");
+    res.status(202).location(`/api/v1/jobs/${job.id}`).json({
+      success: true,
+      message: "Gemini processing queued",
+      sessionId,
+      job,
+    });
   },
 };
 
 // Export the module
 module.exports = {
-  processAudioDirectlyWithGemini,
+  processAudioDirectlyWithModel,
+  processTranscriptWithModel,
   ...aiProcessingController,
 };
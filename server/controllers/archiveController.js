@@ -0,0 +1,139 @@
+const fs = require("fs");
+const { getRecording, describeRecording } = require("../lib/audio-store");
+const { resolveSessionId } = require("../lib/sessions");
+const { createSignedUrl } = require("../lib/auth");
+const backendEvents = require("../lib/events");
+const baseController = require("./baseController");
+const recordingController = require("./recordingController");
+
+/**
+ * Looks up the archived recording of a request and answers 404 when it is
+ * unknown, its audio is gone or it belongs to another token's sessions (ids
+ * derive from the audio content, so they are guessable)
+ * @param {Object} req - Express request object (req.params.id)
+ * @param {Object} res - Express response object
+ * @returns {Object|null} - Recording, or null when the 404 was sent
+ */
+function findRequestedRecording(req, res) {
+  const recording = getRecording(req.params.id);
+  if (
+    !recording ||
+    !baseController.isRecordingOwner(recording, req.auth) ||
+    !fs.existsSync(recording.filePath)
+  ) {
+    res.status(404).json({ error: "Recording not found" });
+    return null;
+  }
+  return recording;
+}
+
+/**
+ * Controller for archived recordings (/api/v1/recordings)
+ * Recordings are addressed by the opaque id reported as recordingId in
+ * update events, job results and history entries
+ */
+const archiveController = {
+  /**
+   * Get the metadata of a recording, with a short-lived signed URL of its
+   * audio for players that cannot send the API token
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getRecording: (req, res) => {
+    const recording = findRequestedRecording(req, res);
+    if (!recording) return;
+
+    const { url, expiresAt } = createSignedUrl(
+      `/api/v1/recordings/${recording.id}/audio`,
+      req.auth,
+    );
+    res.json({
+      ...describeRecording(recording),
+      audioUrl: url,
+      audioUrlExpiresAt: expiresAt,
+    });
+  },
+
+  /**
+   * Stream the audio of a recording for playback (supports Range requests)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getRecordingAudio: (req, res) => {
+    const recording = findRequestedRecording(req, res);
+    if (!recording) return;
+
+    res.sendFile(
+      recording.filePath,
+      {
+        headers: {
+          "Content-Type": recording.mimeType || "application/octet-stream",
+        },
+      },
+      (error) => {
+        if (error && !res.headersSent) {
+          console.error(`Error sending recording ${recording.id}:`, error);
+          res.status(404).json({ error: "Recording not found" });
+        }
+      },
+    );
+  },
+
+  /**
+   * Queue a recording for processing again
+   * Accepts the same fields as an upload (model, model2, questionContext,
+   * customContext, language, pipeline, ...), so a past question can be
+   * re-asked with another model or context
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  processRecording: async (req, res) => {
+    const recording = findRequestedRecording(req, res);
+    if (!recording) return;
+
+    const quotaKey = await baseController.chargeRecordingAudio(
+      req,
+      res,
+      recording.filePath,
+    );
+    if (!quotaKey) return;
+
+    const params = {
+      ...baseController.prepareRequestParams({
+        ...req.body,
+        audioFile: recording.filePath,
+        sessionId: resolveSessionId(req),
+      }),
+      recordingId: recording.id,
+      quotaKey,
+    };
+    const { sessionId } = params;
+
+    // Reset retry count and cancel flag like a new upload
+    baseController.setRetryCount(sessionId, 0);
+    baseController.setCancelled(sessionId, false);
+    backendEvents.emit(
+      "processing",
+      undefined,
+      baseController.getEventTarget(params),
+    );
+
+    const job = baseController.createProcessingJob("replay", params, (signal) =>
+      recordingController.processUploadedAudio(
+        recording.filePath,
+        params,
+        signal,
+      ),
+    );
+
+    res.status(202).location(`/api/v1/jobs/${job.id}`).json({
+      success: true,
+      message: "Recording queued for processing",
+      sessionId,
+      recordingId: recording.id,
+      job,
+    });
+  },
+};
+
+module.exports = archiveController;
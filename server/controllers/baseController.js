@@ -1,14 +1,68 @@
-let isRecording = false;
-let currentOutputFile = null;
-let lastProcessedFile = null;
-let retryCount = 0;
-let isProcessingCancelled = false;
-let lastQuestion = null;
+const {
+  getSession,
+  peekSession,
+  getSessionCount,
+  normalizeSessionId,
+  isSessionOwner,
+} = require("../lib/sessions");
+const { createJob, cancelSessionJobs, getQueueStats } = require("../lib/jobs");
+const { getStreamCount } = require("../lib/audio-streams");
+const { pinRecording, unpinRecording } = require("../lib/audio-store");
+const { tryCatch } = require("../lib/tryCatch");
+const backendEvents = require("../lib/events");
+const {
+  getActiveConversation,
+  getHistory,
+  getLastQuestion,
+} = require("../lib/conversations");
+const {
+  describeModelError,
+  getErrorStatus,
+  isRetryableError,
+} = require("../utils/retry-policy");
+const {
+  getAudioFormatSupport,
+  getAudioDuration,
+} = require("../utils/audio-format");
+const {
+  getRequestQuotaOwner,
+  chargeAudioSeconds,
+  sendQuotaError,
+} = require("../lib/quotas");
 
 /**
  * Common functions for request handling
  */
 
+/**
+ * Parses a boolean request field
+ * Multipart form fields arrive as strings, so "true" counts as true
+ * @param {*} value - Raw field value
+ * @returns {boolean} - Parsed value
+ */
+function parseBooleanParam(value) {
+  return value === true || value === "true" || value === "1" || value === "on";
+}
+
+/**
+ * Parses a list request field: a JSON array, repeated form fields or a
+ * comma-separated string. Empty entries are kept as null so positions stay
+ * meaningful (e.g. "" for the default model)
+ * @param {*} value - Raw field value
+ * @returns {Array<string|null>} - Parsed list (empty when not given)
+ */
+function parseListParam(value) {
+  let items = [];
+  if (Array.isArray(value)) {
+    items = value;
+  } else if (typeof value === "string" && value.trim().length > 0) {
+    items = value.split(",");
+  }
+  return items.map((item) =>
+    typeof item === "string" && item.trim().length > 0 ? item.trim() : null,
+  );
+}
+
 /**
  * Prepares common parameters from request body
  * @param {Object} reqBody - Request body
@@ -20,36 +74,70 @@ function prepareRequestParams(reqBody) {
     languageCode: reqBody.language, // "en" or "vi"
     questionContext: reqBody.questionContext || "general",
     customContext: reqBody.customContext || "",
-    isFollowUp: reqBody.isFollowUp === true,
+    isFollowUp: parseBooleanParam(reqBody.isFollowUp),
     audioFile: reqBody.audioFile || null,
     model: reqBody.model || null,
     model2: reqBody.model2 || null,
+    models: parseListParam(reqBody.models), // Every model to run, in order
+    strategy: reqBody.strategy || null, // "primary+backup", "race" or "all"
+    // Merge the answers of several models with a judge model
+    judge:
+      reqBody.judge === undefined || reqBody.judge === null
+        ? process.env.JUDGE_ENABLED === "true"
+        : parseBooleanParam(reqBody.judge),
+    judgeModel: reqBody.judgeModel || null,
+    // Race only: abort the other models once one answered (default on)
+    abortLosers:
+      reqBody.abortLosers === undefined || reqBody.abortLosers === null
+        ? true
+        : parseBooleanParam(reqBody.abortLosers),
+    // Hands-free segments: only answer when the transcript asks a question
+    detectQuestion: parseBooleanParam(reqBody.detectQuestion),
+    pipeline: reqBody.pipeline || null, // "direct" or "two-stage"
+    // Speaker turns: "channels" (stereo remote/local recording) or "model"
+    diarization: reqBody.diarization || null,
+    // Only answer what the remote speaker (the other party) asked
+    remoteOnly: parseBooleanParam(reqBody.remoteOnly),
+    transcriber: reqBody.transcriber || null, // Speech-to-text backend id
+    sessionId: normalizeSessionId(reqBody.sessionId),
+    socketId: typeof reqBody.socketId === "string" ? reqBody.socketId : null,
+  };
+}
+
+/**
+ * Builds the delivery target for backend events emitted for a request
+ * @param {Object} params - Normalized request parameters
+ * @returns {{sessionId: string, socketId: string|null}} - Event target
+ */
+function getEventTarget(params) {
+  return {
+    sessionId: params.sessionId,
+    socketId: params.socketId || null,
   };
 }
 
 /**
  * Handles follow-up questions logic
+ * @param {string} sessionId - Session the question belongs to
  * @param {boolean} isFollowUp - Whether this is a follow-up question
- * @param {string} transcript - The current transcript
- * @param {boolean} storeQuestion - Whether to store this question for future follow-ups
- * @returns {string|null} - Previous question for context if this is a follow-up
+ * @returns {Array<Object>} - Previous turns of the session's thread to send as
+ *   chat history (empty for new questions)
  */
-function handleFollowUpLogic(isFollowUp, transcript, storeQuestion = true) {
-  // If this is a follow-up and we don't have a stored question, log a warning
-  if (isFollowUp && !lastQuestion) {
-    console.log(
-      "Follow-up requested but no previous question exists - proceeding but may not have context",
-    );
+function handleFollowUpLogic(sessionId, isFollowUp) {
+  if (!isFollowUp) {
+    return [];
   }
 
-  // If this is a new question (not a follow-up) and we should store it, save for future follow-ups
-  if (!isFollowUp && storeQuestion && transcript) {
-    lastQuestion = transcript;
-    console.log(`Storing new question: ${lastQuestion}`);
+  const history = getHistory(getActiveConversation(sessionId));
+
+  // If this is a follow-up and the thread is empty, log a warning
+  if (history.length === 0) {
+    console.log(
+      "Follow-up requested but the conversation has no previous turns - proceeding without context",
+    );
   }
 
-  // Return the context question if this is a follow-up
-  return isFollowUp ? lastQuestion : null;
+  return history;
 }
 
 // Handle the case where no speech was detected
@@ -84,65 +172,197 @@ function handleEmptyTranscript(languageCode, audioFile) {
 // Handle errors during processing
 function handleProcessingError(err, lang, audioFile) {
   console.error("Processing error:", err);
-  const errorMessage = err.message || "An error occurred during processing";
+  // Rate limits, timeouts and outages get a readable message, not the raw API error
+  const errorMessage = describeModelError(err, lang);
+  const errorAnswer =
+    lang === "vi" ? `Lỗi: ${errorMessage}` : `Error: ${errorMessage}`;
 
   return {
     error: errorMessage,
     transcript: "",
-    answer: lang === "vi" ? `Lỗi: ${errorMessage}` : `Error: ${errorMessage}`,
+    answer: isRetryableError(err) ? errorMessage : errorAnswer,
     audioFile,
+    status: getErrorStatus(err),
+    attempts: err.attempts || [],
   };
 }
 
+/**
+ * Queues a processing job for a request
+ * Errors are reported to the client like before (processingError + update);
+ * cancelled jobs stay silent because the cancel already told the client
+ * @param {string} type - Job type (e.g. "upload")
+ * @param {Object} params - Normalized request parameters
+ * @param {Function} run - Receives the job's AbortSignal, returns the result
+ * @returns {Object} - Public view of the queued job
+ */
+function createProcessingJob(type, params, run) {
+  const target = getEventTarget(params);
+
+  return createJob({
+    type,
+    target,
+    run: async (signal) => {
+      // The archive keeps the recording while the job uses it
+      if (params.recordingId) pinRecording(params.recordingId);
+      const result = await tryCatch(run(signal));
+      if (params.recordingId) unpinRecording(params.recordingId);
+      if (!result.error) {
+        return result.data;
+      }
+
+      if (!signal.aborted) {
+        const errorResult = handleProcessingError(
+          result.error,
+          params.lang,
+          params.audioFile,
+        );
+        backendEvents.emit("processingError", errorResult.error, target);
+        backendEvents.emit("update", errorResult, target);
+      }
+      throw result.error;
+    },
+  });
+}
+
 // Clean up after processing is complete
-async function cleanupAfterProcessing(filePath) {
+async function cleanupAfterProcessing(sessionId, filePath) {
   // We no longer automatically delete the file after processing
-  // Instead, store it as the last processed file
-  lastProcessedFile = filePath;
-  console.log(`Stored audio file reference: ${lastProcessedFile}`);
+  // Instead, store it as the last processed file of the session
+  getSession(sessionId).lastProcessedFile = filePath;
+  console.log(`Stored audio file reference for ${sessionId}: ${filePath}`);
+}
+
+/**
+ * Sends the error of a failed store operation
+ * Errors created with createHttpError carry their HTTP status, anything else is a 500
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the store
+ * @param {string} action - What was being done, for the log
+ */
+function sendStoreError(res, error, action) {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error(`Error ${action}:`, error);
+  res.status(500).json({
+    error: `Failed ${action}`,
+    details: error.message,
+  });
+}
+
+/**
+ * Whether a token may play or process an archived recording: one of the
+ * sessions that own it must be the token's
+ * @param {Object} recording - Archived recording
+ * @param {Object} auth - Token description (req.auth)
+ * @returns {boolean} - True when the token owns the recording
+ */
+function isRecordingOwner(recording, auth) {
+  return recording.sessionIds.some((sessionId) =>
+    isSessionOwner(sessionId, auth),
+  );
+}
+
+/**
+ * Charges the length of a recording to the daily audio quota of the
+ * requester, answering 429 when it does not fit
+ * @param {Object} req - Express request object (req.quotaOwner is set by the
+ *   limitProcessing middleware)
+ * @param {Object} res - Express response object
+ * @param {string} filePath - Recording to process
+ * @returns {Promise<string|null>} - Quota key to charge the job's model calls
+ *   to, or null when the 429 was sent
+ */
+async function chargeRecordingAudio(req, res, filePath) {
+  const owner = req.quotaOwner || getRequestQuotaOwner(req);
+  const seconds = await getAudioDuration(filePath);
+  try {
+    chargeAudioSeconds(owner, seconds);
+  } catch (error) {
+    if (error.status !== 429) throw error;
+    console.warn(`Quota: ${owner.key} rejected: ${error.message}`);
+    sendQuotaError(res, error, owner);
+    return null;
+  }
+  return owner.key;
 }
 
-// Get status information
-function getStatus() {
+// Get status information for a single session
+function getStatus(sessionId) {
+  // Don't create a session just because a client polled its status
+  const session = peekSession(sessionId);
+  const lastQuestion = getLastQuestion(session);
+
   return {
-    isRecording,
-    currentFile: currentOutputFile,
-    lastProcessedFile,
+    sessionId: normalizeSessionId(sessionId),
+    isRecording: session ? session.isRecording : false,
+    currentFile: session ? session.currentOutputFile : null,
+    lastProcessedFile: session ? session.lastProcessedFile : null,
+    isProcessingCancelled: session ? session.isProcessingCancelled : false,
+    conversationId: session ? session.conversationId : null,
     hasLastQuestion: lastQuestion !== null,
     lastQuestionPreview: lastQuestion
       ? lastQuestion.substring(0, 50) + (lastQuestion.length > 50 ? "..." : "")
       : null,
+    activeSessions: getSessionCount(),
+    jobs: getQueueStats(),
+    audioStreams: getStreamCount(),
+    audioFormats: getAudioFormatSupport(),
   };
 }
 
-// Cancel ongoing processing
-function setCancelled(value = true) {
-  isProcessingCancelled = value;
-  return isProcessingCancelled;
+// Cancel ongoing processing for a session
+function setCancelled(sessionId, value = true) {
+  getSession(sessionId).isProcessingCancelled = value;
+  return value;
+}
+
+/**
+ * Cancels everything a session has queued or running
+ * Aborts the model calls of its jobs; the flag stays set until the session
+ * starts new processing
+ * @param {string} sessionId - Session id
+ * @returns {number} - Number of cancelled jobs
+ */
+function cancelSessionProcessing(sessionId) {
+  setCancelled(sessionId, true);
+  return cancelSessionJobs(normalizeSessionId(sessionId));
 }
 
-// Export shared state and functions
+// Export per-session state accessors and shared functions
 module.exports = {
-  // State getters/setters
-  getIsRecording: () => isRecording,
-  setIsRecording: (value) => (isRecording = value),
-  getCurrentOutputFile: () => currentOutputFile,
-  setCurrentOutputFile: (value) => (currentOutputFile = value),
-  getLastProcessedFile: () => lastProcessedFile,
-  setLastProcessedFile: (value) => (lastProcessedFile = value),
-  getRetryCount: () => retryCount,
-  setRetryCount: (value) => (retryCount = value),
-  incrementRetryCount: () => (retryCount += 1),
-  isProcessingCancelled: () => isProcessingCancelled,
+  // State getters/setters (all keyed by session id)
+  getIsRecording: (sessionId) => getSession(sessionId).isRecording,
+  setIsRecording: (sessionId, value) =>
+    (getSession(sessionId).isRecording = value),
+  getCurrentOutputFile: (sessionId) => getSession(sessionId).currentOutputFile,
+  setCurrentOutputFile: (sessionId, value) =>
+    (getSession(sessionId).currentOutputFile = value),
+  getLastProcessedFile: (sessionId) => getSession(sessionId).lastProcessedFile,
+  setLastProcessedFile: (sessionId, value) =>
+    (getSession(sessionId).lastProcessedFile = value),
+  getRetryCount: (sessionId) => getSession(sessionId).retryCount,
+  setRetryCount: (sessionId, value) =>
+    (getSession(sessionId).retryCount = value),
+  incrementRetryCount: (sessionId) => (getSession(sessionId).retryCount += 1),
+  isProcessingCancelled: (sessionId) =>
+    getSession(sessionId).isProcessingCancelled,
   setCancelled,
-  getLastQuestion: () => lastQuestion,
-  setLastQuestion: (value) => (lastQuestion = value),
+  cancelSessionProcessing,
+  getLastQuestion: (sessionId) => getLastQuestion(peekSession(sessionId)),
 
   // Utility functions
+  parseBooleanParam,
   prepareRequestParams,
+  getEventTarget,
+  createProcessingJob,
   handleFollowUpLogic,
   handleEmptyTranscript,
   handleProcessingError,
   cleanupAfterProcessing,
+  sendStoreError,
+  isRecordingOwner,
+  chargeRecordingAudio,
   getStatus,
 };
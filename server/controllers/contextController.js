@@ -0,0 +1,87 @@
+const {
+  listContexts,
+  getContext,
+  createContext,
+  updateContext,
+  deleteContext,
+} = require("../lib/contexts");
+const { sendStoreError } = require("./baseController");
+
+/**
+ * Controller for context/prompt profile requests
+ */
+const contextController = {
+  /**
+   * List all context profiles
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  listContexts: (req, res) => {
+    try {
+      res.json({ contexts: listContexts() });
+    } catch (error) {
+      sendStoreError(res, error, "listing contexts");
+    }
+  },
+
+  /**
+   * Get a single context profile
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getContext: (req, res) => {
+    const context = getContext(req.params.id);
+    if (!context) {
+      return res.status(404).json({ error: "Context not found" });
+    }
+    res.json(context);
+  },
+
+  /**
+   * Create a context profile
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  createContext: (req, res) => {
+    try {
+      res.status(201).json(createContext(req.body || {}));
+    } catch (error) {
+      sendStoreError(res, error, "creating context");
+    }
+  },
+
+  /**
+   * Update a context profile (only the given fields change)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  updateContext: (req, res) => {
+    try {
+      const context = updateContext(req.params.id, req.body || {});
+      if (!context) {
+        return res.status(404).json({ error: "Context not found" });
+      }
+      res.json(context);
+    } catch (error) {
+      sendStoreError(res, error, "updating context");
+    }
+  },
+
+  /**
+   * Delete a context profile
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  deleteContext: (req, res) => {
+    try {
+      if (!deleteContext(req.params.id)) {
+        return res.status(404).json({ error: "Context not found" });
+      }
+      res.status(204).end();
+    } catch (error) {
+      sendStoreError(res, error, "deleting context");
+    }
+  },
+};
+
+module.exports = contextController;
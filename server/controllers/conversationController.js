@@ -0,0 +1,50 @@
+const { resolveSessionId } = require("../lib/sessions");
+const {
+  startConversation,
+  getConversation,
+  resetConversation,
+  describeConversation,
+} = require("../lib/conversations");
+
+/**
+ * Controller for conversation thread requests
+ */
+const conversationController = {
+  /**
+   * Start a new thread for the requesting session ("new thread" action)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  startConversation: (req, res) => {
+    const conversation = startConversation(resolveSessionId(req));
+    res.status(201).json(describeConversation(conversation));
+  },
+
+  /**
+   * Inspect a thread
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getConversation: (req, res) => {
+    const conversation = getConversation(req.params.id);
+    if (!conversation) {
+      return res.status(404).json({ error: "Conversation not found" });
+    }
+    res.json(describeConversation(conversation));
+  },
+
+  /**
+   * Reset a thread (remove all of its turns)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  resetConversation: (req, res) => {
+    const conversation = resetConversation(req.params.id);
+    if (!conversation) {
+      return res.status(404).json({ error: "Conversation not found" });
+    }
+    res.json(describeConversation(conversation));
+  },
+};
+
+module.exports = conversationController;
@@ -1,55 +1,66 @@
 const fs = require("fs");
 const path = require("path");
 const {
-  cleanupAudioFiles,
   convertAudioToStandardFormat,
+  getPreprocessingConfig,
   needsConversion,
+  preprocessAudio,
 } = require("../utils/ffmpeg");
+const { detectAudioFormat } = require("../utils/audio-format");
+const { AUDIO_DIR, releaseSessionRecordings } = require("../lib/audio-store");
 const baseController = require("./baseController");
 const { tryCatch } = require("../lib/tryCatch");
 const backendEvents = require("../lib/events");
 
 /**
  * Set up the recording directory and prepare output file
+ * @param {string} sessionId - Session the recording belongs to
  * @returns {string} The path to the new output file
  */
-function setupRecordingEnvironment() {
+function setupRecordingEnvironment(sessionId) {
   // Create output directory if it doesn't exist
-  if (!fs.existsSync("audio")) {
-    fs.mkdirSync("audio", { recursive: true });
+  if (!fs.existsSync(AUDIO_DIR)) {
+    fs.mkdirSync(AUDIO_DIR, { recursive: true });
   }
 
   // Generate unique output file name
-  const outputFile = `audio/${Date.now()}.wav`;
+  const outputFile = path.join(AUDIO_DIR, `${Date.now()}.wav`);
   console.log(`Starting new recording to: ${outputFile}`);
 
   // Update the shared state
-  baseController.setCurrentOutputFile(outputFile);
+  baseController.setCurrentOutputFile(sessionId, outputFile);
 
   return outputFile;
 }
 
 /**
- * Clean up any existing audio files before starting a new recording
+ * Clean up the audio files of a session
+ * Only the session's recordings are released; recordings another session
+ * still owns stay in the archive
+ * @param {string} sessionId - Session requesting the cleanup
+ * @returns {Object} - { released, deleted } recording counts
  */
-function cleanupExistingAudioFiles() {
-  console.log("Cleaning up existing audio files before starting new recording");
-  // Delete all audio files in the audio directory
-  const audioDir = path.join(__dirname, "..", "audio");
-  cleanupAudioFiles(audioDir);
+function cleanupExistingAudioFiles(sessionId) {
+  console.log(`Cleaning up the audio files of session ${sessionId}`);
+  const result = releaseSessionRecordings(sessionId);
+  console.log(
+    `Released ${result.released} recording(s), deleted ${result.deleted}`
+  );
 
-  // Also clean up the last processed file reference
-  baseController.setLastProcessedFile(null);
+  // Also clean up the last processed file reference of the session
+  baseController.setLastProcessedFile(sessionId, null);
 
-  // Do NOT reset lastQuestion here - we want to maintain context between recordings
+  // Do NOT reset the conversation here - we want to maintain context between recordings
   // This allows for follow-up questions across different recording sessions
+  return result;
 }
 
 /**
  * Clean up the output file if it was created
+ * @param {string} sessionId - Session owning the output file
  */
-function cleanupOutputFile() {
-  const currentOutputFile = baseController.getCurrentOutputFile();
+function cleanupOutputFile(sessionId) {
+  const currentOutputFile = baseController.getCurrentOutputFile(sessionId);
 
   if (currentOutputFile && fs.existsSync(currentOutputFile)) {
     const deleteResult = tryCatch(
@@ -61,7 +72,7 @@ function cleanupOutputFile() {
         console.error("Error deleting file:", result.error);
       } else {
         console.log(`Deleted audio file: ${currentOutputFile}`);
-        baseController.setCurrentOutputFile(null);
+        baseController.setCurrentOutputFile(sessionId, null);
       }
     });
   }
@@ -69,9 +80,10 @@ function cleanupOutputFile() {
 
 /**
  * Clean up empty output file
+ * @param {string} sessionId - Session owning the output file
  */
-function cleanupEmptyOutputFile() {
-  const currentOutputFile = baseController.getCurrentOutputFile();
+function cleanupEmptyOutputFile(sessionId) {
+  const currentOutputFile = baseController.getCurrentOutputFile(sessionId);
 
   if (currentOutputFile && fs.existsSync(currentOutputFile)) {
     const stats = fs.statSync(currentOutputFile);
@@ -84,11 +96,15 @@ function cleanupEmptyOutputFile() {
 }
 
 /**
- * Validate that the audio file exists and has content
+ * Validate that the audio file exists and has content, then preprocess it
  * @param {string} filePath - Path to the audio file
- * @returns {Promise<string>} - Path to the validated (and possibly converted) audio file
+ * @param {Object} [target] - Event target of the requesting client (null sends
+ *   no progress events)
+ * @returns {Promise<Object>} - { filePath, audioStats }: path to the validated
+ *   (and possibly preprocessed or converted) audio file and the preprocessing
+ *   stats (null when the file was not preprocessed)
  */
-async function validateAudioFile(filePath) {
+async function validateAudioFile(filePath, target) {
   // File validation
   if (!filePath) {
     console.error("No audio file was provided");
@@ -112,36 +128,6 @@ async function validateAudioFile(filePath) {
   const ext = path.extname(filePath).toLowerCase();
   console.log(`File extension: ${ext}`);
 
-  // Try to determine file type
-  try {
-    const buffer = Buffer.alloc(4);
-    const fd = fs.openSync(filePath, "r");
-    fs.readSync(fd, buffer, 0, 4, 0);
-    fs.closeSync(fd);
-
-    const hexSignature = buffer.toString("hex").substring(0, 8);
-    console.log(`File signature (hex): ${hexSignature}`);
-
-    // Check common audio file signatures
-    if (hexSignature.startsWith("52494646")) {
-      // RIFF (WAV)
-      console.log("File appears to be a WAV file");
-    } else if (hexSignature.startsWith("494433")) {
-      // ID3 (MP3)
-      console.log("File appears to be an MP3 file");
-    } else if (hexSignature.startsWith("66747970")) {
-      // ftyp (MP4/M4A)
-      console.log("File appears to be an MP4/M4A file");
-    } else if (hexSignature.startsWith("4f676753")) {
-      // OggS (OGG)
-      console.log("File appears to be an OGG file");
-    } else {
-      console.log("File signature not recognized as a common audio format");
-    }
-  } catch (err) {
-    console.error("Error reading file signature:", err);
-  }
-
   // Check file size - if it's empty, wait a bit and check again (could be delayed write)
   const fileStats = fs.statSync(filePath);
   console.log(`Initial file size check: ${fileStats.size} bytes`);
@@ -150,52 +136,79 @@ async function validateAudioFile(filePath) {
     await waitForFileContent(filePath);
   }
 
-  // For MP4 files from mobile, we'll try to use them directly first
-  // We already have the extension from earlier in the function
-  if (ext === ".mp4" || ext === ".m4a" || ext === ".mp3") {
-    // Check if the file with .mp3 extension is actually an MP4 file
-    if (ext === ".mp3") {
-      try {
-        const buffer = Buffer.alloc(8);
-        const fd = fs.openSync(filePath, "r");
-        fs.readSync(fd, buffer, 0, 8, 0);
-        fs.closeSync(fd);
-
-        const hexSignature = buffer.toString("hex");
-        if (hexSignature.includes("66747970")) {
-          // "ftyp" signature for MP4
-          console.log(
-            "File with .mp3 extension is actually an MP4 file. Renaming..."
-          );
-          const newPath = filePath.replace(".mp3", ".mp4");
-          fs.renameSync(filePath, newPath);
-          console.log(`Renamed file to: ${newPath}`);
-          return newPath;
-        }
-      } catch (err) {
-        console.error("Error checking MP3 file format:", err);
-      }
+  // Determine the real format from the file content
+  const format = await detectAudioFormat(filePath);
+  if (format) {
+    console.log(
+      `Detected audio format: ${format.container} (${format.codec || "unknown codec"}), ${format.mimeType}`
+    );
+  } else {
+    console.log("File signature not recognized as a common audio format");
+  }
+
+  // Check if the file with .mp3 extension is actually an MP4 file
+  let inputPath = filePath;
+  if (ext === ".mp3" && format && format.container === "mp4") {
+    try {
+      console.log(
+        "File with .mp3 extension is actually an MP4 file. Renaming..."
+      );
+      inputPath = filePath.replace(".mp3", ".mp4");
+      fs.renameSync(filePath, inputPath);
+      console.log(`Renamed file to: ${inputPath}`);
+    } catch (err) {
+      console.error("Error renaming MP4 file:", err);
+      inputPath = filePath;
     }
+  }
 
-    console.log(`Using mobile audio file directly: ${filePath}`);
-    // We'll try to use the file as-is first, since AssemblyAI can handle MP4/M4A
-    return filePath;
+  // Every upload is cleaned up (silence, loudness, noise) and converted
+  if (getPreprocessingConfig().enabled) {
+    if (target) {
+      backendEvents.emit(
+        "processing",
+        { message: "Preparing audio..." },
+        target,
+      );
+    }
+
+    const processed = await tryCatch(preprocessAudio(inputPath));
+    if (!processed.error) {
+      return {
+        filePath: processed.data.filePath,
+        audioStats: processed.data.stats,
+      };
+    }
+    console.error(`Error preprocessing audio file: ${processed.error.message}`);
+    console.log("Proceeding without preprocessing");
+  }
+
+  // For MP4 files from mobile, we'll try to use them directly first
+  const inputExt = path.extname(inputPath).toLowerCase();
+  if (inputExt === ".mp4" || inputExt === ".m4a" || inputExt === ".mp3") {
+    console.log(`Using mobile audio file directly: ${inputPath}`);
+    // Sent with its real MIME type, or transcoded for providers that can't read it
+    return { filePath: inputPath, audioStats: null };
   }
 
   // For other formats, check if conversion is needed
-  if (needsConversion(filePath)) {
+  if (needsConversion(inputPath)) {
     try {
-      console.log(`File format needs conversion: ${filePath}`);
-      backendEvents.emit("processing", {
-        message: "Converting audio format...",
-      });
+      console.log(`File format needs conversion: ${inputPath}`);
+      if (target) {
+        backendEvents.emit(
+          "processing",
+          { message: "Converting audio format..." },
+          target,
+        );
+      }
 
       // Convert the file to a standard format
-      const convertedFilePath = await convertAudioToStandardFormat(filePath);
+      const convertedFilePath = await convertAudioToStandardFormat(inputPath);
       console.log(`File converted successfully: ${convertedFilePath}`);
 
       // Return the path to the converted file
-      return convertedFilePath;
+      return { filePath: convertedFilePath, audioStats: null };
     } catch (error) {
       console.error(`Error converting audio file: ${error.message}`);
       // If conversion fails, continue with the original file
@@ -204,7 +217,7 @@ async function validateAudioFile(filePath) {
   }
 
   console.log("File validation successful, proceeding with processing");
-  return filePath;
+  return { filePath: inputPath, audioStats: null };
 }
 
 /**
@@ -0,0 +1,70 @@
+const {
+  listHistory,
+  getHistoryEntry,
+  deleteHistoryEntry,
+  clearHistory,
+} = require("../lib/history");
+const { sendStoreError } = require("./baseController");
+
+/**
+ * Controller for Q&A history requests
+ */
+const historyController = {
+  /**
+   * List history entries (newest first)
+   * Query: page, limit, from, to (ISO dates), q (full-text search), sessionId
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  listHistory: (req, res) => {
+    try {
+      res.json(listHistory(req.query));
+    } catch (error) {
+      sendStoreError(res, error, "listing history");
+    }
+  },
+
+  /**
+   * Get a single history entry
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getHistoryEntry: (req, res) => {
+    const entry = getHistoryEntry(req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: "History entry not found" });
+    }
+    res.json(entry);
+  },
+
+  /**
+   * Delete a single history entry
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  deleteHistoryEntry: (req, res) => {
+    try {
+      if (!deleteHistoryEntry(req.params.id)) {
+        return res.status(404).json({ error: "History entry not found" });
+      }
+      res.status(204).end();
+    } catch (error) {
+      sendStoreError(res, error, "deleting history entry");
+    }
+  },
+
+  /**
+   * Delete all history entries matching the list filters
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  clearHistory: (req, res) => {
+    try {
+      res.json({ deleted: clearHistory(req.query) });
+    } catch (error) {
+      sendStoreError(res, error, "clearing history");
+    }
+  },
+};
+
+module.exports = historyController;
@@ -3,6 +3,7 @@ const aiProcessingController = require("./aiProcessingController");
 const processingController = require("./processingController");
 const fileController = require("./fileController");
 const baseController = require("./baseController");
+const streamController = require("./streamController");
 
 module.exports = {
   recordingController,
@@ -10,4 +11,5 @@ module.exports = {
   processingController,
   fileController,
   baseController,
+  streamController,
 };
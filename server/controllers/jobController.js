@@ -0,0 +1,59 @@
+const { getJob, cancelJob } = require("../lib/jobs");
+const { isSessionOwner } = require("../lib/sessions");
+const backendEvents = require("../lib/events");
+
+/**
+ * Gets a job of the requesting token
+ * Jobs of other tokens' sessions are reported as unknown
+ * @param {Object} req - Express request object
+ * @returns {Object|null} - Job or null
+ */
+function getOwnJob(req) {
+  const job = getJob(req.params.id);
+  return job && isSessionOwner(job.sessionId, req.auth) ? job : null;
+}
+
+/**
+ * Controller for processing job requests
+ */
+const jobController = {
+  /**
+   * Get the status (and the result once finished) of a job
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getJob: (req, res) => {
+    const job = getOwnJob(req);
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+    res.json(job);
+  },
+
+  /**
+   * Cancel a queued or running job, aborting its model calls
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  cancelJob: (req, res) => {
+    const previous = getOwnJob(req);
+    if (!previous) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+
+    // Finished jobs are returned unchanged
+    const job = cancelJob(req.params.id);
+
+    // Let the job's client reset its UI like after a cancel request
+    if (job.status !== previous.status) {
+      backendEvents.emit(
+        "processingCancelled",
+        { message: "Processing cancelled", jobId: job.id },
+        { sessionId: job.sessionId },
+      );
+    }
+    res.json(job);
+  },
+};
+
+module.exports = jobController;
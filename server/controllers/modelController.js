@@ -1,68 +1,42 @@
+const { getConfiguredProviders, listAllModels } = require("../lib/providers");
+
 /**
  * Controller for handling model-related requests
  */
 const modelController = {
   /**
-   * List available Gemini models
+   * List available models across all configured AI providers
+   * Gemini models keep their plain ids; other providers use "provider:model"
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
   listModels: async (req, res) => {
     try {
-      const apiKey = process.env.GEMINI_API_KEY;
-      if (!apiKey) {
+      const providers = getConfiguredProviders();
+      if (providers.length === 0) {
         return res.status(500).json({
-          error: "GEMINI_API_KEY is not set in the server environment.",
+          error:
+            "No AI provider is configured. Set GEMINI_API_KEY, another provider or MOCK_AI_ONLY=true in the server environment.",
         });
       }
 
-      const response = await fetch(
-        `https://generativelanguage.googleapis.com/v1beta/models?key=${apiKey}`,
-      );
+      const { models, errors } = await listAllModels();
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+      // Only fail when every provider failed
+      if (models.length === 0 && errors.length > 0) {
+        throw new Error(
+          errors.map((entry) => `${entry.provider}: ${entry.error}`).join("; "),
+        );
       }
 
-      const data = await response.json();
-
-      // Filter models that support generateContent, include "Gemini", and exclude versions 2.0 or less
-      const supportedModels = data.models.filter((model) => {
-        // Check if model supports generateContent
-        if (!model.supportedGenerationMethods.includes("generateContent")) {
-          return false;
-        }
-
-        // Check if model name includes "Gemini" (case-insensitive)
-        if (!model.name.toLowerCase().includes("gemini")) {
-          return false;
-        }
-
-        // Exclude models with "Nano" in their name or display name
-        const displayName = (model.displayName || "").toLowerCase();
-        if (
-          model.name.toLowerCase().includes("nano") ||
-          displayName.includes("nano")
-        ) {
-          return false;
-        }
-
-        // Extract version number from model name (e.g., "gemini-1.5-pro" -> 1.5)
-        const versionMatch = model.name.match(/gemini[/-](\d+(\.\d+)?)/i);
-        if (versionMatch) {
-          const version = parseFloat(versionMatch[1]);
-          // Exclude versions 2.0 or less
-          if (version <= 2.0) {
-            return false;
-          }
-        }
-
-        return true;
-      });
-
       res.json({
-        models: supportedModels,
-        nextPageToken: data.nextPageToken,
+        models,
+        providers: providers.map((provider) => ({
+          name: provider.name,
+          label: provider.label,
+          defaultModel: provider.defaultModel,
+        })),
+        errors,
       });
     } catch (error) {
       console.error("Error fetching models:", error);
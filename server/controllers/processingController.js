@@ -1,38 +1,43 @@
 const baseController = require("./baseController");
 const { tryCatch } = require("../lib/tryCatch");
 const backendEvents = require("../lib/events");
+const { resolveSessionId } = require("../lib/sessions");
 
 /**
  * Controller for handling processing state operations
  */
 
 /**
- * Cancels any ongoing processing
+ * Cancels any ongoing processing of the requesting session
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Object} io - Socket.io instance
  * @returns {Promise<void>}
  */
 async function cancelProcessing(req, res) {
-  console.log("Canceling processing...");
-
-  const result = await tryCatch(async () => {
-    // Set the processing cancelled flag
-    baseController.setCancelled(true);
-
-    // Emit cancellation event to clients
-    backendEvents.emit("processingCancelled", {
-      message: "Processing cancelled",
-    });
-
-    // Reset the cancelled state for the next request
-    setTimeout(() => {
-      baseController.setCancelled(false);
-      console.log("Cancelled state reset for next operation");
-    }, 1000);
-
-    return { success: true, message: "Processing cancelled successfully" };
-  });
+  const sessionId = resolveSessionId(req);
+  console.log(`Canceling processing for session ${sessionId}...`);
+
+  // tryCatch awaits a promise, so the body is called right away
+  const result = await tryCatch(
+    (async () => {
+      // Abort the model calls of the session's queued and running jobs
+      const cancelledJobs = baseController.cancelSessionProcessing(sessionId);
+
+      // Emit cancellation event to clients
+      backendEvents.emit(
+        "processingCancelled",
+        { message: "Processing cancelled" },
+        { sessionId },
+      );
+
+      return {
+        success: true,
+        message: "Processing cancelled successfully",
+        cancelledJobs,
+      };
+    })(),
+  );
 
   if (result.error) {
     console.error("Error cancelling processing:", result.error);
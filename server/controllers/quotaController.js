@@ -0,0 +1,19 @@
+const { getRequestQuotaOwner, getQuotaStatus } = require("../lib/quotas");
+
+/**
+ * Controller for quota requests (/api/v1/quota)
+ */
+const quotaController = {
+  /**
+   * Report the rate limit and daily quotas of the requesting token (or IP
+   * address when authentication is disabled) and how much of them is left
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getQuota: (req, res) => {
+    const owner = getRequestQuotaOwner(req);
+    res.json({ key: owner.key, quota: getQuotaStatus(owner) });
+  },
+};
+
+module.exports = quotaController;
@@ -4,58 +4,132 @@ const baseController = require("./baseController");
 const fileController = require("./fileController");
 const { tryCatch } = require("../lib/tryCatch");
 const backendEvents = require("../lib/events");
+const { resolveSessionId } = require("../lib/sessions");
+const { archiveRecording } = require("../lib/audio-store");
+const { AUDIO_FORMATS, detectAudioFormat } = require("../utils/audio-format");
+
+/**
+ * Moves a new recording into the audio archive, named after its content and
+ * with the extension of its real format
+ * When archiving fails the recording is processed where it is
+ * @param {string} filePath - Uploaded or streamed file
+ * @param {Object} fields - { sessionId, source, originalName }
+ * @returns {Promise<Object>} - { filePath, recordingId } (recordingId null
+ *   when the file was not archived)
+ */
+async function archiveAudioFile(filePath, fields) {
+  const format = await detectAudioFormat(filePath);
+  const archived = await tryCatch(
+    Promise.resolve().then(() =>
+      archiveRecording(filePath, {
+        ...fields,
+        extension: format ? AUDIO_FORMATS[format.container].extension : null,
+        mimeType: format ? format.mimeType : null,
+      }),
+    ),
+  );
+
+  if (archived.error) {
+    console.error(`Error archiving audio file ${filePath}:`, archived.error);
+    return { filePath, recordingId: null };
+  }
+  return { filePath: archived.data.filePath, recordingId: archived.data.id };
+}
+
+/**
+ * Charges an uploaded recording to the requester's audio quota, then moves
+ * it into the archive
+ * Rejected uploads are deleted right away, so a client over its quota cannot
+ * keep filling the archive
+ * @param {Object} req - Express request object with the multer file
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} - { filePath, recordingId, quotaKey }, or
+ *   null when the 429 was sent
+ */
+async function archiveUpload(req, res) {
+  const quotaKey = await baseController.chargeRecordingAudio(
+    req,
+    res,
+    req.file.path,
+  );
+  if (!quotaKey) {
+    fs.unlink(req.file.path, () => {});
+    return null;
+  }
+
+  const archived = await archiveAudioFile(req.file.path, {
+    sessionId: resolveSessionId(req),
+    source: "upload",
+    originalName: req.file.originalname,
+  });
+  return { ...archived, quotaKey };
+}
 
 /**
  * Process an uploaded audio file
  * @param {string} filePath - Path to the uploaded audio file
  * @param {Object} params - Processing parameters
- * @returns {Promise<boolean>} - Success status
+ * @param {AbortSignal} signal - Aborts the model calls (job cancelled)
+ * @param {Object} [options] - Extra options
+ * @param {Object} [options.transcription] - Transcript already made while the
+ *   audio was streamed in
+ * @returns {Promise<Object|null>} - Processing result with the preprocessing
+ *   `audioStats`, or null if cancelled
  */
-async function processUploadedAudio(filePath, params) {
+async function processUploadedAudio(filePath, params, signal, options = {}) {
   console.log(`Processing uploaded audio file: ${filePath}`);
 
-  try {
-    // Validate the uploaded file and convert if necessary
-    const validatedFilePath = await fileController.validateAudioFile(filePath);
-
-    // Set the current file for processing
-    baseController.setCurrentOutputFile(validatedFilePath);
-    baseController.setLastProcessedFile(validatedFilePath);
-
-    // Get reference to the AI processing controller
-    const aiProcessingController = require("./aiProcessingController");
-
-    // NEW LOGIC: Process audio directly with Gemini (bypassing separate transcription)
-    console.log("Using direct Gemini audio processing");
-    await aiProcessingController.processAudioFileWithGemini(
-      validatedFilePath,
-      params,
+  // Validate the uploaded file and convert if necessary; hands-free segments
+  // stay quiet until they turn out to hold a question
+  const { filePath: validatedFilePath, audioStats } =
+    await fileController.validateAudioFile(
+      filePath,
+      params.detectQuestion ? null : baseController.getEventTarget(params),
     );
 
-    return true;
-  } catch (error) {
-    console.error("Error processing uploaded audio:", error);
-    backendEvents.emit(
-      "processingError",
-      `Error processing audio: ${error.message}`,
-    );
-    return false;
-  }
+  // Set the current file for processing in the client's session
+  baseController.setCurrentOutputFile(params.sessionId, validatedFilePath);
+  baseController.setLastProcessedFile(params.sessionId, validatedFilePath);
+
+  // Get reference to the AI processing controller
+  const aiProcessingController = require("./aiProcessingController");
+
+  // NEW LOGIC: Process audio directly with Gemini (bypassing separate transcription)
+  console.log("Using direct Gemini audio processing");
+  const result = await aiProcessingController.processAudioFileWithGemini(
+    validatedFilePath,
+    params,
+    {
+      signal,
+      transcription: options.transcription || null,
+      sourceFile: filePath,
+    },
+  );
+
+  // Don't delete the file after processing - we store it for possible retry
+  await baseController.cleanupAfterProcessing(params.sessionId, filePath);
+
+  // The job result reports what preprocessing trimmed
+  return result ? { ...result, audioStats } : result;
 }
 
 // Controller methods
 const recordingController = {
-  // Get the current recording status
-  getStatus: () => {
-    return baseController.getStatus();
+  processUploadedAudio,
+  archiveAudioFile,
+  archiveUpload,
+
+  // Get the current recording status of a session
+  getStatus: (sessionId) => {
+    return baseController.getStatus(sessionId);
   },
 
   // Handle uploaded audio file from frontend
   handleAudioUpload: async (req, res) => {
     console.log("Audio file upload received from frontend");
 
-    // Log request details for debugging
-    console.log("Request headers:", req.headers);
+    // Log request details for debugging (not the headers, they carry the
+    // API token)
     console.log("Request body:", req.body);
 
     // Check if we received a file
@@ -73,74 +147,50 @@ const recordingController = {
       path: req.file.path,
     });
 
-    // Get the uploaded file path
-    const uploadedFilePath = req.file.path;
-    console.log(`File uploaded to: ${uploadedFilePath}`);
-
-    // Parse parameters from the request body
-    const params = baseController.prepareRequestParams({
-      ...req.body,
-      audioFile: uploadedFilePath,
-    });
+    console.log(`File uploaded to: ${req.file.path}`);
 
-    // Reset retry count for new upload
-    baseController.setRetryCount(0);
+    // Keep the recording in the session's part of the audio archive;
+    // recordings beyond the daily audio quota are not kept
+    const archived = await archiveUpload(req, res);
+    if (!archived) return;
 
-    // Inform client that we're processing
-    backendEvents.emit("processing");
+    const sessionId = resolveSessionId(req);
+    const { filePath: uploadedFilePath, recordingId, quotaKey } = archived;
 
-    try {
-      // Process the uploaded audio
-      const processingResult = await tryCatch(
-        processUploadedAudio(uploadedFilePath, params),
-      );
+    // Parse parameters from the request body
+    const params = {
+      ...baseController.prepareRequestParams({
+        ...req.body,
+        audioFile: uploadedFilePath,
+        sessionId,
+      }),
+      recordingId,
+      quotaKey,
+    };
+    const target = baseController.getEventTarget(params);
+
+    // Reset retry count and cancel flag for new upload
+    baseController.setRetryCount(sessionId, 0);
+    baseController.setCancelled(sessionId, false);
+
+    // Inform client that we're processing (hands-free segments only once a
+    // question was detected)
+    if (!params.detectQuestion) {
+      backendEvents.emit("processing", undefined, target);
+    }
 
-      if (processingResult.error) {
-        console.error(
-          "Error processing uploaded audio:",
-          processingResult.error,
-        );
-        const errorResult = baseController.handleProcessingError(
-          processingResult.error,
-          params.lang,
-          uploadedFilePath,
-        );
-
-        if (!baseController.isProcessingCancelled()) {
-          backendEvents.emit("processingError", errorResult.error);
-          backendEvents.emit("update", errorResult);
-        }
-
-        return res.status(500).json({
-          success: false,
-          error: `Error processing audio: ${processingResult.error.message}`,
-          errorDetails: errorResult,
-        });
-      }
-
-      // Don't delete the file after processing - we store it for possible retry
-      await baseController.cleanupAfterProcessing(uploadedFilePath);
-
-      // Return success response with more details
-      return res.status(200).json({
-        success: true,
-        message: "Audio processed successfully",
-        hasLastQuestion: true,
-        lastQuestionPreview:
-          baseController.getLastQuestion()?.substring(0, 50) + "...",
-      });
-    } catch (error) {
-      console.error("Unexpected error in handleAudioUpload:", error);
-      backendEvents.emit(
-        "processingError",
-        `Unexpected error: ${error.message}`,
-      );
+    // Queue the processing and answer right away; results arrive over
+    // Socket.IO and GET /api/v1/jobs/:id
+    const job = baseController.createProcessingJob("upload", params, (signal) =>
+      processUploadedAudio(uploadedFilePath, params, signal),
+    );
 
-      return res.status(500).json({
-        success: false,
-        error: `Unexpected error: ${error.message}`,
-      });
-    }
+    return res.status(202).location(`/api/v1/jobs/${job.id}`).json({
+      success: true,
+      message: "Audio queued for processing",
+      sessionId,
+      job,
+    });
   },
 
   // Legacy method - Start a new recording session (kept for backward compatibility)
@@ -157,23 +207,26 @@ const recordingController = {
   },
 
   // Cancel any ongoing processing
-  cancelRecording: async (_req, res) => {
-    console.log("Cancelling current processing");
+  cancelRecording: async (req, res) => {
+    const sessionId = resolveSessionId(req);
+    console.log(`Cancelling current processing for session ${sessionId}`);
 
-    // Set the cancellation flag
-    baseController.setCancelled(true);
+    // Abort the session's queued and running jobs
+    baseController.cancelSessionProcessing(sessionId);
 
     // Emit cancellation event
-    backendEvents.emit("processingCancelled", {
-      message: "Processing cancelled by user",
-    });
+    backendEvents.emit(
+      "processingCancelled",
+      { message: "Processing cancelled by user" },
+      { sessionId },
+    );
 
     res.status(200).send("Processing cancelled");
   },
 
   // Clean up resources (no longer needed for FFmpeg, but kept for file cleanup)
-  cleanupRecordingResources: () => {
-    fileController.cleanupOutputFile();
+  cleanupRecordingResources: (sessionId) => {
+    fileController.cleanupOutputFile(sessionId);
   },
 };
 
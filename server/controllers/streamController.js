@@ -0,0 +1,521 @@
+const fs = require("fs");
+const path = require("path");
+const baseController = require("./baseController");
+const recordingController = require("./recordingController");
+const { tryCatch } = require("../lib/tryCatch");
+const backendEvents = require("../lib/events");
+const { AUDIO_DIR } = require("../lib/audio-store");
+const {
+  getSocketQuotaOwner,
+  admitRequest,
+  chargeAudioSeconds,
+  chargeModelCall,
+  hasModelCallsLeft,
+  getQuotaStatus,
+} = require("../lib/quotas");
+const { meterModelCall } = require("../lib/usage");
+const { getAudioDuration } = require("../utils/audio-format");
+const {
+  getStreamExtension,
+  describeAudioStream,
+  createAudioStream,
+  getAudioStream,
+  appendAudioChunk,
+  getStreamExcerpt,
+  finishAudioStream,
+  discardAudioStream,
+  discardSocketStreams,
+} = require("../lib/audio-streams");
+const {
+  getDefaultTranscriber,
+  supportsPartialTranscripts,
+  transcribeAudioFile,
+} = require("../utils/transcription");
+const {
+  convertAudioToStandardFormat,
+  needsConversion,
+} = require("../utils/ffmpeg");
+
+/**
+ * Streaming uploads over Socket.IO
+ * audioStreamStart opens a stream, audioChunk appends MediaRecorder chunks
+ * and audioStreamEnd queues the complete recording like an upload. Clients
+ * that ask for partialTranscripts get partialTranscript events while the
+ * recording comes in: every STREAM_PARTIAL_INTERVAL_MS the audio received
+ * since the last partial (WebM streams only) is transcribed, at most
+ * STREAM_PARTIAL_MAX_CALLS times per stream.
+ * Every handler answers through the Socket.IO acknowledgement callback with
+ * { success: true, ... } or { success: false, error, status }.
+ */
+
+/**
+ * Minimum time between two partial transcriptions of a stream (configurable,
+ * 0 turns partial transcripts off)
+ */
+const PARTIAL_INTERVAL_MS = (() => {
+  const value = parseInt(process.env.STREAM_PARTIAL_INTERVAL_MS, 10);
+  return Number.isInteger(value) && value >= 0 ? value : 3000;
+})();
+
+/**
+ * Most partial transcriptions of one stream, each being a model call
+ * (configurable, 0 = no limit)
+ */
+const PARTIAL_MAX_CALLS = (() => {
+  const value = parseInt(process.env.STREAM_PARTIAL_MAX_CALLS, 10);
+  return Number.isInteger(value) && value >= 0 ? value : 20;
+})();
+
+/**
+ * Answers a socket request when the client asked for an acknowledgement
+ * @param {Function} [ack] - Socket.IO acknowledgement callback
+ * @param {Object} payload - Response
+ */
+function respond(ack, payload) {
+  if (typeof ack === "function") {
+    ack(payload);
+  }
+}
+
+/**
+ * Answers a socket request with an error
+ * @param {Function} [ack] - Socket.IO acknowledgement callback
+ * @param {Error} error - Error; errors without a status are internal errors
+ * @param {string} action - What was being done, for the log
+ * @param {Object} [owner] - Quota owner, to report the quota with a 429
+ */
+function respondWithError(ack, error, action, owner = null) {
+  if (!error.status) {
+    console.error(`Error ${action}:`, error);
+  }
+  respond(ack, {
+    success: false,
+    error: error.message,
+    status: error.status || 500,
+    ...(error.retryAfter && {
+      retryAfter: error.retryAfter,
+      quota: owner ? getQuotaStatus(owner) : undefined,
+    }),
+  });
+}
+
+/**
+ * Appends the transcript of a new excerpt to the text so far, dropping the
+ * words the excerpt repeats (excerpts start at a cluster boundary, which can
+ * lie before the audio already transcribed)
+ * @param {string} previous - Transcript so far
+ * @param {string} next - Transcript of the new excerpt
+ * @returns {string} - Combined transcript
+ */
+function appendTranscript(previous, next) {
+  const before = previous.split(/\s+/).filter(Boolean);
+  const after = next.split(/\s+/).filter(Boolean);
+  const normalize = (word) => word.toLowerCase().replace(/[^\p{L}\p{N}]/gu, "");
+
+  for (
+    let overlap = Math.min(before.length, after.length);
+    overlap > 0;
+    overlap--
+  ) {
+    const tail = before.slice(before.length - overlap).map(normalize);
+    const head = after.slice(0, overlap).map(normalize);
+    if (tail.every((word, index) => word === head[index])) {
+      return [...before, ...after.slice(overlap)].join(" ");
+    }
+  }
+  return [...before, ...after].join(" ");
+}
+
+/**
+ * Transcribes a snapshot of a stream's recording
+ * The snapshot goes through a temporary file, converted like uploads, so
+ * every transcription backend can read it
+ * @param {Object} stream - Stream
+ * @param {Buffer} audio - Recording so far
+ * @param {AbortSignal} signal - Aborts the transcription
+ * @returns {Promise<Object>} - { transcript, transcriber, usage }
+ */
+async function transcribeSnapshot(stream, audio, signal) {
+  const snapshotFile = path.join(
+    AUDIO_DIR,
+    `stream-${stream.id}-partial${getStreamExtension(stream.mimeType)}`,
+  );
+  const files = [snapshotFile];
+
+  try {
+    fs.mkdirSync(AUDIO_DIR, { recursive: true });
+    fs.writeFileSync(snapshotFile, audio);
+
+    let fileToTranscribe = snapshotFile;
+    if (needsConversion(snapshotFile)) {
+      const converted = await tryCatch(
+        convertAudioToStandardFormat(snapshotFile),
+      );
+      if (converted.error) {
+        console.warn(
+          `Could not convert partial audio, using it as is: ${converted.error.message}`,
+        );
+      } else {
+        fileToTranscribe = converted.data;
+        files.push(converted.data);
+      }
+    }
+
+    // Partials are model calls like any other, so they are metered
+    const { result, usage } = await meterModelCall(
+      (onUsage) =>
+        transcribeAudioFile(
+          fileToTranscribe,
+          stream.partial.lang,
+          stream.partial.transcriber,
+          { signal, onUsage },
+        ),
+      {
+        model: stream.partial.transcriber || getDefaultTranscriber(),
+        sessionId: stream.target.sessionId,
+      },
+    );
+    return { ...result, usage };
+  } finally {
+    files.forEach((file) => fs.rmSync(file, { force: true }));
+  }
+}
+
+/**
+ * Transcribes the audio a stream received since the last partial and sends
+ * the transcript so far as a partialTranscript event
+ * @param {Object} stream - Stream
+ * @param {Object} excerpt - New audio (getStreamExcerpt)
+ */
+async function runPartialTranscription(stream, excerpt) {
+  const { partial } = stream;
+  const bytes = stream.bytes;
+  const controller = new AbortController();
+
+  partial.controller = controller;
+  partial.bytes = bytes;
+  partial.lastRunAt = Date.now();
+  partial.calls += 1;
+
+  const startedAt = Date.now();
+  const result = await tryCatch(
+    transcribeSnapshot(stream, excerpt.audio, controller.signal),
+  );
+  partial.controller = null;
+  partial.running = null;
+
+  if (controller.signal.aborted) return;
+  if (result.error) {
+    // A missed partial is harmless, the final transcription still runs
+    console.warn(
+      `Partial transcription of stream ${stream.id} failed: ${result.error.message}`,
+    );
+    return;
+  }
+
+  const { transcriber, usage } = result.data;
+  const segment = result.data.transcript || "";
+  const transcript =
+    excerpt.fromStart || !partial.result
+      ? segment
+      : appendTranscript(partial.result.transcript, segment);
+  partial.result = {
+    transcript,
+    transcriber,
+    bytes,
+    fromStart: excerpt.fromStart,
+  };
+  backendEvents.emit(
+    "partialTranscript",
+    {
+      streamId: stream.id,
+      transcript,
+      segment,
+      transcriber,
+      bytes,
+      durationMs: Date.now() - startedAt,
+      usage,
+    },
+    stream.target,
+  );
+}
+
+/**
+ * Starts a partial transcription when the stream has new audio, none is
+ * running, the interval has passed and the stream has calls left
+ * @param {Object} stream - Stream
+ */
+function schedulePartialTranscription(stream) {
+  const { partial } = stream;
+  if (!partial.enabled || partial.running) return;
+  if (stream.bytes === partial.bytes) return;
+  if (Date.now() - partial.lastRunAt < PARTIAL_INTERVAL_MS) return;
+  if (PARTIAL_MAX_CALLS > 0 && partial.calls >= PARTIAL_MAX_CALLS) return;
+  // Every partial is a model call; without calls left only the final
+  // transcription runs
+  if (!hasModelCallsLeft(stream.quotaOwner)) return;
+
+  const excerpt = getStreamExcerpt(stream, partial.bytes);
+  if (!excerpt) return;
+
+  chargeModelCall(stream.quotaOwner.key);
+  partial.running = runPartialTranscription(stream, excerpt);
+}
+
+/**
+ * Gets the partial transcript of a finished stream when one transcription
+ * covered the whole recording, so the two-stage pipeline can answer without
+ * transcribing again (transcripts stitched from excerpts are only shown)
+ * @param {Object} stream - Stream
+ * @param {Object} params - Normalized request parameters of the end request
+ * @returns {Promise<Object|null>} - { transcript, transcriber } or null
+ */
+async function getCompleteTranscription(stream, params) {
+  const { partial } = stream;
+  if (!partial.enabled) return null;
+  // Partials were made with the backend and language picked at the start
+  if (
+    params.transcriber !== partial.transcriber ||
+    params.lang !== partial.lang
+  ) {
+    return null;
+  }
+
+  // A transcription of the complete recording is still running: wait for it
+  if (partial.running && partial.bytes === stream.bytes) {
+    await partial.running;
+  }
+  if (
+    !partial.result ||
+    !partial.result.fromStart ||
+    partial.result.bytes !== stream.bytes
+  ) {
+    return null;
+  }
+
+  const { transcript, transcriber } = partial.result;
+  return { transcript, transcriber };
+}
+
+/**
+ * Controller for streamed recordings (Socket.IO handlers)
+ */
+const streamController = {
+  /**
+   * Open a stream for a recording that is starting
+   * @param {Object} socket - Client socket
+   * @param {Object} data - { mimeType, language, transcriber, partialTranscripts }
+   * @param {Function} [ack] - Acknowledgement callback, receives the stream
+   */
+  startStream: (socket, data = {}, ack) => {
+    // A stream is a processing request; refuse it before anything is recorded
+    const owner = getSocketQuotaOwner(socket);
+    try {
+      admitRequest(owner);
+    } catch (error) {
+      console.warn(`Quota: ${owner.key} rejected: ${error.message}`);
+      return respondWithError(ack, error, "starting audio stream", owner);
+    }
+
+    const params = baseController.prepareRequestParams({
+      ...data,
+      sessionId: socket.data.sessionId,
+      socketId: socket.id,
+    });
+    // Partials are model calls, so clients have to ask for them
+    const partialsWanted = baseController.parseBooleanParam(
+      data.partialTranscripts,
+    );
+
+    let stream;
+    try {
+      stream = createAudioStream({
+        target: baseController.getEventTarget(params),
+        clientKey: owner.key,
+        mimeType: typeof data.mimeType === "string" ? data.mimeType : null,
+        fields: data,
+        onClose: ({ partial }) => partial.controller?.abort(),
+      });
+    } catch (error) {
+      return respondWithError(ack, error, "starting audio stream");
+    }
+    stream.quotaOwner = owner;
+    stream.partial = {
+      // Only WebM recordings can be cut into excerpts of new audio
+      enabled:
+        partialsWanted &&
+        PARTIAL_INTERVAL_MS > 0 &&
+        getStreamExtension(stream.mimeType) === ".webm" &&
+        supportsPartialTranscripts(params.transcriber),
+      lang: params.lang,
+      transcriber: params.transcriber,
+      running: null,
+      controller: null,
+      bytes: 0,
+      calls: 0,
+      lastRunAt: 0,
+      result: null,
+    };
+
+    respond(ack, {
+      success: true,
+      stream: describeAudioStream(stream),
+      partialTranscripts: stream.partial.enabled,
+    });
+  },
+
+  /**
+   * Append a binary chunk to a stream
+   * @param {Object} socket - Client socket
+   * @param {Object} data - { streamId, chunk }
+   * @param {Function} [ack] - Acknowledgement callback, receives the byte count
+   */
+  appendChunk: (socket, data = {}, ack) => {
+    try {
+      const stream = getAudioStream(data.streamId, socket.id);
+      appendAudioChunk(stream, data.chunk);
+      schedulePartialTranscription(stream);
+      respond(ack, { success: true, bytes: stream.bytes });
+    } catch (error) {
+      respondWithError(ack, error, "appending audio chunk");
+    }
+  },
+
+  /**
+   * Close a stream and queue its recording for processing
+   * Accepts the same fields as an upload (language, models, pipeline, ...);
+   * fields sent with the start are used when they are not repeated
+   * @param {Object} socket - Client socket
+   * @param {Object} data - { streamId, ...request fields }
+   * @param {Function} [ack] - Acknowledgement callback, receives the job
+   */
+  endStream: async (socket, data = {}, ack) => {
+    const { streamId, ...fields } = data;
+    let stream;
+    try {
+      stream = getAudioStream(streamId, socket.id);
+    } catch (error) {
+      return respondWithError(ack, error, "ending audio stream");
+    }
+
+    if (stream.bytes === 0) {
+      discardAudioStream(stream);
+      return respond(ack, {
+        success: false,
+        error: "No audio was streamed",
+        status: 400,
+      });
+    }
+
+    const params = baseController.prepareRequestParams({
+      ...stream.fields,
+      ...fields,
+      sessionId: socket.data.sessionId,
+      socketId: socket.id,
+    });
+    const transcription = await getCompleteTranscription(stream, params);
+
+    const filePath = path.join(
+      AUDIO_DIR,
+      `${Date.now()}${getStreamExtension(stream.mimeType)}`,
+    );
+    const written = await tryCatch(
+      (async () => {
+        const audio = finishAudioStream(stream);
+        fs.mkdirSync(AUDIO_DIR, { recursive: true });
+        fs.writeFileSync(filePath, audio);
+      })(),
+    );
+    if (written.error) {
+      return respondWithError(ack, written.error, "saving streamed audio");
+    }
+    console.log(`Streamed audio saved to: ${filePath}`);
+
+    // Recordings beyond the daily audio quota are not kept
+    const owner = stream.quotaOwner;
+    const charged = await tryCatch(
+      (async () =>
+        chargeAudioSeconds(owner, await getAudioDuration(filePath)))(),
+    );
+    if (charged.error) {
+      fs.rmSync(filePath, { force: true });
+      return respondWithError(
+        ack,
+        charged.error,
+        "charging streamed audio",
+        owner,
+      );
+    }
+
+    const { sessionId } = params;
+    const archived = await recordingController.archiveAudioFile(filePath, {
+      sessionId,
+      source: "stream",
+    });
+    const jobParams = {
+      ...params,
+      audioFile: archived.filePath,
+      recordingId: archived.recordingId,
+      quotaKey: owner.key,
+    };
+
+    // Reset retry count and cancel flag like a new upload
+    baseController.setRetryCount(sessionId, 0);
+    baseController.setCancelled(sessionId, false);
+    backendEvents.emit(
+      "processing",
+      undefined,
+      baseController.getEventTarget(params),
+    );
+
+    const job = baseController.createProcessingJob(
+      "stream",
+      jobParams,
+      (signal) =>
+        recordingController.processUploadedAudio(
+          archived.filePath,
+          jobParams,
+          signal,
+          { transcription },
+        ),
+    );
+
+    respond(ack, {
+      success: true,
+      message: "Audio queued for processing",
+      sessionId,
+      transcribed: Boolean(transcription),
+      job,
+    });
+  },
+
+  /**
+   * Drop a stream without processing it (recording cancelled)
+   * @param {Object} socket - Client socket
+   * @param {Object} data - { streamId }
+   * @param {Function} [ack] - Acknowledgement callback
+   */
+  cancelStream: (socket, data = {}, ack) => {
+    try {
+      discardAudioStream(getAudioStream(data.streamId, socket.id));
+      respond(ack, { success: true });
+    } catch (error) {
+      respondWithError(ack, error, "cancelling audio stream");
+    }
+  },
+
+  /**
+   * Drop the streams of a disconnected socket
+   * @param {Object} socket - Client socket
+   */
+  handleDisconnect: (socket) => {
+    const discarded = discardSocketStreams(socket.id);
+    if (discarded > 0) {
+      console.log(
+        `Discarded ${discarded} unfinished audio stream(s) of ${socket.id}`,
+      );
+    }
+  },
+};
+
+module.exports = streamController;
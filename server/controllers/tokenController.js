@@ -0,0 +1,93 @@
+const {
+  SCOPES,
+  createToken,
+  listTokens,
+  setTokenLimits,
+  revokeToken,
+} = require("../lib/auth");
+const { sendStoreError } = require("./baseController");
+
+/**
+ * Controller for API token requests (/api/v1/tokens)
+ */
+const tokenController = {
+  /**
+   * Describe the token of the request, so clients can check their setup
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getCurrentToken: (req, res) => {
+    res.json(req.auth);
+  },
+
+  /**
+   * List issued tokens (without secrets) and the available scopes
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  listTokens: (req, res) => {
+    try {
+      res.json({ tokens: listTokens(), scopes: SCOPES });
+    } catch (error) {
+      sendStoreError(res, error, "listing tokens");
+    }
+  },
+
+  /**
+   * Issue a token; the response is the only place its secret appears
+   * Body: name, scopes (array or comma-separated, default read,record),
+   * limits (optional rate limit and quota overrides)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  createToken: (req, res) => {
+    try {
+      const token = createToken(req.body || {});
+      console.log(
+        `Issued API token ${token.id} (${token.name}) with scopes ${token.scopes.join(",")}`,
+      );
+      res.status(201).json(token);
+    } catch (error) {
+      sendStoreError(res, error, "creating token");
+    }
+  },
+
+  /**
+   * Replace the rate limit and quota overrides of a token
+   * Body: limits ({ requestsPerMinute, audioSecondsPerDay, modelCallsPerDay },
+   * or null for the server-wide limits)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  updateTokenLimits: (req, res) => {
+    try {
+      const token = setTokenLimits(req.params.id, (req.body || {}).limits);
+      if (!token) {
+        return res.status(404).json({ error: "Token not found" });
+      }
+      console.log(`Updated limits of API token ${token.id}`);
+      res.json(token);
+    } catch (error) {
+      sendStoreError(res, error, "updating token limits");
+    }
+  },
+
+  /**
+   * Revoke a token
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  revokeToken: (req, res) => {
+    try {
+      if (!revokeToken(req.params.id)) {
+        return res.status(404).json({ error: "Token not found" });
+      }
+      console.log(`Revoked API token ${req.params.id}`);
+      res.status(204).end();
+    } catch (error) {
+      sendStoreError(res, error, "revoking token");
+    }
+  },
+};
+
+module.exports = tokenController;
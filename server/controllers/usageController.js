@@ -0,0 +1,68 @@
+const { getUsageReport, getPrices, setPrices } = require("../lib/usage");
+const { sendStoreError } = require("./baseController");
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Controller for usage and cost requests (/api/v1/usage)
+ */
+const usageController = {
+  /**
+   * Report model usage and estimated cost, totalled and grouped by day,
+   * model and session
+   * Query: from, to (UTC days, YYYY-MM-DD), sessionId, model
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getUsage: (req, res) => {
+    const { from, to, sessionId, model } = req.query;
+    for (const [name, value] of Object.entries({ from, to })) {
+      if (value !== undefined && !DAY_PATTERN.test(value)) {
+        return res.status(400).json({ error: `${name} must be YYYY-MM-DD` });
+      }
+    }
+
+    try {
+      res.json({
+        from: from || null,
+        to: to || null,
+        currency: "USD",
+        ...getUsageReport({ from, to, sessionId, model }),
+      });
+    } catch (error) {
+      sendStoreError(res, error, "reading usage");
+    }
+  },
+
+  /**
+   * Get the price table used for cost estimates
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  getPrices: (req, res) => {
+    try {
+      res.json({ currency: "USD", unit: "1M tokens", prices: getPrices() });
+    } catch (error) {
+      sendStoreError(res, error, "reading prices");
+    }
+  },
+
+  /**
+   * Replace the price overrides
+   * Body: prices ({ [model]: { input, audioInput, output } } in USD per
+   * million tokens; models without an override use the built-in prices)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  updatePrices: (req, res) => {
+    try {
+      const prices = setPrices((req.body || {}).prices);
+      console.log("Updated model prices");
+      res.json({ currency: "USD", unit: "1M tokens", prices });
+    } catch (error) {
+      sendStoreError(res, error, "updating prices");
+    }
+  },
+};
+
+module.exports = usageController;
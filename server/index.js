@@ -10,17 +10,42 @@ const cors = require("cors"); // Import the cors package
 
 const backendEvents = require("./lib/events");
 const {
-  checkFFmpegAvailability,
-  cleanupAudioFiles,
-} = require("./utils/ffmpeg");
+  getSession,
+  getSessionRoom,
+  normalizeSessionId,
+  resolveSocketSessionId,
+  startSessionSweeper,
+} = require("./lib/sessions");
+const { AUDIO_DIR, startAudioSweeper } = require("./lib/audio-store");
+const { startStreamSweeper } = require("./lib/audio-streams");
+const {
+  isAuthDisabled,
+  listTokens,
+  authenticate,
+  authenticateSocket,
+  requireSocketScope,
+} = require("./lib/auth");
+const { baseController, streamController } = require("./controllers");
+const { checkFFmpegAvailability } = require("./utils/ffmpeg");
+
+// Origins allowed to call the API from a browser (comma-separated, all by
+// default); requests are authenticated by API token either way
+const CORS_ORIGINS = process.env.CORS_ORIGINS
+  ? process.env.CORS_ORIGINS.split(",").map((origin) => origin.trim())
+  : "*";
 
 const app = express();
 const server = require("http").createServer(app);
 const io = socketIo(server, {
   cors: {
-    origin: "*", // Allow all origins for Socket.IO connections
+    origin: CORS_ORIGINS,
     methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization", "User-Agent"],
+    allowedHeaders: [
+      "Content-Type",
+      "Authorization",
+      "User-Agent",
+      "X-Session-Id",
+    ],
     credentials: true,
   },
   // Socket.IO server configuration for better mobile compatibility
@@ -43,9 +68,9 @@ app.use(express.urlencoded({ extended: true, limit: "10mb" })); // Support form
 // Configure CORS for all routes
 app.use(
   cors({
-    origin: "*", // Allow all origins
+    origin: CORS_ORIGINS,
     methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-Session-Id"],
     credentials: true,
   }),
 );
@@ -53,6 +78,14 @@ app.use(
 const recordingRoutes = require("./routes/recordingRoutes")();
 const statusRoutes = require("./routes/statusRoutes")();
 const modelRoutes = require("./routes/modelRoutes")();
+const contextRoutes = require("./routes/contextRoutes")();
+const conversationRoutes = require("./routes/conversationRoutes")();
+const historyRoutes = require("./routes/historyRoutes")();
+const jobRoutes = require("./routes/jobRoutes")();
+const archiveRoutes = require("./routes/archiveRoutes")();
+const tokenRoutes = require("./routes/tokenRoutes")();
+const quotaRoutes = require("./routes/quotaRoutes")();
+const usageRoutes = require("./routes/usageRoutes")();
 
 // Middleware to log Socket.IO polling requests
 app.use("/socket.io", (req, res, next) => {
@@ -62,10 +95,21 @@ app.use("/socket.io", (req, res, next) => {
   next(); // Continue to the next middleware/handler (which should be Socket.IO)
 });
 
+// Every API request needs an API token; routes check its scopes
+app.use("/api", authenticate);
+
 // Set up API routes with proper versioning
 app.use("/api/v1/recording", recordingRoutes);
 app.use("/api/v1/status", statusRoutes);
 app.use("/api/v1/models", modelRoutes);
+app.use("/api/v1/contexts", contextRoutes);
+app.use("/api/v1/conversations", conversationRoutes);
+app.use("/api/v1/history", historyRoutes);
+app.use("/api/v1/jobs", jobRoutes);
+app.use("/api/v1/recordings", archiveRoutes);
+app.use("/api/v1/tokens", tokenRoutes);
+app.use("/api/v1/quota", quotaRoutes);
+app.use("/api/v1/usage", usageRoutes);
 
 // Root route for health check
 app.get("/", (req, res, next) => {
@@ -82,6 +126,14 @@ app.get("/", (req, res, next) => {
         status: "/api/v1/status",
         recording: "/api/v1/recording",
         models: "/api/v1/models",
+        contexts: "/api/v1/contexts",
+        conversations: "/api/v1/conversations",
+        history: "/api/v1/history",
+        jobs: "/api/v1/jobs",
+        recordings: "/api/v1/recordings",
+        tokens: "/api/v1/tokens",
+        quota: "/api/v1/quota",
+        usage: "/api/v1/usage",
       },
     });
   } else {
@@ -108,6 +160,9 @@ app.use((req, res) => {
   res.sendFile(path.join(__dirname, "public", "index.html"));
 });
 
+// Socket.IO clients send their API token in the handshake auth payload
+io.use(authenticateSocket);
+
 io.on("connection", (socket) => {
   console.log("Attempting to establish Socket.IO connection...");
   const clientInfo = {
@@ -116,20 +171,69 @@ io.on("connection", (socket) => {
     address: socket.handshake.address,
     userAgent: socket.handshake.headers["user-agent"] || "Unknown",
     query: socket.handshake.query || {},
+    token: socket.data.auth.name,
   };
 
-  console.log("Client connected:", clientInfo);
+  // Attach the client's session so its state stays separate from other clients
+  const sessionId = resolveSocketSessionId(socket);
+  socket.data.sessionId = sessionId;
+  getSession(sessionId);
+
+  // All sockets of a session share a room so results reach only that client
+  socket.join(getSessionRoom(sessionId));
+
+  console.log("Client connected:", { ...clientInfo, sessionId });
 
   // Send immediate acknowledgment to the client
   socket.emit("connected", {
     id: socket.id,
+    sessionId,
     serverTime: new Date().toISOString(),
     message: "Connection established successfully",
   });
 
+  // Handle cancel requests sent over the socket (scoped to this session)
+  socket.on(
+    "cancelRequest",
+    requireSocketScope(socket, "record", () => {
+      console.log(`Cancel request via Socket.IO for session ${sessionId}`);
+      baseController.cancelSessionProcessing(sessionId);
+      socket.emit("processingCancelled", {
+        message: "Processing cancelled by user",
+      });
+    }),
+  );
+
+  // Streamed recordings: chunks are sent while the client is still recording
+  socket.on(
+    "audioStreamStart",
+    requireSocketScope(socket, "record", (data, ack) =>
+      streamController.startStream(socket, data, ack),
+    ),
+  );
+  socket.on(
+    "audioChunk",
+    requireSocketScope(socket, "record", (data, ack) =>
+      streamController.appendChunk(socket, data, ack),
+    ),
+  );
+  socket.on(
+    "audioStreamEnd",
+    requireSocketScope(socket, "record", (data, ack) =>
+      streamController.endStream(socket, data, ack),
+    ),
+  );
+  socket.on(
+    "audioStreamCancel",
+    requireSocketScope(socket, "record", (data, ack) =>
+      streamController.cancelStream(socket, data, ack),
+    ),
+  );
+
   // Handle client disconnect
   socket.on("disconnect", (reason) => {
     console.log(`Client disconnected (${socket.id}): ${reason}`);
+    streamController.handleDisconnect(socket);
   });
 
   // Handle errors
@@ -143,42 +247,101 @@ io.on("connection", (socket) => {
   });
 });
 
-// Bridge backend events to Socket.IO
-backendEvents.on("processingError", (errorMessage) => {
-  console.error("Broadcasting processingError via Socket.IO:", errorMessage);
-  io.emit("processingError", errorMessage);
+/**
+ * Resolves who should receive a backend event
+ * Prefers the exact socket that submitted the request (when it belongs to the
+ * same session), otherwise the room shared by all sockets of the session
+ * @param {Object} [target] - { sessionId, socketId } of the requesting client
+ * @returns {Object} - Socket.IO broadcast operator for the recipients
+ */
+function getEventRecipients(target = {}) {
+  const { sessionId, socketId } = target;
+  const socket = socketId ? io.sockets.sockets.get(socketId) : null;
+
+  if (socket && socket.data.sessionId === normalizeSessionId(sessionId)) {
+    return io.to(socket.id);
+  }
+
+  return io.to(getSessionRoom(sessionId));
+}
+
+// Bridge backend events to Socket.IO, delivering each one only to its client
+backendEvents.on("processingError", (errorMessage, target) => {
+  console.error("Sending processingError via Socket.IO:", errorMessage);
+  getEventRecipients(target).emit("processingError", errorMessage);
+});
+
+backendEvents.on("processingCancelled", (data, target) => {
+  console.log("Sending processingCancelled via Socket.IO:", data);
+  getEventRecipients(target).emit("processingCancelled", data);
+});
+backendEvents.on("processing", (data, target) => {
+  console.log("Sending processing via Socket.IO");
+  getEventRecipients(target).emit("processing", data);
+});
+
+backendEvents.on("transcript", (data, target) => {
+  console.log("Sending transcript via Socket.IO:", data);
+  getEventRecipients(target).emit("transcript", data);
+});
+
+// Transcript of a streamed recording while it is still coming in
+backendEvents.on("partialTranscript", (data, target) => {
+  console.log(`Sending partialTranscript via Socket.IO: ${data.streamId}`);
+  getEventRecipients(target).emit("partialTranscript", data);
+});
+
+// A hands-free segment held no question and was not answered
+backendEvents.on("segmentIgnored", (data, target) => {
+  console.log(`Sending segmentIgnored via Socket.IO: ${data.reason}`);
+  getEventRecipients(target).emit("segmentIgnored", data);
 });
 
-backendEvents.on("processingCancelled", (data) => {
-  console.log("Broadcasting processingCancelled via Socket.IO:", data);
-  io.emit("processingCancelled", data);
+// Partial answer text while a model is still generating (not logged, too chatty)
+backendEvents.on("streamChunk", (data, target) => {
+  getEventRecipients(target).emit("streamChunk", data);
 });
-backendEvents.on("processing", () => {
-  console.log("Broadcasting processing via Socket.IO");
-  io.emit("processing");
+
+// A model attempt failed and is retried or handed to the next model
+backendEvents.on("modelRetry", (data, target) => {
+  console.log("Sending modelRetry via Socket.IO:", data);
+  getEventRecipients(target).emit("modelRetry", data);
 });
 
-backendEvents.on("transcript", (data) => {
-  console.log("Broadcasting transcript via Socket.IO:", data);
-  io.emit("transcript", data);
+backendEvents.on("update", (data, target) => {
+  console.log("Sending update via Socket.IO:", data);
+  getEventRecipients(target).emit("update", data);
 });
 
-backendEvents.on("update", (data) => {
-  console.log("Broadcasting update via Socket.IO:", data);
-  io.emit("update", data);
+backendEvents.on("backupUpdate", (data, target) => {
+  console.log("Sending backupUpdate via Socket.IO.");
+  getEventRecipients(target).emit("backupUpdate", data);
 });
 
-backendEvents.on("backupUpdate", (data) => {
-  console.log("Broadcasting backupUpdate via Socket.IO.");
-  io.emit("backupUpdate", data);
+// One model's answer in the "race" and "all" strategies
+backendEvents.on("modelAnswer", (data, target) => {
+  console.log(`Sending modelAnswer via Socket.IO: ${data.model}`);
+  getEventRecipients(target).emit("modelAnswer", data);
 });
 
-process.on("exit", () => {
-  console.log("Application exiting, cleaning up resources");
+// Merged answer and disagreements from the judge model
+backendEvents.on("judgeUpdate", (data, target) => {
+  console.log("Sending judgeUpdate via Socket.IO.");
+  getEventRecipients(target).emit("judgeUpdate", data);
+});
 
-  // Delete any temporary audio files
-  const audioDir = path.join(__dirname, "audio");
-  cleanupAudioFiles(audioDir);
+// Job lifecycle (queued -> started -> completed/failed/cancelled)
+[
+  "jobQueued",
+  "jobStarted",
+  "jobCompleted",
+  "jobFailed",
+  "jobCancelled",
+].forEach((event) => {
+  backendEvents.on(event, (job, target) => {
+    console.log(`Sending ${event} via Socket.IO: ${job.id}`);
+    getEventRecipients(target).emit(event, job);
+  });
 });
 
 process.on("SIGINT", () => {
@@ -191,23 +354,54 @@ process.on("SIGTERM", () => {
   process.exit(0);
 });
 
-server.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
-
-  // Ensure audio directory exists for file uploads
-  if (!fs.existsSync("audio")) {
-    fs.mkdirSync("audio", { recursive: true });
-    console.log("Created audio directory for file uploads");
-  }
+/**
+ * Starts the server and its background sweepers
+ * @param {number|string} [port] - Port to listen on (0 picks a free one)
+ * @returns {Object} - The HTTP server
+ */
+function startServer(port = PORT) {
+  return server.listen(port, () => {
+    console.log(`Server running on http://localhost:${PORT}`);
 
-  // FFmpeg is still useful for potential audio format conversion
-  // but no longer required for direct recording
-  checkFFmpegAvailability()
-    .then(() => console.log("FFmpeg is available for audio processing"))
-    .catch((err) =>
+    if (isAuthDisabled()) {
       console.warn(
-        "FFmpeg not available, some audio format conversions may fail:",
-        err,
-      ),
-    );
-});
+        "AUTH_DISABLED=true: API requests are not authenticated, use this for local development only",
+      );
+    } else if (!listTokens().length) {
+      console.warn(
+        'No API tokens issued yet, every request will be rejected. Create one with: npm run tokens -- create "my laptop" --scopes admin',
+      );
+    }
+
+    // Expire idle client sessions and audio streams in the background
+    startSessionSweeper();
+    startStreamSweeper();
+
+    // Ensure audio directory exists for file uploads
+    if (!fs.existsSync(AUDIO_DIR)) {
+      fs.mkdirSync(AUDIO_DIR, { recursive: true });
+      console.log("Created audio directory for file uploads");
+    }
+
+    // Enforce the audio archive's retention limits in the background
+    startAudioSweeper();
+
+    // FFmpeg is still useful for potential audio format conversion
+    // but no longer required for direct recording
+    checkFFmpegAvailability()
+      .then(() => console.log("FFmpeg is available for audio processing"))
+      .catch((err) =>
+        console.warn(
+          "FFmpeg not available, some audio format conversions may fail:",
+          err,
+        ),
+      );
+  });
+}
+
+// Tests require the app and listen on a port of their own
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = { app, server, io };
@@ -0,0 +1,396 @@
+/**
+ * Audio archive for uploaded and streamed recordings
+ * A recording is stored under the hash of its content (the same audio sent
+ * twice is kept once) next to a JSON sidecar with its metadata and the
+ * sessions that own it. Files derived from a recording (preprocessed,
+ * converted, split channels) start with its id and go away with it.
+ *
+ * Recordings are removed when their last owner clears them or when the
+ * background sweeper enforces the retention limits (age, total size, count).
+ * Recordings of running jobs are pinned and never removed.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { createJsonStore } = require("./json-store");
+
+/**
+ * Directory that holds the recordings (configurable)
+ */
+const AUDIO_DIR = process.env.AUDIO_DIR
+  ? path.resolve(process.env.AUDIO_DIR)
+  : path.join(__dirname, "..", "audio");
+
+/**
+ * How often the retention limits are enforced
+ */
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Files that belong to no recording (interrupted uploads, leftovers of older
+ * versions) are removed once they are this old
+ */
+const ORPHAN_GRACE_MS = 60 * 60 * 1000;
+
+// Ids are the first 32 hex digits of the content's SHA-256
+const RECORDING_ID_PATTERN = /^[a-f0-9]{32}$/;
+
+const pins = new Map(); // Recording id -> number of running jobs using it
+let sweepTimer = null;
+
+/**
+ * Reads a retention limit, 0 turning it off
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when the variable is not set or invalid
+ * @returns {number} - Limit
+ */
+function readLimit(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Reads the retention limits
+ * @returns {Object} - { maxAgeMs, maxBytes, maxFiles } (0 = no limit)
+ */
+function getRetentionConfig() {
+  return {
+    maxAgeMs: readLimit("AUDIO_RETENTION_HOURS", 168) * 60 * 60 * 1000,
+    maxBytes: readLimit("AUDIO_RETENTION_MAX_MB", 1024) * 1024 * 1024,
+    maxFiles: readLimit("AUDIO_RETENTION_MAX_FILES", 500),
+  };
+}
+
+/**
+ * Whether a value is a well-formed recording id
+ * @param {*} id - Value to check
+ * @returns {boolean} - True for a recording id
+ */
+function isRecordingId(id) {
+  return typeof id === "string" && RECORDING_ID_PATTERN.test(id);
+}
+
+/**
+ * Gets the recording id a file name starts with
+ * @param {string} fileName - File name or path
+ * @returns {string|null} - Id, or null when the name is not a recording's
+ */
+function getFileRecordingId(fileName) {
+  const prefix = path.basename(String(fileName)).split(/[._]/)[0];
+  return isRecordingId(prefix) ? prefix : null;
+}
+
+/**
+ * Opens the sidecar of a recording
+ * @param {string} id - Recording id
+ * @returns {Object} - JSON store of the sidecar (null document when missing)
+ */
+function getSidecar(id) {
+  return createJsonStore(path.join(AUDIO_DIR, `${id}.json`), () => null);
+}
+
+/**
+ * Adds the path of a recording's audio file to its metadata
+ * @param {Object} recording - Sidecar document
+ * @returns {Object} - Recording with filePath
+ */
+function withFilePath(recording) {
+  return { ...recording, filePath: path.join(AUDIO_DIR, recording.fileName) };
+}
+
+/**
+ * Gets an archived recording
+ * @param {string} id - Recording id
+ * @returns {Object|null} - Recording with filePath, or null when unknown
+ */
+function getRecording(id) {
+  if (!isRecordingId(id)) return null;
+  const recording = getSidecar(id).read();
+  return recording ? withFilePath(recording) : null;
+}
+
+/**
+ * Builds the public view of a recording
+ * @param {Object} recording - Recording
+ * @returns {Object} - Metadata without server paths and owners
+ */
+function describeRecording(recording) {
+  return {
+    id: recording.id,
+    mimeType: recording.mimeType,
+    size: recording.size,
+    originalName: recording.originalName,
+    source: recording.source,
+    createdAt: recording.createdAt,
+    lastUsedAt: recording.lastUsedAt,
+  };
+}
+
+/**
+ * Gets the recording an audio file (or one of its derived files) belongs to
+ * @param {string} filePath - Path of the audio file
+ * @returns {Object|null} - Recording with filePath, or null when the file is
+ *   not archived
+ */
+function findRecordingByFile(filePath) {
+  if (!filePath || path.resolve(path.dirname(filePath)) !== AUDIO_DIR) {
+    return null;
+  }
+  return getRecording(getFileRecordingId(filePath));
+}
+
+/**
+ * Moves a new recording into the archive
+ * The file is renamed after the hash of its content; when the archive holds
+ * the same audio already, the new file is dropped and the session becomes
+ * one more owner of the stored recording
+ * @param {string} filePath - Uploaded or streamed file (inside AUDIO_DIR)
+ * @param {Object} fields - Recording metadata
+ * @param {string} fields.sessionId - Session that made the recording
+ * @param {string} fields.source - "upload" or "stream"
+ * @param {string} [fields.extension] - Extension of the real format (the
+ *   file's own extension when not given)
+ * @param {string} [fields.mimeType] - MIME type of the real format
+ * @param {string} [fields.originalName] - File name sent by the client
+ * @returns {Object} - Archived recording with filePath
+ */
+function archiveRecording(filePath, fields) {
+  const sha256 = crypto
+    .createHash("sha256")
+    .update(fs.readFileSync(filePath))
+    .digest("hex");
+  const id = sha256.slice(0, 32);
+  const extension = (fields.extension || path.extname(filePath)).toLowerCase();
+  const sidecar = getSidecar(id);
+  const existing = sidecar.read();
+  const now = new Date().toISOString();
+
+  if (existing && fs.existsSync(path.join(AUDIO_DIR, existing.fileName))) {
+    fs.rmSync(filePath, { force: true });
+    const recording = sidecar.update((data) => ({
+      ...data,
+      sessionIds: data.sessionIds.includes(fields.sessionId)
+        ? data.sessionIds
+        : [...data.sessionIds, fields.sessionId],
+      lastUsedAt: now,
+    }));
+    console.log(`Audio already archived as ${id}, reusing it`);
+    return withFilePath(recording);
+  }
+
+  const fileName = `${id}${extension}`;
+  fs.mkdirSync(AUDIO_DIR, { recursive: true });
+  fs.renameSync(filePath, path.join(AUDIO_DIR, fileName));
+
+  const recording = sidecar.write({
+    id,
+    fileName,
+    sha256,
+    size: fs.statSync(path.join(AUDIO_DIR, fileName)).size,
+    mimeType: fields.mimeType || null,
+    originalName: fields.originalName || null,
+    source: fields.source,
+    sessionIds: [fields.sessionId],
+    createdAt: now,
+    lastUsedAt: now,
+  });
+  console.log(`Archived audio ${filePath} as ${fileName}`);
+  return withFilePath(recording);
+}
+
+/**
+ * Marks a recording as used by a running job: it is kept until unpinned
+ * and its retention age starts over
+ * @param {string} id - Recording id
+ */
+function pinRecording(id) {
+  if (!isRecordingId(id)) return;
+  pins.set(id, (pins.get(id) || 0) + 1);
+
+  const sidecar = getSidecar(id);
+  if (sidecar.read()) {
+    sidecar.update((data) => ({
+      ...data,
+      lastUsedAt: new Date().toISOString(),
+    }));
+  }
+}
+
+/**
+ * Releases a pin taken with pinRecording
+ * @param {string} id - Recording id
+ */
+function unpinRecording(id) {
+  const count = pins.get(id) || 0;
+  if (count <= 1) {
+    pins.delete(id);
+  } else {
+    pins.set(id, count - 1);
+  }
+}
+
+/**
+ * Lists the files in the audio directory grouped by recording
+ * @returns {Object} - { recordings: Map<id, files>, orphans: files } where a
+ *   file is { name, size, mtimeMs }
+ */
+function scanAudioDir() {
+  const recordings = new Map();
+  const orphans = [];
+  if (!fs.existsSync(AUDIO_DIR)) return { recordings, orphans };
+
+  for (const entry of fs.readdirSync(AUDIO_DIR, { withFileTypes: true })) {
+    if (!entry.isFile()) continue;
+    const stats = fs.statSync(path.join(AUDIO_DIR, entry.name));
+    const file = { name: entry.name, size: stats.size, mtimeMs: stats.mtimeMs };
+    const id = getFileRecordingId(entry.name);
+    if (id) {
+      recordings.set(id, [...(recordings.get(id) || []), file]);
+    } else {
+      orphans.push(file);
+    }
+  }
+  return { recordings, orphans };
+}
+
+/**
+ * Deletes files of the audio directory
+ * @param {Array<Object>} files - { name } files
+ */
+function deleteFiles(files) {
+  files.forEach((file) =>
+    fs.rmSync(path.join(AUDIO_DIR, file.name), { force: true }),
+  );
+}
+
+/**
+ * Deletes a recording with its derived files and sidecar
+ * @param {string} id - Recording id
+ * @returns {boolean} - True if anything was deleted
+ */
+function deleteRecording(id) {
+  if (!isRecordingId(id)) return false;
+  const files = scanAudioDir().recordings.get(id) || [];
+  deleteFiles(files);
+  return files.length > 0;
+}
+
+/**
+ * Releases the recordings of a session (the session's "clear audio")
+ * Recordings no other session owns are deleted; pinned ones are left to the
+ * sweeper
+ * @param {string} sessionId - Session id
+ * @returns {Object} - { released, deleted } counts
+ */
+function releaseSessionRecordings(sessionId) {
+  let released = 0;
+  let deleted = 0;
+
+  for (const id of scanAudioDir().recordings.keys()) {
+    const sidecar = getSidecar(id);
+    const recording = sidecar.read();
+    if (!recording || !recording.sessionIds.includes(sessionId)) continue;
+
+    released += 1;
+    const sessionIds = recording.sessionIds.filter(
+      (owner) => owner !== sessionId,
+    );
+    if (sessionIds.length === 0 && !pins.has(id)) {
+      deleteRecording(id);
+      deleted += 1;
+    } else {
+      sidecar.write({ ...recording, sessionIds });
+    }
+  }
+
+  return { released, deleted };
+}
+
+/**
+ * Enforces the retention limits
+ * Recordings without an owner or older than the age limit go first, then
+ * the least recently used ones until the count and size limits are met.
+ * Pinned recordings are skipped.
+ * @param {number} [now] - Current timestamp (ms)
+ * @returns {Object} - { recordings, orphans } numbers of deleted entries
+ */
+function sweepAudioArchive(now = Date.now()) {
+  const { maxAgeMs, maxBytes, maxFiles } = getRetentionConfig();
+  const { recordings, orphans } = scanAudioDir();
+
+  const expiredOrphans = orphans.filter(
+    (file) => now - file.mtimeMs > ORPHAN_GRACE_MS,
+  );
+  deleteFiles(expiredOrphans);
+
+  const entries = [];
+  for (const [id, files] of recordings) {
+    const recording = getSidecar(id).read();
+    const lastUsedAt = recording
+      ? Date.parse(recording.lastUsedAt)
+      : Math.max(...files.map((file) => file.mtimeMs));
+    entries.push({
+      id,
+      files,
+      size: files.reduce((total, file) => total + file.size, 0),
+      lastUsedAt,
+      // Derived files whose recording is gone (or not written yet)
+      ownerless: !recording || recording.sessionIds.length === 0,
+    });
+  }
+  // Least recently used first
+  entries.sort((a, b) => a.lastUsedAt - b.lastUsedAt);
+
+  let count = entries.length;
+  let totalBytes = entries.reduce((total, entry) => total + entry.size, 0);
+  let deleted = 0;
+  for (const entry of entries) {
+    if (pins.has(entry.id)) continue;
+
+    const expired =
+      (entry.ownerless && now - entry.lastUsedAt > ORPHAN_GRACE_MS) ||
+      (maxAgeMs > 0 && now - entry.lastUsedAt > maxAgeMs) ||
+      (maxFiles > 0 && count > maxFiles) ||
+      (maxBytes > 0 && totalBytes > maxBytes);
+    if (!expired) continue;
+
+    deleteFiles(entry.files);
+    count -= 1;
+    totalBytes -= entry.size;
+    deleted += 1;
+  }
+
+  if (deleted > 0 || expiredOrphans.length > 0) {
+    console.log(
+      `Audio archive sweep: removed ${deleted} recording(s) and ${expiredOrphans.length} stray file(s), ${count} recording(s) kept`,
+    );
+  }
+  return { recordings: deleted, orphans: expiredOrphans.length };
+}
+
+/**
+ * Starts the background sweeper of the audio archive
+ */
+function startAudioSweeper() {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(sweepAudioArchive, SWEEP_INTERVAL_MS);
+  // Don't keep the process alive just for the sweeper
+  sweepTimer.unref();
+}
+
+module.exports = {
+  AUDIO_DIR,
+  getRetentionConfig,
+  isRecordingId,
+  getRecording,
+  describeRecording,
+  findRecordingByFile,
+  archiveRecording,
+  pinRecording,
+  unpinRecording,
+  deleteRecording,
+  releaseSessionRecordings,
+  sweepAudioArchive,
+  startAudioSweeper,
+};
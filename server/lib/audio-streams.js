@@ -0,0 +1,341 @@
+/**
+ * Audio stream store for recordings streamed over Socket.IO
+ * A client opens a stream when it starts recording and sends every
+ * MediaRecorder chunk as it is produced; the chunks are kept in memory until
+ * the client ends the stream. MediaRecorder only writes the container header
+ * into its first chunk, so the chunks received so far always concatenate into
+ * a playable file.
+ *
+ * Streams belong to the socket that opened them. They are dropped when the
+ * socket disconnects or, by a background sweeper, after STREAM_IDLE_SECONDS
+ * without a chunk. A socket and a client (token or IP address) can only keep
+ * a few streams open at a time, so buffered audio stays bounded.
+ */
+
+const crypto = require("crypto");
+const { createHttpError } = require("./http-error");
+
+/**
+ * Largest recording a stream may hold (configurable, megabytes)
+ */
+const STREAM_MAX_BYTES =
+  (parseInt(process.env.STREAM_MAX_MB, 10) || 50) * 1024 * 1024;
+
+/**
+ * Streams without a chunk for this long are dropped (configurable)
+ */
+const STREAM_IDLE_MS =
+  (parseInt(process.env.STREAM_IDLE_SECONDS, 10) || 120) * 1000;
+
+/**
+ * Open streams allowed per socket and per client (configurable)
+ */
+const STREAM_MAX_PER_SOCKET =
+  parseInt(process.env.STREAM_MAX_PER_SOCKET, 10) || 2;
+const STREAM_MAX_PER_CLIENT =
+  parseInt(process.env.STREAM_MAX_PER_CLIENT, 10) || 4;
+
+/**
+ * How often idle streams are swept
+ */
+const SWEEP_INTERVAL_MS = 15 * 1000;
+
+/**
+ * File extensions for the container formats MediaRecorder produces
+ */
+const MIME_EXTENSIONS = {
+  "audio/webm": ".webm",
+  "audio/ogg": ".ogg",
+  "audio/mp4": ".mp4",
+  "audio/mpeg": ".mp3",
+  "audio/wav": ".wav",
+};
+
+// EBML id of a WebM (Matroska) cluster; the audio after the header is
+// stored in clusters, each of which can be decoded on its own
+const WEBM_CLUSTER_ID = Buffer.from([0x1f, 0x43, 0xb6, 0x75]);
+
+const streams = new Map();
+let sweepTimer = null;
+
+/**
+ * Gets the file extension for a recording's MIME type
+ * @param {string} mimeType - MIME type, possibly with codecs ("audio/webm;codecs=opus")
+ * @returns {string} - Extension including the dot (".webm" when unknown)
+ */
+function getStreamExtension(mimeType) {
+  const baseType = String(mimeType || "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+  return MIME_EXTENSIONS[baseType] || ".webm";
+}
+
+/**
+ * Builds the public view of a stream
+ * @param {Object} stream - Stream
+ * @returns {Object} - Stream without its chunks
+ */
+function describeAudioStream(stream) {
+  return {
+    id: stream.id,
+    sessionId: stream.target.sessionId,
+    mimeType: stream.mimeType,
+    chunks: stream.chunks.length,
+    bytes: stream.bytes,
+    createdAt: new Date(stream.createdAt).toISOString(),
+    lastChunkAt: stream.lastChunkAt
+      ? new Date(stream.lastChunkAt).toISOString()
+      : null,
+  };
+}
+
+/**
+ * Removes a stream and runs its cleanup
+ * @param {Object} stream - Stream
+ */
+function removeStream(stream) {
+  streams.delete(stream.id);
+  if (stream.onClose) {
+    stream.onClose(stream);
+  }
+}
+
+/**
+ * Drops streams that have not received a chunk for longer than the idle time
+ * @param {number} [now] - Current timestamp (ms)
+ * @returns {number} - Number of dropped streams
+ */
+function pruneIdleStreams(now = Date.now()) {
+  let removed = 0;
+  for (const stream of streams.values()) {
+    if (now - (stream.lastChunkAt || stream.createdAt) > STREAM_IDLE_MS) {
+      console.log(`Dropping idle audio stream ${stream.id}`);
+      removeStream(stream);
+      removed += 1;
+    }
+  }
+  return removed;
+}
+
+/**
+ * Starts the background sweeper for idle streams
+ */
+function startStreamSweeper() {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(pruneIdleStreams, SWEEP_INTERVAL_MS);
+  // Don't keep the process alive just for the sweeper
+  sweepTimer.unref();
+}
+
+/**
+ * Opens a stream for a socket
+ * @param {Object} options - Stream options
+ * @param {Object} options.target - { sessionId, socketId } of the client
+ * @param {string} options.clientKey - Who opens the stream (quota key of the
+ *   token or IP address)
+ * @param {string} [options.mimeType] - MIME type reported by MediaRecorder
+ * @param {Object} [options.fields] - Request fields sent with the start
+ * @param {Function} [options.onClose] - Called once the stream is finished or dropped
+ * @returns {Object} - The new stream
+ * @throws {Error} - 429 when the socket or client has too many open streams
+ */
+function createAudioStream({
+  target,
+  clientKey,
+  mimeType,
+  fields = {},
+  onClose = null,
+}) {
+  pruneIdleStreams();
+
+  const open = [...streams.values()];
+  if (
+    open.filter((stream) => stream.target.socketId === target.socketId)
+      .length >= STREAM_MAX_PER_SOCKET
+  ) {
+    throw createHttpError(
+      `At most ${STREAM_MAX_PER_SOCKET} audio streams can be open per connection`,
+      429,
+    );
+  }
+  if (
+    open.filter((stream) => stream.clientKey === clientKey).length >=
+    STREAM_MAX_PER_CLIENT
+  ) {
+    throw createHttpError(
+      `At most ${STREAM_MAX_PER_CLIENT} audio streams can be open per client`,
+      429,
+    );
+  }
+
+  const stream = {
+    id: crypto.randomUUID(),
+    target,
+    clientKey,
+    mimeType: mimeType || "audio/webm",
+    fields,
+    onClose,
+    chunks: [],
+    bytes: 0,
+    createdAt: Date.now(),
+    lastChunkAt: null,
+  };
+  streams.set(stream.id, stream);
+  console.log(
+    `Opened audio stream ${stream.id} (${stream.mimeType}) for ${target.sessionId}`,
+  );
+  return stream;
+}
+
+/**
+ * Gets a stream owned by a socket
+ * @param {string} id - Stream id
+ * @param {string} socketId - Socket asking for the stream
+ * @returns {Object} - Stream
+ * @throws {Error} - 404 when the stream is unknown or belongs to another socket
+ */
+function getAudioStream(id, socketId) {
+  const stream = streams.get(id);
+  if (!stream || stream.target.socketId !== socketId) {
+    throw createHttpError("Audio stream not found", 404);
+  }
+  return stream;
+}
+
+/**
+ * Appends a chunk to a stream
+ * @param {Object} stream - Stream
+ * @param {Buffer|ArrayBuffer|Uint8Array} chunk - Binary chunk from MediaRecorder
+ * @returns {Object} - The stream
+ * @throws {Error} - 400 for non-binary chunks, 413 when the stream gets too large
+ */
+function appendAudioChunk(stream, chunk) {
+  let buffer;
+  if (Buffer.isBuffer(chunk)) {
+    buffer = chunk;
+  } else if (ArrayBuffer.isView(chunk)) {
+    buffer = Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+  } else if (chunk instanceof ArrayBuffer) {
+    buffer = Buffer.from(chunk);
+  } else {
+    throw createHttpError("Audio chunks must be binary");
+  }
+
+  if (stream.bytes + buffer.length > STREAM_MAX_BYTES) {
+    removeStream(stream);
+    throw createHttpError(
+      `Recording exceeds the ${STREAM_MAX_BYTES / 1024 / 1024}MB stream limit`,
+      413,
+    );
+  }
+
+  stream.chunks.push(buffer);
+  stream.bytes += buffer.length;
+  stream.lastChunkAt = Date.now();
+  return stream;
+}
+
+/**
+ * Gets everything a stream has received so far as one buffer
+ * @param {Object} stream - Stream
+ * @returns {Buffer} - Recording so far
+ */
+function getStreamAudio(stream) {
+  return Buffer.concat(stream.chunks, stream.bytes);
+}
+
+/**
+ * Gets a playable excerpt of a WebM stream: its container header followed by
+ * the clusters from a byte offset on
+ * The excerpt starts at the last cluster beginning at or before the offset,
+ * so no audio is skipped (a little before the offset may be repeated)
+ * @param {Object} stream - Stream
+ * @param {number} fromByte - Offset of the first audio wanted
+ * @returns {Object|null} - { audio, fromStart } where fromStart tells whether
+ *   the excerpt is the whole recording, or null when the stream is not WebM
+ *   or holds no cluster yet
+ */
+function getStreamExcerpt(stream, fromByte) {
+  if (getStreamExtension(stream.mimeType) !== ".webm") return null;
+
+  const audio = getStreamAudio(stream);
+  const headerEnd = audio.indexOf(WEBM_CLUSTER_ID);
+  if (headerEnd < 0) return null;
+
+  let start = headerEnd;
+  let next = audio.indexOf(WEBM_CLUSTER_ID, start + 1);
+  while (next >= 0 && next <= fromByte) {
+    start = next;
+    next = audio.indexOf(WEBM_CLUSTER_ID, start + 1);
+  }
+
+  if (start === headerEnd) return { audio, fromStart: true };
+  return {
+    audio: Buffer.concat([audio.subarray(0, headerEnd), audio.subarray(start)]),
+    fromStart: false,
+  };
+}
+
+/**
+ * Closes a stream and hands back its recording
+ * @param {Object} stream - Stream
+ * @returns {Buffer} - The complete recording
+ */
+function finishAudioStream(stream) {
+  const audio = getStreamAudio(stream);
+  removeStream(stream);
+  console.log(
+    `Closed audio stream ${stream.id}: ${stream.chunks.length} chunks, ${stream.bytes} bytes`,
+  );
+  return audio;
+}
+
+/**
+ * Drops a stream without keeping its recording
+ * @param {Object} stream - Stream
+ */
+function discardAudioStream(stream) {
+  removeStream(stream);
+  console.log(`Discarded audio stream ${stream.id}`);
+}
+
+/**
+ * Drops every stream opened by a socket (e.g. when it disconnects)
+ * @param {string} socketId - Socket id
+ * @returns {number} - Number of dropped streams
+ */
+function discardSocketStreams(socketId) {
+  let discarded = 0;
+  for (const stream of streams.values()) {
+    if (stream.target.socketId === socketId) {
+      discardAudioStream(stream);
+      discarded += 1;
+    }
+  }
+  return discarded;
+}
+
+/**
+ * Counts open streams
+ * @returns {number} - Open streams
+ */
+function getStreamCount() {
+  return streams.size;
+}
+
+module.exports = {
+  STREAM_MAX_BYTES,
+  getStreamExtension,
+  describeAudioStream,
+  createAudioStream,
+  getAudioStream,
+  appendAudioChunk,
+  getStreamAudio,
+  getStreamExcerpt,
+  finishAudioStream,
+  discardAudioStream,
+  discardSocketStreams,
+  startStreamSweeper,
+  getStreamCount,
+};
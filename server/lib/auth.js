@@ -0,0 +1,466 @@
+/**
+ * API token authentication
+ * Every REST request under /api and every Socket.IO connection must present
+ * an API token. Tokens carry scopes that decide what they may do; only a
+ * SHA-256 hash of each token is kept in data/tokens.json, so the secret is
+ * shown once, when the token is issued (scripts/tokens.js or
+ * POST /api/v1/tokens).
+ *
+ * URLs the browser loads itself (<audio> sources) cannot carry a header, so
+ * the server hands out short-lived signed URLs for them instead of accepting
+ * the token in the query string, where it would end up in logs and history.
+ */
+
+const fs = require("fs");
+const crypto = require("crypto");
+const { createJsonStore } = require("./json-store");
+const { createHttpError } = require("./http-error");
+const { normalizeLimits } = require("./quotas");
+
+/**
+ * Scopes a token can hold; "admin" includes all the others
+ */
+const SCOPES = {
+  read: "Read models, contexts, history, jobs, recordings and usage, receive results",
+  record: "Upload and stream audio, process recordings, cancel jobs",
+  manage: "Edit context profiles and delete history",
+  admin:
+    "Issue and revoke API tokens, set model prices (includes every other scope)",
+};
+
+/**
+ * Scopes of tokens issued without a scope list, enough for the apps
+ */
+const DEFAULT_SCOPES = ["read", "record"];
+
+/**
+ * Prefix of issued tokens, so they are recognizable in configs and logs
+ */
+const TOKEN_PREFIX = "ala_";
+
+/**
+ * Minimum time between two lastUsedAt writes of the same token
+ */
+const LAST_USED_RESOLUTION_MS = 5 * 60 * 1000;
+
+/**
+ * Lifetime of signed URLs (seconds, configurable)
+ */
+const SIGNED_URL_TTL_MS =
+  (parseInt(process.env.SIGNED_URL_TTL_SECONDS, 10) || 900) * 1000;
+
+// Key of the URL signatures; a random one invalidates signed URLs on restart
+const SIGNED_URL_SECRET =
+  process.env.SIGNED_URL_SECRET || crypto.randomBytes(32).toString("hex");
+
+const store = createJsonStore("tokens.json", () => ({ tokens: [] }));
+
+// mtime of tokens.json when it was last loaded, to pick up CLI changes
+let loadedMtimeMs = null;
+
+/**
+ * Whether authentication is switched off (AUTH_DISABLED=true, local
+ * development only)
+ * @returns {boolean} - True when requests are not checked
+ */
+function isAuthDisabled() {
+  return process.env.AUTH_DISABLED === "true";
+}
+
+/**
+ * Gets the stored tokens, reloading the file when another process changed it
+ * @returns {Array<Object>} - Token records
+ */
+function getTokenRecords() {
+  let mtimeMs = null;
+  try {
+    mtimeMs = fs.statSync(store.filePath).mtimeMs;
+  } catch {
+    // No tokens issued yet
+  }
+  if (mtimeMs !== loadedMtimeMs) {
+    loadedMtimeMs = mtimeMs;
+    return store.reload().tokens;
+  }
+  return store.read().tokens;
+}
+
+/**
+ * Applies a change to the stored tokens
+ * @param {Function} updater - Receives the token list, returns the new one
+ */
+function updateTokenRecords(updater) {
+  getTokenRecords();
+  store.update((data) => ({ ...data, tokens: updater(data.tokens) }));
+  // Our own write is not a change from another process
+  loadedMtimeMs = fs.statSync(store.filePath).mtimeMs;
+}
+
+/**
+ * Hashes a token for storage and lookup
+ * @param {string} token - Token secret
+ * @returns {string} - Hex SHA-256 digest
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Removes the secret hash from a token record
+ * @param {Object} record - Stored token
+ * @returns {Object} - { id, name, scopes, limits, prefix, createdAt,
+ *   lastUsedAt }
+ */
+function describeToken(record) {
+  const { tokenHash, ...token } = record;
+  return token;
+}
+
+/**
+ * Validates a scope list
+ * @param {*} value - Array or comma-separated string of scopes
+ * @returns {Array<string>} - Unique, known scopes
+ */
+function normalizeScopes(value) {
+  if (value === undefined || value === null || value === "") {
+    return [...DEFAULT_SCOPES];
+  }
+  const scopes = (Array.isArray(value) ? value : String(value).split(","))
+    .map((scope) => String(scope).trim())
+    .filter(Boolean);
+
+  const unknown = scopes.filter((scope) => !SCOPES[scope]);
+  if (unknown.length) {
+    throw createHttpError(
+      `Unknown scope(s) ${unknown.join(", ")}; use ${Object.keys(SCOPES).join(", ")}`,
+    );
+  }
+  if (!scopes.length) {
+    throw createHttpError("A token needs at least one scope");
+  }
+  return [...new Set(scopes)];
+}
+
+/**
+ * Issues a new API token
+ * @param {Object} input - Token fields
+ * @param {string} input.name - What the token is for (e.g. "desktop laptop")
+ * @param {Array<string>|string} [input.scopes] - Scopes (DEFAULT_SCOPES when
+ *   omitted)
+ * @param {Object} [input.limits] - Rate limit and quota overrides (see
+ *   lib/quotas.js); the server-wide limits apply when omitted
+ * @returns {Object} - Token description plus the secret as token; the secret
+ *   cannot be read again later
+ */
+function createToken(input = {}) {
+  const name = typeof input.name === "string" ? input.name.trim() : "";
+  if (!name) {
+    throw createHttpError("name is required");
+  }
+  if (name.length > 100) {
+    throw createHttpError("name must be at most 100 characters");
+  }
+
+  const secret = `${TOKEN_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+  const record = {
+    id: crypto.randomUUID(),
+    name,
+    scopes: normalizeScopes(input.scopes),
+    limits: normalizeLimits(input.limits),
+    prefix: secret.slice(0, TOKEN_PREFIX.length + 6),
+    tokenHash: hashToken(secret),
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+  };
+  updateTokenRecords((tokens) => [...tokens, record]);
+
+  return { ...describeToken(record), token: secret };
+}
+
+/**
+ * Lists the issued tokens (without secrets)
+ * @returns {Array<Object>} - Token descriptions, oldest first
+ */
+function listTokens() {
+  return getTokenRecords().map(describeToken);
+}
+
+/**
+ * Replaces the rate limit and quota overrides of a token
+ * @param {string} id - Token id
+ * @param {Object|null} limits - New overrides, null for the server-wide limits
+ * @returns {Object|null} - Updated token description, or null when the token
+ *   does not exist
+ */
+function setTokenLimits(id, limits) {
+  const record = getTokenRecords().find((token) => token.id === id);
+  if (!record) return null;
+
+  const updated = { ...record, limits: normalizeLimits(limits) };
+  updateTokenRecords((tokens) =>
+    tokens.map((token) => (token.id === id ? updated : token)),
+  );
+  return describeToken(updated);
+}
+
+/**
+ * Revokes a token; requests that present it are rejected from then on
+ * @param {string} id - Token id
+ * @returns {boolean} - True when the token existed
+ */
+function revokeToken(id) {
+  if (!getTokenRecords().some((token) => token.id === id)) {
+    return false;
+  }
+  updateTokenRecords((tokens) => tokens.filter((token) => token.id !== id));
+  return true;
+}
+
+/**
+ * Finds the token a secret belongs to and records its use
+ * @param {string} secret - Token presented by a client
+ * @returns {Object|null} - Token description, or null when the token is
+ *   unknown or revoked
+ */
+function verifyToken(secret) {
+  if (typeof secret !== "string" || !secret.startsWith(TOKEN_PREFIX)) {
+    return null;
+  }
+  const tokenHash = hashToken(secret);
+  const record = getTokenRecords().find(
+    (token) => token.tokenHash === tokenHash,
+  );
+  if (!record) return null;
+
+  const now = Date.now();
+  if (
+    !record.lastUsedAt ||
+    now - Date.parse(record.lastUsedAt) > LAST_USED_RESOLUTION_MS
+  ) {
+    const lastUsedAt = new Date(now).toISOString();
+    updateTokenRecords((tokens) =>
+      tokens.map((token) =>
+        token.id === record.id ? { ...token, lastUsedAt } : token,
+      ),
+    );
+    return describeToken({ ...record, lastUsedAt });
+  }
+  return describeToken(record);
+}
+
+/**
+ * Whether an authenticated client may use a scope
+ * @param {Object} auth - Token description (req.auth / socket.data.auth)
+ * @param {string} scope - Key of SCOPES
+ * @returns {boolean} - True when the token holds the scope or "admin"
+ */
+function hasScope(auth, scope) {
+  return Boolean(
+    auth && (auth.scopes.includes(scope) || auth.scopes.includes("admin")),
+  );
+}
+
+/**
+ * Stand-in identity for requests when authentication is disabled
+ */
+const UNAUTHENTICATED_ADMIN = Object.freeze({
+  id: null,
+  name: "auth disabled",
+  scopes: Object.freeze(["admin"]),
+});
+
+/**
+ * Reads the token of an HTTP request from its Authorization header
+ * @param {Object} req - Express request object
+ * @returns {string|null} - Token, or null when none was sent
+ */
+function getRequestToken(req) {
+  const header = req.get("authorization") || "";
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Computes the signature of a signed URL
+ * @param {string} pathname - Path the URL grants access to
+ * @param {string} tokenId - Id of the token the URL acts as
+ * @param {string} expires - Expiry (Unix seconds)
+ * @returns {string} - Base64url HMAC-SHA256
+ */
+function signUrlPath(pathname, tokenId, expires) {
+  return crypto
+    .createHmac("sha256", SIGNED_URL_SECRET)
+    .update(`${pathname}\n${tokenId}\n${expires}`)
+    .digest("base64url");
+}
+
+/**
+ * Creates a short-lived URL for a GET endpoint the browser loads itself
+ * The URL only grants that path, acts as the token that asked for it (so
+ * revoking the token revokes the URL) and expires after
+ * SIGNED_URL_TTL_SECONDS
+ * @param {string} pathname - API path (e.g. /api/v1/recordings/<id>/audio)
+ * @param {Object} auth - Token description of the requester
+ * @param {number} [now] - Timestamp (ms)
+ * @returns {Object} - { url, expiresAt } where url is relative to the server
+ */
+function createSignedUrl(pathname, auth, now = Date.now()) {
+  const tokenId = (auth && auth.id) || "";
+  const expires = String(Math.floor((now + SIGNED_URL_TTL_MS) / 1000));
+  const query = new URLSearchParams({
+    tokenId,
+    expires,
+    signature: signUrlPath(pathname, tokenId, expires),
+  });
+  return {
+    url: `${pathname}?${query}`,
+    expiresAt: new Date(Number(expires) * 1000).toISOString(),
+  };
+}
+
+/**
+ * Checks the signature of a signed URL request
+ * @param {Object} req - Express request object
+ * @returns {Object|null} - Description of the token the URL acts as, or null
+ *   when the URL is not signed for this path, expired or its token is gone
+ */
+function verifySignedUrl(req) {
+  const { tokenId, expires, signature } = req.query;
+  if (
+    req.method !== "GET" ||
+    typeof tokenId !== "string" ||
+    typeof expires !== "string" ||
+    typeof signature !== "string" ||
+    Number(expires) * 1000 < Date.now()
+  ) {
+    return null;
+  }
+
+  const pathname = req.originalUrl.split("?")[0];
+  const expected = Buffer.from(signUrlPath(pathname, tokenId, expires));
+  const actual = Buffer.from(signature);
+  if (
+    actual.length !== expected.length ||
+    !crypto.timingSafeEqual(actual, expected)
+  ) {
+    return null;
+  }
+
+  const record = getTokenRecords().find((token) => token.id === tokenId);
+  return record ? describeToken(record) : null;
+}
+
+/**
+ * Express middleware that rejects requests without a valid token (or signed
+ * URL) and sets req.auth to the token's description
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function authenticate(req, res, next) {
+  if (isAuthDisabled()) {
+    req.auth = UNAUTHENTICATED_ADMIN;
+    return next();
+  }
+
+  const secret = getRequestToken(req);
+  if (!secret && req.query.signature) {
+    const signedAuth = verifySignedUrl(req);
+    if (!signedAuth) {
+      return res.status(401).json({ error: "Invalid or expired signed URL" });
+    }
+    req.auth = signedAuth;
+    return next();
+  }
+  if (!secret) {
+    res.set("WWW-Authenticate", "Bearer");
+    return res.status(401).json({ error: "Authentication required" });
+  }
+  const auth = verifyToken(secret);
+  if (!auth) {
+    res.set("WWW-Authenticate", 'Bearer error="invalid_token"');
+    return res.status(401).json({ error: "Invalid or revoked token" });
+  }
+
+  req.auth = auth;
+  next();
+}
+
+/**
+ * Creates Express middleware that only lets tokens with a scope through
+ * @param {string} scope - Key of SCOPES
+ * @returns {Function} - Middleware answering 403 for other tokens
+ */
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!hasScope(req.auth, scope)) {
+      return res
+        .status(403)
+        .json({ error: `This token lacks the "${scope}" scope` });
+    }
+    next();
+  };
+}
+
+/**
+ * Socket.IO middleware that rejects connections without a valid token in
+ * the handshake (auth.token) and sets socket.data.auth
+ * @param {Object} socket - Socket.IO socket
+ * @param {Function} next - Next middleware, receives the error on rejection
+ */
+function authenticateSocket(socket, next) {
+  if (isAuthDisabled()) {
+    socket.data.auth = UNAUTHENTICATED_ADMIN;
+    return next();
+  }
+
+  const auth = verifyToken((socket.handshake.auth || {}).token);
+  if (!auth) {
+    const error = new Error("Invalid or missing API token");
+    error.data = { status: 401 };
+    return next(error);
+  }
+  socket.data.auth = auth;
+  next();
+}
+
+/**
+ * Wraps a Socket.IO event handler so only tokens with a scope can use it
+ * Other clients get { success: false, error, status: 403 } through the
+ * acknowledgement callback, like other rejected socket requests
+ * @param {Object} socket - Socket.IO socket
+ * @param {string} scope - Key of SCOPES
+ * @param {Function} handler - Event handler (data, ack)
+ * @returns {Function} - Guarded handler
+ */
+function requireSocketScope(socket, scope, handler) {
+  return (data, ack) => {
+    if (hasScope(socket.data.auth, scope)) {
+      return handler(data, ack);
+    }
+    if (typeof ack === "function") {
+      ack({
+        success: false,
+        error: `This token lacks the "${scope}" scope`,
+        status: 403,
+      });
+    }
+  };
+}
+
+module.exports = {
+  SCOPES,
+  DEFAULT_SCOPES,
+  isAuthDisabled,
+  createToken,
+  listTokens,
+  setTokenLimits,
+  revokeToken,
+  verifyToken,
+  hasScope,
+  createSignedUrl,
+  authenticate,
+  requireScope,
+  authenticateSocket,
+  requireSocketScope,
+};
@@ -0,0 +1,309 @@
+/**
+ * Context profile store
+ * A context profile is a named prompt preset ("React.js", "Interview", ...)
+ * with a standard variant (text questions) and an audio variant (direct audio
+ * Q&A), per-language text and an optional default model.
+ * Profiles live in data/contexts.json and are seeded with the built-in set.
+ */
+
+const { createJsonStore } = require("./json-store");
+const { createHttpError } = require("./http-error");
+
+/**
+ * Profile used when a request names an unknown context
+ */
+const FALLBACK_CONTEXT_ID = "general";
+
+// Lower-case ids; "/" is allowed for the legacy "html/css/javascript" id
+const CONTEXT_ID_PATTERN = /^[a-z0-9][a-z0-9/._-]{0,63}$/;
+
+const SUPPORTED_LANGUAGES = ["en", "vi"];
+
+/**
+ * Built-in profiles, also used to seed the store
+ */
+const DEFAULT_CONTEXTS = [
+  {
+    id: "interview",
+    name: "General interview question",
+    prompts: {
+      standard: {
+        en: "Your answer should be formatted as a concise interview response, highlighting key points clearly.",
+      },
+      audio: {
+        en: "Format your response as a concise interview answer, highlighting key points clearly.",
+      },
+    },
+  },
+  {
+    id: "general",
+    name: "General about frontend development",
+    prompts: {
+      standard: {
+        en: "Your answer should focus on general frontend development concepts and best practices.",
+      },
+      audio: {
+        en: "Focus on general frontend development concepts and best practices.",
+      },
+    },
+  },
+  {
+    id: "html/css/javascript",
+    name: "HTML/CSS/JavaScript",
+    prompts: {
+      standard: {
+        en: "Your answer should focus on HTML, CSS or Javascript concepts, best practices, and standards.",
+      },
+      audio: {
+        en: "Focus on HTML, CSS or Javascript concepts, best practices, and standards.",
+      },
+    },
+  },
+  {
+    id: "typescript",
+    name: "TypeScript",
+    prompts: {
+      standard: {
+        en: "Your answer should focus on TypeScript language concepts, features, type system, and best practices.",
+      },
+      audio: {
+        en: "Focus on TypeScript language concepts, features, type system, and best practices.",
+      },
+    },
+  },
+  {
+    id: "reactjs",
+    name: "React.js",
+    prompts: {
+      standard: {
+        en: "Your answer should focus on React.js concepts, components, hooks, and best practices.",
+      },
+      audio: {
+        en: "Focus on React.js concepts, components, hooks, and best practices.",
+      },
+    },
+  },
+  {
+    id: "nextjs",
+    name: "Next.js",
+    prompts: {
+      standard: {
+        en: "Your answer should focus on Next.js framework concepts, features, and best practices.",
+      },
+      audio: {
+        en: "Focus on Next.js framework concepts, features, and best practices.",
+      },
+    },
+  },
+];
+
+const store = createJsonStore("contexts.json", () => ({
+  contexts: DEFAULT_CONTEXTS.map((context) => ({
+    ...context,
+    defaultModel: null,
+    builtIn: true,
+  })),
+}));
+
+/**
+ * Validates and normalizes one prompt variant ({ en, vi })
+ * @param {*} value - Raw variant from the request
+ * @param {string} field - Field name for error messages
+ * @returns {Object} - Variant with trimmed, non-empty texts
+ */
+function normalizeVariant(value, field) {
+  if (value === undefined || value === null) {
+    return {};
+  }
+  if (typeof value === "string") {
+    return value.trim() ? { en: value.trim() } : {};
+  }
+  if (typeof value !== "object" || Array.isArray(value)) {
+    throw createHttpError(
+      `${field} must be a string or an object keyed by language`,
+    );
+  }
+
+  const variant = {};
+  for (const [lang, text] of Object.entries(value)) {
+    if (!SUPPORTED_LANGUAGES.includes(lang)) {
+      throw createHttpError(
+        `${field}.${lang} is not a supported language (${SUPPORTED_LANGUAGES.join(", ")})`,
+      );
+    }
+    if (typeof text !== "string") {
+      throw createHttpError(`${field}.${lang} must be a string`);
+    }
+    if (text.trim()) {
+      variant[lang] = text.trim();
+    }
+  }
+  return variant;
+}
+
+/**
+ * Builds a stored profile from request input
+ * @param {Object} input - Request body
+ * @param {Object} [existing] - Profile being updated
+ * @returns {Object} - Profile
+ */
+function buildContext(input, existing = null) {
+  const id = existing ? existing.id : String(input.id || "").trim();
+  if (!CONTEXT_ID_PATTERN.test(id)) {
+    throw createHttpError(
+      "id must be 1-64 lower-case letters, digits or . _ - /",
+    );
+  }
+
+  const name =
+    input.name !== undefined ? String(input.name).trim() : existing?.name;
+  if (!name) {
+    throw createHttpError("name is required");
+  }
+
+  const prompts = input.prompts || {};
+  const standard =
+    prompts.standard !== undefined
+      ? normalizeVariant(prompts.standard, "prompts.standard")
+      : existing?.prompts.standard || {};
+  const audio =
+    prompts.audio !== undefined
+      ? normalizeVariant(prompts.audio, "prompts.audio")
+      : existing?.prompts.audio || {};
+  if (!standard.en) {
+    throw createHttpError("prompts.standard.en is required");
+  }
+
+  let defaultModel = existing ? existing.defaultModel : null;
+  if (input.defaultModel !== undefined) {
+    if (input.defaultModel !== null && typeof input.defaultModel !== "string") {
+      throw createHttpError("defaultModel must be a string or null");
+    }
+    defaultModel = input.defaultModel ? input.defaultModel.trim() : null;
+  }
+
+  const now = new Date().toISOString();
+  return {
+    id,
+    name,
+    prompts: { standard, audio },
+    defaultModel,
+    builtIn: existing ? Boolean(existing.builtIn) : false,
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Lists all profiles
+ * @returns {Array<Object>} - Profiles in display order
+ */
+function listContexts() {
+  return store.read().contexts;
+}
+
+/**
+ * Gets a profile by id
+ * @param {string} id - Profile id
+ * @returns {Object|null} - Profile or null
+ */
+function getContext(id) {
+  return listContexts().find((context) => context.id === id) || null;
+}
+
+/**
+ * Gets a profile by id, falling back to the general profile
+ * @param {string} id - Profile id
+ * @returns {Object|null} - Profile (null only if the fallback was deleted)
+ */
+function resolveContext(id) {
+  return getContext(id) || getContext(FALLBACK_CONTEXT_ID) || null;
+}
+
+/**
+ * Creates a profile
+ * @param {Object} input - Profile fields
+ * @returns {Object} - Created profile
+ */
+function createContext(input) {
+  const context = buildContext(input);
+  if (getContext(context.id)) {
+    throw createHttpError(`Context "${context.id}" already exists`, 409);
+  }
+  store.update((data) => {
+    data.contexts.push(context);
+    return data;
+  });
+  return context;
+}
+
+/**
+ * Updates a profile
+ * @param {string} id - Profile id
+ * @param {Object} input - Fields to change
+ * @returns {Object|null} - Updated profile or null if unknown
+ */
+function updateContext(id, input) {
+  const existing = getContext(id);
+  if (!existing) return null;
+
+  const context = buildContext(input, existing);
+  store.update((data) => {
+    data.contexts = data.contexts.map((item) =>
+      item.id === id ? context : item,
+    );
+    return data;
+  });
+  return context;
+}
+
+/**
+ * Deletes a profile
+ * @param {string} id - Profile id
+ * @returns {boolean} - True if a profile was deleted
+ */
+function deleteContext(id) {
+  if (id === FALLBACK_CONTEXT_ID) {
+    throw createHttpError(
+      `The "${FALLBACK_CONTEXT_ID}" context is the fallback and cannot be deleted`,
+    );
+  }
+  if (!getContext(id)) return false;
+
+  store.update((data) => {
+    data.contexts = data.contexts.filter((item) => item.id !== id);
+    return data;
+  });
+  return true;
+}
+
+/**
+ * Gets the prompt text of a profile for a variant and language
+ * Falls back from the audio to the standard variant and from the requested
+ * language to English
+ * @param {string} id - Profile id
+ * @param {string} variant - "standard" or "audio"
+ * @param {string} lang - Language code
+ * @returns {string} - Prompt text (empty if no profile exists)
+ */
+function getContextPromptText(id, variant, lang) {
+  const context = resolveContext(id);
+  if (!context) return "";
+
+  const { standard = {}, audio = {} } = context.prompts;
+  if (variant === "audio" && (audio[lang] || audio.en)) {
+    return audio[lang] || audio.en;
+  }
+  return standard[lang] || standard.en || "";
+}
+
+module.exports = {
+  FALLBACK_CONTEXT_ID,
+  listContexts,
+  getContext,
+  resolveContext,
+  createContext,
+  updateContext,
+  deleteContext,
+  getContextPromptText,
+};
@@ -0,0 +1,199 @@
+/**
+ * Conversation store module that keeps a question/answer thread per session
+ * Follow-up questions are answered with the thread's previous turns as chat
+ * history. History is capped by depth (turns) and by an estimated token
+ * budget, newest turns first.
+ */
+
+const crypto = require("crypto");
+const { getSession, SESSION_TTL_MS } = require("./sessions");
+
+/**
+ * Maximum number of previous turns sent as history (configurable)
+ */
+const MAX_HISTORY_TURNS = parseInt(process.env.CONVERSATION_MAX_TURNS, 10) || 6;
+
+/**
+ * Token budget for the history sent with a follow-up (configurable)
+ */
+const MAX_HISTORY_TOKENS =
+  parseInt(process.env.CONVERSATION_MAX_TOKENS, 10) || 4000;
+
+// Threads keep this many turns at most; older turns are never sent anyway
+const MAX_STORED_TURNS = 50;
+
+const conversations = new Map();
+
+/**
+ * Roughly estimates the token count of a text (about 4 characters per token)
+ * @param {string} text - Text to measure
+ * @returns {number} - Estimated tokens
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || "").length / 4);
+}
+
+/**
+ * Drops threads that have not been used for longer than the session TTL
+ * @param {number} [now] - Current timestamp (ms)
+ */
+function pruneExpiredConversations(now = Date.now()) {
+  for (const [id, conversation] of conversations) {
+    if (now - conversation.lastActivity > SESSION_TTL_MS) {
+      conversations.delete(id);
+    }
+  }
+}
+
+/**
+ * Starts a new, empty thread for a session and makes it the active one
+ * @param {string} sessionId - Session id
+ * @returns {Object} - The new thread
+ */
+function startConversation(sessionId) {
+  pruneExpiredConversations();
+
+  const session = getSession(sessionId);
+  const now = Date.now();
+  const conversation = {
+    id: crypto.randomUUID(),
+    sessionId: session.id,
+    turns: [],
+    createdAt: now,
+    lastActivity: now,
+  };
+  conversations.set(conversation.id, conversation);
+  session.conversationId = conversation.id;
+  console.log(`Started conversation ${conversation.id} for ${session.id}`);
+  return conversation;
+}
+
+/**
+ * Gets a thread by id
+ * @param {string} id - Conversation id
+ * @returns {Object|null} - Thread or null if unknown
+ */
+function getConversation(id) {
+  return conversations.get(id) || null;
+}
+
+/**
+ * Gets the active thread of a session, starting one if needed
+ * @param {string} sessionId - Session id
+ * @returns {Object} - Active thread
+ */
+function getActiveConversation(sessionId) {
+  const session = getSession(sessionId);
+  const conversation = getConversation(session.conversationId);
+  return conversation || startConversation(session.id);
+}
+
+/**
+ * Appends a question/answer turn to the active thread of a session
+ * @param {string} sessionId - Session id
+ * @param {Object} turn - { question, answer, model }
+ * @returns {Object} - The updated thread
+ */
+function addTurn(sessionId, { question, answer, model = null }) {
+  const conversation = getActiveConversation(sessionId);
+  conversation.turns.push({
+    question,
+    answer,
+    model,
+    createdAt: Date.now(),
+  });
+  if (conversation.turns.length > MAX_STORED_TURNS) {
+    conversation.turns.splice(0, conversation.turns.length - MAX_STORED_TURNS);
+  }
+  conversation.lastActivity = Date.now();
+  return conversation;
+}
+
+/**
+ * Removes all turns from a thread, keeping its id
+ * @param {string} id - Conversation id
+ * @returns {Object|null} - The emptied thread or null if unknown
+ */
+function resetConversation(id) {
+  const conversation = getConversation(id);
+  if (!conversation) return null;
+
+  conversation.turns = [];
+  conversation.lastActivity = Date.now();
+  return conversation;
+}
+
+/**
+ * Gets the history to send with a follow-up: the newest turns that fit in
+ * both the depth and the token budget, oldest first
+ * @param {Object|null} conversation - Thread
+ * @param {Object} [limits] - { maxTurns, maxTokens }
+ * @returns {Array<Object>} - Turns ({ question, answer })
+ */
+function getHistory(
+  conversation,
+  { maxTurns = MAX_HISTORY_TURNS, maxTokens = MAX_HISTORY_TOKENS } = {},
+) {
+  if (!conversation) return [];
+
+  const history = [];
+  let tokens = 0;
+  for (let i = conversation.turns.length - 1; i >= 0; i--) {
+    if (history.length >= maxTurns) break;
+
+    const { question, answer } = conversation.turns[i];
+    tokens += estimateTokens(question) + estimateTokens(answer);
+    if (tokens > maxTokens) break;
+
+    history.unshift({ question, answer });
+  }
+  return history;
+}
+
+/**
+ * Gets the last question asked in the active thread of a session
+ * @param {Object|null} session - Session state
+ * @returns {string|null} - Last question or null
+ */
+function getLastQuestion(session) {
+  const conversation = session ? getConversation(session.conversationId) : null;
+  if (!conversation || conversation.turns.length === 0) return null;
+  return conversation.turns[conversation.turns.length - 1].question;
+}
+
+/**
+ * Builds the public view of a thread
+ * @param {Object} conversation - Thread
+ * @returns {Object} - Thread with the history the next follow-up would use
+ */
+function describeConversation(conversation) {
+  const history = getHistory(conversation);
+  return {
+    id: conversation.id,
+    sessionId: conversation.sessionId,
+    turns: conversation.turns,
+    historyTurns: history.length,
+    historyTokens: history.reduce(
+      (sum, turn) =>
+        sum + estimateTokens(turn.question) + estimateTokens(turn.answer),
+      0,
+    ),
+    limits: { maxTurns: MAX_HISTORY_TURNS, maxTokens: MAX_HISTORY_TOKENS },
+    createdAt: new Date(conversation.createdAt).toISOString(),
+    lastActivity: new Date(conversation.lastActivity).toISOString(),
+  };
+}
+
+module.exports = {
+  MAX_HISTORY_TURNS,
+  MAX_HISTORY_TOKENS,
+  estimateTokens,
+  startConversation,
+  getConversation,
+  getActiveConversation,
+  addTurn,
+  resetConversation,
+  getHistory,
+  getLastQuestion,
+  describeConversation,
+};
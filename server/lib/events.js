@@ -1,6 +1,9 @@
 const EventEmitter = require("events");
 
 // Create a single, shared event emitter instance
+// Events are emitted as emit(eventName, payload, target), where target is
+// { sessionId, socketId } of the requesting client. The Socket.IO bridge in
+// index.js uses it to deliver the event to that client only.
 const backendEvents = new EventEmitter();
 
 module.exports = backendEvents;
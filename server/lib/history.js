@@ -0,0 +1,222 @@
+/**
+ * Q&A history store
+ * Every completed answer is kept in data/history.json so all clients (desktop,
+ * mobile, web) can show the same history. An entry holds the question, one
+ * answer per model (primary and backup), the request's context and language,
+ * timings and a reference to the processed audio file.
+ */
+
+const crypto = require("crypto");
+const { createJsonStore } = require("./json-store");
+const { createHttpError } = require("./http-error");
+
+/**
+ * Oldest entries are dropped beyond this many (configurable)
+ */
+const MAX_HISTORY_ENTRIES =
+  parseInt(process.env.HISTORY_MAX_ENTRIES, 10) || 2000;
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const store = createJsonStore("history.json", () => ({ entries: [] }));
+
+/**
+ * Parses a date filter; a plain YYYY-MM-DD "to" date includes the whole day
+ * @param {*} value - Raw query value
+ * @param {string} field - Field name for error messages
+ * @param {boolean} endOfDay - Whether a plain date means the end of that day
+ * @returns {number|null} - Timestamp (ms) or null if not given
+ */
+function parseDateFilter(value, field, endOfDay = false) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+
+  const text = String(value);
+  const isPlainDate = /^\d{4}-\d{2}-\d{2}$/.test(text);
+  const timestamp = Date.parse(
+    isPlainDate && endOfDay ? `${text}T23:59:59.999Z` : text,
+  );
+  if (Number.isNaN(timestamp)) {
+    throw createHttpError(`${field} must be an ISO date (e.g. 2025-01-31)`);
+  }
+  return timestamp;
+}
+
+/**
+ * Parses a positive integer query value
+ * @param {*} value - Raw query value
+ * @param {number} fallback - Value when not given
+ * @param {string} field - Field name for error messages
+ * @returns {number} - Parsed value
+ */
+function parsePositiveInt(value, fallback, field) {
+  if (value === undefined || value === null || value === "") {
+    return fallback;
+  }
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw createHttpError(`${field} must be a positive integer`);
+  }
+  return number;
+}
+
+/**
+ * Builds the predicate for the filters shared by listing and bulk delete
+ * @param {Object} query - { from, to, q, sessionId }
+ * @returns {Function} - Entry predicate
+ */
+function buildFilter(query = {}) {
+  const from = parseDateFilter(query.from, "from");
+  const to = parseDateFilter(query.to, "to", true);
+  const terms = String(query.q || "")
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean);
+  const sessionId = query.sessionId || null;
+
+  return (entry) => {
+    const createdAt = Date.parse(entry.createdAt);
+    if (from !== null && createdAt < from) return false;
+    if (to !== null && createdAt > to) return false;
+    if (sessionId && entry.sessionId !== sessionId) return false;
+    if (terms.length === 0) return true;
+
+    // Every search term must appear in the question, transcript or an answer
+    const text = [
+      entry.question,
+      entry.rawTranscript,
+      ...entry.answers.map((answer) => answer.answer),
+    ]
+      .join("\n")
+      .toLowerCase();
+    return terms.every((term) => text.includes(term));
+  };
+}
+
+/**
+ * Stores a new entry with its first (primary) answer
+ * @param {Object} fields - Entry fields
+ * @param {Object} answer - { source, model, answer, durationMs }
+ * @returns {Object} - Stored entry
+ */
+function addHistoryEntry(fields, answer) {
+  const entry = {
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    sessionId: fields.sessionId || null,
+    conversationId: fields.conversationId || null,
+    question: fields.question || "",
+    questions: fields.questions || [],
+    rawTranscript: fields.rawTranscript || "",
+    questionContext: fields.questionContext || null,
+    customContext: fields.customContext || "",
+    language: fields.language || null,
+    pipeline: fields.pipeline || null,
+    isFollowUp: Boolean(fields.isFollowUp),
+    audioFile: fields.audioFile || null,
+    recordingId: fields.recordingId || null, // Audio archive id
+    speakerTurns: fields.speakerTurns || null, // Diarized recordings only
+    answers: [answer],
+  };
+
+  store.update((data) => {
+    data.entries.push(entry);
+    if (data.entries.length > MAX_HISTORY_ENTRIES) {
+      data.entries.splice(0, data.entries.length - MAX_HISTORY_ENTRIES);
+    }
+    return data;
+  });
+  return entry;
+}
+
+/**
+ * Adds another model's answer (e.g. the backup model) to an entry
+ * @param {string} id - Entry id
+ * @param {Object} answer - { source, model, answer, durationMs }
+ * @returns {Object|null} - Updated entry or null if unknown
+ */
+function addHistoryAnswer(id, answer) {
+  let updated = null;
+  store.update((data) => {
+    updated = data.entries.find((entry) => entry.id === id) || null;
+    if (updated) {
+      updated.answers.push(answer);
+    }
+    return data;
+  });
+  return updated;
+}
+
+/**
+ * Lists entries, newest first
+ * @param {Object} query - { page, limit, from, to, q, sessionId }
+ * @returns {Object} - { entries, total, page, limit, pages }
+ */
+function listHistory(query = {}) {
+  const page = parsePositiveInt(query.page, 1, "page");
+  const limit = Math.min(
+    parsePositiveInt(query.limit, DEFAULT_PAGE_SIZE, "limit"),
+    MAX_PAGE_SIZE,
+  );
+
+  const matches = store.read().entries.filter(buildFilter(query)).reverse();
+  return {
+    entries: matches.slice((page - 1) * limit, page * limit),
+    total: matches.length,
+    page,
+    limit,
+    pages: Math.ceil(matches.length / limit),
+  };
+}
+
+/**
+ * Gets an entry by id
+ * @param {string} id - Entry id
+ * @returns {Object|null} - Entry or null
+ */
+function getHistoryEntry(id) {
+  return store.read().entries.find((entry) => entry.id === id) || null;
+}
+
+/**
+ * Deletes an entry
+ * @param {string} id - Entry id
+ * @returns {boolean} - True if an entry was deleted
+ */
+function deleteHistoryEntry(id) {
+  if (!getHistoryEntry(id)) return false;
+
+  store.update((data) => {
+    data.entries = data.entries.filter((entry) => entry.id !== id);
+    return data;
+  });
+  return true;
+}
+
+/**
+ * Deletes all entries matching the filters (all entries without filters)
+ * @param {Object} query - { from, to, q, sessionId }
+ * @returns {number} - Number of deleted entries
+ */
+function clearHistory(query = {}) {
+  const matches = buildFilter(query);
+  let deleted = 0;
+  store.update((data) => {
+    const kept = data.entries.filter((entry) => !matches(entry));
+    deleted = data.entries.length - kept.length;
+    data.entries = kept;
+    return data;
+  });
+  return deleted;
+}
+
+module.exports = {
+  addHistoryEntry,
+  addHistoryAnswer,
+  listHistory,
+  getHistoryEntry,
+  deleteHistoryEntry,
+  clearHistory,
+};
@@ -0,0 +1,15 @@
+/**
+ * Creates an error that carries the HTTP status to answer with
+ * Controllers send error.status and error.message for these; errors without
+ * a status are treated as internal errors
+ * @param {string} message - Error message
+ * @param {number} [status] - HTTP status (400 by default)
+ * @returns {Error} - Error with a status property
+ */
+function createHttpError(message, status = 400) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+module.exports = { createHttpError };
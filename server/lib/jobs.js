@@ -0,0 +1,241 @@
+/**
+ * Job queue module for audio processing requests
+ * Every upload becomes a job that is answered immediately with its id and
+ * then runs in the background. At most JOB_CONCURRENCY jobs run at the same
+ * time, the rest wait in FIFO order. Each job owns an AbortController whose
+ * signal is passed down to the model calls, so cancelling a job really stops
+ * the work in flight.
+ *
+ * Lifecycle events (emitted on backendEvents with the job's session target):
+ * jobQueued, jobStarted, jobCompleted, jobFailed, jobCancelled
+ */
+
+const crypto = require("crypto");
+const backendEvents = require("./events");
+
+/**
+ * Number of jobs that may run at the same time (configurable)
+ */
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+
+/**
+ * How long finished jobs stay available for status polling (configurable)
+ */
+const JOB_RETENTION_MS =
+  (parseInt(process.env.JOB_RETENTION_MINUTES, 10) || 30) * 60 * 1000;
+
+const JOB_STATUSES = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  COMPLETED: "completed",
+  FAILED: "failed",
+  CANCELLED: "cancelled",
+};
+
+const FINISHED_STATUSES = [
+  JOB_STATUSES.COMPLETED,
+  JOB_STATUSES.FAILED,
+  JOB_STATUSES.CANCELLED,
+];
+
+const jobs = new Map();
+const queue = [];
+let runningCount = 0;
+
+/**
+ * Builds the public view of a job
+ * @param {Object} job - Job
+ * @returns {Object} - Job without its internals
+ */
+function describeJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    sessionId: job.target.sessionId,
+    position:
+      job.status === JOB_STATUSES.QUEUED ? queue.indexOf(job) + 1 : null,
+    createdAt: new Date(job.createdAt).toISOString(),
+    startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+    finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+    result: job.result,
+    error: job.error,
+  };
+}
+
+/**
+ * Emits a lifecycle event of a job to its client
+ * @param {string} event - Event name
+ * @param {Object} job - Job
+ */
+function emitJobEvent(event, job) {
+  backendEvents.emit(event, describeJob(job), job.target);
+}
+
+/**
+ * Drops finished jobs older than the retention time
+ * @param {number} [now] - Current timestamp (ms)
+ */
+function pruneFinishedJobs(now = Date.now()) {
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && now - job.finishedAt > JOB_RETENTION_MS) {
+      jobs.delete(id);
+    }
+  }
+}
+
+/**
+ * Marks a job as finished
+ * @param {Object} job - Job
+ * @param {string} status - Final status
+ * @param {Object} [fields] - { result, error }
+ */
+function finishJob(job, status, { result = null, error = null } = {}) {
+  job.status = status;
+  job.result = result;
+  job.error = error;
+  job.finishedAt = Date.now();
+}
+
+/**
+ * Runs a job and starts the next queued one when it is done
+ * @param {Object} job - Job
+ */
+async function runJob(job) {
+  runningCount += 1;
+  job.status = JOB_STATUSES.RUNNING;
+  job.startedAt = Date.now();
+  emitJobEvent("jobStarted", job);
+
+  try {
+    const result = await job.run(job.controller.signal);
+    if (job.status === JOB_STATUSES.RUNNING) {
+      finishJob(job, JOB_STATUSES.COMPLETED, { result: result ?? null });
+      emitJobEvent("jobCompleted", job);
+    }
+  } catch (error) {
+    // A cancelled job was already finished by cancelJob
+    if (job.status === JOB_STATUSES.RUNNING) {
+      console.error(`Job ${job.id} failed:`, error);
+      finishJob(job, JOB_STATUSES.FAILED, { error: error.message });
+      emitJobEvent("jobFailed", job);
+    }
+  } finally {
+    runningCount -= 1;
+    processQueue();
+  }
+}
+
+/**
+ * Starts queued jobs while there is free capacity
+ */
+function processQueue() {
+  while (runningCount < JOB_CONCURRENCY && queue.length > 0) {
+    runJob(queue.shift());
+  }
+}
+
+/**
+ * Creates a job and queues it
+ * @param {Object} options - Job options
+ * @param {string} options.type - What the job does (e.g. "upload")
+ * @param {Object} options.target - { sessionId, socketId } for events
+ * @param {Function} options.run - Receives an AbortSignal, returns the result
+ * @returns {Object} - Public view of the job
+ */
+function createJob({ type, target, run }) {
+  pruneFinishedJobs();
+
+  const job = {
+    id: crypto.randomUUID(),
+    type,
+    target,
+    run,
+    controller: new AbortController(),
+    status: JOB_STATUSES.QUEUED,
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null,
+    result: null,
+    error: null,
+  };
+  jobs.set(job.id, job);
+  queue.push(job);
+  console.log(`Queued ${type} job ${job.id} for ${target.sessionId}`);
+  emitJobEvent("jobQueued", job);
+
+  processQueue();
+  return describeJob(job);
+}
+
+/**
+ * Gets the public view of a job
+ * @param {string} id - Job id
+ * @returns {Object|null} - Job or null if unknown
+ */
+function getJob(id) {
+  const job = jobs.get(id);
+  return job ? describeJob(job) : null;
+}
+
+/**
+ * Cancels a queued or running job and aborts its model calls
+ * @param {string} id - Job id
+ * @returns {Object|null} - Job or null if unknown (finished jobs are unchanged)
+ */
+function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job) return null;
+  if (FINISHED_STATUSES.includes(job.status)) return describeJob(job);
+
+  const queueIndex = queue.indexOf(job);
+  if (queueIndex >= 0) {
+    queue.splice(queueIndex, 1);
+  }
+
+  finishJob(job, JOB_STATUSES.CANCELLED);
+  job.controller.abort();
+  console.log(`Cancelled job ${job.id}`);
+  emitJobEvent("jobCancelled", job);
+  return describeJob(job);
+}
+
+/**
+ * Cancels every unfinished job of a session
+ * @param {string} sessionId - Session id
+ * @returns {number} - Number of cancelled jobs
+ */
+function cancelSessionJobs(sessionId) {
+  let cancelled = 0;
+  for (const job of jobs.values()) {
+    if (
+      job.target.sessionId === sessionId &&
+      !FINISHED_STATUSES.includes(job.status)
+    ) {
+      cancelJob(job.id);
+      cancelled += 1;
+    }
+  }
+  return cancelled;
+}
+
+/**
+ * Counts queued and running jobs
+ * @returns {Object} - { queued, running, concurrency }
+ */
+function getQueueStats() {
+  return {
+    queued: queue.length,
+    running: runningCount,
+    concurrency: JOB_CONCURRENCY,
+  };
+}
+
+module.exports = {
+  JOB_STATUSES,
+  createJob,
+  getJob,
+  cancelJob,
+  cancelSessionJobs,
+  getQueueStats,
+};
@@ -0,0 +1,163 @@
+/**
+ * JSON store module that persists a small document to a JSON file
+ * This is a generic, reusable component that could be used in multiple projects
+ *
+ * The document is cached in memory; writes go to a temp file that is renamed
+ * over the original so a crash never leaves a half-written file behind.
+ * Stores of counters that change on hot paths can batch their writes: updates
+ * then only change the cache and the file is written once per flush delay
+ * (and when the process exits).
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Directory that holds the server's JSON data files (configurable)
+ */
+const DATA_DIR = process.env.DATA_DIR
+  ? path.resolve(process.env.DATA_DIR)
+  : path.join(__dirname, "..", "data");
+
+// Flush functions of stores with unwritten changes, written on exit
+const pendingFlushes = new Set();
+let exitHookInstalled = false;
+
+/**
+ * Writes every batched change that is still pending
+ */
+function flushPendingStores() {
+  [...pendingFlushes].forEach((flush) => flush());
+}
+
+/**
+ * Creates a store backed by a JSON file
+ * @param {string} fileName - File name inside DATA_DIR (or an absolute path)
+ * @param {Function} createDefault - Returns the initial document when the file does not exist
+ * @param {Object} [options] - Store options
+ * @param {number} [options.flushDelayMs] - Batch the writes of update(): the
+ *   cache changes right away and the file is written at most once per delay
+ *   (0, the default, writes on every update)
+ * @returns {Object} - Store with read, write, update, reload and flush
+ */
+function createJsonStore(fileName, createDefault, options = {}) {
+  const filePath = path.isAbsolute(fileName)
+    ? fileName
+    : path.join(DATA_DIR, fileName);
+  const flushDelayMs = options.flushDelayMs || 0;
+  let cache = null;
+  let flushTimer = null;
+
+  /**
+   * Reads the document, loading it from disk on first use
+   * @returns {*} - The document (do not mutate, use update)
+   */
+  function read() {
+    if (cache !== null) {
+      return cache;
+    }
+
+    if (fs.existsSync(filePath)) {
+      try {
+        cache = JSON.parse(fs.readFileSync(filePath, "utf8"));
+        return cache;
+      } catch (error) {
+        console.error(`Invalid JSON in ${filePath}:`, error.message);
+        // Keep the broken file for inspection instead of overwriting it
+        fs.renameSync(filePath, `${filePath}.${Date.now()}.corrupt`);
+      }
+    }
+
+    cache = createDefault();
+    return cache;
+  }
+
+  /**
+   * Replaces the document and persists it
+   * @param {*} data - New document
+   * @returns {*} - The stored document
+   */
+  function write(data) {
+    cancelFlush();
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+    cache = data;
+    return cache;
+  }
+
+  /**
+   * Drops a scheduled batched write
+   */
+  function cancelFlush() {
+    if (!flushTimer) return;
+    clearTimeout(flushTimer);
+    flushTimer = null;
+    pendingFlushes.delete(flush);
+  }
+
+  /**
+   * Writes the cached document now when a batched write is pending
+   */
+  function flush() {
+    if (!flushTimer) return;
+    try {
+      write(cache);
+    } catch (error) {
+      // Keep the change pending, the next update schedules another attempt
+      cancelFlush();
+      console.error(`Error writing ${filePath}:`, error);
+    }
+  }
+
+  /**
+   * Schedules a batched write of the cached document
+   */
+  function scheduleFlush() {
+    if (flushTimer) return;
+    flushTimer = setTimeout(flush, flushDelayMs);
+    // Don't keep the process alive just for the write; exit flushes it
+    flushTimer.unref();
+    pendingFlushes.add(flush);
+    if (!exitHookInstalled) {
+      exitHookInstalled = true;
+      process.on("exit", flushPendingStores);
+    }
+  }
+
+  /**
+   * Applies a change to a copy of the document and persists the result
+   * (right away, or with the next batched write)
+   * @param {Function} updater - Receives a copy of the document, returns the new one
+   * @returns {*} - The stored document
+   */
+  function update(updater) {
+    const copy = JSON.parse(JSON.stringify(read()));
+    if (!flushDelayMs) {
+      return write(updater(copy));
+    }
+    cache = updater(copy);
+    scheduleFlush();
+    return cache;
+  }
+
+  /**
+   * Drops the cached document so the next read loads the file again, for
+   * files that another process (e.g. a CLI script) may change
+   * @returns {*} - The document as it is on disk
+   */
+  function reload() {
+    cancelFlush();
+    cache = null;
+    return read();
+  }
+
+  return { filePath, read, write, update, reload, flush };
+}
+
+module.exports = {
+  DATA_DIR,
+  createJsonStore,
+  flushPendingStores,
+};
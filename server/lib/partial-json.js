@@ -0,0 +1,67 @@
+/**
+ * Partial JSON module that parses JSON which is still being streamed
+ * This is a generic, reusable component that could be used in multiple projects
+ */
+
+/**
+ * Parses a possibly truncated JSON document by closing any open strings,
+ * arrays and objects. Returns null when the prefix cannot be completed yet
+ * (e.g. it ends inside a key or a number that would change meaning).
+ * @param {string} text - JSON text received so far
+ * @returns {*} - Parsed value of the completed prefix, or null
+ */
+function parsePartialJson(text) {
+  if (typeof text !== "string" || text.trim() === "") {
+    return null;
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    // Still streaming, try to complete it below
+  }
+
+  const closers = [];
+  let inString = false;
+  let escaped = false;
+
+  for (const char of text) {
+    if (inString) {
+      if (escaped) {
+        escaped = false;
+      } else if (char === "\\") {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inString = true;
+    } else if (char === "{") {
+      closers.push("}");
+    } else if (char === "[") {
+      closers.push("]");
+    } else if (char === "}" || char === "]") {
+      closers.pop();
+    }
+  }
+
+  let completed = text;
+  if (inString) {
+    // Drop a dangling escape or a cut \uXXXX sequence before closing the string
+    completed = completed.replace(/\\(u[0-9a-fA-F]{0,3})?$/, "") + '"';
+  }
+
+  // A trailing comma or colon cannot be closed as-is
+  completed = completed.replace(/[,:]\s*$/, "");
+
+  try {
+    return JSON.parse(completed + closers.reverse().join(""));
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = { parsePartialJson };
@@ -0,0 +1,303 @@
+/**
+ * Google Gemini provider
+ * Gemini accepts audio as inline data, so it can answer straight from audio
+ * without a separate transcription step.
+ */
+
+const {
+  createGenAIClient,
+  getGeminiModel,
+  DEFAULT_MODEL_NAME,
+} = require("../ai-client");
+
+const PROVIDER_NAME = "gemini";
+
+/**
+ * Response schema for speaker diarization: the conversation as ordered turns
+ */
+const SPEAKER_TURNS_SCHEMA = {
+  type: "object",
+  properties: {
+    turns: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          speaker: {
+            type: "string",
+            enum: ["remote", "local"],
+            format: "enum",
+          },
+          text: { type: "string", description: "What was said, verbatim" },
+        },
+        required: ["speaker", "text"],
+        propertyOrdering: ["speaker", "text"],
+      },
+    },
+  },
+  required: ["turns"],
+};
+
+const DIARIZATION_PROMPT = `Transcribe this conversation verbatim and split it into speaker turns, in order.
+The recording was made on the device of the person being asked (label "local"), e.g. an interview candidate.
+Label the other party, who asks the questions (interviewer, meeting participant), as "remote".
+If the audio is stereo, the left channel is the remote side and the right channel the local side.
+Start a new turn whenever the speaker changes.`;
+
+let genAI = null;
+
+/**
+ * Lazily initializes the Google AI client
+ * @returns {Object} - Google Generative AI client
+ * @throws {Error} - If GEMINI_API_KEY is not set
+ */
+function getClient() {
+  if (!genAI) {
+    try {
+      genAI = createGenAIClient(process.env.GEMINI_API_KEY);
+      console.log("Google Generative AI client initialized successfully");
+    } catch (error) {
+      throw new Error(
+        "Google Generative AI client is not initialized. Check your API key.",
+      );
+    }
+  }
+  return genAI;
+}
+
+/**
+ * Reports the token usage of a response (usageMetadata) to options.onUsage
+ * @param {Object} model - Gemini model instance that answered
+ * @param {Object} response - Gemini response
+ * @param {Function} [onUsage] - Usage callback
+ */
+function reportUsage(model, response, onUsage) {
+  const metadata = response?.usageMetadata;
+  if (!onUsage || !metadata) return;
+
+  // Audio is billed apart from text, so count its share of the prompt
+  const audioTokens = (metadata.promptTokensDetails || [])
+    .filter((detail) => detail.modality === "AUDIO")
+    .reduce((sum, detail) => sum + (detail.tokenCount || 0), 0);
+  onUsage({
+    model: `${PROVIDER_NAME}:${model.model.replace("models/", "")}`,
+    promptTokens: metadata.promptTokenCount || 0,
+    candidatesTokens: metadata.candidatesTokenCount || 0,
+    thoughtsTokens: metadata.thoughtsTokenCount || 0,
+    totalTokens: metadata.totalTokenCount || 0,
+    audioTokens,
+  });
+}
+
+/**
+ * Runs a streamed generation and returns the full text
+ * @param {Object} model - Gemini model instance
+ * @param {Object|string} request - generateContent request
+ * @param {Object} options - Provider call options (onChunk, onUsage, signal)
+ * @returns {Promise<string>} - Full response text
+ */
+async function streamText(model, request, options) {
+  const { onChunk, onUsage, signal } = options;
+  const streamResult = await model.generateContentStream(request, { signal });
+
+  // Forward chunks as they arrive and accumulate the full answer
+  let responseText = "";
+  for await (const chunk of streamResult.stream) {
+    const chunkText = chunk.text();
+    if (!chunkText) continue;
+
+    responseText += chunkText;
+    if (onChunk) {
+      onChunk(chunkText);
+    }
+  }
+
+  // The aggregated response carries the usage of the whole stream
+  reportUsage(model, await streamResult.response, onUsage);
+  return responseText;
+}
+
+/**
+ * Builds the inline audio part Gemini expects
+ * @param {Object} audio - Audio input
+ * @returns {Object} - Content part
+ */
+function toAudioPart(audio) {
+  return {
+    inlineData: {
+      data: audio.audioBase64,
+      mimeType: audio.mimeType || "audio/wav",
+    },
+  };
+}
+
+/**
+ * Turns previous question/answer turns into Gemini chat contents
+ * @param {Array<Object>} [history] - Turns ({ question, answer })
+ * @returns {Array<Object>} - Alternating user/model contents
+ */
+function toHistoryContents(history = []) {
+  return history.flatMap((turn) => [
+    { role: "user", parts: [{ text: turn.question }] },
+    { role: "model", parts: [{ text: turn.answer }] },
+  ]);
+}
+
+/**
+ * Keeps only current Gemini models that support generateContent
+ * @param {Object} model - Model entry from the Gemini models API
+ * @returns {boolean} - True if the model should be offered to clients
+ */
+function isSupportedModel(model) {
+  // Check if model supports generateContent
+  if (!model.supportedGenerationMethods.includes("generateContent")) {
+    return false;
+  }
+
+  // Check if model name includes "Gemini" (case-insensitive)
+  if (!model.name.toLowerCase().includes("gemini")) {
+    return false;
+  }
+
+  // Exclude models with "Nano" in their name or display name
+  const displayName = (model.displayName || "").toLowerCase();
+  if (
+    model.name.toLowerCase().includes("nano") ||
+    displayName.includes("nano")
+  ) {
+    return false;
+  }
+
+  // Extract version number from model name (e.g., "gemini-1.5-pro" -> 1.5)
+  const versionMatch = model.name.match(/gemini[/-](\d+(\.\d+)?)/i);
+  if (versionMatch) {
+    const version = parseFloat(versionMatch[1]);
+    // Exclude versions 2.0 or less
+    if (version <= 2.0) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+const geminiProvider = {
+  name: PROVIDER_NAME,
+  label: "Gemini",
+  defaultModel: DEFAULT_MODEL_NAME,
+  partialTranscripts: true,
+  // Inline audio Gemini documents; WebM and MP4/M4A are transcoded first
+  audioFormats: ["wav", "mp3", "aac", "ogg", "flac"],
+
+  isConfigured() {
+    return Boolean(process.env.GEMINI_API_KEY);
+  },
+
+  async transcribe(audio, options = {}) {
+    const model = getGeminiModel(getClient(), { modelName: options.model });
+    const result = await model.generateContent(
+      {
+        contents: [
+          {
+            role: "user",
+            parts: [
+              toAudioPart(audio),
+              {
+                text: "Transcribe this audio verbatim. Reply with the transcript text only.",
+              },
+            ],
+          },
+        ],
+      },
+      { signal: options.signal },
+    );
+    reportUsage(model, result.response, options.onUsage);
+    return result.response.text().trim();
+  },
+
+  async diarize(audio, options = {}) {
+    const model = getGeminiModel(getClient(), { modelName: options.model });
+    const result = await model.generateContent(
+      {
+        contents: [
+          {
+            role: "user",
+            parts: [toAudioPart(audio), { text: DIARIZATION_PROMPT }],
+          },
+        ],
+        generationConfig: {
+          responseMimeType: "application/json",
+          responseSchema: SPEAKER_TURNS_SCHEMA,
+        },
+      },
+      { signal: options.signal },
+    );
+    reportUsage(model, result.response, options.onUsage);
+    return JSON.parse(result.response.text()).turns;
+  },
+
+  async answer(prompt, options = {}) {
+    const model = getGeminiModel(getClient(), {
+      modelName: options.model,
+      withSafetySettings: options.withSafetySettings,
+    });
+    const request = {
+      contents: [
+        ...toHistoryContents(options.history),
+        { role: "user", parts: [{ text: prompt }] },
+      ],
+    };
+    if (options.responseSchema) {
+      request.generationConfig = {
+        responseMimeType: "application/json",
+        responseSchema: options.responseSchema,
+      };
+    }
+    return streamText(model, request, options);
+  },
+
+  async answerFromAudio(audio, prompt, options = {}) {
+    const model = getGeminiModel(getClient(), {
+      modelName: options.model,
+      withSafetySettings: true,
+    });
+    const request = {
+      contents: [
+        ...toHistoryContents(options.history),
+        { role: "user", parts: [toAudioPart(audio), { text: prompt }] },
+      ],
+    };
+
+    // Ask for JSON matching the caller's schema instead of free Markdown
+    if (options.responseSchema) {
+      request.generationConfig = {
+        responseMimeType: "application/json",
+        responseSchema: options.responseSchema,
+      };
+    }
+
+    return streamText(model, request, options);
+  },
+
+  async listModels() {
+    const apiKey = process.env.GEMINI_API_KEY;
+    const response = await fetch(
+      `https://generativelanguage.googleapis.com/v1beta/models?key=${apiKey}`,
+    );
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    // Gemini models keep their plain ids so existing selections still work
+    return data.models.filter(isSupportedModel).map((model) => ({
+      ...model,
+      id: model.name.replace("models/", ""),
+      provider: PROVIDER_NAME,
+    }));
+  },
+};
+
+module.exports = geminiProvider;
@@ -0,0 +1,197 @@
+/**
+ * AI provider registry
+ * Every provider implements the same interface, so controllers never talk to
+ * a vendor SDK directly. Models are addressed as "provider:model"; a model id
+ * without a known provider prefix is treated as a Gemini model so existing
+ * clients keep working.
+ *
+ * Provider interface:
+ * - name / label / defaultModel
+ * - partialTranscripts: whether transcribe() is fast enough to re-transcribe a
+ *   recording while it is still being streamed (live partial transcripts)
+ * - audioFormats: optional, containers (utils/audio-format.js AUDIO_FORMATS
+ *   keys) the provider reads; audio in other containers is transcoded to WAV
+ *   before it is sent. Without it every container is sent as it is
+ * - isConfigured(): whether the provider's env settings are present
+ * - transcribe(audio, options): Promise<string> transcript (options.model picks a
+ *   transcription model)
+ * - diarize(audio, options): optional, Promise<Array> transcript split into
+ *   { speaker, text } turns, speaker being "remote" (the other party) or
+ *   "local" (the user)
+ * - answer(prompt, options): Promise<string> answer text (streams via options.onChunk;
+ *   options.question carries the raw question the prompt was built from and
+ *   options.history the previous { question, answer } turns of a follow-up;
+ *   with options.responseSchema the reply should be JSON matching that schema)
+ * - answerFromAudio(audio, prompt, options): optional, answers straight from audio;
+ *   with options.responseSchema the reply is JSON matching that schema;
+ *   options.history as for answer()
+ * - listModels(): Promise<Array> models with id, name, displayName and provider
+ *
+ * transcribe, diarize, answer and answerFromAudio accept options.signal (AbortSignal)
+ * and reject when it is aborted, so cancelled jobs stop their model calls.
+ * They may call options.onUsage with { model, promptTokens, candidatesTokens,
+ * thoughtsTokens, totalTokens, audioTokens } for each request that reports its
+ * token usage (lib/usage.js turns it into cost estimates).
+ *
+ * `audio` is { audioBase64, mimeType, lang, sourceSha256 }, mimeType being the
+ * real type of the audio (e.g. "audio/webm"), not the one its file name
+ * suggests, and sourceSha256 the hash of the recording as uploaded (before
+ * preprocessing) when it is archived.
+ *
+ * With MOCK_AI_ONLY=true every model id resolves to the mock provider and only
+ * mock models are listed, so nothing ever reaches the network.
+ */
+
+const { tryCatch } = require("../tryCatch");
+const geminiProvider = require("./gemini");
+const openaiProvider = require("./openai");
+const mockProvider = require("./mock");
+
+const DEFAULT_PROVIDER_NAME = geminiProvider.name;
+
+const providers = new Map(
+  [geminiProvider, openaiProvider, mockProvider].map((provider) => [
+    provider.name,
+    provider,
+  ]),
+);
+
+/**
+ * Splits a model id into its provider and provider-specific model name
+ * @param {string} modelId - "provider:model", a plain Gemini model, or empty
+ * @returns {Object} - { providerName, modelName } (modelName null for default)
+ */
+function parseModelId(modelId) {
+  if (typeof modelId !== "string" || modelId.trim().length === 0) {
+    return { providerName: DEFAULT_PROVIDER_NAME, modelName: null };
+  }
+
+  const trimmed = modelId.trim();
+  const separatorIndex = trimmed.indexOf(":");
+  if (separatorIndex > 0) {
+    const prefix = trimmed.slice(0, separatorIndex).toLowerCase();
+    if (providers.has(prefix)) {
+      return {
+        providerName: prefix,
+        modelName: trimmed.slice(separatorIndex + 1) || null,
+      };
+    }
+  }
+
+  return { providerName: DEFAULT_PROVIDER_NAME, modelName: trimmed };
+}
+
+/**
+ * Gets a registered provider by name
+ * @param {string} name - Provider name
+ * @returns {Object} - Provider implementation
+ * @throws {Error} - If the provider is unknown or not configured
+ */
+function getProvider(name) {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Unknown AI provider: ${name}`);
+  }
+  if (!provider.isConfigured()) {
+    throw new Error(
+      `AI provider "${name}" is not configured. Check the server environment.`,
+    );
+  }
+  return provider;
+}
+
+/**
+ * Resolves a model id to its provider and concrete model name
+ * @param {string} modelId - "provider:model", a plain Gemini model, or empty
+ * @returns {Object} - { provider, modelName }
+ */
+function resolveModel(modelId) {
+  const { providerName, modelName } = parseModelId(modelId);
+
+  if (mockProvider.isMockOnly()) {
+    return {
+      provider: mockProvider,
+      modelName:
+        providerName === mockProvider.name && modelName
+          ? modelName
+          : mockProvider.defaultModel,
+    };
+  }
+
+  const provider = getProvider(providerName);
+  return { provider, modelName: modelName || provider.defaultModel };
+}
+
+/**
+ * Gets the full id of the model a model id resolves to
+ * @param {string} modelId - "provider:model", a plain Gemini model, or empty
+ * @returns {string} - "provider:model", or the id as given when its provider
+ *   is not available
+ */
+function getResolvedModelId(modelId) {
+  try {
+    const { provider, modelName } = resolveModel(modelId);
+    return `${provider.name}:${modelName}`;
+  } catch (error) {
+    return modelId;
+  }
+}
+
+/**
+ * Lists the providers that are configured in this environment
+ * @returns {Array<Object>} - Configured providers
+ */
+function getConfiguredProviders() {
+  if (mockProvider.isMockOnly()) {
+    return [mockProvider];
+  }
+  return [...providers.values()].filter((provider) => provider.isConfigured());
+}
+
+/**
+ * Lists models across all configured providers
+ * A failing provider is reported in `errors` instead of failing the whole list
+ * @returns {Promise<Object>} - { models, errors }
+ */
+async function listAllModels() {
+  const configured = getConfiguredProviders();
+  const results = await Promise.all(
+    configured.map((provider) => tryCatch(provider.listModels())),
+  );
+
+  const models = [];
+  const errors = [];
+  results.forEach((result, index) => {
+    const provider = configured[index];
+    if (result.error) {
+      console.error(
+        `Error fetching models from ${provider.name}:`,
+        result.error.message,
+      );
+      errors.push({ provider: provider.name, error: result.error.message });
+    } else {
+      models.push(...result.data);
+    }
+  });
+
+  return { models, errors };
+}
+
+/**
+ * Whether every request is served by the mock provider (MOCK_AI_ONLY)
+ * @returns {boolean} - True in mock-only mode
+ */
+function isMockOnly() {
+  return mockProvider.isMockOnly();
+}
+
+module.exports = {
+  DEFAULT_PROVIDER_NAME,
+  isMockOnly,
+  parseModelId,
+  getProvider,
+  resolveModel,
+  getResolvedModelId,
+  getConfiguredProviders,
+  listAllModels,
+};
@@ -0,0 +1,362 @@
+/**
+ * Local mock provider
+ * Returns scripted transcripts and answers without any network access, so the
+ * clients and the server can be exercised without API keys.
+ *
+ * - MOCK_AI_ENABLED=true makes the provider selectable as "mock:<model>"
+ * - MOCK_AI_ONLY=true routes every request and the model list to this provider
+ * - Fixtures are JSON files in MOCK_AI_FIXTURES_DIR named after the SHA-256 of
+ *   the recording as uploaded (`<hash>.json`), so preprocessing does not
+ *   change which fixture answers; the hash of the audio actually sent is
+ *   tried next, and `default.json` is used when no fixture matches.
+ *   A fixture holds { transcript, answer, questions?, speakers?, language?,
+ *   latencyMs?, error? }; `speakers` lists { speaker, text } turns for
+ *   diarization (otherwise the transcript is one remote turn)
+ * - MOCK_AI_LATENCY_MS delays every response, spread over the streamed chunks
+ * - MOCK_AI_FAIL injects errors: "transcribe", "answer" or "all"
+ * - Token usage is made up like Gemini reports it (about 4 characters per
+ *   text token, 32 tokens per second of 16 kHz 16-bit mono audio)
+ *
+ * Models: "echo" (scripted answer), "slow" (adds latency) and "error"
+ * (always fails), so error paths can be hit per request.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const PROVIDER_NAME = "mock";
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, "../../fixtures/mock-ai");
+
+const SLOW_MODEL_LATENCY_MS = 3000;
+
+const MOCK_MODELS = [
+  { model: "echo", description: "Scripted answer from fixtures" },
+  { model: "slow", description: "Scripted answer with extra latency" },
+  { model: "error", description: "Always fails" },
+];
+
+/**
+ * Built-in script used when there is neither a matching nor a default fixture
+ */
+const BUILTIN_FIXTURE = {
+  transcript: "What is the difference between let and const?",
+  answer:
+    "## Mock answer\n\nThis is a scripted answer from the mock provider. No AI service was called.",
+};
+
+/**
+ * Whether every request should be served by the mock provider
+ * @returns {boolean} - True when MOCK_AI_ONLY is set
+ */
+function isMockOnly() {
+  return process.env.MOCK_AI_ONLY === "true";
+}
+
+/**
+ * Reads the mock settings from the environment
+ * @returns {Object} - Fixtures directory, latency and failure mode
+ */
+function getConfig() {
+  return {
+    fixturesDir: process.env.MOCK_AI_FIXTURES_DIR || DEFAULT_FIXTURES_DIR,
+    latencyMs: parseInt(process.env.MOCK_AI_LATENCY_MS, 10) || 0,
+    failMode: process.env.MOCK_AI_FAIL || "",
+  };
+}
+
+/**
+ * Hashes audio content the same way fixture files are named
+ * @param {string} audioBase64 - Base64 audio data
+ * @returns {string} - Hex SHA-256 of the raw audio bytes
+ */
+function hashAudio(audioBase64) {
+  return crypto
+    .createHash("sha256")
+    .update(Buffer.from(audioBase64, "base64"))
+    .digest("hex");
+}
+
+/**
+ * Reads a fixture file if it exists
+ * @param {string} fileName - File name inside the fixtures directory
+ * @returns {Object|null} - Parsed fixture or null
+ */
+function readFixture(fileName) {
+  const filePath = path.join(getConfig().fixturesDir, fileName);
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (error) {
+    console.error(`Invalid mock fixture ${filePath}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Finds the fixture for a piece of audio
+ * @param {Object} audio - Audio input ({ audioBase64, sourceSha256? })
+ * @returns {Object} - Fixture ({ transcript, answer, latencyMs?, error? })
+ */
+function getAudioFixture(audio) {
+  const hashes = [audio.sourceSha256, hashAudio(audio.audioBase64)].filter(
+    Boolean,
+  );
+  for (const hash of hashes) {
+    const fixture = readFixture(`${hash}.json`);
+    if (fixture) {
+      console.log(`Mock AI: using fixture ${hash}.json`);
+      return fixture;
+    }
+  }
+  console.log(`Mock AI: no fixture for audio ${hashes[0]}, using default`);
+  return readFixture("default.json") || BUILTIN_FIXTURE;
+}
+
+/**
+ * Finds the fixture whose transcript matches a text question
+ * @param {string} question - Question text
+ * @returns {Object} - Fixture
+ */
+function getTextFixture(question) {
+  const { fixturesDir } = getConfig();
+  const normalized = question.trim().toLowerCase();
+
+  if (fs.existsSync(fixturesDir)) {
+    for (const fileName of fs.readdirSync(fixturesDir)) {
+      if (!fileName.endsWith(".json")) continue;
+      const fixture = readFixture(fileName);
+      if (
+        fixture &&
+        typeof fixture.transcript === "string" &&
+        fixture.transcript.trim().toLowerCase() === normalized
+      ) {
+        return fixture;
+      }
+    }
+  }
+
+  return {
+    ...(readFixture("default.json") || BUILTIN_FIXTURE),
+    transcript: question,
+  };
+}
+
+/**
+ * Builds the structured (JSON schema) reply for a fixture
+ * Fixtures may list `questions` themselves, otherwise the transcript and
+ * answer become a single question
+ * @param {Object} fixture - Fixture in use
+ * @param {string} [lang] - Requested language
+ * @returns {Object} - { language, transcript, questions }
+ */
+function toStructuredFixture(fixture, lang) {
+  return {
+    language: fixture.language || lang || "en",
+    transcript: fixture.transcript || "",
+    questions: Array.isArray(fixture.questions)
+      ? fixture.questions
+      : [{ question: fixture.transcript || "", answer: fixture.answer || "" }],
+  };
+}
+
+/**
+ * Throws an injected error when the model, fixture or env asks for one
+ * @param {string} stage - "transcribe" or "answer"
+ * @param {string} model - Mock model name
+ * @param {Object} [fixture] - Fixture in use
+ */
+function maybeFail(stage, model, fixture = {}) {
+  const { failMode } = getConfig();
+  let message = null;
+
+  if (model === "error") {
+    message = "Mock AI error (model 'error')";
+  } else if (failMode === "all" || failMode === stage) {
+    message = `Mock AI error injected for ${stage} (MOCK_AI_FAIL=${failMode})`;
+  } else if (fixture.error) {
+    message = fixture.error;
+  }
+
+  if (message) {
+    const error = new Error(message);
+    // Look like a transient upstream failure to callers
+    error.status = fixture.errorStatus || 503;
+    throw error;
+  }
+}
+
+/**
+ * Waits for the given time
+ * @param {number} ms - Milliseconds
+ * @param {AbortSignal} [signal] - Rejects the wait when aborted
+ * @returns {Promise<void>}
+ */
+function delay(ms, signal) {
+  if (signal?.aborted) return Promise.reject(signal.reason);
+  if (ms <= 0) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Gets the total latency of a response
+ * @param {string} model - Mock model name
+ * @param {Object} fixture - Fixture in use
+ * @returns {number} - Latency in milliseconds
+ */
+function getLatency(model, fixture) {
+  const base =
+    typeof fixture.latencyMs === "number"
+      ? fixture.latencyMs
+      : getConfig().latencyMs;
+  return model === "slow" ? base + SLOW_MODEL_LATENCY_MS : base;
+}
+
+/**
+ * Emits an answer word by word, spreading the latency over the chunks
+ * @param {string} text - Full answer text
+ * @param {number} latencyMs - Total latency
+ * @param {Function} [onChunk] - Called with each chunk
+ * @param {AbortSignal} [signal] - Stops the stream when aborted
+ * @returns {Promise<string>} - The full answer text
+ */
+async function streamAnswer(text, latencyMs, onChunk, signal) {
+  const chunks = text.match(/\S+\s*/g) || [];
+  const chunkDelay = chunks.length > 0 ? latencyMs / chunks.length : 0;
+
+  if (chunks.length === 0) {
+    await delay(latencyMs, signal);
+  }
+  for (const chunk of chunks) {
+    await delay(chunkDelay, signal);
+    if (onChunk) {
+      onChunk(chunk);
+    }
+  }
+  return text;
+}
+
+/**
+ * Reports made-up token usage of a call to options.onUsage
+ * @param {string} model - Mock model
+ * @param {Object} call - { prompt, audio, output } of the call
+ * @param {Function} [onUsage] - Usage callback
+ */
+function reportUsage(
+  model,
+  { prompt = "", audio = null, output = "" },
+  onUsage,
+) {
+  if (!onUsage) return;
+  // 32000 bytes per second of audio, 32 tokens per second
+  const audioTokens = audio
+    ? Math.ceil(Buffer.byteLength(audio.audioBase64, "base64") / 1000)
+    : 0;
+  const promptTokens = Math.ceil(prompt.length / 4) + audioTokens;
+  const candidatesTokens = Math.ceil(output.length / 4);
+  onUsage({
+    model: `${PROVIDER_NAME}:${model}`,
+    promptTokens,
+    candidatesTokens,
+    thoughtsTokens: 0,
+    totalTokens: promptTokens + candidatesTokens,
+    audioTokens,
+  });
+}
+
+const mockProvider = {
+  name: PROVIDER_NAME,
+  label: "Mock",
+  defaultModel: MOCK_MODELS[0].model,
+  partialTranscripts: true,
+
+  isConfigured() {
+    return process.env.MOCK_AI_ENABLED === "true" || isMockOnly();
+  },
+
+  isMockOnly,
+
+  hashAudio,
+
+  async transcribe(audio, options = {}) {
+    const model = options.model || this.defaultModel;
+    const fixture = getAudioFixture(audio);
+    maybeFail("transcribe", model, fixture);
+    await delay(getLatency(model, fixture), options.signal);
+    const transcript = fixture.transcript || "";
+    reportUsage(model, { audio, output: transcript }, options.onUsage);
+    return transcript;
+  },
+
+  async diarize(audio, options = {}) {
+    const model = options.model || this.defaultModel;
+    const fixture = getAudioFixture(audio);
+    maybeFail("transcribe", model, fixture);
+    await delay(getLatency(model, fixture), options.signal);
+    const turns = Array.isArray(fixture.speakers)
+      ? fixture.speakers
+      : [{ speaker: "remote", text: fixture.transcript || "" }];
+    reportUsage(
+      model,
+      { audio, output: JSON.stringify(turns) },
+      options.onUsage,
+    );
+    return turns;
+  },
+
+  async answer(prompt, options = {}) {
+    const model = options.model || this.defaultModel;
+    // Prompts wrap the question, so match on the raw question when given
+    const fixture = getTextFixture(options.question || prompt);
+    maybeFail("answer", model, fixture);
+    const answer = await streamAnswer(
+      fixture.answer || "",
+      getLatency(model, fixture),
+      options.onChunk,
+      options.signal,
+    );
+    reportUsage(model, { prompt, output: answer }, options.onUsage);
+    return answer;
+  },
+
+  async answerFromAudio(audio, prompt, options = {}) {
+    const model = options.model || this.defaultModel;
+    const fixture = getAudioFixture(audio);
+    maybeFail("answer", model, fixture);
+    const answer = await streamAnswer(
+      options.responseSchema
+        ? JSON.stringify(toStructuredFixture(fixture, audio.lang))
+        : fixture.answer || "",
+      getLatency(model, fixture),
+      options.onChunk,
+      options.signal,
+    );
+    reportUsage(model, { prompt, audio, output: answer }, options.onUsage);
+    return answer;
+  },
+
+  async listModels() {
+    return MOCK_MODELS.map(({ model, description }) => ({
+      id: `${PROVIDER_NAME}:${model}`,
+      name: `${PROVIDER_NAME}:${model}`,
+      displayName: `${model} (Mock)`,
+      description,
+      provider: PROVIDER_NAME,
+    }));
+  },
+};
+
+module.exports = mockProvider;
@@ -0,0 +1,228 @@
+/**
+ * OpenAI-compatible provider
+ * Talks plain HTTP to any server exposing the OpenAI REST API (OpenAI itself,
+ * Groq, OpenRouter, LM Studio, Ollama, vLLM, ...). Chat models there cannot
+ * take audio, so audio is transcribed first and then answered as text.
+ * Chat completions report their token usage at the end of the stream;
+ * transcriptions report none, so they are not metered.
+ */
+
+const PROVIDER_NAME = "openai";
+
+const DEFAULT_BASE_URL = "https://api.openai.com/v1";
+
+/**
+ * Reads the provider settings from the environment
+ * @returns {Object} - Base URL, API key and default models
+ */
+function getConfig() {
+  return {
+    baseUrl: (process.env.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(
+      /\/+$/,
+      "",
+    ),
+    apiKey: process.env.OPENAI_API_KEY || "",
+    defaultModel: process.env.OPENAI_DEFAULT_MODEL || "gpt-4o-mini",
+    transcribeModel: process.env.OPENAI_TRANSCRIBE_MODEL || "whisper-1",
+  };
+}
+
+/**
+ * Builds request headers, adding the bearer token when a key is configured
+ * @param {Object} [extra] - Extra headers
+ * @returns {Object} - Headers
+ */
+function getHeaders(extra = {}) {
+  const { apiKey } = getConfig();
+  return apiKey ? { Authorization: `Bearer ${apiKey}`, ...extra } : extra;
+}
+
+/**
+ * Throws a descriptive error for a failed HTTP response
+ * The error carries the HTTP status and the Retry-After delay for retries
+ * @param {Response} response - Fetch response
+ * @param {string} action - What was being requested
+ */
+async function assertOk(response, action) {
+  if (response.ok) return;
+  const body = await response.text().catch(() => "");
+  const error = new Error(
+    `OpenAI-compatible ${action} failed (HTTP ${response.status})${
+      body ? `: ${body.slice(0, 300)}` : ""
+    }`,
+  );
+  error.status = response.status;
+  const retryAfter = parseFloat(response.headers.get("retry-after"));
+  if (Number.isFinite(retryAfter)) {
+    error.retryAfterMs = retryAfter * 1000;
+  }
+  throw error;
+}
+
+/**
+ * Reports the token usage of a chat completion to options.onUsage
+ * Reasoning tokens are part of completion_tokens; they are reported apart, as
+ * thinking tokens
+ * @param {string} model - Model that answered
+ * @param {Object} usage - The usage of the final stream chunk
+ * @param {Function} [onUsage] - Usage callback
+ */
+function reportUsage(model, usage, onUsage) {
+  if (!onUsage) return;
+
+  const completionTokens = usage.completion_tokens || 0;
+  const reasoningTokens =
+    usage.completion_tokens_details?.reasoning_tokens || 0;
+  onUsage({
+    model: `${PROVIDER_NAME}:${model}`,
+    promptTokens: usage.prompt_tokens || 0,
+    candidatesTokens: Math.max(0, completionTokens - reasoningTokens),
+    thoughtsTokens: reasoningTokens,
+    totalTokens: usage.total_tokens || 0,
+    audioTokens: usage.prompt_tokens_details?.audio_tokens || 0,
+  });
+}
+
+/**
+ * Reads a server-sent events chat completion stream
+ * @param {Response} response - Streaming fetch response
+ * @param {string} model - Model that was asked
+ * @param {Object} [options] - Provider call options (onChunk, onUsage)
+ * @returns {Promise<string>} - Full response text
+ */
+async function readChatStream(response, model, options = {}) {
+  const { onChunk, onUsage } = options;
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let responseText = "";
+
+  for await (const bytes of response.body) {
+    buffer += decoder.decode(bytes, { stream: true });
+
+    // Events are separated by newlines; keep the trailing partial line
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith("data:")) continue;
+
+      const payload = trimmed.slice(5).trim();
+      if (payload === "[DONE]") return responseText;
+
+      let event;
+      try {
+        event = JSON.parse(payload);
+      } catch (error) {
+        continue;
+      }
+
+      // Asked for with stream_options, in a last chunk without choices
+      if (event.usage) {
+        reportUsage(event.model || model, event.usage, onUsage);
+      }
+
+      const delta = event.choices?.[0]?.delta?.content;
+      if (!delta) continue;
+
+      responseText += delta;
+      if (onChunk) {
+        onChunk(delta);
+      }
+    }
+  }
+
+  return responseText;
+}
+
+const openaiProvider = {
+  name: PROVIDER_NAME,
+  label: "OpenAI",
+  partialTranscripts: true,
+  // Formats the transcription endpoint accepts (no raw ADTS AAC)
+  audioFormats: ["wav", "mp3", "mp4", "ogg", "webm", "flac"],
+
+  get defaultModel() {
+    return getConfig().defaultModel;
+  },
+
+  isConfigured() {
+    return Boolean(process.env.OPENAI_API_KEY || process.env.OPENAI_BASE_URL);
+  },
+
+  async transcribe(audio, options = {}) {
+    const { baseUrl, transcribeModel } = getConfig();
+    const mimeType = audio.mimeType || "audio/wav";
+
+    const form = new FormData();
+    form.append(
+      "file",
+      new Blob([Buffer.from(audio.audioBase64, "base64")], { type: mimeType }),
+      `audio.${mimeType.split("/")[1] || "wav"}`,
+    );
+    form.append("model", options.model || transcribeModel);
+    if (audio.lang) {
+      form.append("language", audio.lang);
+    }
+
+    const response = await fetch(`${baseUrl}/audio/transcriptions`, {
+      method: "POST",
+      headers: getHeaders(),
+      body: form,
+      signal: options.signal,
+    });
+    await assertOk(response, "transcription");
+
+    const data = await response.json();
+    return (data.text || "").trim();
+  },
+
+  async answer(prompt, options = {}) {
+    const { baseUrl, defaultModel } = getConfig();
+    const model = options.model || defaultModel;
+
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+      method: "POST",
+      headers: getHeaders({ "Content-Type": "application/json" }),
+      body: JSON.stringify({
+        model,
+        messages: [
+          ...(options.history || []).flatMap((turn) => [
+            { role: "user", content: turn.question },
+            { role: "assistant", content: turn.answer },
+          ]),
+          { role: "user", content: prompt },
+        ],
+        // The prompt describes the JSON; not every compatible API takes a schema
+        ...(options.responseSchema && {
+          response_format: { type: "json_object" },
+        }),
+        stream: true,
+        stream_options: { include_usage: true },
+      }),
+      signal: options.signal,
+    });
+    await assertOk(response, "chat completion");
+
+    return readChatStream(response, model, options);
+  },
+
+  async listModels() {
+    const { baseUrl } = getConfig();
+
+    const response = await fetch(`${baseUrl}/models`, {
+      headers: getHeaders(),
+    });
+    await assertOk(response, "model listing");
+
+    const data = await response.json();
+    return (data.data || []).map((model) => ({
+      id: `${PROVIDER_NAME}:${model.id}`,
+      name: `${PROVIDER_NAME}:${model.id}`,
+      displayName: `${model.id} (OpenAI-compatible)`,
+      provider: PROVIDER_NAME,
+    }));
+  },
+};
+
+module.exports = openaiProvider;
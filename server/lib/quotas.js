@@ -0,0 +1,377 @@
+/**
+ * Rate limits and daily quotas for AI processing
+ * Usage is counted per API token, or per IP address when authentication is
+ * disabled:
+ * - requests per minute: processing requests (uploads, retries, replays,
+ *   streamed recordings) in a sliding one-minute window
+ * - audio seconds per day: length of the recordings sent for processing
+ * - model calls per day: every model attempt, transcription and judge call
+ * Limits come from the environment and can be overridden per token; 0 turns a
+ * limit off. Daily usage resets at midnight UTC and is kept in
+ * data/quotas.json so restarts do not reset it; the counters change in memory
+ * and are written at most once per second.
+ */
+
+const { createJsonStore } = require("./json-store");
+const { createHttpError } = require("./http-error");
+
+const RATE_WINDOW_MS = 60 * 1000;
+
+/**
+ * Limit names, with the environment variable and default of each
+ */
+const LIMITS = {
+  requestsPerMinute: { env: "RATE_LIMIT_REQUESTS_PER_MINUTE", fallback: 20 },
+  audioSecondsPerDay: { env: "QUOTA_AUDIO_SECONDS_PER_DAY", fallback: 3600 },
+  modelCallsPerDay: { env: "QUOTA_MODEL_CALLS_PER_DAY", fallback: 500 },
+};
+
+const store = createJsonStore("quotas.json", () => ({ day: null, usage: {} }), {
+  flushDelayMs: 1000,
+});
+
+// Recent request times per key, for the per-minute limit
+const requestTimes = new Map();
+
+/**
+ * Reads a limit from the environment
+ * @param {string} name - Key of LIMITS
+ * @returns {number} - Limit (0 = unlimited)
+ */
+function readLimitSetting(name) {
+  const { env, fallback } = LIMITS[name];
+  const value = parseInt(process.env[env], 10);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Validates per-token limit overrides
+ * @param {*} value - { requestsPerMinute, audioSecondsPerDay,
+ *   modelCallsPerDay }, each a non-negative integer or null for the default
+ * @returns {Object|null} - Overrides, or null when none are set
+ */
+function normalizeLimits(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== "object" || Array.isArray(value)) {
+    throw createHttpError("limits must be an object");
+  }
+
+  const limits = {};
+  for (const [name, limit] of Object.entries(value)) {
+    if (!LIMITS[name]) {
+      throw createHttpError(
+        `Unknown limit ${name}; use ${Object.keys(LIMITS).join(", ")}`,
+      );
+    }
+    if (limit === null || limit === "") continue;
+    const number = Number(limit);
+    if (!Number.isInteger(number) || number < 0) {
+      throw createHttpError(`limits.${name} must be a non-negative integer`);
+    }
+    limits[name] = number;
+  }
+  return Object.keys(limits).length ? limits : null;
+}
+
+/**
+ * Identifies who is charged for a request
+ * @param {Object} auth - Token description (req.auth / socket.data.auth)
+ * @param {string} ip - Client address, used when the token has no id
+ *   (authentication disabled)
+ * @returns {Object} - { key, limits } where limits are the effective limits
+ */
+function getQuotaOwner(auth, ip) {
+  const overrides = (auth && auth.limits) || {};
+  const limits = Object.fromEntries(
+    Object.keys(LIMITS).map((name) => [
+      name,
+      overrides[name] ?? readLimitSetting(name),
+    ]),
+  );
+  return {
+    key: auth && auth.id ? `token:${auth.id}` : `ip:${ip || "unknown"}`,
+    limits,
+  };
+}
+
+/**
+ * Gets the current UTC day
+ * @param {number} now - Timestamp (ms)
+ * @returns {string} - "YYYY-MM-DD"
+ */
+function getDay(now) {
+  return new Date(now).toISOString().slice(0, 10);
+}
+
+/**
+ * Gets when the daily quotas reset (next midnight UTC)
+ * @param {number} now - Timestamp (ms)
+ * @returns {Date} - Reset time
+ */
+function getDailyReset(now) {
+  const midnight = new Date(now);
+  midnight.setUTCHours(24, 0, 0, 0);
+  return midnight;
+}
+
+/**
+ * Seconds until the daily quotas reset
+ * @param {number} now - Timestamp (ms)
+ * @returns {number} - Seconds, at least 1
+ */
+function getSecondsUntilReset(now) {
+  return Math.max(1, Math.ceil((getDailyReset(now).getTime() - now) / 1000));
+}
+
+/**
+ * Gets today's usage of a key
+ * @param {string} key - Quota key
+ * @param {number} now - Timestamp (ms)
+ * @returns {Object} - { audioSeconds, modelCalls }
+ */
+function getDailyUsage(key, now) {
+  const data = store.read();
+  const usage = data.day === getDay(now) ? data.usage[key] : null;
+  return usage || { audioSeconds: 0, modelCalls: 0 };
+}
+
+/**
+ * Adds to today's usage of a key, starting a new day when the date changed
+ * @param {string} key - Quota key
+ * @param {Object} amounts - { audioSeconds, modelCalls } to add
+ * @param {number} now - Timestamp (ms)
+ */
+function addDailyUsage(key, amounts, now) {
+  const day = getDay(now);
+  store.update((data) => {
+    const usage = data.day === day ? data.usage : {};
+    const current = usage[key] || { audioSeconds: 0, modelCalls: 0 };
+    usage[key] = {
+      audioSeconds: current.audioSeconds + (amounts.audioSeconds || 0),
+      modelCalls: current.modelCalls + (amounts.modelCalls || 0),
+    };
+    return { day, usage };
+  });
+}
+
+/**
+ * Gets the requests of a key within the last minute
+ * @param {string} key - Quota key
+ * @param {number} now - Timestamp (ms)
+ * @returns {Array<number>} - Request times, oldest first
+ */
+function getRecentRequests(key, now) {
+  const times = (requestTimes.get(key) || []).filter(
+    (time) => now - time < RATE_WINDOW_MS,
+  );
+  if (times.length) {
+    requestTimes.set(key, times);
+  } else {
+    requestTimes.delete(key);
+  }
+  return times;
+}
+
+/**
+ * Creates the error for an exceeded limit
+ * @param {string} message - What was exceeded
+ * @param {number} retryAfter - Seconds until the limit allows the request
+ * @returns {Error} - Error with status 429 and retryAfter
+ */
+function createQuotaError(message, retryAfter) {
+  const error = createHttpError(message, 429);
+  error.retryAfter = retryAfter;
+  return error;
+}
+
+/**
+ * Admits a processing request: checks the per-minute rate and that daily
+ * quota is left, then counts the request
+ * @param {Object} owner - Quota owner (getQuotaOwner)
+ * @param {number} [now] - Timestamp (ms)
+ * @throws {Error} - 429 error with retryAfter when a limit is reached
+ */
+function admitRequest(owner, now = Date.now()) {
+  const { key, limits } = owner;
+  const recent = getRecentRequests(key, now);
+  if (limits.requestsPerMinute && recent.length >= limits.requestsPerMinute) {
+    throw createQuotaError(
+      `Rate limit of ${limits.requestsPerMinute} requests per minute reached`,
+      Math.max(1, Math.ceil((recent[0] + RATE_WINDOW_MS - now) / 1000)),
+    );
+  }
+
+  const usage = getDailyUsage(key, now);
+  if (limits.modelCallsPerDay && usage.modelCalls >= limits.modelCallsPerDay) {
+    throw createQuotaError(
+      `Daily quota of ${limits.modelCallsPerDay} model calls used up`,
+      getSecondsUntilReset(now),
+    );
+  }
+  if (
+    limits.audioSecondsPerDay &&
+    usage.audioSeconds >= limits.audioSecondsPerDay
+  ) {
+    throw createQuotaError(
+      `Daily quota of ${limits.audioSecondsPerDay} audio seconds used up`,
+      getSecondsUntilReset(now),
+    );
+  }
+
+  requestTimes.set(key, [...recent, now]);
+}
+
+/**
+ * Charges the length of a recording to the daily audio quota
+ * @param {Object} owner - Quota owner (getQuotaOwner)
+ * @param {number} seconds - Length of the recording
+ * @param {number} [now] - Timestamp (ms)
+ * @throws {Error} - 429 error with retryAfter when the recording does not
+ *   fit in what is left of the quota (nothing is charged then)
+ */
+function chargeAudioSeconds(owner, seconds, now = Date.now()) {
+  const { key, limits } = owner;
+  const used = getDailyUsage(key, now).audioSeconds;
+  if (limits.audioSecondsPerDay && used + seconds > limits.audioSecondsPerDay) {
+    throw createQuotaError(
+      `The recording is ${Math.ceil(seconds)}s long, the daily audio quota has ${Math.max(
+        0,
+        Math.floor(limits.audioSecondsPerDay - used),
+      )}s left`,
+      getSecondsUntilReset(now),
+    );
+  }
+  addDailyUsage(key, { audioSeconds: seconds }, now);
+}
+
+/**
+ * Counts a model call; calls of a running job are never refused, so the
+ * quota can be exceeded by the calls of the last admitted request
+ * @param {string} key - Quota key (null for work nobody is charged for)
+ * @param {number} [now] - Timestamp (ms)
+ */
+function chargeModelCall(key, now = Date.now()) {
+  if (!key) return;
+  addDailyUsage(key, { modelCalls: 1 }, now);
+}
+
+/**
+ * Whether an owner has model calls left today
+ * @param {Object} owner - Quota owner (getQuotaOwner)
+ * @param {number} [now] - Timestamp (ms)
+ * @returns {boolean} - True when another call is within the quota
+ */
+function hasModelCallsLeft(owner, now = Date.now()) {
+  const limit = owner.limits.modelCallsPerDay;
+  return !limit || getDailyUsage(owner.key, now).modelCalls < limit;
+}
+
+/**
+ * Reports the limits of an owner and what is left of them
+ * @param {Object} owner - Quota owner (getQuotaOwner)
+ * @param {number} [now] - Timestamp (ms)
+ * @returns {Object} - { requestsPerMinute, audioSecondsPerDay,
+ *   modelCallsPerDay }, each { limit, used, remaining, resetsAt } where
+ *   limit and remaining are null when unlimited
+ */
+function getQuotaStatus(owner, now = Date.now()) {
+  const { key, limits } = owner;
+  const recent = getRecentRequests(key, now);
+  const usage = getDailyUsage(key, now);
+  const dailyResetsAt = getDailyReset(now).toISOString();
+
+  const describe = (limit, used, resetsAt) => ({
+    limit: limit || null,
+    used,
+    remaining: limit ? Math.max(0, limit - used) : null,
+    resetsAt,
+  });
+
+  return {
+    requestsPerMinute: describe(
+      limits.requestsPerMinute,
+      recent.length,
+      recent.length ? new Date(recent[0] + RATE_WINDOW_MS).toISOString() : null,
+    ),
+    audioSecondsPerDay: describe(
+      limits.audioSecondsPerDay,
+      Math.round(usage.audioSeconds * 10) / 10,
+      dailyResetsAt,
+    ),
+    modelCallsPerDay: describe(
+      limits.modelCallsPerDay,
+      usage.modelCalls,
+      dailyResetsAt,
+    ),
+  };
+}
+
+/**
+ * Gets the quota owner of an HTTP request
+ * @param {Object} req - Express request object (after authentication)
+ * @returns {Object} - { key, limits }
+ */
+function getRequestQuotaOwner(req) {
+  return getQuotaOwner(req.auth, req.ip);
+}
+
+/**
+ * Gets the quota owner of a Socket.IO connection
+ * @param {Object} socket - Socket.IO socket (after authentication)
+ * @returns {Object} - { key, limits }
+ */
+function getSocketQuotaOwner(socket) {
+  return getQuotaOwner(socket.data.auth, socket.handshake.address);
+}
+
+/**
+ * Sends a 429 for an exceeded limit, with Retry-After and the quota status
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error from admitRequest or chargeAudioSeconds
+ * @param {Object} owner - Quota owner
+ */
+function sendQuotaError(res, error, owner) {
+  res
+    .status(429)
+    .set("Retry-After", String(error.retryAfter))
+    .json({
+      error: error.message,
+      retryAfter: error.retryAfter,
+      quota: getQuotaStatus(owner),
+    });
+}
+
+/**
+ * Express middleware for AI processing endpoints: applies the rate limit and
+ * checks that daily quota is left before the request (and its upload) is
+ * accepted; sets req.quotaOwner for the controllers
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function limitProcessing(req, res, next) {
+  const owner = getRequestQuotaOwner(req);
+  try {
+    admitRequest(owner);
+  } catch (error) {
+    console.warn(`Quota: ${owner.key} rejected: ${error.message}`);
+    return sendQuotaError(res, error, owner);
+  }
+  req.quotaOwner = owner;
+  next();
+}
+
+module.exports = {
+  LIMITS,
+  normalizeLimits,
+  getQuotaOwner,
+  getRequestQuotaOwner,
+  getSocketQuotaOwner,
+  admitRequest,
+  chargeAudioSeconds,
+  chargeModelCall,
+  hasModelCallsLeft,
+  getQuotaStatus,
+  sendQuotaError,
+  limitProcessing,
+};
@@ -0,0 +1,214 @@
+/**
+ * Session store module that keeps processing state per client
+ * Each desktop/mobile client sends its own session id, so follow-up context,
+ * cancel flags and file references never leak between devices sharing a server.
+ * Client ids are scoped to the API token that sent them, so a token can only
+ * ever reach its own sessions, whatever id it sends.
+ */
+
+/**
+ * Session id used by clients that do not send one (legacy clients)
+ */
+const DEFAULT_SESSION_ID = "default";
+
+/**
+ * Idle time after which a session is dropped (minutes, configurable)
+ */
+const SESSION_TTL_MS =
+  (parseInt(process.env.SESSION_TTL_MINUTES, 10) || 60) * 60 * 1000;
+
+/**
+ * How often expired sessions are swept
+ */
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Only accept simple opaque ids so they are safe to use as room names and keys
+const CLIENT_SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+// Scoped ids: "<token id>.<client id>" (unscoped when auth is disabled)
+const SESSION_ID_PATTERN = /^(?:[A-Za-z0-9-]{1,64}\.)?[A-Za-z0-9_-]{1,128}$/;
+
+const sessions = new Map();
+let sweepTimer = null;
+
+/**
+ * Creates a fresh state object for a session
+ * @param {string} id - Session id
+ * @returns {Object} - Initial session state
+ */
+function createSessionState(id) {
+  const now = Date.now();
+  return {
+    id,
+    isRecording: false,
+    currentOutputFile: null,
+    lastProcessedFile: null,
+    retryCount: 0,
+    isProcessingCancelled: false,
+    conversationId: null,
+    createdAt: now,
+    lastActivity: now,
+  };
+}
+
+/**
+ * Normalizes a session id, falling back to the default session
+ * @param {*} value - Session id (as scoped by scopeSessionId)
+ * @returns {string} - A valid session id
+ */
+function normalizeSessionId(value) {
+  if (typeof value !== "string") {
+    return DEFAULT_SESSION_ID;
+  }
+  const trimmed = value.trim();
+  return SESSION_ID_PATTERN.test(trimmed) ? trimmed : DEFAULT_SESSION_ID;
+}
+
+/**
+ * Scopes a client supplied session id to the token that sent it
+ * @param {*} value - Raw session id from a request or handshake
+ * @param {Object} [auth] - Token description (req.auth / socket.data.auth);
+ *   ids stay unscoped when it has no id (authentication disabled)
+ * @returns {string} - Session id owned by the token
+ */
+function scopeSessionId(value, auth) {
+  const trimmed = typeof value === "string" ? value.trim() : "";
+  const id = CLIENT_SESSION_ID_PATTERN.test(trimmed)
+    ? trimmed
+    : DEFAULT_SESSION_ID;
+  return auth && auth.id ? `${auth.id}.${id}` : id;
+}
+
+/**
+ * Whether a session belongs to a token
+ * @param {string} sessionId - Session id (as scoped by scopeSessionId)
+ * @param {Object} [auth] - Token description
+ * @returns {boolean} - True when the token owns the session; every session
+ *   when authentication is disabled
+ */
+function isSessionOwner(sessionId, auth) {
+  if (!auth || !auth.id) return true;
+  return normalizeSessionId(sessionId).startsWith(`${auth.id}.`);
+}
+
+/**
+ * Gets (or lazily creates) the state for a session and marks it as active
+ * @param {string} sessionId - Session id
+ * @returns {Object} - Mutable session state
+ */
+function getSession(sessionId) {
+  const id = normalizeSessionId(sessionId);
+  let session = sessions.get(id);
+  if (!session) {
+    session = createSessionState(id);
+    sessions.set(id, session);
+    console.log(`Created session: ${id}`);
+  }
+  session.lastActivity = Date.now();
+  return session;
+}
+
+/**
+ * Gets the state for a session without creating or touching it
+ * @param {string} sessionId - Session id
+ * @returns {Object|null} - Session state or null if unknown
+ */
+function peekSession(sessionId) {
+  return sessions.get(normalizeSessionId(sessionId)) || null;
+}
+
+/**
+ * Removes a session and all of its state
+ * @param {string} sessionId - Session id
+ * @returns {boolean} - True if a session was removed
+ */
+function deleteSession(sessionId) {
+  return sessions.delete(normalizeSessionId(sessionId));
+}
+
+/**
+ * Drops sessions that have been idle for longer than the TTL
+ * @param {number} [now] - Current timestamp (ms)
+ * @returns {number} - Number of sessions removed
+ */
+function sweepExpiredSessions(now = Date.now()) {
+  let removed = 0;
+  for (const [id, session] of sessions) {
+    if (now - session.lastActivity > SESSION_TTL_MS) {
+      sessions.delete(id);
+      removed += 1;
+      console.log(`Session expired: ${id}`);
+    }
+  }
+  return removed;
+}
+
+/**
+ * Starts the background sweeper for expired sessions
+ */
+function startSessionSweeper() {
+  if (sweepTimer) return;
+  sweepTimer = setInterval(sweepExpiredSessions, SWEEP_INTERVAL_MS);
+  // Don't keep the process alive just for the sweeper
+  sweepTimer.unref();
+}
+
+/**
+ * Gets the Socket.IO room name that all sockets of a session join
+ * @param {string} sessionId - Session id
+ * @returns {string} - Room name
+ */
+function getSessionRoom(sessionId) {
+  return `session:${normalizeSessionId(sessionId)}`;
+}
+
+/**
+ * Counts the currently known sessions
+ * @returns {number} - Number of sessions
+ */
+function getSessionCount() {
+  return sessions.size;
+}
+
+/**
+ * Resolves the session id of an HTTP request, scoped to its token
+ * Checks the X-Session-Id header, then the body, then the query string
+ * @param {Object} req - Express request object
+ * @returns {string} - Session id
+ */
+function resolveSessionId(req) {
+  return scopeSessionId(
+    req.get("x-session-id") ||
+      (req.body && req.body.sessionId) ||
+      (req.query && req.query.sessionId),
+    req.auth,
+  );
+}
+
+/**
+ * Resolves the session id of a Socket.IO connection from its handshake,
+ * scoped to its token
+ * @param {Object} socket - Socket.IO socket
+ * @returns {string} - Session id
+ */
+function resolveSocketSessionId(socket) {
+  const { auth = {}, query = {} } = socket.handshake;
+  return scopeSessionId(auth.sessionId || query.sessionId, socket.data.auth);
+}
+
+module.exports = {
+  DEFAULT_SESSION_ID,
+  SESSION_TTL_MS,
+  normalizeSessionId,
+  scopeSessionId,
+  isSessionOwner,
+  getSession,
+  peekSession,
+  deleteSession,
+  sweepExpiredSessions,
+  startSessionSweeper,
+  getSessionRoom,
+  getSessionCount,
+  resolveSessionId,
+  resolveSocketSessionId,
+};
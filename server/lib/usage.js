@@ -0,0 +1,344 @@
+/**
+ * Usage and cost accounting
+ * Every model call (answers, transcriptions, judges, partial transcripts) is
+ * metered: the token usage the provider reports, the audio it was sent, its
+ * latency and an estimated cost from the price table. Totals are kept per UTC
+ * day, session and model in data/usage.json, written at most once per second.
+ *
+ * Prices are USD per million tokens ({ input, audioInput, output }). The price
+ * of a call is looked up, first match wins, by:
+ * 1. its exact id ("openai:gpt-4o-mini", or a backend id like "whisper-cli")
+ * 2. its model name ("gpt-4o-mini")
+ * 3. the longest key the model name starts with ("gemini-2.5-flash" for
+ *    "gemini-2.5-flash-001")
+ * 4. its provider name ("mock" for "mock:echo")
+ * DEFAULT_PRICES can be overridden in data/prices.json (PUT /api/v1/usage/prices).
+ */
+
+const { createJsonStore } = require("./json-store");
+const { createHttpError } = require("./http-error");
+const { tryCatch } = require("./tryCatch");
+
+/**
+ * Prices in USD per million tokens; audio input tokens are billed separately
+ * and thinking tokens as output
+ */
+const DEFAULT_PRICES = {
+  "gemini-2.5-pro": { input: 1.25, audioInput: 1.25, output: 10 },
+  "gemini-2.5-flash": { input: 0.3, audioInput: 1, output: 2.5 },
+  "gemini-2.5-flash-lite": { input: 0.1, audioInput: 0.3, output: 0.4 },
+  "gemini-2.0-flash": { input: 0.1, audioInput: 0.7, output: 0.4 },
+  "gemini-2.0-flash-lite": { input: 0.075, audioInput: 0.075, output: 0.3 },
+  "gemini-1.5-pro": { input: 1.25, audioInput: 1.25, output: 5 },
+  "gemini-1.5-flash": { input: 0.075, audioInput: 0.075, output: 0.3 },
+  // OpenAI chat models, by name so dated snapshots match them as a prefix
+  "gpt-4.1": { input: 2, audioInput: 2, output: 8 },
+  "gpt-4.1-mini": { input: 0.4, audioInput: 0.4, output: 1.6 },
+  "gpt-4.1-nano": { input: 0.1, audioInput: 0.1, output: 0.4 },
+  "gpt-4o": { input: 2.5, audioInput: 2.5, output: 10 },
+  "gpt-4o-mini": { input: 0.15, audioInput: 0.15, output: 0.6 },
+  "o4-mini": { input: 1.1, audioInput: 1.1, output: 4.4 },
+  // Local providers and transcription backends are free
+  mock: { input: 0, audioInput: 0, output: 0 },
+  "whisper-cli": { input: 0, audioInput: 0, output: 0 },
+};
+
+/**
+ * Audio tokens per second of audio (Gemini's rate), to report the audio
+ * duration of a call from its token usage
+ */
+const AUDIO_TOKENS_PER_SECOND = 32;
+
+const PRICE_FIELDS = ["input", "audioInput", "output"];
+
+const TOKEN_FIELDS = [
+  "promptTokens",
+  "candidatesTokens",
+  "thoughtsTokens",
+  "totalTokens",
+  "audioTokens",
+];
+
+const priceStore = createJsonStore("prices.json", () => ({ prices: {} }));
+const usageStore = createJsonStore("usage.json", () => ({ days: {} }), {
+  flushDelayMs: 1000,
+});
+
+/**
+ * Gets how many days of usage are kept (configurable)
+ * @returns {number} - Days
+ */
+function getRetentionDays() {
+  const value = parseInt(process.env.USAGE_RETENTION_DAYS, 10);
+  return Number.isInteger(value) && value > 0 ? value : 90;
+}
+
+/**
+ * Gets the price table: the defaults with the stored overrides applied
+ * @returns {Object} - Prices by model id or model name prefix
+ */
+function getPrices() {
+  return { ...DEFAULT_PRICES, ...priceStore.read().prices };
+}
+
+/**
+ * Replaces the stored price overrides
+ * @param {*} prices - { [model]: { input, audioInput, output } } where
+ *   audioInput defaults to input
+ * @returns {Object} - The effective price table
+ * @throws {Error} - 400 when an entry is invalid
+ */
+function setPrices(prices) {
+  if (!prices || typeof prices !== "object" || Array.isArray(prices)) {
+    throw createHttpError("prices must be an object keyed by model");
+  }
+
+  const overrides = {};
+  for (const [model, price] of Object.entries(prices)) {
+    if (!price || typeof price !== "object") {
+      throw createHttpError(`Price of ${model} must be an object`);
+    }
+    const entry = {};
+    for (const field of PRICE_FIELDS) {
+      const value = Number(
+        field === "audioInput"
+          ? (price.audioInput ?? price.input)
+          : price[field],
+      );
+      if (!Number.isFinite(value) || value < 0) {
+        throw createHttpError(
+          `${model}.${field} must be a non-negative number`,
+        );
+      }
+      entry[field] = value;
+    }
+    overrides[model] = entry;
+  }
+
+  priceStore.write({ prices: overrides });
+  return getPrices();
+}
+
+/**
+ * Finds the price of a model, in the lookup order described above
+ * @param {string} model - "provider:model" (or a backend id like whisper-cli)
+ * @param {Object} [prices] - Price table
+ * @returns {Object|null} - { input, audioInput, output } or null when unknown
+ */
+function getModelPrice(model, prices = getPrices()) {
+  if (prices[model]) return prices[model];
+  const separator = model.indexOf(":");
+  const provider = separator === -1 ? model : model.slice(0, separator);
+  const name = model.slice(separator + 1);
+  if (prices[name]) return prices[name];
+
+  // Longest prefix, so "gemini-2.5-flash-lite-001" is not priced as flash
+  const prefix = Object.keys(prices)
+    .filter((key) => name.startsWith(key))
+    .sort((a, b) => b.length - a.length)[0];
+  if (prefix) return prices[prefix];
+  return prices[provider] || null;
+}
+
+/**
+ * Estimates the cost of token usage
+ * @param {Object} usage - Token counts
+ * @param {Object|null} price - Model price
+ * @returns {number|null} - USD, or null when the model has no price
+ */
+function estimateCost(usage, price) {
+  if (!price) return null;
+  const audioTokens = usage.audioTokens || 0;
+  const textTokens = Math.max(0, (usage.promptTokens || 0) - audioTokens);
+  const outputTokens =
+    (usage.candidatesTokens || 0) + (usage.thoughtsTokens || 0);
+  return (
+    (textTokens * price.input +
+      audioTokens * price.audioInput +
+      outputTokens * price.output) /
+    1e6
+  );
+}
+
+/**
+ * Creates empty usage totals
+ * @returns {Object} - Totals
+ */
+function createTotals() {
+  return {
+    calls: 0,
+    failedCalls: 0,
+    ...Object.fromEntries(TOKEN_FIELDS.map((field) => [field, 0])),
+    audioSeconds: 0,
+    latencyMs: 0,
+    costUsd: 0,
+    unpricedCalls: 0,
+  };
+}
+
+/**
+ * Adds usage to totals
+ * @param {Object} totals - Totals (not modified)
+ * @param {Object} usage - Usage of a call or other totals
+ * @returns {Object} - New totals
+ */
+function addTotals(totals, usage) {
+  const sum = { ...totals };
+  for (const field of Object.keys(sum)) {
+    if (typeof usage[field] === "number") sum[field] += usage[field];
+  }
+  sum.costUsd = Math.round(sum.costUsd * 1e8) / 1e8;
+  return sum;
+}
+
+/**
+ * Gets the UTC day of a timestamp
+ * @param {number} time - Timestamp (ms)
+ * @returns {string} - "YYYY-MM-DD"
+ */
+function getDay(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Adds a metered call to the stored totals and drops days past retention
+ * Accounting is best effort: a storage failure never fails the call
+ * @param {string} sessionId - Session the call was made for
+ * @param {Object} usage - Usage of the call (summarizeUsage)
+ * @param {boolean} failed - Whether the call failed
+ * @param {number} time - When the call finished (ms)
+ */
+function recordUsage(sessionId, usage, failed, time) {
+  const day = getDay(time);
+  const oldestDay = getDay(time - (getRetentionDays() - 1) * 86400000);
+  try {
+    usageStore.update((data) => {
+      const days = Object.fromEntries(
+        Object.entries(data.days).filter(([key]) => key >= oldestDay),
+      );
+      const sessions = days[day] || {};
+      const models = sessions[sessionId] || {};
+      models[usage.model] = addTotals(models[usage.model] || createTotals(), {
+        ...usage,
+        calls: 1,
+        failedCalls: failed ? 1 : 0,
+        unpricedCalls: usage.costUsd === null ? 1 : 0,
+      });
+      sessions[sessionId] = models;
+      days[day] = sessions;
+      return { days };
+    });
+  } catch (error) {
+    console.error("Error recording model usage:", error);
+  }
+}
+
+/**
+ * Combines the usage reports of one metered call
+ * @param {string} model - Model the call was made with
+ * @param {Array<Object>} reports - Reports from the provider (onUsage)
+ * @param {number} latencyMs - How long the call took
+ * @returns {Object} - { model, promptTokens, candidatesTokens,
+ *   thoughtsTokens, totalTokens, audioTokens, audioSeconds, latencyMs,
+ *   costUsd }; costUsd is null when the model has no price
+ */
+function summarizeUsage(model, reports, latencyMs) {
+  // The provider knows the resolved model; prefer it over the requested id
+  const resolvedModel = reports.find((report) => report.model)?.model || model;
+  const tokens = Object.fromEntries(
+    TOKEN_FIELDS.map((field) => [
+      field,
+      reports.reduce((sum, report) => sum + (report[field] || 0), 0),
+    ]),
+  );
+  const costUsd = estimateCost(tokens, getModelPrice(resolvedModel));
+
+  return {
+    model: resolvedModel,
+    ...tokens,
+    audioSeconds:
+      Math.round((tokens.audioTokens / AUDIO_TOKENS_PER_SECOND) * 10) / 10,
+    latencyMs,
+    costUsd: costUsd === null ? null : Math.round(costUsd * 1e8) / 1e8,
+  };
+}
+
+/**
+ * Runs a model call and accounts for it, whether it succeeds or fails
+ * @param {Function} call - Receives the onUsage callback to pass to the
+ *   provider, returns a promise of the result
+ * @param {Object} context - { model, sessionId } where model is the
+ *   "provider:model" (or transcription backend) the call was made with; the
+ *   model the provider reports takes precedence
+ * @returns {Promise<Object>} - { result, usage }
+ */
+async function meterModelCall(call, { model, sessionId }) {
+  const reports = [];
+  const startedAt = Date.now();
+  const result = await tryCatch(call((report) => reports.push(report)));
+  const finishedAt = Date.now();
+
+  const usage = summarizeUsage(model, reports, finishedAt - startedAt);
+  recordUsage(sessionId || "default", usage, Boolean(result.error), finishedAt);
+
+  if (result.error) throw result.error;
+  return { result: result.data, usage };
+}
+
+/**
+ * Reports stored usage grouped by day, model and session
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.from] - First day ("YYYY-MM-DD")
+ * @param {string} [filters.to] - Last day ("YYYY-MM-DD")
+ * @param {string} [filters.sessionId] - Only this session
+ * @param {string} [filters.model] - Only this model
+ * @returns {Object} - { total, byDay, byModel, bySession }, each entry being
+ *   totals (calls, tokens, audioSeconds, latencyMs, costUsd, ...)
+ */
+function getUsageReport(filters = {}) {
+  const {
+    from = "",
+    to = "9999-12-31",
+    sessionId = null,
+    model = null,
+  } = filters;
+  const report = {
+    total: createTotals(),
+    byDay: {},
+    byModel: {},
+    bySession: {},
+  };
+  const add = (group, key, totals) => {
+    report[group][key] = addTotals(
+      report[group][key] || createTotals(),
+      totals,
+    );
+  };
+
+  const { days } = usageStore.read();
+  for (const day of Object.keys(days).sort()) {
+    if (day < from || day > to) continue;
+    for (const [session, models] of Object.entries(days[day])) {
+      if (sessionId && session !== sessionId) continue;
+      for (const [modelId, totals] of Object.entries(models)) {
+        if (model && modelId !== model) continue;
+        report.total = addTotals(report.total, totals);
+        add("byDay", day, totals);
+        add("byModel", modelId, totals);
+        add("bySession", session, totals);
+      }
+    }
+  }
+  return report;
+}
+
+module.exports = {
+  DEFAULT_PRICES,
+  AUDIO_TOKENS_PER_SECOND,
+  getPrices,
+  setPrices,
+  getModelPrice,
+  estimateCost,
+  meterModelCall,
+  getUsageReport,
+};
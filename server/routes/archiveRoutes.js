@@ -0,0 +1,27 @@
+const express = require("express");
+const router = express.Router();
+const archiveController = require("../controllers/archiveController");
+const { requireScope } = require("../lib/auth");
+const { limitProcessing } = require("../lib/quotas");
+
+module.exports = () => {
+  // GET /api/v1/recordings/:id - Metadata of an archived recording
+  router.get("/:id", requireScope("read"), archiveController.getRecording);
+
+  // GET /api/v1/recordings/:id/audio - Audio of a recording for playback
+  router.get(
+    "/:id/audio",
+    requireScope("read"),
+    archiveController.getRecordingAudio,
+  );
+
+  // POST /api/v1/recordings/:id/process - Process a recording again
+  router.post(
+    "/:id/process",
+    requireScope("record"),
+    limitProcessing,
+    archiveController.processRecording,
+  );
+
+  return router;
+};
@@ -0,0 +1,28 @@
+const express = require("express");
+const router = express.Router();
+const contextController = require("../controllers/contextController");
+const { requireScope } = require("../lib/auth");
+
+module.exports = () => {
+  // GET /api/v1/contexts - List context/prompt profiles
+  router.get("/", requireScope("read"), contextController.listContexts);
+
+  // POST /api/v1/contexts - Create a profile
+  router.post("/", requireScope("manage"), contextController.createContext);
+
+  // Ids containing "/" (e.g. "html/css/javascript") must be URL-encoded
+  // GET /api/v1/contexts/:id - Get a profile
+  router.get("/:id", requireScope("read"), contextController.getContext);
+
+  // PUT /api/v1/contexts/:id - Update a profile
+  router.put("/:id", requireScope("manage"), contextController.updateContext);
+
+  // DELETE /api/v1/contexts/:id - Delete a profile
+  router.delete(
+    "/:id",
+    requireScope("manage"),
+    contextController.deleteContext,
+  );
+
+  return router;
+};
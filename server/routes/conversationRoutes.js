@@ -0,0 +1,29 @@
+const express = require("express");
+const router = express.Router();
+const conversationController = require("../controllers/conversationController");
+const { requireScope } = require("../lib/auth");
+
+module.exports = () => {
+  // POST /api/v1/conversations - Start a new thread for the session
+  router.post(
+    "/",
+    requireScope("record"),
+    conversationController.startConversation,
+  );
+
+  // GET /api/v1/conversations/:id - Inspect a thread
+  router.get(
+    "/:id",
+    requireScope("read"),
+    conversationController.getConversation,
+  );
+
+  // DELETE /api/v1/conversations/:id - Reset a thread
+  router.delete(
+    "/:id",
+    requireScope("record"),
+    conversationController.resetConversation,
+  );
+
+  return router;
+};
@@ -0,0 +1,24 @@
+const express = require("express");
+const router = express.Router();
+const historyController = require("../controllers/historyController");
+const { requireScope } = require("../lib/auth");
+
+module.exports = () => {
+  // GET /api/v1/history - List Q&A history (paginated, filterable, searchable)
+  router.get("/", requireScope("read"), historyController.listHistory);
+
+  // DELETE /api/v1/history - Delete all entries matching the filters
+  router.delete("/", requireScope("manage"), historyController.clearHistory);
+
+  // GET /api/v1/history/:id - Get a history entry
+  router.get("/:id", requireScope("read"), historyController.getHistoryEntry);
+
+  // DELETE /api/v1/history/:id - Delete a history entry
+  router.delete(
+    "/:id",
+    requireScope("manage"),
+    historyController.deleteHistoryEntry,
+  );
+
+  return router;
+};
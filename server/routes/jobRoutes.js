@@ -0,0 +1,14 @@
+const express = require("express");
+const router = express.Router();
+const jobController = require("../controllers/jobController");
+const { requireScope } = require("../lib/auth");
+
+module.exports = () => {
+  // GET /api/v1/jobs/:id - Job status and result
+  router.get("/:id", requireScope("read"), jobController.getJob);
+
+  // DELETE /api/v1/jobs/:id - Cancel a job
+  router.delete("/:id", requireScope("record"), jobController.cancelJob);
+
+  return router;
+};
@@ -1,10 +1,11 @@
 const express = require("express");
 const router = express.Router();
 const modelController = require("../controllers/modelController");
+const { requireScope } = require("../lib/auth");
 
 module.exports = () => {
   // GET /api/v1/models - List available models
-  router.get("/", modelController.listModels);
+  router.get("/", requireScope("read"), modelController.listModels);
 
   return router;
 };
@@ -0,0 +1,10 @@
+const express = require("express");
+const router = express.Router();
+const quotaController = require("../controllers/quotaController");
+
+module.exports = () => {
+  // GET /api/v1/quota - Remaining quota of the request's token (any scope)
+  router.get("/", quotaController.getQuota);
+
+  return router;
+};
@@ -1,13 +1,15 @@
 const express = require("express");
 const router = express.Router();
 const { baseController } = require("../controllers");
+const { resolveSessionId } = require("../lib/sessions");
+const { requireScope } = require("../lib/auth");
 
 module.exports = () => {
-  // Get the current status
-  router.get("/", (req, res) => {
+  // Get the current status of the requesting session
+  router.get("/", requireScope("read"), (req, res) => {
     try {
       // Use the same getStatus function from baseController
-      const status = baseController.getStatus();
+      const status = baseController.getStatus(resolveSessionId(req));
       res.json(status);
     } catch (error) {
       console.error("Error getting status:", error);
@@ -0,0 +1,27 @@
+const express = require("express");
+const router = express.Router();
+const tokenController = require("../controllers/tokenController");
+const { requireScope } = require("../lib/auth");
+
+module.exports = () => {
+  // GET /api/v1/tokens/current - The token of the request (any scope)
+  router.get("/current", tokenController.getCurrentToken);
+
+  // GET /api/v1/tokens - List issued tokens
+  router.get("/", requireScope("admin"), tokenController.listTokens);
+
+  // POST /api/v1/tokens - Issue a token
+  router.post("/", requireScope("admin"), tokenController.createToken);
+
+  // PUT /api/v1/tokens/:id/limits - Set rate limit and quota overrides
+  router.put(
+    "/:id/limits",
+    requireScope("admin"),
+    tokenController.updateTokenLimits,
+  );
+
+  // DELETE /api/v1/tokens/:id - Revoke a token
+  router.delete("/:id", requireScope("admin"), tokenController.revokeToken);
+
+  return router;
+};
@@ -0,0 +1,17 @@
+const express = require("express");
+const router = express.Router();
+const usageController = require("../controllers/usageController");
+const { requireScope } = require("../lib/auth");
+
+module.exports = () => {
+  // GET /api/v1/usage - Usage and estimated cost by day, model and session
+  router.get("/", requireScope("read"), usageController.getUsage);
+
+  // GET /api/v1/usage/prices - Price table of the cost estimates
+  router.get("/prices", requireScope("read"), usageController.getPrices);
+
+  // PUT /api/v1/usage/prices - Override model prices
+  router.put("/prices", requireScope("admin"), usageController.updatePrices);
+
+  return router;
+};
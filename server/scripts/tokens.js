@@ -0,0 +1,161 @@
+#!/usr/bin/env node
+/**
+ * Manages API tokens from the command line (works while the server runs)
+ *
+ *   npm run tokens -- create <name> [--scopes read,record] [limit flags]
+ *   npm run tokens -- limits <id> [limit flags]
+ *   npm run tokens -- list
+ *   npm run tokens -- revoke <id>
+ */
+
+const path = require("path");
+require("dotenv").config({ path: path.join(__dirname, "..", ".env") });
+
+const {
+  SCOPES,
+  DEFAULT_SCOPES,
+  createToken,
+  listTokens,
+  setTokenLimits,
+  revokeToken,
+} = require("../lib/auth");
+
+/**
+ * Command line flags of the per-token limits (see lib/quotas.js)
+ */
+const LIMIT_FLAGS = {
+  "requests-per-minute": "requestsPerMinute",
+  "audio-seconds-per-day": "audioSecondsPerDay",
+  "model-calls-per-day": "modelCallsPerDay",
+};
+
+const USAGE = `Usage:
+  tokens create <name> [--scopes ${Object.keys(SCOPES).join(",")}] [limit flags]
+      Issue a token (default scopes: ${DEFAULT_SCOPES.join(",")})
+  tokens limits <id> [limit flags]
+      Set the limits of a token; without flags it uses the server-wide limits
+  tokens list
+      List issued tokens
+  tokens revoke <id>
+      Revoke a token
+
+Limit flags (0 = unlimited, default: the server's environment settings):
+${Object.keys(LIMIT_FLAGS)
+  .map((flag) => `  --${flag} <n>`)
+  .join("\n")}
+
+Scopes:
+${Object.entries(SCOPES)
+  .map(([scope, description]) => `  ${scope.padEnd(8)} ${description}`)
+  .join("\n")}`;
+
+/**
+ * Reads the value of a --flag (as "--flag value" or "--flag=value")
+ * @param {Array<string>} args - Command line arguments
+ * @param {string} flag - Flag name without dashes
+ * @returns {Object} - { value, rest } where rest are the other arguments
+ */
+function takeFlag(args, flag) {
+  const rest = [];
+  let value;
+  for (let i = 0; i < args.length; i += 1) {
+    if (args[i] === `--${flag}`) {
+      value = args[i + 1];
+      i += 1;
+    } else if (args[i].startsWith(`--${flag}=`)) {
+      value = args[i].slice(flag.length + 3);
+    } else {
+      rest.push(args[i]);
+    }
+  }
+  return { value, rest };
+}
+
+/**
+ * Reads the limit flags
+ * @param {Array<string>} args - Command line arguments
+ * @returns {Object} - { limits, rest } where limits has the flags given
+ */
+function takeLimitFlags(args) {
+  const limits = {};
+  let rest = args;
+  for (const [flag, name] of Object.entries(LIMIT_FLAGS)) {
+    const taken = takeFlag(rest, flag);
+    if (taken.value !== undefined) limits[name] = taken.value;
+    rest = taken.rest;
+  }
+  return { limits, rest };
+}
+
+/**
+ * Formats the limit overrides of a token
+ * @param {Object} token - Token description
+ * @returns {string} - e.g. "requestsPerMinute=10", or "server defaults"
+ */
+function formatLimits(token) {
+  const limits = Object.entries(token.limits || {});
+  return limits.length
+    ? limits.map(([name, value]) => `${name}=${value}`).join(", ")
+    : "server defaults";
+}
+
+function main(argv) {
+  const [command, ...args] = argv;
+
+  switch (command) {
+    case "create": {
+      const { value: scopes, rest: other } = takeFlag(args, "scopes");
+      const { limits, rest } = takeLimitFlags(other);
+      const token = createToken({ name: rest.join(" "), scopes, limits });
+      console.log(`Created token ${token.id} (${token.name})`);
+      console.log(`Scopes: ${token.scopes.join(", ")}`);
+      console.log(`Limits: ${formatLimits(token)}`);
+      console.log("\nStore it now, it is not shown again:\n");
+      console.log(token.token);
+      return 0;
+    }
+    case "list": {
+      const tokens = listTokens();
+      if (!tokens.length) {
+        console.log("No tokens issued");
+        return 0;
+      }
+      tokens.forEach((token) => {
+        console.log(
+          `${token.id}  ${token.prefix}...  ${token.name}  [${token.scopes.join(",")}]  limits: ${formatLimits(token)}  last used: ${token.lastUsedAt || "never"}`,
+        );
+      });
+      return 0;
+    }
+    case "limits": {
+      const { limits, rest } = takeLimitFlags(args);
+      if (!rest[0]) break;
+      const token = setTokenLimits(rest[0], limits);
+      if (!token) {
+        console.error(`Token ${rest[0]} not found`);
+        return 1;
+      }
+      console.log(`Limits of ${token.id}: ${formatLimits(token)}`);
+      return 0;
+    }
+    case "revoke": {
+      if (!args[0]) break;
+      if (!revokeToken(args[0])) {
+        console.error(`Token ${args[0]} not found`);
+        return 1;
+      }
+      console.log(`Revoked token ${args[0]}`);
+      return 0;
+    }
+  }
+
+  console.error(USAGE);
+  return 1;
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+}
@@ -0,0 +1,110 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  startServer,
+  createTestToken,
+  createWav,
+  uploadRecording,
+  waitFor,
+  cleanUp,
+} = require("./helpers");
+
+let app;
+let owner;
+let other;
+let recordingId;
+const wav = createWav(1, 7);
+
+/**
+ * Calls the API with a token
+ * @param {string} pathname - Path below the server URL
+ * @param {Object} token - Token (createTestToken) or null
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Response>} - Response
+ */
+function request(pathname, token, options = {}) {
+  return fetch(`${app.baseUrl}${pathname}`, {
+    ...options,
+    headers: {
+      "Content-Type": "application/json",
+      ...(token && { Authorization: `Bearer ${token.token}` }),
+    },
+  });
+}
+
+before(async () => {
+  app = await startServer();
+  owner = createTestToken(["read", "record"]);
+  other = createTestToken(["read", "record"]);
+
+  const response = await uploadRecording(app.baseUrl, wav, {
+    token: owner.token,
+  });
+  const { job } = await response.json();
+  const finished = await waitFor(async () => {
+    const body = await (await request(`/api/v1/jobs/${job.id}`, owner)).json();
+    return body.finishedAt && body;
+  });
+  recordingId = finished.result.recordingId;
+});
+
+after(async () => {
+  await app.close();
+  cleanUp();
+});
+
+test("the recording of an answer is archived for its owner only", async () => {
+  assert.match(recordingId, /^[a-f0-9]{32}$/);
+
+  const own = await request(`/api/v1/recordings/${recordingId}`, owner);
+  assert.equal(own.status, 200);
+  assert.equal((await own.json()).size, wav.length);
+
+  for (const pathname of [
+    `/api/v1/recordings/${recordingId}`,
+    `/api/v1/recordings/${recordingId}/audio`,
+  ]) {
+    assert.equal((await request(pathname, other)).status, 404);
+  }
+  const reprocess = await request(
+    `/api/v1/recordings/${recordingId}/process`,
+    other,
+    { method: "POST", body: "{}" },
+  );
+  assert.equal(reprocess.status, 404);
+});
+
+test("the audio is served through a signed URL without the token", async () => {
+  const { audioUrl, audioUrlExpiresAt } = await (
+    await request(`/api/v1/recordings/${recordingId}`, owner)
+  ).json();
+  assert.ok(Date.parse(audioUrlExpiresAt) > Date.now());
+
+  const audio = await request(audioUrl, null);
+  assert.equal(audio.status, 200);
+  assert.deepEqual(Buffer.from(await audio.arrayBuffer()), wav);
+
+  const tampered = audioUrl.replace(/signature=(.)/, (match, first) =>
+    match.replace(first, first === "a" ? "b" : "a"),
+  );
+  assert.equal((await request(tampered, null)).status, 401);
+});
+
+test("API tokens are not accepted in the query string", async () => {
+  const response = await request(
+    `/api/v1/recordings/${recordingId}/audio?access_token=${owner.token}`,
+    null,
+  );
+
+  assert.equal(response.status, 401);
+});
+
+test("the owner can process a recording again", async () => {
+  const response = await request(
+    `/api/v1/recordings/${recordingId}/process`,
+    owner,
+    { method: "POST", body: JSON.stringify({ model: "mock:echo" }) },
+  );
+
+  assert.equal(response.status, 202);
+});
@@ -0,0 +1,57 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { spawnSync } = require("child_process");
+const { tempDir, createWav, cleanUp } = require("./helpers");
+
+const { getAudioDuration } = require("../utils/audio-format");
+const { getFFmpegPath } = require("../utils/ffmpeg");
+
+after(cleanUp);
+
+const hasFFmpeg = spawnSync(getFFmpegPath(), ["-version"]).status === 0;
+
+/**
+ * Encodes a tone with FFmpeg
+ * @param {string} fileName - Output file name
+ * @param {number} seconds - Length
+ * @param {Array<string>} codecArgs - Codec and container arguments
+ * @returns {string} - Path of the file
+ */
+function encodeTone(fileName, seconds, codecArgs) {
+  const filePath = path.join(tempDir, fileName);
+  const output = fs.openSync(filePath, "w");
+  // Written to a pipe like MediaRecorder output: no duration in the header
+  spawnSync(
+    getFFmpegPath(),
+    ["-f", "lavfi", "-i", `sine=d=${seconds}`, ...codecArgs, "-"],
+    { stdio: ["ignore", output, "ignore"] },
+  );
+  fs.closeSync(output);
+  return filePath;
+}
+
+test("measures WAV recordings from their header", async () => {
+  const filePath = path.join(tempDir, "header.wav");
+  fs.writeFileSync(filePath, createWav(2.5));
+
+  assert.equal(await getAudioDuration(filePath), 2.5);
+});
+
+test(
+  "measures low-bitrate WebM recordings by decoding them",
+  { skip: !hasFFmpeg && "FFmpeg is not installed" },
+  async () => {
+    const filePath = encodeTone("tone.webm", 10, [
+      "-c:a",
+      "libopus",
+      "-b:a",
+      "16k",
+      "-f",
+      "webm",
+    ]);
+
+    assert.ok(Math.abs((await getAudioDuration(filePath)) - 10) < 0.1);
+  },
+);
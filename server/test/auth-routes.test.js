@@ -0,0 +1,141 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const util = require("util");
+const {
+  startServer,
+  createTestToken,
+  createWav,
+  uploadRecording,
+  waitFor,
+  cleanUp,
+} = require("./helpers");
+
+const { revokeToken } = require("../lib/auth");
+
+let app;
+
+before(async () => {
+  app = await startServer();
+});
+
+after(async () => {
+  await app.close();
+  cleanUp();
+});
+
+/**
+ * Calls the API
+ * @param {string} pathname - Path below the server URL
+ * @param {string|null} secret - API token
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Response>} - Response
+ */
+function request(pathname, secret, options = {}) {
+  return fetch(`${app.baseUrl}${pathname}`, {
+    ...options,
+    headers: {
+      "X-Session-Id": "auth-test",
+      ...(secret && { Authorization: `Bearer ${secret}` }),
+    },
+  });
+}
+
+/**
+ * Collects what the server logs while a call runs
+ * @param {Function} call - Returns a promise
+ * @returns {Promise<string>} - Everything logged
+ */
+async function captureLogs(call) {
+  const methods = ["log", "info", "warn", "error"];
+  const originals = methods.map((method) => console[method]);
+  const lines = [];
+  methods.forEach((method) => {
+    console[method] = (...args) => lines.push(util.format(...args));
+  });
+  try {
+    await call();
+  } finally {
+    methods.forEach((method, index) => {
+      console[method] = originals[index];
+    });
+  }
+  return lines.join("\n");
+}
+
+test("requests without a valid token are rejected", async () => {
+  const missing = await request("/api/v1/models", null);
+  assert.equal(missing.status, 401);
+  assert.equal(missing.headers.get("www-authenticate"), "Bearer");
+
+  const invalid = await request("/api/v1/models", "ala_not-a-token");
+  assert.equal(invalid.status, 401);
+
+  const { id, token } = createTestToken(["read"]);
+  assert.equal((await request("/api/v1/models", token)).status, 200);
+  revokeToken(id);
+  assert.equal((await request("/api/v1/models", token)).status, 401);
+});
+
+test("routes check the scope of the token", async () => {
+  const { token } = createTestToken(["read"]);
+
+  const upload = await uploadRecording(app.baseUrl, createWav(1), { token });
+  assert.equal(upload.status, 403);
+  const cancel = await request("/api/v1/recording/cancel", token, {
+    method: "POST",
+  });
+  assert.equal(cancel.status, 403);
+  const tokens = await request("/api/v1/tokens", token);
+  assert.equal(tokens.status, 403);
+});
+
+test("uploads never write the API token to the log", async () => {
+  const { token } = createTestToken(["read", "record"]);
+
+  const logs = await captureLogs(async () => {
+    const upload = await uploadRecording(app.baseUrl, createWav(1), {
+      token,
+      fields: { model: "mock:echo" },
+    });
+    assert.equal(upload.status, 202);
+    const { job } = await upload.json();
+    await waitFor(async () => {
+      const polled = await request(`/api/v1/jobs/${job.id}`, token);
+      return (await polled.json()).finishedAt;
+    });
+  });
+
+  assert.match(logs, /Audio file upload received/);
+  assert.ok(!logs.includes(token), "the token was logged");
+  assert.ok(!logs.includes(token.slice(4)), "the token was logged");
+});
+
+test("tokens sharing a client session id see only their own jobs", async () => {
+  const owner = createTestToken(["read", "record"]);
+  const other = createTestToken(["read", "record"]);
+  const upload = await uploadRecording(app.baseUrl, createWav(1, 9), {
+    token: owner.token,
+    sessionId: "auth-test",
+    fields: { model: "mock:slow" },
+  });
+  const { job } = await upload.json();
+
+  assert.equal(
+    (await request(`/api/v1/jobs/${job.id}`, other.token)).status,
+    404,
+  );
+  const deleted = await request(`/api/v1/jobs/${job.id}`, other.token, {
+    method: "DELETE",
+  });
+  assert.equal(deleted.status, 404);
+  const cancelled = await request("/api/v1/recording/cancel", other.token, {
+    method: "POST",
+  });
+  assert.equal((await cancelled.json()).cancelledJobs, 0);
+
+  const own = await (
+    await request(`/api/v1/jobs/${job.id}`, owner.token)
+  ).json();
+  assert.notEqual(own.status, "cancelled");
+  await request(`/api/v1/jobs/${job.id}`, owner.token, { method: "DELETE" });
+});
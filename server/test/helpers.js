@@ -0,0 +1,140 @@
+/**
+ * Shared setup of the server tests
+ * Points DATA_DIR, AUDIO_DIR and the mock fixtures at a temporary directory
+ * and serves every model call from the mock provider, so tests need no
+ * network or API key. Require it before any server module.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "audio-listener-test-"));
+
+process.env.DATA_DIR = path.join(tempDir, "data");
+process.env.AUDIO_DIR = path.join(tempDir, "audio");
+process.env.MOCK_AI_FIXTURES_DIR = path.join(tempDir, "fixtures");
+process.env.MOCK_AI_ONLY = "true";
+process.env.MOCK_AI_LATENCY_MS = "0";
+fs.mkdirSync(process.env.MOCK_AI_FIXTURES_DIR);
+
+/**
+ * Starts the app on a free port
+ * @returns {Promise<Object>} - { baseUrl, close }
+ */
+async function startServer() {
+  const { server, io } = require("../index");
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => io.close(resolve)),
+  };
+}
+
+/**
+ * Issues an API token
+ * @param {Array<string>} [scopes] - Scopes (the app defaults when omitted)
+ * @param {Object} [limits] - Rate limit and quota overrides
+ * @returns {Object} - Token description with the secret as token
+ */
+function createTestToken(scopes, limits) {
+  const { createToken } = require("../lib/auth");
+  return createToken({ name: "test", scopes, limits });
+}
+
+/**
+ * Builds a silent 16 kHz 16-bit mono WAV recording
+ * @param {number} seconds - Length
+ * @param {number} [fill] - Sample byte value, to make recordings differ
+ * @returns {Buffer} - WAV file
+ */
+function createWav(seconds, fill = 0) {
+  const dataSize = Math.round(seconds * 16000) * 2;
+  const header = Buffer.alloc(44);
+  header.write("RIFF", 0);
+  header.writeUInt32LE(36 + dataSize, 4);
+  header.write("WAVEfmt ", 8);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(16000, 24);
+  header.writeUInt32LE(32000, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write("data", 36);
+  header.writeUInt32LE(dataSize, 40);
+  return Buffer.concat([header, Buffer.alloc(dataSize, fill)]);
+}
+
+/**
+ * Uploads a recording for processing
+ * @param {string} baseUrl - Server URL
+ * @param {Buffer} audio - WAV file
+ * @param {Object} [options] - { token, sessionId, fields }
+ * @returns {Promise<Response>} - Upload response
+ */
+function uploadRecording(baseUrl, audio, options = {}) {
+  const { token = null, sessionId = "test", fields = {} } = options;
+  const form = new FormData();
+  for (const [name, value] of Object.entries(fields)) {
+    form.append(name, value);
+  }
+  form.append(
+    "audio",
+    new Blob([audio], { type: "audio/wav" }),
+    "recording.wav",
+  );
+  return fetch(`${baseUrl}/api/v1/recording/upload`, {
+    method: "POST",
+    headers: {
+      "X-Session-Id": sessionId,
+      ...(token && { Authorization: `Bearer ${token}` }),
+    },
+    body: form,
+  });
+}
+
+/**
+ * Waits until a condition holds
+ * @param {Function} check - Returns a truthy value (or a promise of one)
+ * @param {number} [timeoutMs] - Give up after this long
+ * @returns {Promise<*>} - The truthy value
+ */
+async function waitFor(check, timeoutMs = 5000) {
+  const startedAt = Date.now();
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() - startedAt > timeoutMs) {
+      throw new Error("Timed out waiting for a condition");
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+/**
+ * Removes the temporary directory, after writing pending store changes
+ */
+function removeTempDir() {
+  require("../lib/json-store").flushPendingStores();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+}
+
+/**
+ * Removes the temporary directory now and again on exit, in case work that
+ * outlived the tests wrote to it
+ */
+function cleanUp() {
+  removeTempDir();
+  process.once("exit", removeTempDir);
+}
+
+module.exports = {
+  tempDir,
+  startServer,
+  createTestToken,
+  createWav,
+  uploadRecording,
+  waitFor,
+  cleanUp,
+};
@@ -0,0 +1,99 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { cleanUp } = require("./helpers");
+
+process.env.JOB_CONCURRENCY = "1";
+
+const {
+  createJob,
+  getJob,
+  cancelJob,
+  cancelSessionJobs,
+} = require("../lib/jobs");
+const mockProvider = require("../lib/providers/mock");
+
+after(cleanUp);
+
+/**
+ * Creates a job that answers with the mock provider
+ * @param {string} sessionId - Session of the job
+ * @param {string} [model] - Mock model
+ * @returns {Object} - Job
+ */
+function createAnswerJob(sessionId, model = "slow") {
+  return createJob({
+    type: "upload",
+    target: { sessionId },
+    run: (signal) =>
+      mockProvider.answer("What is a closure?", { model, signal }),
+  });
+}
+
+/**
+ * Waits until a job has finished
+ * @param {string} id - Job id
+ * @returns {Promise<Object>} - Finished job
+ */
+async function waitForJob(id) {
+  for (;;) {
+    const job = getJob(id);
+    if (job.finishedAt) return job;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+test("runs a job and keeps its result", async () => {
+  const job = await waitForJob(createAnswerJob("jobs-run", "echo").id);
+
+  assert.equal(job.status, "completed");
+  assert.match(job.result, /mock/i);
+});
+
+test("records the error of a failing job", async () => {
+  const job = await waitForJob(createAnswerJob("jobs-fail", "error").id);
+
+  assert.equal(job.status, "failed");
+  assert.match(job.error, /Mock AI error/);
+});
+
+test("cancelling a running job aborts its model call", async () => {
+  let aborted = false;
+  const { id } = createJob({
+    type: "upload",
+    target: { sessionId: "jobs-cancel" },
+    run: (signal) => {
+      signal.addEventListener("abort", () => (aborted = true));
+      return mockProvider.answer("What is a closure?", {
+        model: "slow",
+        signal,
+      });
+    },
+  });
+  assert.equal(getJob(id).status, "running");
+
+  const cancelled = cancelJob(id);
+
+  assert.equal(cancelled.status, "cancelled");
+  assert.equal(aborted, true);
+  // The aborted call must not turn the job into a failure
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.equal(getJob(id).status, "cancelled");
+});
+
+test("cancelling a queued job removes it from the queue", async () => {
+  const running = createAnswerJob("jobs-queue");
+  const queued = createAnswerJob("jobs-queue");
+  assert.equal(getJob(queued.id).status, "queued");
+  assert.equal(getJob(queued.id).position, 1);
+
+  assert.equal(cancelJob(queued.id).status, "cancelled");
+  assert.equal(cancelSessionJobs("jobs-queue"), 1);
+  assert.equal(getJob(running.id).status, "cancelled");
+});
+
+test("finished and unknown jobs are not cancelled", async () => {
+  const job = await waitForJob(createAnswerJob("jobs-done", "echo").id);
+
+  assert.equal(cancelJob(job.id).status, "completed");
+  assert.equal(cancelJob("unknown"), null);
+});
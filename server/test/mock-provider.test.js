@@ -0,0 +1,192 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const {
+  tempDir,
+  startServer,
+  createTestToken,
+  createWav,
+  uploadRecording,
+  waitFor,
+  cleanUp,
+} = require("./helpers");
+
+const mockProvider = require("../lib/providers/mock");
+const { archiveRecording } = require("../lib/audio-store");
+const { readAudioForProvider } = require("../utils/audio-format");
+
+let app;
+
+before(async () => {
+  app = await startServer();
+});
+
+after(async () => {
+  await app.close();
+  cleanUp();
+});
+
+/**
+ * Builds a mock provider audio input from a WAV recording
+ * @param {Buffer} wav - Recording
+ * @returns {Object} - { audioBase64, mimeType }
+ */
+function toAudioInput(wav) {
+  return { audioBase64: wav.toString("base64"), mimeType: "audio/wav" };
+}
+
+/**
+ * Writes a fixture for a recording
+ * @param {Buffer} wav - Recording
+ * @param {Object} fixture - Fixture content
+ */
+function writeFixture(wav, fixture) {
+  const hash = mockProvider.hashAudio(wav.toString("base64"));
+  fs.writeFileSync(
+    path.join(process.env.MOCK_AI_FIXTURES_DIR, `${hash}.json`),
+    JSON.stringify(fixture),
+  );
+}
+
+test("answers from the fixture named after the audio's hash", async () => {
+  const wav = createWav(1, 1);
+  writeFixture(wav, {
+    transcript: "What is a closure?",
+    answer: "A function with the variables it closes over.",
+  });
+
+  assert.equal(
+    await mockProvider.transcribe(toAudioInput(wav)),
+    "What is a closure?",
+  );
+  assert.equal(
+    await mockProvider.answerFromAudio(toAudioInput(wav), "Answer"),
+    "A function with the variables it closes over.",
+  );
+});
+
+test("falls back to the built-in script without a fixture", async () => {
+  const transcript = await mockProvider.transcribe(toAudioInput(createWav(1)));
+
+  assert.match(transcript, /let and const/);
+});
+
+test("streams the answer in chunks and reports token usage", async () => {
+  const chunks = [];
+  const usage = [];
+  const answer = await mockProvider.answer("What is a closure?", {
+    onChunk: (chunk) => chunks.push(chunk),
+    onUsage: (report) => usage.push(report),
+  });
+
+  assert.ok(chunks.length > 1);
+  assert.equal(chunks.join(""), answer);
+  assert.equal(usage.length, 1);
+  assert.equal(usage[0].model, "mock:echo");
+  assert.ok(usage[0].totalTokens > 0);
+});
+
+test("injects errors per model, fixture and MOCK_AI_FAIL", async () => {
+  const wav = createWav(1, 2);
+  writeFixture(wav, { error: "Scripted failure", errorStatus: 429 });
+
+  await assert.rejects(
+    mockProvider.answer("What is a closure?", { model: "error" }),
+    { status: 503 },
+  );
+  await assert.rejects(mockProvider.transcribe(toAudioInput(wav)), {
+    status: 429,
+    message: "Scripted failure",
+  });
+
+  process.env.MOCK_AI_FAIL = "answer";
+  try {
+    await assert.rejects(mockProvider.answer("What is a closure?"), {
+      message: /MOCK_AI_FAIL=answer/,
+    });
+    await mockProvider.transcribe(toAudioInput(createWav(1)));
+  } finally {
+    delete process.env.MOCK_AI_FAIL;
+  }
+});
+
+test("stops a delayed answer when the call is aborted", async () => {
+  const controller = new AbortController();
+  const answer = mockProvider.answer("What is a closure?", {
+    model: "slow",
+    signal: controller.signal,
+  });
+  controller.abort(new Error("Cancelled"));
+
+  await assert.rejects(answer, /Cancelled/);
+});
+
+test("GET /api/v1/models lists only the mock models", async () => {
+  const { token } = createTestToken(["read"]);
+  const response = await fetch(`${app.baseUrl}/api/v1/models`, {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(
+    body.models.map((model) => model.id),
+    ["mock:echo", "mock:slow", "mock:error"],
+  );
+  assert.deepEqual(
+    body.providers.map((provider) => provider.name),
+    ["mock"],
+  );
+});
+
+test("matches fixtures by the recording as uploaded, not the preprocessed file", async () => {
+  const wav = createWav(1, 3);
+  writeFixture(wav, { transcript: "How does garbage collection work?" });
+  const uploadPath = path.join(tempDir, "upload.wav");
+  fs.writeFileSync(uploadPath, wav);
+  const recording = archiveRecording(uploadPath, {
+    sessionId: "fixtures",
+    source: "upload",
+  });
+
+  // Preprocessing writes a different file next to the archived recording
+  const processedPath = path.join(
+    path.dirname(recording.filePath),
+    `${recording.id}_processed.wav`,
+  );
+  fs.writeFileSync(processedPath, createWav(0.5, 4));
+  const audio = await readAudioForProvider(processedPath, mockProvider);
+
+  assert.equal(audio.sourceSha256, recording.sha256);
+  assert.equal(
+    await mockProvider.transcribe(audio),
+    "How does garbage collection work?",
+  );
+});
+
+test("an uploaded recording is answered from its fixture", async () => {
+  const wav = createWav(1, 5);
+  writeFixture(wav, {
+    transcript: "What is a promise?",
+    answer: "An object for a value that arrives later.",
+  });
+  const { token } = createTestToken(["read", "record"]);
+
+  const response = await uploadRecording(app.baseUrl, wav, { token });
+  const { job } = await response.json();
+  const finished = await waitFor(async () => {
+    const polled = await fetch(`${app.baseUrl}/api/v1/jobs/${job.id}`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    const body = await polled.json();
+    return body.finishedAt && body;
+  });
+
+  assert.equal(finished.status, "completed");
+  assert.equal(finished.result.transcript, "What is a promise?");
+  assert.match(
+    finished.result.answer,
+    /An object for a value that arrives later/,
+  );
+});
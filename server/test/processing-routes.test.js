@@ -0,0 +1,86 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  startServer,
+  createTestToken,
+  createWav,
+  uploadRecording,
+  waitFor,
+  cleanUp,
+} = require("./helpers");
+
+let app;
+let token;
+
+before(async () => {
+  app = await startServer();
+  ({ token } = createTestToken(["read", "record"]));
+});
+
+after(async () => {
+  await app.close();
+  cleanUp();
+});
+
+/**
+ * Calls the API with the test token
+ * @param {string} pathname - Path below the server URL
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Object>} - { status, body }
+ */
+async function request(pathname, options = {}) {
+  const response = await fetch(`${app.baseUrl}${pathname}`, {
+    ...options,
+    headers: {
+      Authorization: `Bearer ${token}`,
+      "X-Session-Id": "cancel-test",
+      ...options.headers,
+    },
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Uploads a recording answered by the slow mock model and waits until its
+ * job runs
+ * @returns {Promise<Object>} - The running job
+ */
+async function startSlowJob() {
+  const response = await uploadRecording(app.baseUrl, createWav(1), {
+    token,
+    sessionId: "cancel-test",
+    fields: { model: "mock:slow" },
+  });
+  assert.equal(response.status, 202);
+  const { job } = await response.json();
+
+  return waitFor(async () => {
+    const { body } = await request(`/api/v1/jobs/${job.id}`);
+    return body.status === "running" && body;
+  });
+}
+
+test("POST /api/v1/recording/cancel cancels the session's running job", async () => {
+  const job = await startSlowJob();
+
+  const cancelled = await request("/api/v1/recording/cancel", {
+    method: "POST",
+  });
+
+  assert.equal(cancelled.status, 200);
+  assert.equal(cancelled.body.success, true);
+  assert.equal(cancelled.body.cancelledJobs, 1);
+  const { body } = await request(`/api/v1/jobs/${job.id}`);
+  assert.equal(body.status, "cancelled");
+});
+
+test("DELETE /api/v1/jobs/:id cancels a running job", async () => {
+  const job = await startSlowJob();
+
+  const cancelled = await request(`/api/v1/jobs/${job.id}`, {
+    method: "DELETE",
+  });
+
+  assert.equal(cancelled.status, 200);
+  assert.equal(cancelled.body.status, "cancelled");
+});
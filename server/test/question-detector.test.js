@@ -0,0 +1,52 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { detectQuestion } = require("../utils/question-detector");
+
+/**
+ * Asserts the result of detectQuestion for some transcripts
+ * @param {string} lang - Language code
+ * @param {Array<Array>} cases - [transcript, isQuestion, reason?] entries
+ */
+function assertDetections(lang, cases) {
+  for (const [transcript, isQuestion, reason] of cases) {
+    const result = detectQuestion(transcript, lang);
+    assert.equal(result.isQuestion, isQuestion, transcript);
+    if (reason) assert.equal(result.reason, reason, transcript);
+  }
+}
+
+test("ignores empty and short segments", () => {
+  assertDetections("en", [
+    ["", false, "empty"],
+    ["   ", false, "empty"],
+    ["Why?", false, "too-short"],
+    ["Okay thanks", false, "too-short"],
+  ]);
+});
+
+test("detects English questions with or without punctuation", () => {
+  assertDetections("en", [
+    ["What is the difference between let and const?", true, "question-mark"],
+    ["how does the event loop work", true],
+    ["Can you explain dependency injection", true],
+    ["Tell me about your last project", true],
+    ["I worked on the payment service last year.", false, "no-question"],
+  ]);
+});
+
+test("treats Vietnamese particles as markers only at the end of a sentence", () => {
+  assertDetections("vi", [
+    ["Bạn đã dùng React bao giờ chưa", true],
+    ["Closure trong JavaScript là gì", true],
+    ["Bạn có biết Docker không", true],
+    ["Dự án đó dùng công nghệ gì ạ", true],
+    ["Không sao, mình làm tiếp nhé", false],
+    ["Mình chưa làm dự án nào với Go", false],
+    ["Cái gì cũng được, bạn cứ nói", false],
+  ]);
+});
+
+test("checks English wording in Vietnamese transcripts", () => {
+  assertDetections("vi", [["what is a closure in javascript", true]]);
+});
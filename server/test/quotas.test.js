@@ -0,0 +1,194 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const {
+  startServer,
+  createTestToken,
+  createWav,
+  uploadRecording,
+  cleanUp,
+} = require("./helpers");
+
+const {
+  getQuotaOwner,
+  admitRequest,
+  chargeAudioSeconds,
+  chargeModelCall,
+  hasModelCallsLeft,
+  getQuotaStatus,
+} = require("../lib/quotas");
+
+let app;
+
+before(async () => {
+  app = await startServer();
+});
+
+after(async () => {
+  await app.close();
+  cleanUp();
+});
+
+const NOW = Date.parse("2026-01-15T12:00:00Z");
+
+/**
+ * Creates a quota owner with its own key and limits
+ * @param {string} id - Token id
+ * @param {Object} limits - Limit overrides
+ * @returns {Object} - Quota owner
+ */
+function createOwner(id, limits) {
+  return getQuotaOwner({ id, limits }, "127.0.0.1");
+}
+
+/**
+ * Asserts that a call is refused with a 429 error
+ * @param {Function} call - Call expected to throw
+ * @param {RegExp} message - Expected message
+ */
+function assertQuotaError(call, message) {
+  assert.throws(call, (error) => {
+    assert.equal(error.status, 429);
+    assert.match(error.message, message);
+    assert.ok(error.retryAfter >= 1);
+    return true;
+  });
+}
+
+test("keys owners by token, or by IP address without one", () => {
+  assert.equal(getQuotaOwner({ id: "abc" }, "::1").key, "token:abc");
+  assert.equal(getQuotaOwner(null, "::1").key, "ip:::1");
+});
+
+test("refuses requests over the per-minute rate until the window passes", () => {
+  const owner = createOwner("rate", { requestsPerMinute: 2 });
+  admitRequest(owner, NOW);
+  admitRequest(owner, NOW + 1000);
+
+  assertQuotaError(
+    () => admitRequest(owner, NOW + 2000),
+    /2 requests per minute/,
+  );
+  admitRequest(owner, NOW + 61000);
+});
+
+test("refuses a recording longer than the audio quota left", () => {
+  const owner = createOwner("audio", { audioSecondsPerDay: 60 });
+  chargeAudioSeconds(owner, 45, NOW);
+
+  assertQuotaError(
+    () => chargeAudioSeconds(owner, 20, NOW),
+    /daily audio quota has 15s left/,
+  );
+  // A refused recording is not charged
+  assert.equal(getQuotaStatus(owner, NOW).audioSecondsPerDay.used, 45);
+
+  chargeAudioSeconds(owner, 15, NOW);
+  assertQuotaError(() => admitRequest(owner, NOW), /60 audio seconds used up/);
+});
+
+test("refuses requests once the model calls of the day are used up", () => {
+  const owner = createOwner("calls", { modelCallsPerDay: 2 });
+  chargeModelCall(owner.key, NOW);
+  assert.equal(hasModelCallsLeft(owner, NOW), true);
+  chargeModelCall(owner.key, NOW);
+
+  assert.equal(hasModelCallsLeft(owner, NOW), false);
+  assertQuotaError(() => admitRequest(owner, NOW), /2 model calls used up/);
+});
+
+test("resets the daily quotas at midnight UTC", () => {
+  const owner = createOwner("reset", { modelCallsPerDay: 1 });
+  chargeModelCall(owner.key, NOW);
+  assertQuotaError(() => admitRequest(owner, NOW), /model calls used up/);
+
+  admitRequest(owner, Date.parse("2026-01-16T00:00:01Z"));
+});
+
+test("0 turns a limit off", () => {
+  const owner = createOwner("unlimited", {
+    requestsPerMinute: 0,
+    audioSecondsPerDay: 0,
+  });
+  for (let index = 0; index < 50; index++) {
+    admitRequest(owner, NOW);
+  }
+  chargeAudioSeconds(owner, 100000, NOW);
+});
+
+/**
+ * Lists the recordings kept in the audio archive
+ * @returns {Array<string>} - Audio file names
+ */
+function listArchivedAudio() {
+  return fs.existsSync(process.env.AUDIO_DIR)
+    ? fs
+        .readdirSync(process.env.AUDIO_DIR)
+        .filter((name) => !name.endsWith(".json"))
+    : [];
+}
+
+/**
+ * Asserts that a response is a quota 429
+ * @param {Response} response - Response
+ * @param {RegExp} message - Expected error message
+ */
+async function assertQuotaResponse(response, message) {
+  const body = await response.json();
+  assert.equal(response.status, 429);
+  assert.ok(Number(response.headers.get("retry-after")) >= 1);
+  assert.match(body.error, message);
+  assert.ok(body.quota);
+}
+
+test("uploads over the audio quota get 429 and are not archived", async () => {
+  const { token } = createTestToken(["read", "record"], {
+    audioSecondsPerDay: 2,
+  });
+  const archived = listArchivedAudio();
+
+  for (const pathname of ["upload", "retry-upload", "gemini-upload"]) {
+    const form = new FormData();
+    form.append(
+      "audio",
+      new Blob([createWav(3)], { type: "audio/wav" }),
+      "recording.wav",
+    );
+    const response = await fetch(
+      `${app.baseUrl}/api/v1/recording/${pathname}`,
+      {
+        method: "POST",
+        headers: { Authorization: `Bearer ${token}` },
+        body: form,
+      },
+    );
+    await assertQuotaResponse(response, /daily audio quota has 2s left/);
+  }
+
+  // Rejected uploads are deleted once the response is sent
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.deepEqual(listArchivedAudio(), archived);
+});
+
+test("uploads over the per-minute rate get 429", async () => {
+  const { token } = createTestToken(["read", "record"], {
+    requestsPerMinute: 1,
+  });
+  const fields = { model: "mock:echo" };
+
+  const first = await uploadRecording(app.baseUrl, createWav(1), {
+    token,
+    fields,
+  });
+  assert.equal(first.status, 202);
+  const second = await uploadRecording(app.baseUrl, createWav(1), {
+    token,
+    fields,
+  });
+  await assertQuotaResponse(second, /1 requests per minute/);
+
+  const status = await fetch(`${app.baseUrl}/api/v1/quota`, {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  assert.equal(status.status, 200);
+});
@@ -0,0 +1,98 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { cleanUp } = require("./helpers");
+
+process.env.MODEL_MAX_RETRIES = "1";
+process.env.MODEL_RETRY_BASE_DELAY_MS = "0";
+process.env.MODEL_TIMEOUT_MS = "1000";
+
+const { runWithPolicy, getModelChain } = require("../utils/retry-policy");
+const mockProvider = require("../lib/providers/mock");
+
+after(cleanUp);
+
+/**
+ * Answers a question with a mock model
+ * @param {string} model - Mock model name
+ * @param {AbortSignal} signal - Attempt signal
+ * @returns {Promise<string>} - Answer
+ */
+function answerWith(model, signal) {
+  return mockProvider.answer("What is a closure?", { model, signal });
+}
+
+test("returns the first answer without retrying", async () => {
+  const { result, attempt } = await runWithPolicy(["echo"], answerWith);
+
+  assert.match(result, /mock/i);
+  assert.equal(attempt.model, "echo");
+  assert.equal(attempt.total, 1);
+  assert.equal(attempt.fallback, false);
+});
+
+test("retries a failing model, then falls back to the next one", async () => {
+  const retries = [];
+  const { result, attempt } = await runWithPolicy(
+    ["error", "echo"],
+    answerWith,
+    { onRetry: (retry) => retries.push(retry) },
+  );
+
+  assert.match(result, /mock/i);
+  assert.equal(attempt.model, "echo");
+  assert.equal(attempt.fallback, true);
+  assert.equal(attempt.total, 3);
+  assert.deepEqual(
+    attempt.failures.map(({ model, status }) => [model, status]),
+    [
+      ["error", 503],
+      ["error", 503],
+    ],
+  );
+  assert.deepEqual(
+    retries.map(({ nextModel }) => nextModel),
+    ["error", "echo"],
+  );
+});
+
+test("does not retry errors that are not transient", async () => {
+  let attempts = 0;
+  const error = new Error("Bad request");
+  error.status = 400;
+
+  await assert.rejects(
+    runWithPolicy(["echo"], async () => {
+      attempts += 1;
+      throw error;
+    }),
+    (thrown) => thrown === error && thrown.attempts.length === 1,
+  );
+  assert.equal(attempts, 1);
+});
+
+test("rethrows the last error with every attempt when all models fail", async () => {
+  await assert.rejects(runWithPolicy(["error"], answerWith), (error) => {
+    assert.equal(error.status, 503);
+    assert.equal(error.attempts.length, 2);
+    return true;
+  });
+});
+
+test("stops when the caller's signal is aborted", async () => {
+  const controller = new AbortController();
+  controller.abort(new Error("Job cancelled"));
+
+  await assert.rejects(
+    runWithPolicy(["echo"], answerWith, { signal: controller.signal }),
+    /Job cancelled/,
+  );
+});
+
+test("appends the fallback chain to the requested model", () => {
+  process.env.MODEL_FALLBACK_CHAIN = "mock:slow, mock:echo";
+  try {
+    assert.deepEqual(getModelChain("mock:echo"), ["mock:echo", "mock:slow"]);
+  } finally {
+    delete process.env.MODEL_FALLBACK_CHAIN;
+  }
+});
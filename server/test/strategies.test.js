@@ -0,0 +1,91 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  startServer,
+  createTestToken,
+  createWav,
+  uploadRecording,
+  waitFor,
+  cleanUp,
+} = require("./helpers");
+
+process.env.MODEL_MAX_RETRIES = "0";
+
+const { getUsageReport } = require("../lib/usage");
+
+let app;
+let token;
+
+before(async () => {
+  app = await startServer();
+  ({ token } = createTestToken(["read", "record"]));
+});
+
+after(async () => {
+  await app.close();
+  cleanUp();
+});
+
+/**
+ * Uploads a recording and waits for its job to finish
+ * @param {string} sessionId - Session of the upload
+ * @param {Object} fields - Processing parameters
+ * @returns {Promise<Object>} - Finished job
+ */
+async function processRecording(sessionId, fields) {
+  const response = await uploadRecording(app.baseUrl, createWav(1), {
+    token,
+    sessionId,
+    fields,
+  });
+  assert.equal(response.status, 202);
+  const { job } = await response.json();
+
+  return waitFor(async () => {
+    const polled = await fetch(`${app.baseUrl}/api/v1/jobs/${job.id}`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    const body = await polled.json();
+    return body.finishedAt && body;
+  });
+}
+
+/**
+ * Gets the usage of a model in a session
+ * @param {string} sessionId - Session id (without the token part)
+ * @param {string} model - Model id
+ * @returns {Object|undefined} - Totals
+ */
+function getModelUsage(sessionId, model) {
+  const { bySession } = getUsageReport({ model });
+  const key = Object.keys(bySession).find((session) =>
+    session.endsWith(`.${sessionId}`),
+  );
+  return key && bySession[key];
+}
+
+test("primary+backup returns the backup answer with the primary one", async () => {
+  const job = await processRecording("backup-ok", {
+    model: "mock:echo",
+    model2: "mock:echo",
+  });
+
+  assert.equal(job.status, "completed");
+  assert.equal(job.result.backupModel, "mock:echo");
+  assert.ok(job.result.backup.answer);
+});
+
+test("a failing primary model aborts the backup model", async () => {
+  const startedAt = Date.now();
+  const job = await processRecording("backup-abort", {
+    model: "mock:error",
+    model2: "mock:slow",
+  });
+
+  assert.equal(job.status, "failed");
+  // The slow model is stopped instead of answering after 3 seconds
+  const usage = await waitFor(() => getModelUsage("backup-abort", "mock:slow"));
+  assert.equal(usage.calls, 1);
+  assert.equal(usage.failedCalls, 1);
+  assert.ok(Date.now() - startedAt < 2500);
+});
@@ -0,0 +1,194 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const {
+  startServer,
+  createTestToken,
+  createWav,
+  uploadRecording,
+  waitFor,
+  cleanUp,
+} = require("./helpers");
+
+const {
+  DEFAULT_PRICES,
+  getModelPrice,
+  estimateCost,
+  meterModelCall,
+  getUsageReport,
+} = require("../lib/usage");
+const mockProvider = require("../lib/providers/mock");
+const openaiProvider = require("../lib/providers/openai");
+
+let app;
+
+before(async () => {
+  app = await startServer();
+});
+
+after(async () => {
+  await app.close();
+  cleanUp();
+});
+
+test("looks prices up by id, model name, name prefix and provider", () => {
+  const prices = {
+    ...DEFAULT_PRICES,
+    "openai:gpt-4o": { input: 2.5, audioInput: 2.5, output: 10 },
+  };
+
+  assert.equal(getModelPrice("openai:gpt-4o", prices).input, 2.5);
+  assert.equal(getModelPrice("gemini:gemini-2.5-flash", prices).input, 0.3);
+  assert.equal(getModelPrice("gemini-2.5-flash-lite-001", prices).input, 0.1);
+  assert.equal(getModelPrice("mock:echo", prices).input, 0);
+  assert.equal(getModelPrice("mock", prices).input, 0);
+  assert.equal(getModelPrice("whisper-cli", prices).input, 0);
+  assert.equal(getModelPrice("openai:gpt-4o-mini", prices).input, 0.15);
+  assert.equal(
+    getModelPrice("openai:gpt-4o-mini-2024-07-18", prices).output,
+    0.6,
+  );
+  assert.equal(getModelPrice("openai:whisper-1", prices), null);
+  assert.equal(getModelPrice("openai:llama3", prices), null);
+});
+
+test("bills audio input and thinking tokens at their own rates", () => {
+  const cost = estimateCost(
+    {
+      promptTokens: 1500000,
+      audioTokens: 500000,
+      candidatesTokens: 200000,
+      thoughtsTokens: 100000,
+    },
+    { input: 1, audioInput: 2, output: 10 },
+  );
+
+  assert.equal(cost, 1 + 1 + 3);
+  assert.equal(estimateCost({ promptTokens: 10 }, null), null);
+});
+
+test("meters successful and failed calls per session and model", async () => {
+  const { result, usage } = await meterModelCall(
+    (onUsage) =>
+      mockProvider.answer("What is a closure?", { model: "echo", onUsage }),
+    { model: "mock:echo", sessionId: "usage-session" },
+  );
+  assert.match(result, /mock/i);
+  assert.equal(usage.model, "mock:echo");
+  assert.ok(usage.totalTokens > 0);
+  assert.equal(usage.costUsd, 0);
+
+  await assert.rejects(
+    meterModelCall(
+      (onUsage) =>
+        mockProvider.answer("What is a closure?", { model: "error", onUsage }),
+      { model: "mock:error", sessionId: "usage-session" },
+    ),
+    /Mock AI error/,
+  );
+
+  const report = getUsageReport({ sessionId: "usage-session" });
+  assert.equal(report.total.calls, 2);
+  assert.equal(report.total.failedCalls, 1);
+  assert.equal(report.total.unpricedCalls, 0);
+  assert.deepEqual(Object.keys(report.byModel).sort(), [
+    "mock:echo",
+    "mock:error",
+  ]);
+});
+
+test("meters OpenAI chat completions from the usage of the stream", async (t) => {
+  const requests = [];
+  const stub = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (data) => (body += data));
+    req.on("end", () => {
+      requests.push(JSON.parse(body));
+      res.writeHead(200, { "Content-Type": "text/event-stream" });
+      const model = "gpt-4o-mini-2024-07-18";
+      for (const event of [
+        { model, choices: [{ delta: { content: "A closure " } }] },
+        { model, choices: [{ delta: { content: "keeps its scope." } }] },
+        {
+          model,
+          choices: [],
+          usage: {
+            prompt_tokens: 1000000,
+            completion_tokens: 1000000,
+            total_tokens: 2000000,
+          },
+        },
+      ]) {
+        res.write(`data: ${JSON.stringify(event)}\n\n`);
+      }
+      res.end("data: [DONE]\n\n");
+    });
+  });
+  await new Promise((resolve) => stub.listen(0, "127.0.0.1", resolve));
+  t.after(() => stub.close());
+  process.env.OPENAI_BASE_URL = `http://127.0.0.1:${stub.address().port}`;
+  t.after(() => delete process.env.OPENAI_BASE_URL);
+
+  const { result, usage } = await meterModelCall(
+    (onUsage) =>
+      openaiProvider.answer("What is a closure?", {
+        model: "gpt-4o-mini",
+        onUsage,
+      }),
+    { model: "openai:gpt-4o-mini", sessionId: "openai-session" },
+  );
+
+  assert.deepEqual(requests[0].stream_options, { include_usage: true });
+  assert.equal(result, "A closure keeps its scope.");
+  assert.equal(usage.model, "openai:gpt-4o-mini-2024-07-18");
+  assert.equal(usage.promptTokens, 1000000);
+  assert.equal(usage.candidatesTokens, 1000000);
+  assert.equal(usage.costUsd, 0.15 + 0.6);
+});
+
+test("reports the usage of uploads and lets only admins set prices", async () => {
+  const reader = createTestToken(["read", "record"]);
+  const admin = createTestToken(["admin"]);
+  const headers = (token) => ({
+    Authorization: `Bearer ${token}`,
+    "Content-Type": "application/json",
+  });
+
+  const upload = await uploadRecording(app.baseUrl, createWav(1, 7), {
+    token: reader.token,
+    sessionId: "usage-route",
+    fields: { model: "mock:echo" },
+  });
+  assert.equal(upload.status, 202);
+  const { job } = await upload.json();
+  await waitFor(async () => {
+    const response = await fetch(`${app.baseUrl}/api/v1/jobs/${job.id}`, {
+      headers: headers(reader.token),
+    });
+    return (await response.json()).status === "completed";
+  });
+
+  const usage = await fetch(`${app.baseUrl}/api/v1/usage?model=mock:echo`, {
+    headers: headers(reader.token),
+  });
+  assert.equal(usage.status, 200);
+  const report = await usage.json();
+  assert.ok(report.total.calls >= 1);
+  assert.ok(report.byModel["mock:echo"]);
+
+  const prices = { "gpt-4o-mini": { input: 1, output: 2 } };
+  const refused = await fetch(`${app.baseUrl}/api/v1/usage/prices`, {
+    method: "PUT",
+    headers: headers(reader.token),
+    body: JSON.stringify({ prices }),
+  });
+  assert.equal(refused.status, 403);
+
+  const updated = await fetch(`${app.baseUrl}/api/v1/usage/prices`, {
+    method: "PUT",
+    headers: headers(admin.token),
+    body: JSON.stringify({ prices }),
+  });
+  assert.equal(updated.status, 200);
+  assert.equal(getModelPrice("openai:gpt-4o-mini").audioInput, 1);
+});
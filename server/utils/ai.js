@@ -1,68 +1,34 @@
 const { tryCatch } = require("../lib/tryCatch");
-const { processAudioGeneric } = require("./audio-processor");
-const { createGenAIClient, getGeminiModel } = require("../lib/ai-client");
-
-// Initialize Google AI client
-let genAI;
-try {
-  genAI = createGenAIClient(process.env.GEMINI_API_KEY);
-  console.log("Google Generative AI client initialized successfully");
-} catch (error) {
-  console.error(
-    "Failed to initialize Google Generative AI client:",
-    error.message,
-  );
-  // We'll handle this error when AI features are used
-}
+const { readAudioForProvider } = require("./audio-format");
+const { resolveModel } = require("../lib/providers");
+const { getContextPromptText } = require("../lib/contexts");
+const {
+  AUDIO_ANSWER_SCHEMA,
+  JUDGE_SCHEMA,
+  renderAnswerMarkdown,
+  parseStructuredAnswer,
+  parseJudgeResponse,
+  createStructuredChunkRenderer,
+} = require("./structured-answer");
 
 /**
  * Gets context-specific prompt text based on the question context
- * @param {string} questionContext - Context category for the question
- * @param {boolean} isAudioFormat - Whether to use shorter format for audio processing
+ * The text comes from the context profile store (see lib/contexts.js)
+ * @param {string} questionContext - Context profile id
+ * @param {boolean} isAudioFormat - Whether to use the audio variant
+ * @param {string} lang - Language code (falls back to English text)
  * @returns {string} - The context-specific prompt text
  */
-function getContextPrompt(questionContext = "general", isAudioFormat = false) {
-  const contextMap = {
-    "html/css/javascript": {
-      standard:
-        "Your answer should focus on HTML, CSS or Javascript concepts, best practices, and standards.",
-      audio:
-        "Focus on HTML, CSS or Javascript concepts, best practices, and standards.",
-    },
-    typescript: {
-      standard:
-        "Your answer should focus on TypeScript language concepts, features, type system, and best practices.",
-      audio:
-        "Focus on TypeScript language concepts, features, type system, and best practices.",
-    },
-    reactjs: {
-      standard:
-        "Your answer should focus on React.js concepts, components, hooks, and best practices.",
-      audio:
-        "Focus on React.js concepts, components, hooks, and best practices.",
-    },
-    nextjs: {
-      standard:
-        "Your answer should focus on Next.js framework concepts, features, and best practices.",
-      audio:
-        "Focus on Next.js framework concepts, features, and best practices.",
-    },
-    interview: {
-      standard:
-        "Your answer should be formatted as a concise interview response, highlighting key points clearly.",
-      audio:
-        "Format your response as a concise interview answer, highlighting key points clearly.",
-    },
-    general: {
-      standard:
-        "Your answer should focus on general frontend development concepts and best practices.",
-      audio:
-        "Focus on general frontend development concepts and best practices.",
-    },
-  };
-
-  const format = isAudioFormat ? "audio" : "standard";
-  return (contextMap[questionContext] || contextMap.general)[format];
+function getContextPrompt(
+  questionContext = "general",
+  isAudioFormat = false,
+  lang = "en",
+) {
+  return getContextPromptText(
+    questionContext,
+    isAudioFormat ? "audio" : "standard",
+    lang,
+  );
 }
 
 /**
@@ -70,7 +36,7 @@ function getContextPrompt(questionContext = "general", isAudioFormat = false) {
  * @param {string} question - The question to answer
  * @param {string} lang - Language code (e.g., 'en' or 'vi')
  * @param {string} contextPrompt - Context-specific prompt
- * @param {string} previousQuestion - Previous question for follow-ups
+ * @param {boolean} isFollowUp - Whether earlier turns are sent as chat history
  * @param {string} customContext - Custom context provided by user
  * @returns {string} - Complete prompt
  */
@@ -78,13 +44,14 @@ function buildPrompt(
   question,
   lang,
   contextPrompt,
-  previousQuestion = null,
+  isFollowUp = false,
   customContext = "",
 ) {
-  // Add previous question context if this is a follow-up
+  // The previous turns travel as chat history, the prompt only points at them
   let followUpContext = "";
-  if (previousQuestion) {
-    followUpContext = `This is a follow-up question. Previous question was: "${previousQuestion}". `;
+  if (isFollowUp) {
+    followUpContext =
+      "This is a follow-up question to the conversation so far. ";
   }
 
   // Add custom context if provided
@@ -105,176 +72,365 @@ function buildPrompt(
 }
 
 /**
- * Gets Gemini model instance with appropriate configuration
- * @param {boolean} withSafetySettings - Whether to include safety settings
- * @returns {Object} - Configured Gemini model instance
+ * Generate an answer from question text with the selected model
+ * @param {string} question - The question to answer
+ * @param {string} lang - Language code
+ * @param {string} questionContext - Context category for the question
+ * @param {Array<Object>} history - Previous turns ({ question, answer }) for follow-ups
+ * @param {string} modelId - "provider:model" or a Gemini model (null for default)
+ * @param {Object} [options] - Extra options
+ * @param {string} [options.customContext] - Custom context provided by user
+ * @param {Function} [options.onChunk] - Called with each streamed text chunk
+ * @param {Function} [options.onUsage] - Receives the token usage of the call
+ * @param {AbortSignal} [options.signal] - Aborts the request
+ * @returns {Promise<string>} - The answer text
  */
-function getConfiguredGeminiModel(
-  withSafetySettings = false,
-  modelName = null,
+async function generateAnswer(
+  question,
+  lang,
+  questionContext = "general",
+  history = [],
+  modelId = null,
+  options = {},
 ) {
-  if (!genAI) {
-    throw new Error(
-      "Google Generative AI client is not initialized. Check your API key.",
-    );
+  const {
+    customContext = "",
+    onChunk = null,
+    onUsage = null,
+    signal = null,
+  } = options;
+  const { provider, modelName } = resolveModel(modelId);
+  const contextPrompt = getContextPrompt(questionContext, false, lang);
+  const prompt = buildPrompt(
+    question,
+    lang,
+    contextPrompt,
+    history.length > 0,
+    customContext,
+  );
+
+  const result = await tryCatch(
+    provider.answer(prompt, {
+      model: modelName,
+      onChunk,
+      onUsage,
+      question,
+      history,
+      signal,
+    }),
+  );
+
+  if (result.error) {
+    console.error("Error generating answer:", result.error);
+    throw result.error;
   }
-  return getGeminiModel(genAI, { withSafetySettings, modelName });
+
+  return result.data;
 }
 
 /**
- * Generate answer using Gemini API
+ * Builds the prompt asking a judge model to compare several answers
+ * @param {string} question - The question that was answered
+ * @param {Array<Object>} answers - { model, answer } of every model
+ * @param {string} lang - Language code
+ * @returns {string} - Prompt text
  */
-async function generateAnswer(
+function buildJudgePrompt(question, answers, lang) {
+  const answerList = answers
+    .map(
+      (item, index) =>
+        `### Answer ${index + 1} (${item.model})\n\n${item.answer}`,
+    )
+    .join("\n\n");
+  const languageRule =
+    lang === "vi"
+      ? "Write the merged answer and the disagreements in Vietnamese, keeping English technical terms."
+      : "Write the merged answer and the disagreements in English.";
+
+  return `You are judging ${answers.length} answers from different AI models to the same question. Compare them and reply with JSON:
+- "answer": one merged answer in Markdown that keeps the correct and most useful parts of every answer and drops anything wrong
+- "disagreements": one short note per point where the answers disagree, saying which answer is right and why (empty when they agree)
+${languageRule}
+
+## Question
+
+${question}
+
+## Answers
+
+${answerList}`;
+}
+
+/**
+ * Asks a judge model to merge several answers and list their disagreements
+ * @param {string} question - The question that was answered
+ * @param {Array<Object>} answers - { model, answer } of every model
+ * @param {string} lang - Language code
+ * @param {string} modelId - "provider:model" or a Gemini model (null for default)
+ * @param {Object} [options] - Extra options
+ * @param {AbortSignal} [options.signal] - Aborts the request
+ * @param {Function} [options.onUsage] - Receives the token usage of the call
+ * @returns {Promise<Object>} - { answer, disagreements, model }
+ */
+async function judgeAnswers(
   question,
+  answers,
   lang,
-  questionContext = "general",
-  previousQuestion = null,
-  modelName = null,
+  modelId = null,
+  options = {},
 ) {
-  const model = getConfiguredGeminiModel(false, modelName);
-  const contextPrompt = getContextPrompt(questionContext);
-  const prompt = buildPrompt(question, lang, contextPrompt, previousQuestion);
+  const { signal = null, onUsage = null } = options;
+  const { provider, modelName } = resolveModel(modelId);
 
-  const result = await tryCatch(model.generateContent(prompt));
+  const result = await tryCatch(
+    provider.answer(buildJudgePrompt(question, answers, lang), {
+      model: modelName,
+      question,
+      responseSchema: JUDGE_SCHEMA,
+      signal,
+      onUsage,
+    }),
+  );
 
   if (result.error) {
-    console.error("Error generating answer:", result.error);
+    console.error("Error judging answers:", result.error);
     throw result.error;
   }
 
-  return result.data.response.text();
+  return {
+    ...parseJudgeResponse(result.data),
+    model: `${provider.name}:${modelName}`,
+  };
 }
 
 /**
- * Process audio directly with Gemini API
- * This bypasses the Speech-to-Text step and sends audio directly to Gemini
+ * Builds the prompt sent alongside audio for direct audio Q&A
+ * The model replies with AUDIO_ANSWER_SCHEMA JSON, so the prompt describes
+ * what goes into each field
+ * @param {string} lang - Language code (e.g., 'en' or 'vi')
+ * @param {string} questionContext - Context category for the question
+ * @param {string} customContext - Custom context provided by user
+ * @param {boolean} isFollowUp - Whether earlier turns are sent as chat history
+ * @returns {string} - Prompt text
  */
-async function processAudioWithGemini(
-  filePath,
-  lang = "en",
-  questionContext = "general",
+function buildAudioPrompt(
+  lang,
+  questionContext,
   customContext = "",
-  modelName = null,
+  isFollowUp = false,
 ) {
-  return processAudioGeneric(filePath, async (audioBase64) => {
-    console.log(`Processing audio directly with Gemini: ${filePath}`);
-
-    // Get the appropriate model with safety settings
-    const model = getConfiguredGeminiModel(true, modelName);
-
-    // Create parts array with the audio content
-    const parts = [
-      {
-        inlineData: {
-          data: audioBase64,
-          mimeType: "audio/wav",
-        },
-      },
-    ];
-
-    // Get context-specific prompt with audio format
-    const contextPrompt = getContextPrompt(questionContext, true);
-
-    // Add custom context if provided
-    let userCustomContext = "";
-    if (customContext && customContext.trim() !== "") {
-      userCustomContext = `${customContext.trim()} `;
-    }
+  // Get context-specific prompt with audio format
+  const contextPrompt = getContextPrompt(questionContext, true, lang);
 
-    // Add prompt text based on language
-    let promptText = "";
-    if (lang === "vi") {
-      promptText = `Đây là nội dung âm thanh. ${contextPrompt} ${userCustomContext}. Nội dung này có thể chứa nhiều thuật ngữ, từ khóa chuyên ngành bằng tiếng anh lẫn tiếng việt, vậy nên hãy lắng nghe và phân biệt cẩn thận. Hãy trả lời bằng tiếng việt nhưng các thuật ngữ cần thì vẫn giữ lại bằng tiếng anh. Nếu có thuật ngữ tiếng anh, hãy giữ nguyên và không dịch thành tiếng việt.
-      QUAN TRỌNG: Nếu có nhiều câu hỏi trong đoạn âm thanh, bạn PHẢI trả lời tất cả các câu hỏi theo thứ tự. Bạn PHẢI nêu rõ từng câu hỏi bằng cách viết "Câu hỏi 1: [nội dung câu hỏi]" trước khi trả lời. Nếu có nhiều câu hỏi, bạn phải liệt kê chúng theo định dạng "Câu hỏi 1: ...", "Câu hỏi 2: ...", v.v.
-      Sử dụng định dạng Markdown cho câu trả lời của bạn.`;
-      parts.push({ text: promptText });
-    } else {
-      promptText = `This is audio content. ${contextPrompt} ${userCustomContext}
-      IMPORTANT: If there are multiple questions in the audio, you MUST respond to ALL of them in order. You MUST clearly identify each question by writing "Question 1: [question content]" before answering it. If there are multiple questions, you must list them in the format "Question 1: ...", "Question 2: ...", etc.
-      Use Markdown formatting for better readability in your answers.`;
-      parts.push({ text: promptText });
-    }
+  // Add custom context if provided
+  let userCustomContext = "";
+  if (customContext && customContext.trim() !== "") {
+    userCustomContext = `${customContext.trim()} `;
+  }
 
-    console.log("Sending audio to Gemini for direct processing");
+  // Follow-ups can refer to the earlier turns sent as chat history
+  let followUpContext = "";
+  if (isFollowUp) {
+    followUpContext =
+      lang === "vi"
+        ? "Câu hỏi trong âm thanh có thể là câu hỏi nối tiếp cuộc trò chuyện trước đó. "
+        : "The audio may contain follow-up questions to the conversation so far. ";
+  }
 
-    const result = await model.generateContent({
-      contents: [{ role: "user", parts }],
-    });
+  // Add prompt text based on language
+  if (lang === "vi") {
+    return `Đây là nội dung âm thanh. ${contextPrompt} ${followUpContext}${userCustomContext}. Nội dung này có thể chứa nhiều thuật ngữ, từ khóa chuyên ngành bằng tiếng anh lẫn tiếng việt, vậy nên hãy lắng nghe và phân biệt cẩn thận. Hãy trả lời bằng tiếng việt nhưng các thuật ngữ cần thì vẫn giữ lại bằng tiếng anh. Nếu có thuật ngữ tiếng anh, hãy giữ nguyên và không dịch thành tiếng việt.
+      QUAN TRỌNG: Nếu có nhiều câu hỏi trong đoạn âm thanh, bạn PHẢI trả lời tất cả các câu hỏi theo thứ tự. Đưa từng câu hỏi, đúng như được hỏi, vào "questions" cùng với câu trả lời riêng của nó. Đưa bản ghi nguyên văn của đoạn âm thanh vào "transcript" và mã ngôn ngữ được nói vào "language".
+      Sử dụng định dạng Markdown cho từng câu trả lời.`;
+  }
+  return `This is audio content. ${contextPrompt} ${followUpContext}${userCustomContext}
+      IMPORTANT: If there are multiple questions in the audio, you MUST respond to ALL of them in order. Put each question, as asked, in "questions" together with its own answer. Put the verbatim transcript of the audio in "transcript" and the spoken language code in "language".
+      Use Markdown formatting for better readability in each answer.`;
+}
 
-    const responseText = result.response.text();
+/**
+ * Guesses the asked question(s) from an answer to audio input
+ * Only used when a model ignores the response schema and replies in plain
+ * Markdown, so the transcript has to be recovered from the answer text
+ * @param {string} responseText - Full model response
+ * @returns {string} - Extracted question(s), joined with " | "
+ */
+function extractTranscriptFromResponse(responseText) {
+  let transcript = "";
 
-    // For direct Gemini processing, we'll extract both the transcript and the answer
-    // from the response, as Gemini will both transcribe and answer
-    let transcript = "";
-    let answer = responseText;
+  // Try to extract questions - look for patterns that indicate multiple questions
+  const questionsPattern =
+    /(?:Question|Câu hỏi)\s*\d+\s*:\s*(.*?)(?=(?:Question|Câu hỏi)\s*\d+|[\n\r]|$)/gi;
+  const questionsMatches = [...responseText.matchAll(questionsPattern)];
 
-    // Try to extract questions - look for patterns that indicate multiple questions
-    const questionsPattern =
-      /(?:Question|Câu hỏi)\s*\d+\s*:\s*(.*?)(?=(?:Question|Câu hỏi)\s*\d+|[\n\r]|$)/gi;
-    const questionsMatches = [...responseText.matchAll(questionsPattern)];
+  if (questionsMatches.length > 0) {
+    // Multiple questions found, combine them
+    transcript = questionsMatches.map((match) => match[1].trim()).join(" | ");
+    console.log(
+      "Extracted multiple questions from model response:",
+      transcript,
+    );
+  } else {
+    // Try alternative patterns if the specific format wasn't found
+    const altPattern = /[""']([^""'\n]{5,})[""'](?:\?|\.)/g;
+    const altMatches = [...responseText.matchAll(altPattern)];
 
-    if (questionsMatches.length > 0) {
-      // Multiple questions found, combine them
-      transcript = questionsMatches.map((match) => match[1].trim()).join(" | ");
-      console.log(
-        "Extracted multiple questions from Gemini response:",
-        transcript,
-      );
+    if (altMatches.length > 0) {
+      transcript = altMatches.map((match) => match[1].trim()).join(" | ");
+      console.log("Extracted questions using alternative pattern:", transcript);
     } else {
-      // Try alternative patterns if the specific format wasn't found
-      const altPattern = /[""']([^""'\n]{5,})[""'](?:\?|\.)/g;
-      const altMatches = [...responseText.matchAll(altPattern)];
+      // Try the "I heard you ask" pattern
+      const heardPattern =
+        /(?:I heard you ask|You asked)(?:[:\s]+)["']?([^"'\n.?]{5,}\??)['"]/gi;
+      const heardMatches = [...responseText.matchAll(heardPattern)];
 
-      if (altMatches.length > 0) {
-        transcript = altMatches.map((match) => match[1].trim()).join(" | ");
+      if (heardMatches.length > 0) {
+        transcript = heardMatches.map((match) => match[1].trim()).join(" | ");
         console.log(
-          "Extracted questions using alternative pattern:",
+          "Extracted questions using 'heard you ask' pattern:",
           transcript,
         );
       } else {
-        // Try the "I heard you ask" pattern
-        const heardPattern =
-          /(?:I heard you ask|You asked)(?:[:\s]+)["']?([^"'\n.?]{5,}\??)['"]/gi;
-        const heardMatches = [...responseText.matchAll(heardPattern)];
-
-        if (heardMatches.length > 0) {
-          transcript = heardMatches.map((match) => match[1].trim()).join(" | ");
-          console.log(
-            "Extracted questions using 'heard you ask' pattern:",
-            transcript,
-          );
+        // Try the simplest pattern - just looking for question mark
+        const simplePattern = /([^.!?\n]{10,}\?)/g;
+        const simpleMatches = [...responseText.matchAll(simplePattern)];
+
+        if (simpleMatches.length > 0) {
+          transcript = simpleMatches
+            .map((match) => match[1].trim())
+            .join(" | ");
+          console.log("Extracted questions using simple pattern:", transcript);
         } else {
-          // Try the simplest pattern - just looking for question mark
-          const simplePattern = /([^.!?\n]{10,}\?)/g;
-          const simpleMatches = [...responseText.matchAll(simplePattern)];
-
-          if (simpleMatches.length > 0) {
-            transcript = simpleMatches
-              .map((match) => match[1].trim())
-              .join(" | ");
-            console.log(
-              "Extracted questions using simple pattern:",
-              transcript,
-            );
+          // If we can't extract the specific question, use the first line or paragraph
+          const firstLine = responseText.split(/[\n\r]/)[0];
+          if (firstLine && firstLine.length < 200) {
+            transcript = firstLine;
+            console.log("Using first line as transcript:", transcript);
           } else {
-            // If we can't extract the specific question, use the first line or paragraph
-            const firstLine = responseText.split(/[\n\r]/)[0];
-            if (firstLine && firstLine.length < 200) {
-              transcript = firstLine;
-              console.log("Using first line as transcript:", transcript);
-            } else {
-              transcript = "Unable to extract specific question from audio";
-            }
+            transcript = "Unable to extract specific question from audio";
           }
         }
       }
     }
+  }
+
+  return transcript;
+}
 
-    return { transcript, answer };
-  });
+/**
+ * Process audio with the selected model and return the transcript and answer
+ * Models that accept audio answer it directly; for the others the audio is
+ * transcribed first and the transcript is answered as text.
+ * Direct answers are requested as structured JSON (AUDIO_ANSWER_SCHEMA) with
+ * one answer per detected question.
+ * The answer is generated as a stream; options.onChunk receives each Markdown
+ * chunk as it arrives and the full answer is returned at the end
+ * @param {string} filePath - Path to the audio file
+ * @param {string} lang - Language code
+ * @param {string} questionContext - Context category for the question
+ * @param {string} customContext - Custom context provided by user
+ * @param {string} modelId - "provider:model" or a Gemini model (null for default)
+ * @param {Object} [options] - Extra options
+ * @param {Function} [options.onChunk] - Called with each streamed text chunk
+ * @param {Array<Object>} [options.history] - Previous turns for follow-ups
+ * @param {AbortSignal} [options.signal] - Aborts the model calls
+ * @param {Function} [options.onUsage] - Receives the token usage of each
+ *   model call
+ * @returns {Promise<Object>} - { transcript, answer, questions, rawTranscript,
+ *   language, model }: transcript joins the questions with " | " for old
+ *   clients, answer is the rendered Markdown, model the resolved "provider:model"
+ */
+async function processAudioWithModel(
+  filePath,
+  lang = "en",
+  questionContext = "general",
+  customContext = "",
+  modelId = null,
+  options = {},
+) {
+  const {
+    onChunk = null,
+    history = [],
+    signal = null,
+    onUsage = null,
+  } = options;
+  const { provider, modelName } = resolveModel(modelId);
+
+  // The audio goes out in its own container with its real MIME type, or as
+  // WAV when the provider cannot read that container
+  const audio = {
+    ...(await readAudioForProvider(filePath, provider)),
+    lang,
+  };
+
+  if (!provider.answerFromAudio) {
+    console.log(
+      `Transcribing audio with ${provider.name} before answering: ${filePath}`,
+    );
+    const transcript = await provider.transcribe(audio, { signal, onUsage });
+    const answer = await generateAnswer(
+      transcript,
+      lang,
+      questionContext,
+      history,
+      `${provider.name}:${modelName}`,
+      { customContext, onChunk, onUsage, signal },
+    );
+    return {
+      transcript,
+      answer,
+      questions: [{ question: transcript, answer }],
+      rawTranscript: transcript,
+      language: lang,
+      model: `${provider.name}:${modelName}`,
+    };
+  }
+
+  console.log(
+    `Processing audio directly with ${provider.name}:${modelName}: ${filePath}`,
+  );
+
+  const responseText = await provider.answerFromAudio(
+    audio,
+    buildAudioPrompt(lang, questionContext, customContext, history.length > 0),
+    {
+      model: modelName,
+      history,
+      responseSchema: AUDIO_ANSWER_SCHEMA,
+      onChunk: createStructuredChunkRenderer(onChunk),
+      onUsage,
+      signal,
+    },
+  );
+
+  const structured = parseStructuredAnswer(responseText);
+  if (!structured) {
+    console.warn("Model did not return structured JSON, extracting questions");
+    return {
+      transcript: extractTranscriptFromResponse(responseText),
+      answer: responseText,
+      questions: [],
+      rawTranscript: "",
+      language: lang,
+      model: `${provider.name}:${modelName}`,
+    };
+  }
+
+  const { questions, transcript, language } = structured;
+  return {
+    // Legacy joined string; fall back to the raw transcript (no questions)
+    transcript:
+      questions.map((item) => item.question).join(" | ") || transcript,
+    answer: renderAnswerMarkdown(questions) || transcript,
+    questions,
+    rawTranscript: transcript,
+    language: language || lang,
+    model: `${provider.name}:${modelName}`,
+  };
 }
 
 module.exports = {
   generateAnswer,
-  processAudioWithGemini,
+  judgeAnswers,
+  processAudioWithModel,
 };
@@ -0,0 +1,356 @@
+const fs = require("fs");
+const { spawn } = require("child_process");
+const { tryCatch } = require("../lib/tryCatch");
+const { validateAndReadAudioFile } = require("./audio-processor");
+const {
+  getFFmpegPath,
+  convertAudioToStandardFormat,
+  isFFmpegAvailable,
+} = require("./ffmpeg");
+const { getConfiguredProviders } = require("../lib/providers");
+const { findRecordingByFile } = require("../lib/audio-store");
+
+/**
+ * Audio container detection and per-provider format support
+ * Uploads reach the models as they were recorded when they are not converted
+ * (.webm from the desktop app, .mp4/.m4a from mobile, .mp3), so the MIME type
+ * sent with the audio comes from the file content, not from its name. Files
+ * in a container the model cannot read are transcoded to WAV first.
+ */
+
+/**
+ * Containers we can recognize, with the MIME type models expect for them and
+ * the extension recordings in them are stored with
+ */
+const AUDIO_FORMATS = {
+  wav: { mimeType: "audio/wav", extension: ".wav" },
+  mp3: { mimeType: "audio/mpeg", extension: ".mp3" },
+  aac: { mimeType: "audio/aac", extension: ".aac" },
+  mp4: { mimeType: "audio/mp4", extension: ".m4a" },
+  ogg: { mimeType: "audio/ogg", extension: ".ogg" },
+  webm: { mimeType: "audio/webm", extension: ".webm" },
+  flac: { mimeType: "audio/flac", extension: ".flac" },
+};
+
+/**
+ * Container names FFmpeg reports, mapped to AUDIO_FORMATS
+ */
+const FFMPEG_FORMATS = {
+  wav: "wav",
+  mp3: "mp3",
+  aac: "aac",
+  mov: "mp4",
+  mp4: "mp4",
+  m4a: "mp4",
+  ogg: "ogg",
+  matroska: "webm",
+  webm: "webm",
+  flac: "flac",
+};
+
+/**
+ * Bytes read from the start of a file; WebM/Matroska name the codec in the
+ * track header, which comes within the first few hundred bytes
+ */
+const HEADER_BYTES = 4096;
+
+/**
+ * Reads the start of a file
+ * @param {string} filePath - Path to the audio file
+ * @returns {Buffer} - Up to HEADER_BYTES bytes
+ */
+function readHeader(filePath) {
+  const buffer = Buffer.alloc(HEADER_BYTES);
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const bytesRead = fs.readSync(fd, buffer, 0, HEADER_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Detects the container and codec from a file's magic bytes
+ * @param {Buffer} header - Start of the file
+ * @returns {Object|null} - { container, codec } or null when unknown
+ */
+function detectFromMagicBytes(header) {
+  if (header.length < 12) return null;
+  const ascii = (start, end) => header.toString("latin1", start, end);
+
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WAVE") {
+    return { container: "wav", codec: "pcm" };
+  }
+  if (ascii(0, 4) === "fLaC") {
+    return { container: "flac", codec: "flac" };
+  }
+  if (ascii(0, 4) === "OggS") {
+    if (header.includes("OpusHead")) return { container: "ogg", codec: "opus" };
+    if (header.includes("vorbis")) return { container: "ogg", codec: "vorbis" };
+    return { container: "ogg", codec: null };
+  }
+  if (header.readUInt32BE(0) === 0x1a45dfa3) {
+    // EBML header: WebM or Matroska, the codec id is in the track entry
+    const codecMatch = ascii(0, header.length).match(/A_(OPUS|VORBIS|AAC)/);
+    return {
+      container: "webm",
+      codec: codecMatch ? codecMatch[1].toLowerCase() : null,
+    };
+  }
+  if (ascii(4, 8) === "ftyp") {
+    return { container: "mp4", codec: header.includes("mp4a") ? "aac" : null };
+  }
+  if (ascii(0, 3) === "ID3") {
+    return { container: "mp3", codec: "mp3" };
+  }
+  if (header[0] === 0xff && (header[1] & 0xf6) === 0xf0) {
+    // ADTS sync word (layer bits 00): raw AAC
+    return { container: "aac", codec: "aac" };
+  }
+  if (header[0] === 0xff && (header[1] & 0xe0) === 0xe0) {
+    // MPEG audio frame sync without an ID3 tag
+    return { container: "mp3", codec: "mp3" };
+  }
+  return null;
+}
+
+/**
+ * Bitrate assumed for recordings whose duration cannot be measured (the
+ * usual MediaRecorder and mobile AAC rate), in bits per second
+ */
+const ESTIMATED_BITRATE = 128000;
+
+/**
+ * Runs FFmpeg and collects its log, whatever the exit code (reading a file
+ * without naming an output exits with an error after describing the input)
+ * @param {Array<string>} args - FFmpeg arguments
+ * @returns {Promise<string|null>} - Log output (stderr), or null when FFmpeg
+ *   is missing
+ */
+function readFFmpegLog(args) {
+  return new Promise((resolve) => {
+    const ffmpeg = spawn(getFFmpegPath(), [
+      "-hide_banner",
+      "-nostdin",
+      ...args,
+    ]);
+    let output = "";
+
+    ffmpeg.stderr.on("data", (data) => {
+      output += data.toString();
+    });
+    ffmpeg.on("error", () => resolve(null));
+    ffmpeg.on("close", () => resolve(output));
+  });
+}
+
+/**
+ * Asks FFmpeg for the container and codec of a file
+ * @param {string} filePath - Path to the audio file
+ * @returns {Promise<Object|null>} - { container, codec } or null when FFmpeg
+ *   is missing or does not know the format either
+ */
+async function probeAudioFormat(filePath) {
+  const log = await readFFmpegLog(["-i", filePath]);
+  // The demuxer lists aliases, e.g. "Input #0, mov,mp4,m4a,3gp,3g2,mj2, from"
+  const names = log && log.match(/Input #0, (.+?), from /);
+  if (!names) return null;
+
+  const container = names[1]
+    .split(",")
+    .map((name) => FFMPEG_FORMATS[name])
+    .find(Boolean);
+  const codec = log.match(/Stream #0:\d+.*?: Audio: (\w+)/);
+  return container ? { container, codec: codec ? codec[1] : null } : null;
+}
+
+/**
+ * Measures a recording by decoding its first audio stream with FFmpeg
+ * Container headers are not trusted: MediaRecorder WebM files carry no
+ * duration at all
+ * @param {string} filePath - Path to the audio file
+ * @returns {Promise<number|null>} - Seconds, or null when FFmpeg is missing
+ *   or cannot decode the file
+ */
+async function measureAudioDuration(filePath) {
+  const log = await readFFmpegLog([
+    "-i",
+    filePath,
+    "-map",
+    "0:a:0",
+    "-f",
+    "null",
+    "-",
+  ]);
+  // Progress lines end with the time decoded so far, the last one is the total
+  const times = [
+    ...String(log).matchAll(/time=(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/g),
+  ];
+  if (times.length === 0) return null;
+
+  const [, hours, minutes, seconds] = times[times.length - 1];
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+}
+
+/**
+ * Reads the duration of a WAV file from its header
+ * @param {Buffer} header - Start of the file
+ * @returns {number|null} - Seconds, or null when the header is incomplete
+ */
+function getWavDuration(header) {
+  let byteRate = null;
+  // Chunks follow the 12-byte RIFF header: 4-byte id, 4-byte size, data
+  for (let offset = 12; offset + 8 <= header.length;) {
+    const id = header.toString("latin1", offset, offset + 4);
+    const size = header.readUInt32LE(offset + 4);
+    if (id === "fmt " && offset + 16 <= header.length) {
+      byteRate = header.readUInt32LE(offset + 16);
+    } else if (id === "data") {
+      return byteRate ? size / byteRate : null;
+    }
+    offset += 8 + size + (size % 2);
+  }
+  return null;
+}
+
+/**
+ * Measures how long a recording is
+ * WAV files are measured from their header, other formats by decoding them
+ * with FFmpeg; without FFmpeg the duration is estimated from the file size
+ * @param {string} filePath - Path to the audio file
+ * @returns {Promise<number>} - Duration in seconds
+ */
+async function getAudioDuration(filePath) {
+  const header = readHeader(filePath);
+  const format = detectFromMagicBytes(header);
+
+  const measured =
+    format?.container === "wav"
+      ? getWavDuration(header)
+      : await measureAudioDuration(filePath);
+  if (Number.isFinite(measured) && measured >= 0) {
+    return measured;
+  }
+
+  const { size } = fs.statSync(filePath);
+  return size / (ESTIMATED_BITRATE / 8);
+}
+
+/**
+ * Detects the real format of an audio file, whatever its extension says
+ * @param {string} filePath - Path to the audio file
+ * @returns {Promise<Object|null>} - { container, codec, mimeType } or null
+ *   when the format is unknown
+ */
+async function detectAudioFormat(filePath) {
+  let header = null;
+  try {
+    header = readHeader(filePath);
+  } catch (error) {
+    console.warn(`Could not read audio header of ${filePath}:`, error.message);
+    return null;
+  }
+
+  const detected =
+    detectFromMagicBytes(header) || (await probeAudioFormat(filePath));
+
+  return detected
+    ? { ...detected, mimeType: AUDIO_FORMATS[detected.container].mimeType }
+    : null;
+}
+
+/**
+ * Whether a provider reads a container as it is
+ * @param {Object} provider - AI provider
+ * @param {string} container - Key of AUDIO_FORMATS
+ * @returns {boolean} - True when no transcoding is needed
+ */
+function isFormatSupported(provider, container) {
+  return !provider.audioFormats || provider.audioFormats.includes(container);
+}
+
+/**
+ * Reads an audio file for a provider, with the MIME type of its real format
+ * Files the provider cannot read are transcoded to a temporary WAV copy; when
+ * that fails (no FFmpeg) the file is sent as it is and the provider decides
+ * @param {string} filePath - Path to the audio file
+ * @param {Object} provider - AI provider that gets the audio
+ * @returns {Promise<Object>} - { audioBase64, mimeType, sourceSha256 } where
+ *   sourceSha256 is the hash of the archived recording the file was made
+ *   from (before preprocessing), or null
+ */
+async function readAudioForProvider(filePath, provider) {
+  const format = await detectAudioFormat(filePath);
+  let fileToSend = filePath;
+  let mimeType = format ? format.mimeType : AUDIO_FORMATS.wav.mimeType;
+
+  if (format && !isFormatSupported(provider, format.container)) {
+    console.log(
+      `${provider.label} does not read ${format.container} audio, transcoding to WAV: ${filePath}`,
+    );
+    const converted = await tryCatch(convertAudioToStandardFormat(filePath));
+    if (converted.error) {
+      console.warn(
+        `Could not transcode ${filePath}, sending it as ${mimeType}: ${converted.error.message}`,
+      );
+    } else {
+      fileToSend = converted.data;
+      mimeType = AUDIO_FORMATS.wav.mimeType;
+    }
+  } else if (!format) {
+    console.warn(
+      `Unknown audio format, sending it as ${mimeType}: ${filePath}`,
+    );
+  }
+
+  try {
+    const audioData = validateAndReadAudioFile(fileToSend);
+    return {
+      audioBase64: audioData.toString("base64"),
+      mimeType,
+      sourceSha256: findRecordingByFile(filePath)?.sha256 || null,
+    };
+  } finally {
+    // The transcoded copy is only needed for this request
+    if (fileToSend !== filePath) fs.rmSync(fileToSend, { force: true });
+  }
+}
+
+/**
+ * Lists which containers each configured provider reads and what happens to
+ * the others, for /api/v1/status
+ * @returns {Object} - { formats, providers, transcodeTo, transcoding }
+ */
+function getAudioFormatSupport() {
+  const containers = Object.keys(AUDIO_FORMATS);
+  return {
+    formats: containers.map((container) => ({
+      container,
+      mimeType: AUDIO_FORMATS[container].mimeType,
+    })),
+    providers: Object.fromEntries(
+      getConfiguredProviders().map((provider) => [
+        provider.name,
+        Object.fromEntries(
+          containers.map((container) => [
+            container,
+            isFormatSupported(provider, container) ? "native" : "transcoded",
+          ]),
+        ),
+      ]),
+    ),
+    transcodeTo: AUDIO_FORMATS.wav.mimeType,
+    // null until the startup check finished
+    transcoding: isFFmpegAvailable(),
+  };
+}
+
+module.exports = {
+  AUDIO_FORMATS,
+  detectFromMagicBytes,
+  detectAudioFormat,
+  getAudioDuration,
+  readAudioForProvider,
+  getAudioFormatSupport,
+};
@@ -0,0 +1,191 @@
+const fs = require("fs");
+const { tryCatch } = require("../lib/tryCatch");
+const { createHttpError } = require("../lib/http-error");
+const { readAudioForProvider } = require("./audio-format");
+const { splitStereoChannels } = require("./ffmpeg");
+const {
+  WHISPER_CLI_BACKEND,
+  getDefaultTranscriber,
+  resolveTranscriptionProvider,
+  transcribeAudioFile,
+} = require("./transcription");
+const { isMockOnly } = require("../lib/providers");
+
+/**
+ * Speaker diarization: splits a recording of a conversation into labelled
+ * speaker turns
+ * - "channels": the recording is stereo with the remote side (system audio)
+ *   on the left and the local side (microphone) on the right; each channel is
+ *   transcribed on its own with the request's transcriber
+ * - "model": a provider that can label speakers (provider.diarize) transcribes
+ *   the recording into turns
+ *
+ * Speakers are "remote" (the other party, who asks the questions) and
+ * "local" (the user of the app).
+ */
+
+const DIARIZATION_MODES = ["channels", "model"];
+
+const SPEAKER_LABELS = {
+  remote: "Remote",
+  local: "You",
+};
+
+/**
+ * Renders speaker turns as a labelled transcript, one turn per line
+ * @param {Array<Object>} turns - { speaker, text } turns
+ * @returns {string} - e.g. "Remote: What is a closure?\nYou: A closure is..."
+ */
+function formatSpeakerTurns(turns) {
+  return turns
+    .map(({ speaker, text }) => `${SPEAKER_LABELS[speaker]}: ${text}`)
+    .join("\n");
+}
+
+/**
+ * Joins everything one speaker said
+ * @param {Array<Object>} turns - { speaker, text } turns
+ * @param {string} speaker - "remote" or "local"
+ * @returns {string} - The speaker's text (empty when they said nothing)
+ */
+function getSpeakerText(turns, speaker) {
+  return turns
+    .filter((turn) => turn.speaker === speaker)
+    .map((turn) => turn.text)
+    .join(" ");
+}
+
+/**
+ * Keeps well-formed turns with text, so provider output can be trusted
+ * @param {Array<Object>} turns - Turns returned by a backend
+ * @returns {Array<Object>} - { speaker, text } turns
+ */
+function normalizeTurns(turns) {
+  if (!Array.isArray(turns)) return [];
+  return turns
+    .filter(
+      (turn) =>
+        turn &&
+        SPEAKER_LABELS[turn.speaker] &&
+        typeof turn.text === "string" &&
+        turn.text.trim(),
+    )
+    .map((turn) => ({ speaker: turn.speaker, text: turn.text.trim() }));
+}
+
+/**
+ * Diarizes a stereo recording by transcribing each channel
+ * Channels carry no timing, so each speaker gets one turn (remote first)
+ * @param {string} sourceFile - Stereo recording (before the mono conversion)
+ * @param {string} lang - Language code
+ * @param {string} [backendId] - Transcription backend (null for STT_BACKEND)
+ * @param {Object} callOptions - { signal, onUsage } for the transcriptions
+ * @returns {Promise<Object>} - { turns, transcriber }
+ */
+async function diarizeByChannels(sourceFile, lang, backendId, callOptions) {
+  const split = await tryCatch(splitStereoChannels(sourceFile));
+  if (split.error) {
+    throw createHttpError(
+      `Could not split the recording into speaker channels (a stereo recording is needed): ${split.error.message}`,
+      422,
+    );
+  }
+
+  const { left, right } = split.data;
+  try {
+    const [remote, local] = await Promise.all(
+      [left, right].map((channelFile) =>
+        transcribeAudioFile(channelFile, lang, backendId, callOptions),
+      ),
+    );
+    return {
+      turns: normalizeTurns([
+        { speaker: "remote", text: remote.transcript },
+        { speaker: "local", text: local.transcript },
+      ]),
+      transcriber: remote.transcriber,
+    };
+  } finally {
+    [left, right].forEach((file) => fs.rmSync(file, { force: true }));
+  }
+}
+
+/**
+ * Diarizes a recording with a provider that can label speakers
+ * @param {string} filePath - Recording in the standard format
+ * @param {string} lang - Language code
+ * @param {string} [backendId] - Transcription backend (null for STT_BACKEND)
+ * @param {Object} callOptions - { signal, onUsage } for the model call
+ * @returns {Promise<Object>} - { turns, transcriber }
+ */
+async function diarizeWithModel(filePath, lang, backendId, callOptions) {
+  const backend = backendId || getDefaultTranscriber();
+  // In mock-only mode the mock provider stands in for the local CLI as well
+  if (backend === WHISPER_CLI_BACKEND && !isMockOnly()) {
+    throw createHttpError(
+      "The Whisper CLI cannot label speakers; use diarization=channels or a provider transcriber",
+    );
+  }
+
+  const { provider, model, transcriber } =
+    resolveTranscriptionProvider(backend);
+  if (typeof provider.diarize !== "function") {
+    throw createHttpError(
+      `${provider.label} cannot label speakers; use diarization=channels or another transcriber`,
+    );
+  }
+
+  const audio = await readAudioForProvider(filePath, provider);
+  const turns = await provider.diarize(
+    { ...audio, lang },
+    { model, ...callOptions },
+  );
+  return { turns: normalizeTurns(turns), transcriber };
+}
+
+/**
+ * Splits a recording into labelled speaker turns
+ * @param {string} filePath - Recording in the standard format
+ * @param {Object} options - Diarization options
+ * @param {string} options.mode - One of DIARIZATION_MODES
+ * @param {string} [options.lang] - Language code
+ * @param {string} [options.transcriber] - Backend id (null for STT_BACKEND)
+ * @param {string} [options.sourceFile] - Recording as uploaded, needed by
+ *   "channels" because the standard format is mono
+ * @param {AbortSignal} [options.signal] - Aborts the transcription
+ * @param {Function} [options.onUsage] - Receives the token usage of each
+ *   model call
+ * @returns {Promise<Object>} - { turns, transcript, transcriber, diarization }
+ *   where transcript is the labelled transcript
+ */
+async function diarizeAudioFile(filePath, options) {
+  const {
+    mode,
+    lang = "en",
+    transcriber = null,
+    sourceFile = filePath,
+    signal = null,
+    onUsage = null,
+  } = options;
+
+  const callOptions = { signal, onUsage };
+  const result =
+    mode === "channels"
+      ? await diarizeByChannels(sourceFile, lang, transcriber, callOptions)
+      : await diarizeWithModel(filePath, lang, transcriber, callOptions);
+
+  return {
+    turns: result.turns,
+    transcript: formatSpeakerTurns(result.turns),
+    transcriber: result.transcriber,
+    diarization: mode,
+  };
+}
+
+module.exports = {
+  DIARIZATION_MODES,
+  SPEAKER_LABELS,
+  formatSpeakerTurns,
+  getSpeakerText,
+  diarizeAudioFile,
+};
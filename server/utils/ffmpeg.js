@@ -1,14 +1,124 @@
 const { spawn } = require("child_process");
 const fs = require("fs");
 const path = require("path");
+const ffmpegStatic = require("ffmpeg-static");
 const { tryCatch } = require("../lib/tryCatch");
-const { cleanupAudioFiles } = require("./audio-processor");
+
+/**
+ * Finds the FFmpeg binary: the build ffmpeg-static downloaded on install (or
+ * the one FFMPEG_BIN points to), else `ffmpeg` from the PATH
+ * @returns {string} - Binary path or command name
+ */
+function getFFmpegPath() {
+  return ffmpegStatic && fs.existsSync(ffmpegStatic) ? ffmpegStatic : "ffmpeg";
+}
+
+/**
+ * Reads an on/off setting from the environment
+ * @param {string} name - Variable name
+ * @param {boolean} fallback - Value when the variable is not set
+ * @returns {boolean} - Setting value
+ */
+function readBooleanSetting(name, fallback) {
+  const value = process.env[name];
+  if (value === undefined || value === "") return fallback;
+  return value === "true" || value === "1";
+}
+
+/**
+ * Reads a numeric setting from the environment
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when the variable is not set or invalid
+ * @returns {number} - Setting value
+ */
+function readNumberSetting(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return Number.isFinite(value) ? value : fallback;
+}
+
+/**
+ * Reads the preprocessing settings for uploads
+ * @returns {Object} - Preprocessing settings
+ */
+function getPreprocessingConfig() {
+  return {
+    enabled: readBooleanSetting("AUDIO_PREPROCESSING", true),
+    // A custom filter chain replaces the built-in filters below
+    customFilters: process.env.AUDIO_FILTERS || "",
+    highpassHz: readNumberSetting("AUDIO_HIGHPASS_HZ", 80),
+    denoise: readBooleanSetting("AUDIO_DENOISE", true),
+    trimSilence: readBooleanSetting("AUDIO_TRIM_SILENCE", true),
+    silenceThresholdDb: readNumberSetting("AUDIO_SILENCE_THRESHOLD_DB", -50),
+    loudnorm: readBooleanSetting("AUDIO_LOUDNORM", true),
+    maxDurationSeconds: readNumberSetting("AUDIO_MAX_DURATION_SECONDS", 300),
+  };
+}
+
+/**
+ * Builds the FFmpeg filter chain that cleans up a recording for speech
+ * recognition: high-pass, denoise, leading/trailing silence removal, maximum
+ * duration and EBU R128 loudness normalization
+ * @param {Object} [config] - Preprocessing settings
+ * @returns {string} - Comma-separated filters ("" when none are enabled)
+ */
+function getPreprocessingFilters(config = getPreprocessingConfig()) {
+  if (config.customFilters) {
+    return config.customFilters;
+  }
+
+  const filters = [];
+  if (config.highpassHz > 0) {
+    filters.push(`highpass=f=${config.highpassHz}`);
+  }
+  if (config.denoise) {
+    filters.push("afftdn=nf=-25");
+  }
+  if (config.trimSilence) {
+    // silenceremove only trims the start; reversing trims the end as well
+    const trimStart = `silenceremove=start_periods=1:start_threshold=${config.silenceThresholdDb}dB:start_silence=0.2`;
+    filters.push(trimStart, "areverse", trimStart, "areverse");
+  }
+  if (config.maxDurationSeconds > 0) {
+    filters.push(`atrim=end=${config.maxDurationSeconds}`);
+  }
+  if (config.loudnorm) {
+    filters.push("loudnorm=I=-16:TP=-1.5:LRA=11");
+  }
+  return filters.join(",");
+}
+
+/**
+ * Reads the audio statistics FFmpeg prints for the astats filters
+ * @param {string} output - FFmpeg stderr
+ * @returns {Array<Object>} - { samples, peakDb } per astats filter, in order
+ */
+function parseAudioStats(output) {
+  const stats = new Map();
+  const pattern =
+    /\[Parsed_astats_(\d+) @ [^\]]+\] (Number of samples|Peak level dB): (\S+)/g;
+
+  for (const [, index, name, value] of output.matchAll(pattern)) {
+    if (!stats.has(index)) stats.set(index, { samples: 0, peakDb: null });
+    // The overall section comes last and wins over the per-channel values
+    if (name === "Number of samples") {
+      stats.get(index).samples = parseInt(value, 10) || 0;
+    } else {
+      const peak = parseFloat(value);
+      stats.get(index).peakDb = Number.isFinite(peak) ? peak : null;
+    }
+  }
+
+  return [...stats.entries()]
+    .sort(([a], [b]) => Number(a) - Number(b))
+    .map(([, value]) => value);
+}
 
 /**
  * Get FFmpeg command arguments for converting an audio file to the standard format
  * @param {string} inputFile - Path to the input audio file
  * @param {string} outputFile - Path to the output audio file
  * @param {Object} options - Additional options
+ * @param {string} [options.filters] - Audio filter chain to apply
  * @returns {Array} - FFmpeg command arguments
  */
 function getConversionArgs(inputFile, outputFile, options = {}) {
@@ -17,6 +127,11 @@ function getConversionArgs(inputFile, outputFile, options = {}) {
   // Add input file
   args.push("-i", inputFile);
 
+  // Optional filter chain (preprocessing)
+  if (options.filters) {
+    args.push("-af", options.filters);
+  }
+
   // Set standard audio settings with 16000 Hz sample rate for speech recognition
   args.push(
     "-ac",
@@ -31,6 +146,56 @@ function getConversionArgs(inputFile, outputFile, options = {}) {
   return args;
 }
 
+/**
+ * Clean up an uploaded recording and convert it to the standard format
+ * Applies the preprocessing filters and measures the audio before and after
+ * them, so callers can report how much was trimmed
+ * @param {string} inputFile - Path to the input audio file
+ * @returns {Promise<Object>} - { filePath, stats } where stats holds
+ *   originalDurationMs, durationMs, trimmedMs, originalPeakDb, peakDb and
+ *   the filters that ran
+ */
+async function preprocessAudio(inputFile) {
+  const outputFile = path.join(
+    path.dirname(inputFile),
+    `${path.basename(inputFile, path.extname(inputFile))}_processed.wav`
+  );
+  const filters = getPreprocessingFilters();
+
+  // Both measurements run at the output sample rate, so samples count time
+  const sampleRate = 16000;
+  const chain = [
+    `aresample=${sampleRate}`,
+    "astats",
+    ...(filters ? [filters, `aresample=${sampleRate}`] : []),
+    "astats",
+  ].join(",");
+
+  console.log(
+    `Preprocessing audio file: ${inputFile} (${filters || "no filters"})`
+  );
+
+  const output = await runFFmpeg(
+    getConversionArgs(inputFile, outputFile, { filters: chain }),
+    "preprocessing"
+  );
+
+  const [original, processed] = parseAudioStats(output);
+  const toMs = (measured) =>
+    measured ? Math.round((measured.samples / sampleRate) * 1000) : null;
+  const stats = {
+    originalDurationMs: toMs(original),
+    durationMs: toMs(processed),
+    trimmedMs: original && processed ? toMs(original) - toMs(processed) : null,
+    originalPeakDb: original ? original.peakDb : null,
+    peakDb: processed ? processed.peakDb : null,
+    filters,
+  };
+
+  console.log(`Audio preprocessing successful: ${outputFile}`, stats);
+  return { filePath: outputFile, stats };
+}
+
 /**
  * Convert an uploaded audio file to the standard format for speech recognition
  * @param {string} inputFile - Path to the input audio file
@@ -47,20 +212,82 @@ async function convertAudioToStandardFormat(inputFile) {
 
   const args = getConversionArgs(inputFile, outputFile);
 
+  await runFFmpeg(args, "conversion");
+  console.log(`Audio conversion successful: ${outputFile}`);
+  return outputFile;
+}
+
+/**
+ * Split a stereo recording into one standard-format file per channel
+ * The desktop app records the system audio (remote speaker) on the left and
+ * the microphone (local speaker) on the right
+ * @param {string} inputFile - Path to the stereo audio file
+ * @returns {Promise<Object>} - { left, right } paths of the mono WAV files
+ */
+async function splitStereoChannels(inputFile) {
+  const baseName = path.join(
+    path.dirname(inputFile),
+    path.basename(inputFile, path.extname(inputFile))
+  );
+  const outputs = {
+    left: `${baseName}_left.wav`,
+    right: `${baseName}_right.wav`,
+  };
+
+  console.log(`Splitting audio channels: ${inputFile}`);
+
+  const args = [
+    "-y",
+    "-hide_banner",
+    "-loglevel",
+    "error",
+    "-i",
+    inputFile,
+    "-filter_complex",
+    "[0:a]channelsplit=channel_layout=stereo[left][right]",
+  ];
+  Object.entries(outputs).forEach(([channel, outputFile]) => {
+    args.push(
+      "-map",
+      `[${channel}]`,
+      "-ar",
+      "16000",
+      "-acodec",
+      "pcm_s16le",
+      outputFile
+    );
+  });
+
+  const result = await tryCatch(runFFmpeg(args, "channel split"));
+  if (result.error) {
+    Object.values(outputs).forEach((file) => fs.rmSync(file, { force: true }));
+    throw result.error;
+  }
+  return outputs;
+}
+
+/**
+ * Run FFmpeg and wait for it to finish
+ * @param {Array} args - FFmpeg command arguments
+ * @param {string} action - What FFmpeg does, for error messages
+ * @returns {Promise<string>} - FFmpeg's log output (stderr)
+ */
+function runFFmpeg(args, action) {
   return new Promise((resolve, reject) => {
-    const ffmpeg = spawn("ffmpeg", args);
+    const ffmpeg = spawn(getFFmpegPath(), args);
+    let output = "";
 
     ffmpeg.stderr.on("data", (data) => {
       // FFmpeg outputs progress information to stderr
+      output += data.toString();
       console.log(`FFmpeg: ${data.toString().trim()}`);
     });
 
     ffmpeg.on("close", (code) => {
       if (code === 0) {
-        console.log(`Audio conversion successful: ${outputFile}`);
-        resolve(outputFile);
+        resolve(output);
       } else {
-        reject(new Error(`FFmpeg conversion failed with code ${code}`));
+        reject(new Error(`FFmpeg ${action} failed with code ${code}`));
       }
     });
 
@@ -70,15 +297,19 @@ async function convertAudioToStandardFormat(inputFile) {
   });
 }
 
+// Outcome of the startup check (null until it finished)
+let ffmpegAvailable = null;
+
 /**
  * Check if FFmpeg is available in the system
  * @returns {Promise<boolean>} - True if FFmpeg is available
  */
 async function checkFFmpegAvailability() {
   return new Promise((resolve, reject) => {
-    const result = spawn("ffmpeg", ["-version"]);
+    const result = spawn(getFFmpegPath(), ["-version"]);
 
     result.on("error", (err) => {
+      ffmpegAvailable = false;
       console.warn("FFmpeg not available:", err.message);
       console.warn("Some audio format conversions may not work properly");
       reject(err);
@@ -90,10 +321,12 @@ async function checkFFmpegAvailability() {
 
     result.stdout.on("data", (data) => {
       console.log(`FFmpeg available: ${data.toString().split("\n")[0]}`);
+      ffmpegAvailable = true;
       resolve(true);
     });
 
     result.on("close", (code) => {
+      ffmpegAvailable = code === 0;
       if (code === 0) {
         resolve(true);
       } else {
@@ -103,6 +336,14 @@ async function checkFFmpegAvailability() {
   });
 }
 
+/**
+ * Whether the startup check found FFmpeg
+ * @returns {boolean|null} - null when the check has not finished yet
+ */
+function isFFmpegAvailable() {
+  return ffmpegAvailable;
+}
+
 /**
  * Determine if an audio file needs conversion based on its format
  * @param {string} filePath - Path to the audio file
@@ -120,9 +361,15 @@ function needsConversion(filePath) {
 }
 
 module.exports = {
+  getFFmpegPath,
   getConversionArgs,
+  getPreprocessingConfig,
+  getPreprocessingFilters,
+  parseAudioStats,
+  preprocessAudio,
   convertAudioToStandardFormat,
+  splitStereoChannels,
   checkFFmpegAvailability,
-  cleanupAudioFiles,
+  isFFmpegAvailable,
   needsConversion,
 };
@@ -0,0 +1,301 @@
+/**
+ * Question detection for hands-free listening
+ * Hands-free clients upload every stretch of speech between two pauses; only
+ * the ones that ask something should be answered. The check is a cheap
+ * heuristic on the transcript (question mark, interrogative opening, a
+ * request such as "tell me about ..." or a Vietnamese sentence-final question
+ * particle). The heuristic itself calls no model, but it needs the segment's
+ * transcript: the two-stage pipeline reuses it for the answer, the direct
+ * pipeline pays one extra transcription call per segment.
+ */
+
+/**
+ * Segments with fewer words are ignored ("okay", "thank you") (configurable)
+ */
+const QUESTION_MIN_WORDS = parseInt(process.env.QUESTION_MIN_WORDS, 10) || 3;
+
+/**
+ * Words and phrases that open a question or a request, per language
+ */
+const QUESTION_OPENERS = {
+  en: [
+    "what",
+    "why",
+    "how",
+    "when",
+    "where",
+    "who",
+    "whom",
+    "whose",
+    "which",
+    "can",
+    "could",
+    "would",
+    "should",
+    "will",
+    "shall",
+    "do",
+    "does",
+    "did",
+    "is",
+    "are",
+    "was",
+    "were",
+    "have",
+    "has",
+    "tell me",
+    "explain",
+    "describe",
+    "walk me through",
+    "give me",
+    "compare",
+    "define",
+  ],
+  vi: [
+    "tại sao",
+    "vì sao",
+    "làm sao",
+    "làm thế nào",
+    "như thế nào",
+    "thế nào",
+    "bao nhiêu",
+    "khi nào",
+    "ở đâu",
+    "ai",
+    "cái gì",
+    "hãy",
+    "giải thích",
+    "mô tả",
+    "cho biết",
+    "so sánh",
+    "bạn có",
+    "em có",
+    "anh có",
+    "chị có",
+  ],
+};
+
+/**
+ * Phrases that mark a question anywhere in a sentence
+ */
+const QUESTION_MARKERS = {
+  en: [],
+  vi: ["là gì", "có phải"],
+};
+
+/**
+ * Particles and question words that end a question; Vietnamese marks most
+ * questions this way rather than by word order, and the same words are
+ * ordinary words elsewhere in a sentence ("không" = "not")
+ */
+const QUESTION_ENDINGS = {
+  en: [],
+  vi: [
+    "chưa",
+    "chứ",
+    "nhỉ",
+    "hả",
+    "hở",
+    "gì",
+    "đâu",
+    "nào",
+    "sao",
+    "bao giờ",
+    "bao nhiêu",
+    "mấy",
+  ],
+};
+
+/**
+ * Yes/no question frames: the sentence contains the first word and ends with
+ * the second ("bạn có biết ... không")
+ */
+const QUESTION_FRAMES = {
+  en: [],
+  vi: [
+    ["có", "không"],
+    ["được", "không"],
+    ["phải", "không"],
+    ["đúng", "không"],
+  ],
+};
+
+/**
+ * Politeness particles that may follow a question ending ("... không ạ")
+ */
+const TRAILING_PARTICLES = {
+  en: [],
+  vi: ["ạ", "vậy", "thế"],
+};
+
+/**
+ * Set phrases made of question words that do not ask anything ("không sao"
+ * = "no problem", "cái gì cũng được" = "anything goes"); they are removed
+ * before a sentence is matched
+ */
+const NON_QUESTION_PHRASES = {
+  en: [],
+  vi: [
+    "không sao",
+    "không có gì",
+    "chẳng có gì",
+    "không bao giờ",
+    "chưa bao giờ",
+    "vẫn chưa",
+    "cũng chưa",
+    "còn chưa",
+    "gì cũng",
+    "ai cũng",
+    "đâu cũng",
+    "nào cũng",
+    "sao cũng",
+    "bao giờ cũng",
+    "bao nhiêu cũng",
+  ],
+};
+
+/**
+ * Normalizes a transcript for matching
+ * @param {string} text - Transcript
+ * @returns {string} - Lowercase text without punctuation except "?"
+ */
+function normalizeText(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s?]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Whether a sentence starts with a phrase
+ * @param {string} sentence - Normalized sentence
+ * @param {string} phrase - Phrase to look for
+ * @returns {boolean} - True when the sentence opens with the whole phrase
+ */
+function startsWithPhrase(sentence, phrase) {
+  return sentence === phrase || sentence.startsWith(`${phrase} `);
+}
+
+/**
+ * Whether a sentence ends with a phrase
+ * @param {string} sentence - Normalized sentence
+ * @param {string} phrase - Phrase to look for
+ * @returns {boolean} - True when the sentence closes with the whole phrase
+ */
+function endsWithPhrase(sentence, phrase) {
+  return sentence === phrase || sentence.endsWith(` ${phrase}`);
+}
+
+/**
+ * Whether a sentence contains a phrase as whole words
+ * @param {string} sentence - Normalized sentence
+ * @param {string} phrase - Phrase to look for
+ * @returns {boolean} - True when the phrase appears
+ */
+function containsPhrase(sentence, phrase) {
+  return ` ${sentence} `.includes(` ${phrase} `);
+}
+
+/**
+ * Removes whole-word phrases from a sentence
+ * @param {string} sentence - Normalized sentence
+ * @param {Array<string>} phrases - Phrases to remove
+ * @returns {string} - Sentence without them
+ */
+function removePhrases(sentence, phrases) {
+  let text = ` ${sentence} `;
+  for (const phrase of phrases) {
+    text = text.split(` ${phrase} `).join(" ");
+  }
+  return text.replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Checks one sentence for the question wording of a language
+ * @param {string} sentence - Normalized sentence
+ * @param {string} language - Key of QUESTION_OPENERS
+ * @returns {string|null} - "opener" or "marker", or null without a question
+ */
+function matchSentence(sentence, language) {
+  const text = removePhrases(sentence, NON_QUESTION_PHRASES[language]);
+  if (!text) return null;
+
+  if (
+    QUESTION_OPENERS[language].some((opener) => startsWithPhrase(text, opener))
+  ) {
+    return "opener";
+  }
+  if (
+    QUESTION_MARKERS[language].some((marker) => containsPhrase(text, marker))
+  ) {
+    return "marker";
+  }
+
+  // Question endings may be followed by a politeness particle
+  const ending = TRAILING_PARTICLES[language].reduce(
+    (rest, particle) =>
+      endsWithPhrase(rest, particle)
+        ? rest.slice(0, -particle.length).trim()
+        : rest,
+    text,
+  );
+  if (
+    QUESTION_ENDINGS[language].some((word) => endsWithPhrase(ending, word)) ||
+    QUESTION_FRAMES[language].some(
+      ([start, end]) =>
+        endsWithPhrase(ending, end) &&
+        containsPhrase(ending.slice(0, -end.length), start),
+    )
+  ) {
+    return "marker";
+  }
+  return null;
+}
+
+/**
+ * Decides whether a transcript asks a question
+ * @param {string} transcript - Transcript of a speech segment
+ * @param {string} [lang] - Language code ("en" or "vi")
+ * @returns {Object} - { isQuestion, reason }: reason is "question-mark",
+ *   "opener", "marker", "empty" or "too-short" / "no-question" when ignored
+ */
+function detectQuestion(transcript, lang = "en") {
+  const text = normalizeText(transcript);
+  if (!text) {
+    return { isQuestion: false, reason: "empty" };
+  }
+  if (
+    text.replace(/\?/g, "").split(" ").filter(Boolean).length <
+    QUESTION_MIN_WORDS
+  ) {
+    return { isQuestion: false, reason: "too-short" };
+  }
+  if (text.includes("?")) {
+    return { isQuestion: true, reason: "question-mark" };
+  }
+
+  // Transcripts rarely keep punctuation, so check each sentence's wording;
+  // English phrases are checked for both languages (technical terms)
+  const languages = lang === "vi" ? ["vi", "en"] : ["en"];
+  const sentences = String(transcript)
+    .split(/[.!\n]+/)
+    .map(normalizeText)
+    .filter(Boolean);
+
+  for (const sentence of sentences) {
+    for (const language of languages) {
+      const reason = matchSentence(sentence, language);
+      if (reason) {
+        return { isQuestion: true, reason };
+      }
+    }
+  }
+
+  return { isQuestion: false, reason: "no-question" };
+}
+
+module.exports = {
+  QUESTION_MIN_WORDS,
+  detectQuestion,
+};
@@ -0,0 +1,265 @@
+const { tryCatch } = require("../lib/tryCatch");
+const { promiseWithTimeout } = require("./audio-processor");
+
+/**
+ * Retry, timeout and fallback policy for model calls
+ * Every attempt is limited to MODEL_TIMEOUT_MS. Rate limits (429), server
+ * errors (5xx) and timeouts are retried with exponential backoff up to
+ * MODEL_MAX_RETRIES times; when a model still fails, the next model of
+ * MODEL_FALLBACK_CHAIN is tried.
+ */
+
+/**
+ * Reads a non-negative integer setting
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Value when unset or invalid
+ * @returns {number} - Setting value
+ */
+function readIntSetting(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Reads the policy settings from the environment
+ * @returns {Object} - { timeoutMs, maxRetries, baseDelayMs, maxDelayMs }
+ */
+function getRetryPolicy() {
+  return {
+    timeoutMs: readIntSetting("MODEL_TIMEOUT_MS", 60000),
+    maxRetries: readIntSetting("MODEL_MAX_RETRIES", 2),
+    baseDelayMs: readIntSetting("MODEL_RETRY_BASE_DELAY_MS", 1000),
+    maxDelayMs: readIntSetting("MODEL_RETRY_MAX_DELAY_MS", 30000),
+  };
+}
+
+/**
+ * Gets the configured fallback models, in order
+ * @returns {Array<string>} - Model ids ("provider:model" or Gemini models)
+ */
+function getFallbackChain() {
+  return (process.env.MODEL_FALLBACK_CHAIN || "")
+    .split(",")
+    .map((model) => model.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Builds the list of models to try: the requested one, then the chain
+ * @param {string|null} model - Requested model (null for the default model)
+ * @returns {Array<string|null>} - Models without duplicates
+ */
+function getModelChain(model) {
+  return [
+    model,
+    ...getFallbackChain().filter((fallback) => fallback !== model),
+  ];
+}
+
+/**
+ * Gets the HTTP status of a failed model call
+ * The Gemini SDK and our providers set error.status; older messages only
+ * mention it ("[429 Too Many Requests]", "(HTTP 503)")
+ * @param {Error} error - Error thrown by a provider
+ * @returns {number|null} - Status code or null
+ */
+function getErrorStatus(error) {
+  if (Number.isInteger(error?.status)) return error.status;
+  const match = /\[(\d{3})[ \]]|HTTP (\d{3})/.exec(error?.message || "");
+  return match ? Number(match[1] || match[2]) : null;
+}
+
+/**
+ * Whether a failed call is worth retrying on the same model
+ * @param {Error} error - Error thrown by a provider
+ * @returns {boolean} - True for rate limits, server errors and timeouts
+ */
+function isRetryableError(error) {
+  if (error?.code === "ETIMEDOUT") return true;
+  const status = getErrorStatus(error);
+  return status === 429 || (status !== null && status >= 500);
+}
+
+/**
+ * Reads the delay a rate limited service asked for
+ * @param {Error} error - Error thrown by a provider
+ * @returns {number|null} - Delay in milliseconds or null
+ */
+function getRetryAfterMs(error) {
+  if (Number.isFinite(error?.retryAfterMs)) return error.retryAfterMs;
+
+  // Gemini puts it into a google.rpc.RetryInfo detail ("12s")
+  const retryInfo = (error?.errorDetails || []).find((detail) =>
+    String(detail["@type"] || "").endsWith("RetryInfo"),
+  );
+  const seconds = parseFloat(retryInfo?.retryDelay);
+  return Number.isFinite(seconds) ? seconds * 1000 : null;
+}
+
+/**
+ * Gets the backoff before the next attempt on the same model
+ * @param {Error} error - Error of the failed attempt
+ * @param {number} attempt - Number of the failed attempt (1-based)
+ * @param {Object} [policy] - Policy settings
+ * @returns {number} - Delay in milliseconds
+ */
+function getRetryDelay(error, attempt, policy = getRetryPolicy()) {
+  const requested = getRetryAfterMs(error);
+  const delay =
+    requested !== null ? requested : policy.baseDelayMs * 2 ** (attempt - 1);
+  return Math.min(delay, policy.maxDelayMs);
+}
+
+/**
+ * Waits for the given time unless the signal is aborted first
+ * @param {number} ms - Milliseconds
+ * @param {AbortSignal} [signal] - Rejects the wait when aborted
+ * @returns {Promise<void>}
+ */
+function wait(ms, signal) {
+  if (signal?.aborted) return Promise.reject(signal.reason);
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Turns a model error into a message for the user
+ * @param {Error} error - Error thrown by a provider (after all attempts)
+ * @param {string} [lang] - Language code ("en" or "vi")
+ * @returns {string} - Message without raw API details
+ */
+function describeModelError(error, lang = "en") {
+  const vi = lang === "vi";
+  const status = getErrorStatus(error);
+
+  if (status === 429) {
+    return vi
+      ? "Dịch vụ AI đang nhận quá nhiều yêu cầu. Vui lòng đợi một lát rồi thử lại."
+      : "The AI service is receiving too many requests. Please wait a moment and try again.";
+  }
+  if (error?.code === "ETIMEDOUT") {
+    return vi
+      ? "Mô hình AI phản hồi quá lâu. Vui lòng thử lại."
+      : "The AI model took too long to answer. Please try again.";
+  }
+  if (status !== null && status >= 500) {
+    return vi
+      ? "Dịch vụ AI tạm thời không khả dụng. Vui lòng thử lại sau."
+      : "The AI service is temporarily unavailable. Please try again later.";
+  }
+  return error?.message || "An error occurred during processing";
+}
+
+/**
+ * Runs a model call under the retry, timeout and fallback policy
+ * Each attempt gets its own AbortSignal, aborted on timeout or when the
+ * caller's signal is aborted. Errors after the last attempt are rethrown with
+ * error.attempts listing every failed attempt.
+ * @param {Array<string|null>} models - Models to try, in order
+ * @param {Function} call - (model, signal) => Promise of the result
+ * @param {Object} [options] - Extra options
+ * @param {AbortSignal} [options.signal] - Aborts all attempts (job cancelled)
+ * @param {Function} [options.onRetry] - Called before the next attempt with
+ *   { model, attempt, nextModel, delayMs, error }
+ * @param {Function} [options.onAttempt] - Called as each attempt starts with
+ *   { model, attempt }, e.g. to count model calls
+ * @returns {Promise<Object>} - { result, attempt }: attempt is { model,
+ *   number (on that model), total, fallback, failures }
+ */
+async function runWithPolicy(models, call, options = {}) {
+  const { signal = null, onRetry = null, onAttempt = null } = options;
+  const policy = getRetryPolicy();
+  const failures = [];
+
+  for (let index = 0; index < models.length; index++) {
+    const model = models[index];
+
+    for (let attempt = 1; attempt <= policy.maxRetries + 1; attempt++) {
+      if (signal?.aborted) throw signal.reason;
+
+      const controller = new AbortController();
+      const onAbort = () => controller.abort(signal.reason);
+      signal?.addEventListener("abort", onAbort, { once: true });
+
+      if (onAttempt) onAttempt({ model, attempt });
+      const result = await tryCatch(
+        promiseWithTimeout(
+          call(model, controller.signal),
+          policy.timeoutMs,
+          `Model ${model || "default"} timed out after ${policy.timeoutMs}ms`,
+        ),
+      );
+      signal?.removeEventListener("abort", onAbort);
+
+      if (!result.error) {
+        return {
+          result: result.data,
+          attempt: {
+            model,
+            number: attempt,
+            total: failures.length + 1,
+            fallback: index > 0,
+            failures,
+          },
+        };
+      }
+
+      // Stop a call that timed out, it may still be streaming
+      controller.abort();
+      if (signal?.aborted) throw result.error;
+
+      const { error } = result;
+      failures.push({
+        model,
+        attempt,
+        status: getErrorStatus(error),
+        error: error.message,
+      });
+
+      const retrySameModel =
+        isRetryableError(error) && attempt <= policy.maxRetries;
+      const nextModel = retrySameModel ? model : models[index + 1];
+      if (nextModel === undefined) {
+        error.attempts = failures;
+        throw error;
+      }
+
+      const delayMs = retrySameModel
+        ? getRetryDelay(error, attempt, policy)
+        : 0;
+      console.warn(
+        `Model ${model || "default"} attempt ${attempt} failed (${error.message}), ` +
+          (retrySameModel
+            ? `retrying in ${delayMs}ms`
+            : `falling back to ${nextModel || "default"}`),
+      );
+      if (onRetry) {
+        onRetry({ model, attempt, nextModel, delayMs, error });
+      }
+      if (!retrySameModel) break;
+      await wait(delayMs, signal);
+    }
+  }
+
+  throw new Error("No model to run");
+}
+
+module.exports = {
+  getRetryPolicy,
+  getFallbackChain,
+  getModelChain,
+  getErrorStatus,
+  isRetryableError,
+  getRetryDelay,
+  describeModelError,
+  runWithPolicy,
+};
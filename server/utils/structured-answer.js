@@ -0,0 +1,201 @@
+const { parsePartialJson } = require("../lib/partial-json");
+
+/**
+ * Response schema for answering audio: every detected question with its own
+ * answer, plus the raw transcript and the detected language.
+ * Uses the OpenAPI subset that Gemini's responseSchema accepts.
+ */
+const AUDIO_ANSWER_SCHEMA = {
+  type: "object",
+  properties: {
+    language: {
+      type: "string",
+      description: "ISO 639-1 code of the spoken language, e.g. en or vi",
+    },
+    transcript: {
+      type: "string",
+      description: "Verbatim transcript of the audio",
+    },
+    questions: {
+      type: "array",
+      description: "Every question asked in the audio, in order",
+      items: {
+        type: "object",
+        properties: {
+          question: {
+            type: "string",
+            description: "The question as asked",
+          },
+          answer: {
+            type: "string",
+            description: "Markdown answer to this question",
+          },
+        },
+        required: ["question", "answer"],
+        propertyOrdering: ["question", "answer"],
+      },
+    },
+  },
+  required: ["language", "transcript", "questions"],
+  // Short fields first so answers can be streamed as soon as they start
+  propertyOrdering: ["language", "transcript", "questions"],
+};
+
+/**
+ * Response schema for the judge step: the merged best answer and the points
+ * the compared answers disagree on
+ */
+const JUDGE_SCHEMA = {
+  type: "object",
+  properties: {
+    answer: {
+      type: "string",
+      description: "Markdown answer merging the best parts of all answers",
+    },
+    disagreements: {
+      type: "array",
+      description: "Short notes on where the answers disagree, one per point",
+      items: { type: "string" },
+    },
+  },
+  required: ["answer", "disagreements"],
+  propertyOrdering: ["answer", "disagreements"],
+};
+
+/**
+ * Renders per-question answers as the single Markdown answer old clients show
+ * Rendering is prefix-stable: a growing structure only appends text
+ * @param {Array<Object>} questions - Questions with (possibly partial) answers
+ * @returns {string} - Markdown
+ */
+function renderAnswerMarkdown(questions) {
+  return questions
+    .filter((item) => item && typeof item.question === "string")
+    .map((item, index) => {
+      const heading = `**Question ${index + 1}:** ${item.question}`;
+      return typeof item.answer === "string"
+        ? `${heading}\n\n${item.answer}`
+        : heading;
+    })
+    .join("\n\n");
+}
+
+/**
+ * Validates a parsed structured answer and fills in missing fields
+ * @param {*} value - Parsed JSON
+ * @returns {Object|null} - { language, transcript, questions } or null
+ */
+function normalizeStructuredAnswer(value) {
+  if (!value || typeof value !== "object" || !Array.isArray(value.questions)) {
+    return null;
+  }
+
+  const questions = value.questions
+    .filter((item) => item && typeof item.question === "string")
+    .map((item) => ({
+      question: item.question.trim(),
+      answer: typeof item.answer === "string" ? item.answer.trim() : "",
+    }));
+
+  return {
+    language: typeof value.language === "string" ? value.language : "",
+    transcript: typeof value.transcript === "string" ? value.transcript : "",
+    questions,
+  };
+}
+
+/**
+ * Parses a complete structured answer
+ * @param {string} responseText - Full model response
+ * @returns {Object|null} - Normalized structure or null if it is not valid JSON
+ */
+function parseStructuredAnswer(responseText) {
+  // Some models wrap JSON in a Markdown code fence
+  const unfenced = responseText
+    .trim()
+    .replace(/^```(?:json)?\s*/i, "")
+    .replace(/\s*```$/, "");
+
+  try {
+    return normalizeStructuredAnswer(JSON.parse(unfenced));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parses the judge's reply
+ * A reply that is not valid JSON is used as the merged answer as-is
+ * @param {string} responseText - Full model response
+ * @returns {Object} - { answer, disagreements }
+ */
+function parseJudgeResponse(responseText) {
+  const unfenced = responseText
+    .trim()
+    .replace(/^```(?:json)?\s*/i, "")
+    .replace(/\s*```$/, "");
+
+  try {
+    const value = JSON.parse(unfenced);
+    if (value && typeof value.answer === "string") {
+      return {
+        answer: value.answer.trim(),
+        disagreements: Array.isArray(value.disagreements)
+          ? value.disagreements.filter((item) => typeof item === "string")
+          : [],
+      };
+    }
+  } catch (error) {
+    // Not JSON, fall through
+  }
+  return { answer: responseText.trim(), disagreements: [] };
+}
+
+/**
+ * Wraps an answer chunk callback so that streamed JSON reaches clients as
+ * the rendered Markdown answer instead of raw JSON fragments
+ * @param {Function} [onChunk] - Called with each Markdown delta
+ * @returns {Function|null} - Callback for the raw JSON chunks
+ */
+function createStructuredChunkRenderer(onChunk) {
+  if (!onChunk) return null;
+
+  let rawText = "";
+  let rendered = "";
+  let isPlainText = false;
+
+  return (chunk) => {
+    if (isPlainText) {
+      onChunk(chunk);
+      return;
+    }
+
+    rawText += chunk;
+    const trimmed = rawText.trimStart();
+    if (trimmed && !trimmed.startsWith("{") && !trimmed.startsWith("`")) {
+      // The model ignored the schema, stream its Markdown as-is
+      isPlainText = true;
+      onChunk(rawText);
+      return;
+    }
+
+    const partial = parsePartialJson(trimmed.replace(/^```(?:json)?\s*/i, ""));
+    if (!partial || !Array.isArray(partial.questions)) return;
+
+    const markdown = renderAnswerMarkdown(partial.questions);
+    // Only ever append; a rewrite is corrected by the final update
+    if (markdown.length > rendered.length && markdown.startsWith(rendered)) {
+      onChunk(markdown.slice(rendered.length));
+      rendered = markdown;
+    }
+  };
+}
+
+module.exports = {
+  AUDIO_ANSWER_SCHEMA,
+  JUDGE_SCHEMA,
+  renderAnswerMarkdown,
+  parseStructuredAnswer,
+  parseJudgeResponse,
+  createStructuredChunkRenderer,
+};
@@ -0,0 +1,142 @@
+const { tryCatch } = require("../lib/tryCatch");
+const { readAudioForProvider } = require("./audio-format");
+const { transcribeWithWhisper } = require("./whisper");
+const { isMockOnly, parseModelId, resolveModel } = require("../lib/providers");
+
+/**
+ * Speech-to-text backends for the two-stage pipeline
+ * A backend id is either "whisper-cli" (local Whisper CLI) or an AI provider
+ * with an optional model, e.g. "openai", "openai:whisper-1", "gemini", "mock".
+ */
+
+const WHISPER_CLI_BACKEND = "whisper-cli";
+
+/**
+ * Gets the transcription backend to use when a request does not pick one
+ * @returns {string} - Backend id
+ */
+function getDefaultTranscriber() {
+  return process.env.STT_BACKEND || "gemini";
+}
+
+/**
+ * Whether a backend runs on this machine (the Whisper CLI), so transcribing
+ * with it is no model call
+ * @param {string} [backendId] - Backend id (null for STT_BACKEND)
+ * @returns {boolean} - True for the local Whisper CLI
+ */
+function isLocalTranscriber(backendId = null) {
+  // In mock-only mode the mock provider stands in for the CLI
+  return (
+    (backendId || getDefaultTranscriber()) === WHISPER_CLI_BACKEND &&
+    !isMockOnly()
+  );
+}
+
+/**
+ * Whether a backend can produce live partial transcripts of a stream
+ * The local Whisper CLI loads its model on every run, which is too slow to
+ * re-transcribe a recording every few seconds
+ * @param {string} [backendId] - Backend id (null for STT_BACKEND)
+ * @returns {boolean} - True when partial transcripts are supported
+ */
+function supportsPartialTranscripts(backendId = null) {
+  const backend = backendId || getDefaultTranscriber();
+  if (isMockOnly()) return true;
+  if (backend === WHISPER_CLI_BACKEND) return false;
+
+  const { providerName } = parseModelId(
+    backend.includes(":") ? backend : `${backend}:`,
+  );
+  try {
+    const { provider } = resolveModel(`${providerName}:`);
+    return Boolean(provider.partialTranscripts);
+  } catch {
+    // Unknown or unconfigured backends fail later with a proper error
+    return false;
+  }
+}
+
+/**
+ * Resolves an AI provider backend id to its provider and model
+ * @param {string} backend - Backend id other than "whisper-cli"
+ * @returns {Object} - { provider, model, transcriber } where model is null for
+ *   the provider's default and transcriber is the id to report
+ */
+function resolveTranscriptionProvider(backend) {
+  // A bare provider name ("openai") means its default transcription model
+  const { providerName, modelName } = parseModelId(
+    backend.includes(":") ? backend : `${backend}:`,
+  );
+  const { provider } = resolveModel(`${providerName}:`);
+  // Drop the model when the request was rerouted (mock-only mode)
+  const model = provider.name === providerName ? modelName : null;
+
+  return {
+    provider,
+    model,
+    transcriber: model ? `${provider.name}:${model}` : provider.name,
+  };
+}
+
+/**
+ * Transcribe an audio file with the selected backend
+ * @param {string} filePath - Path to the audio file
+ * @param {string} lang - Language code
+ * @param {string} [backendId] - Backend id (null for STT_BACKEND)
+ * @param {Object} [options] - Extra options
+ * @param {AbortSignal} [options.signal] - Aborts the transcription
+ * @param {Function} [options.onUsage] - Receives the token usage of the
+ *   model call (provider backends only)
+ * @returns {Promise<Object>} - { transcript, transcriber }
+ */
+async function transcribeAudioFile(
+  filePath,
+  lang = "en",
+  backendId = null,
+  options = {},
+) {
+  const { signal = null, onUsage = null } = options;
+  const backend = backendId || getDefaultTranscriber();
+
+  // In mock-only mode the mock provider stands in for the local CLI as well
+  if (backend === WHISPER_CLI_BACKEND && !isMockOnly()) {
+    const result = await tryCatch(
+      transcribeWithWhisper(filePath, lang, { signal }),
+    );
+    if (result.error) {
+      console.error("Error transcribing with Whisper CLI:", result.error);
+      throw result.error;
+    }
+    return { transcript: result.data, transcriber: WHISPER_CLI_BACKEND };
+  }
+
+  const { provider, model, transcriber } =
+    resolveTranscriptionProvider(backend);
+
+  const result = await tryCatch(
+    (async () => {
+      const audio = await readAudioForProvider(filePath, provider);
+      return provider.transcribe(
+        { ...audio, lang },
+        { model, signal, onUsage },
+      );
+    })(),
+  );
+
+  if (result.error) {
+    console.error(`Error transcribing with ${backend}:`, result.error);
+    throw result.error;
+  }
+
+  return { transcript: result.data, transcriber };
+}
+
+module.exports = {
+  WHISPER_CLI_BACKEND,
+  getDefaultTranscriber,
+  isLocalTranscriber,
+  supportsPartialTranscripts,
+  resolveTranscriptionProvider,
+  transcribeAudioFile,
+};
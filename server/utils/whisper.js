@@ -0,0 +1,148 @@
+const { spawn } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { convertAudioToStandardFormat, needsConversion } = require("./ffmpeg");
+
+/**
+ * Supported CLI flavors
+ * - "whisper.cpp": whisper.cpp's `whisper-cli`, prints the transcript to stdout
+ * - "openai-whisper": `whisper` / `whisper-ctranslate2` (faster-whisper),
+ *   writes a .txt file into an output directory
+ */
+const CLI_FLAVORS = ["whisper.cpp", "openai-whisper"];
+
+/**
+ * Reads the Whisper CLI settings from the environment
+ * @returns {Object} - Binary, flavor, model and thread settings
+ */
+function getWhisperConfig() {
+  const flavor = CLI_FLAVORS.includes(process.env.WHISPER_CLI_FLAVOR)
+    ? process.env.WHISPER_CLI_FLAVOR
+    : "whisper.cpp";
+
+  return {
+    flavor,
+    binary:
+      process.env.WHISPER_CLI_PATH ||
+      (flavor === "whisper.cpp" ? "whisper-cli" : "whisper"),
+    // whisper.cpp expects a ggml model file, the Python CLIs a model name
+    model:
+      process.env.WHISPER_MODEL || (flavor === "whisper.cpp" ? "" : "base"),
+    threads: process.env.WHISPER_THREADS || "",
+  };
+}
+
+/**
+ * Get Whisper CLI arguments for transcribing an audio file
+ * @param {string} inputFile - Path to the input audio file (16 kHz WAV)
+ * @param {string} lang - Language code ("en", "vi") or empty for auto-detect
+ * @param {string} outputDir - Output directory (openai-whisper flavor only)
+ * @param {Object} config - Whisper CLI settings
+ * @returns {Array} - Whisper CLI arguments
+ */
+function getWhisperArgs(inputFile, lang, outputDir, config) {
+  if (config.flavor === "whisper.cpp") {
+    const args = ["-f", inputFile, "-l", lang || "auto", "-nt", "-np"];
+    if (config.model) {
+      args.push("-m", config.model);
+    }
+    if (config.threads) {
+      args.push("-t", String(config.threads));
+    }
+    return args;
+  }
+
+  const args = [
+    inputFile,
+    "--model",
+    config.model,
+    "--output_format",
+    "txt",
+    "--output_dir",
+    outputDir,
+    "--verbose",
+    "False",
+  ];
+  if (lang) {
+    args.push("--language", lang);
+  }
+  if (config.threads) {
+    args.push("--threads", String(config.threads));
+  }
+  return args;
+}
+
+/**
+ * Transcribe an audio file with a local Whisper CLI
+ * @param {string} filePath - Path to the audio file
+ * @param {string} lang - Language code ("en", "vi") or empty for auto-detect
+ * @param {Object} [options] - Extra options
+ * @param {AbortSignal} [options.signal] - Kills the CLI process when aborted
+ * @returns {Promise<string>} - The transcript
+ */
+async function transcribeWithWhisper(filePath, lang = "", options = {}) {
+  const { signal = null } = options;
+  const config = getWhisperConfig();
+
+  // whisper.cpp only reads 16 kHz WAV, so convert anything else first
+  const inputFile = needsConversion(filePath)
+    ? await convertAudioToStandardFormat(filePath)
+    : filePath;
+
+  const outputDir =
+    config.flavor === "whisper.cpp"
+      ? null
+      : fs.mkdtempSync(path.join(os.tmpdir(), "whisper-"));
+
+  const args = getWhisperArgs(inputFile, lang, outputDir, config);
+  console.log(`Transcribing with ${config.binary}: ${inputFile}`);
+
+  try {
+    const stdout = await new Promise((resolve, reject) => {
+      const whisper = spawn(config.binary, args, signal ? { signal } : {});
+      let output = "";
+
+      whisper.stdout.on("data", (data) => {
+        output += data.toString();
+      });
+
+      whisper.stderr.on("data", (data) => {
+        // Whisper CLIs log model loading and progress to stderr
+        console.log(`Whisper: ${data.toString().trim()}`);
+      });
+
+      whisper.on("close", (code) => {
+        if (code === 0) {
+          resolve(output);
+        } else {
+          reject(new Error(`Whisper transcription failed with code ${code}`));
+        }
+      });
+
+      whisper.on("error", (err) => {
+        reject(new Error(`Whisper error: ${err.message}`));
+      });
+    });
+
+    if (!outputDir) {
+      return stdout.replace(/\s+/g, " ").trim();
+    }
+
+    const txtFile = path.join(
+      outputDir,
+      `${path.basename(inputFile, path.extname(inputFile))}.txt`,
+    );
+    return fs.readFileSync(txtFile, "utf8").replace(/\s+/g, " ").trim();
+  } finally {
+    if (outputDir) {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+  }
+}
+
+module.exports = {
+  getWhisperConfig,
+  getWhisperArgs,
+  transcribeWithWhisper,
+};